@@ -0,0 +1,144 @@
+/**
+ * Tests for the CLI's local inspector
+ */
+
+const http = require('http');
+const { LocalInspector } = require('../src/inspector/LocalInspector');
+const InspectorServer = require('../src/inspector/InspectorServer');
+
+describe('LocalInspector', () => {
+    let inspector;
+    let requestLocal;
+
+    function capture(requestId, { method = 'POST', path = '/hook', statusCode = 200, body = '{"id":1}' } = {}) {
+        inspector.recordRequest({ requestId, method, path, headers: { 'content-type': 'application/json' }, body: Buffer.from(body) });
+        inspector.recordResponse(requestId, { statusCode, headers: { 'content-type': 'application/json' } });
+        inspector.appendResponseBody(requestId, Buffer.from('{"ok":true}'));
+        inspector.finishResponse(requestId);
+    }
+
+    beforeEach(() => {
+        requestLocal = jest.fn().mockResolvedValue({
+            statusCode: 201,
+            headers: { 'content-type': 'text/plain' },
+            body: Buffer.from('created'),
+        });
+        inspector = new LocalInspector({ requestLocal, maxBodySize: 16 });
+    });
+
+    it('should capture requests and responses in the gateway inspector shape', () => {
+        const events = [];
+        inspector.on('request', (t) => events.push(['request', t.requestId]));
+        inspector.on('response', (t) => events.push(['response', t.response.statusCode]));
+
+        capture('r1');
+
+        expect(events).toEqual([['request', 'r1'], ['response', 200]]);
+
+        const traffic = inspector.get('r1');
+        expect(traffic.request).toMatchObject({ method: 'POST', path: '/hook', body: '{"id":1}', parsedBody: { id: 1 }, bodySize: 8 });
+        expect(traffic.response).toMatchObject({
+            statusCode: 200,
+            body: Buffer.from('{"ok":true}').toString('base64'),
+            parsedBody: { ok: true },
+            error: null,
+        });
+        expect(traffic.responseTime).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should cap captured bodies and count the full size', () => {
+        inspector.recordRequest({ requestId: 'big', method: 'PUT', path: '/upload', headers: {} });
+        inspector.appendRequestBody('big', Buffer.alloc(10, 'a'));
+        inspector.appendRequestBody('big', Buffer.alloc(10, 'b').toString('base64'));
+
+        const { request } = inspector.get('big');
+        expect(request.body).toBe('aaaaaaaaaabbbbbb');
+        expect(request).toMatchObject({ bodySize: 20, bodyTruncated: true });
+    });
+
+    it('should record local server failures', () => {
+        inspector.recordRequest({ requestId: 'down', method: 'GET', path: '/', headers: {} });
+        inspector.finishResponse('down', { error: 'connect ECONNREFUSED' });
+
+        expect(inspector.get('down').response).toMatchObject({ statusCode: null, error: 'connect ECONNREFUSED' });
+    });
+
+    it('should list entries newest first with filters', () => {
+        capture('a', { method: 'GET', path: '/users' });
+        capture('b', { method: 'POST', path: '/orders', statusCode: 500 });
+        capture('c', { method: 'POST', path: '/users/1' });
+
+        expect(inspector.list().map(t => t.requestId)).toEqual(['c', 'b', 'a']);
+        expect(inspector.list({ method: 'post' }).map(t => t.requestId)).toEqual(['c', 'b']);
+        expect(inspector.list({ statusCode: '500' }).map(t => t.requestId)).toEqual(['b']);
+        expect(inspector.list({ path: '^/users' }).map(t => t.requestId)).toEqual(['c', 'a']);
+        expect(inspector.list({ limit: 1, offset: 1 }).map(t => t.requestId)).toEqual(['b']);
+    });
+
+    it('should replay a request against the local server', async () => {
+        capture('r1');
+
+        const result = await inspector.replay('r1');
+
+        expect(requestLocal).toHaveBeenCalledWith('POST', '/hook', { 'content-type': 'application/json' }, Buffer.from('{"id":1}'));
+        expect(result.success).toBe(true);
+        expect(result.traffic).toMatchObject({ replayOf: 'r1', response: { statusCode: 201 } });
+        expect(inspector.list()[0].requestId).toBe(result.traffic.requestId);
+    });
+
+    it('should not replay unknown or partly captured requests', async () => {
+        inspector.recordRequest({ requestId: 'big', method: 'PUT', path: '/', headers: {}, body: Buffer.alloc(32) });
+
+        expect(await inspector.replay('missing')).toMatchObject({ success: false, statusCode: 404 });
+        expect(await inspector.replay('big')).toMatchObject({ success: false, statusCode: 409 });
+        expect(requestLocal).not.toHaveBeenCalled();
+    });
+
+    describe('InspectorServer', () => {
+        let server;
+        let baseUrl;
+
+        function request(method, path, headers = {}) {
+            return new Promise((resolve, reject) => {
+                const req = http.request(`${baseUrl}${path}`, { method, headers }, (res) => {
+                    let data = '';
+                    res.on('data', (chunk) => { data += chunk; });
+                    res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+                });
+                req.on('error', reject);
+                req.end();
+            });
+        }
+
+        beforeEach(async () => {
+            server = new InspectorServer(inspector, () => ({ localPort: 8080 }));
+            baseUrl = await server.listen(0);
+        });
+
+        afterEach(() => {
+            server.close();
+        });
+
+        it('should serve the traffic API', async () => {
+            capture('r1');
+
+            expect(await request('GET', '/api/status')).toEqual({ status: 200, body: { localPort: 8080, captured: 1 } });
+            expect((await request('GET', '/api/traffic?method=POST')).body.count).toBe(1);
+            expect((await request('GET', '/api/traffic/r1')).body.requestId).toBe('r1');
+            expect((await request('GET', '/api/traffic/nope')).status).toBe(404);
+            expect((await request('GET', '/api/traffic?path=(')).status).toBe(400);
+
+            const replay = await request('POST', '/api/traffic/r1/replay');
+            expect(replay.status).toBe(201);
+            expect(replay.body.replayOf).toBe('r1');
+        });
+
+        it('should refuse requests from other sites', async () => {
+            capture('r1');
+
+            expect((await request('POST', '/api/traffic/r1/replay', { origin: 'http://example.com' })).status).toBe(403);
+            expect((await request('GET', '/api/traffic', { host: 'attacker.example:4040' })).status).toBe(403);
+            expect(requestLocal).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for the CLI's path route table
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RouteTable, parseRoute, loadRouteFile } = require('../src/routing/RouteTable');
+
+describe('RouteTable', () => {
+    it('should parse route flags', () => {
+        expect(parseRoute('/api=8080')).toEqual({ prefix: '/api', port: 8080, stripPrefix: false });
+        expect(parseRoute('/api/*=8080:strip')).toEqual({ prefix: '/api', port: 8080, stripPrefix: true });
+        expect(parseRoute('/*=5173')).toEqual({ prefix: '/', port: 5173, stripPrefix: false });
+        expect(parseRoute('api=8080')).toBeNull();
+        expect(parseRoute('/api=99999')).toBeNull();
+        expect(parseRoute('/api')).toBeNull();
+    });
+
+    it('should pick the longest matching prefix on whole segments', () => {
+        const table = new RouteTable(5173, [
+            parseRoute('/api=8080'),
+            parseRoute('/api/admin=9000'),
+        ]);
+
+        expect(table.match('/api/users?page=2')).toEqual({ port: 8080, path: '/api/users?page=2', prefix: '/api' });
+        expect(table.match('/api/admin/jobs').port).toBe(9000);
+        expect(table.match('/api?x=1').port).toBe(8080);
+        expect(table.match('/apiary').port).toBe(5173);
+        expect(table.match('/')).toEqual({ port: 5173, path: '/', prefix: null });
+    });
+
+    it('should strip the prefix when asked', () => {
+        const table = new RouteTable(5173, [parseRoute('/api=8080:strip'), parseRoute('/=3000')]);
+
+        expect(table.match('/api/users?page=2').path).toBe('/users?page=2');
+        expect(table.match('/api').path).toBe('/');
+        expect(table.match('/api?x=1').path).toBe('/?x=1');
+        expect(table.match('/index.html')).toEqual({ port: 3000, path: '/index.html', prefix: '/' });
+        expect(table.describe()).toEqual(['/api/* -> localhost:8080 (prefix stripped)', '/* -> localhost:3000']);
+    });
+
+    it('should read routes from a file', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devtunnel-routes-'));
+        const filePath = path.join(dir, 'routes.json');
+
+        try {
+            fs.writeFileSync(filePath, JSON.stringify({ routes: [{ path: '/api/*', port: 8080, stripPrefix: true }] }));
+            expect(loadRouteFile(filePath)).toEqual({
+                success: true,
+                routes: [{ prefix: '/api', port: 8080, stripPrefix: true }],
+            });
+
+            fs.writeFileSync(filePath, JSON.stringify({ routes: [{ path: '/api', port: 'x' }] }));
+            expect(loadRouteFile(filePath).success).toBe(false);
+            expect(loadRouteFile(path.join(dir, 'missing.json')).success).toBe(false);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for the --tui terminal UI
+ */
+
+const EventEmitter = require('events');
+const { LocalInspector } = require('../src/inspector/LocalInspector');
+const TerminalUI = require('../src/tui/TerminalUI');
+
+// Screen text without colors, one string per row, from the last full redraw
+function screen(stdout) {
+    const output = stdout.write.mock.calls.map(([data]) => data).join('');
+    const frames = output.split('\x1b[H');
+    return frames[frames.length - 1]
+        .replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '')
+        .split('\r\n')
+        .map(row => row.trimEnd());
+}
+
+describe('TerminalUI', () => {
+    let inspector;
+    let client;
+    let stdin;
+    let stdout;
+    let tui;
+
+    function capture(requestId, path, statusCode = 200) {
+        inspector.recordRequest({ requestId, method: 'GET', path, headers: { accept: '*/*' } });
+        inspector.recordResponse(requestId, { statusCode, headers: { 'content-type': 'text/plain' } });
+        inspector.appendResponseBody(requestId, Buffer.from('hello'));
+        inspector.finishResponse(requestId);
+    }
+
+    beforeEach(() => {
+        inspector = new LocalInspector({
+            requestLocal: jest.fn().mockResolvedValue({ statusCode: 204, headers: {}, body: Buffer.alloc(0) }),
+        });
+        client = { inspector, publicUrl: 'http://demo.localhost:3000', localPort: 8080, tunnelId: 'T1', isConnected: true };
+
+        stdin = Object.assign(new EventEmitter(), { setRawMode: jest.fn(), resume: jest.fn(), pause: jest.fn() });
+        stdout = Object.assign(new EventEmitter(), { columns: 100, rows: 40, write: jest.fn() });
+
+        tui = new TerminalUI(client, { stdin, stdout, onQuit: jest.fn() });
+        tui.start();
+    });
+
+    afterEach(() => {
+        tui.stop();
+    });
+
+    it('should show the tunnel, live counters and captured requests', () => {
+        capture('a', '/first');
+        capture('b', '/broken', 502);
+        tui.render();
+
+        const rows = screen(stdout);
+        expect(rows.join('\n')).toContain('Public URL:    http://demo.localhost:3000');
+        expect(rows.join('\n')).toContain('Requests 2   Errors 1');
+        expect(rows.find(row => row.includes('/broken'))).toContain('502');
+        expect(rows.every(row => row.length <= 100)).toBe(true);
+    });
+
+    it('should show captured control characters as text', () => {
+        capture('a', '/\x1b[2Jevil');
+        tui.render();
+
+        expect(screen(stdout).join('\n')).toContain('/·[2Jevil');
+    });
+
+    it('should move the selection and clear the list', () => {
+        capture('a', '/first');
+        capture('b', '/second');
+
+        expect(tui.currentId()).toBe('b');
+        tui.handleKey('j', { name: 'j' });
+        expect(tui.currentId()).toBe('a');
+        tui.handleKey(undefined, { name: 'up' });
+        expect(tui.currentId()).toBe('b');
+
+        tui.handleKey('x', { name: 'x' });
+        expect(inspector.entries.size).toBe(0);
+        expect(screen(stdout).join('\n')).toContain('Waiting for requests...');
+    });
+
+    it('should replay the selected request and select the replay', async () => {
+        capture('a', '/first');
+
+        await tui.replaySelected();
+
+        expect(inspector.requestLocal).toHaveBeenCalledWith('GET', '/first', { accept: '*/*' }, expect.any(Buffer));
+        expect(inspector.get(tui.currentId())).toMatchObject({ replayOf: 'a', response: { statusCode: 204 } });
+        expect(tui.message).toMatch(/^Replayed: 204/);
+    });
+
+    it('should copy the selected request as curl through the terminal clipboard', () => {
+        capture('a', '/first');
+
+        tui.handleKey('c', { name: 'c' });
+
+        const osc = stdout.write.mock.calls.map(([data]) => data).find(data => data.startsWith('\x1b]52;c;'));
+        const curl = Buffer.from(osc.slice(7, -1), 'base64').toString();
+        expect(curl).toBe("curl \\\n  -H 'accept: */*' \\\n  'http://demo.localhost:3000/first'");
+    });
+
+    it('should quit on q and route console output to the status line', () => {
+        tui.handleKey('q', { name: 'q' });
+        expect(tui.onQuit).toHaveBeenCalled();
+
+        console.log('\x1b[33mConnection to gateway lost\x1b[39m');
+        expect(tui.message).toBe('Connection to gateway lost');
+
+        tui.stop();
+        expect(stdout.write).toHaveBeenLastCalledWith('Connection to gateway lost\n');
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Tests for the tunnel client's connection handling
+ */
+
+const EventEmitter = require('events');
+const http = require('http');
+const WebSocket = require('ws');
+const {
+    createWelcomeMessage,
+    createTunnelRegisteredMessage,
+    createErrorMessage,
+    parseMessage,
+    serializeMessage,
+    MessageType,
+    PROTOCOL_VERSION,
+} = require('@devtunnel/shared');
+const { TunnelClient } = require('../src/commands/tunnel');
+
+// Retry without the reconnect backoff
+jest.mock('@devtunnel/shared', () => ({
+    ...jest.requireActual('@devtunnel/shared'),
+    sleep: () => Promise.resolve(),
+}));
+
+// Stand-in for the gateway WebSocket, recording what the client sends
+function createSocket() {
+    const ws = new EventEmitter();
+    ws.readyState = 1; // OPEN
+    ws.bufferedAmount = 0;
+    ws.sent = [];
+    ws.send = (data) => ws.sent.push(parseMessage(data));
+    return ws;
+}
+
+describe('TunnelClient', () => {
+    let client;
+
+    beforeEach(() => {
+        client = new TunnelClient(3000, { host: '127.0.0.1', gatewayPort: 0 });
+        client.ws = createSocket();
+    });
+
+    describe('waitForDrain', () => {
+        it('should call back once the send buffer drains', async () => {
+            client.ws.bufferedAmount = 64 * 1024 * 1024;
+            const callback = jest.fn();
+            client.waitForDrain(callback);
+
+            await new Promise(resolve => setTimeout(resolve, 30));
+            expect(callback).not.toHaveBeenCalled();
+
+            client.ws.bufferedAmount = 0;
+            await new Promise(resolve => setTimeout(resolve, 30));
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('should settle when the WebSocket closes while waiting', async () => {
+            client.ws.bufferedAmount = 64 * 1024 * 1024;
+            const callback = jest.fn();
+            client.waitForDrain(callback);
+
+            client.ws.readyState = 3; // CLOSED
+            client.ws.emit('close', 1006);
+            expect(callback).toHaveBeenCalledTimes(1);
+
+            await new Promise(resolve => setTimeout(resolve, 30));
+            expect(callback).toHaveBeenCalledTimes(1);
+            expect(client.ws.listenerCount('close')).toBe(0);
+        });
+    });
+
+    describe('response flow control', () => {
+        let server;
+        let local;
+
+        beforeEach(async () => {
+            // A local server whose response stays open until the test ends it
+            server = http.createServer((req, res) => {
+                local = res;
+                res.writeHead(200);
+                res.write('first');
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            client.routes.defaultPort = server.address().port;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should stop reading the local response while the gateway has it paused', async () => {
+            const chunks = () => client.ws.sent
+                .filter(m => m.type === MessageType.HTTP_RESPONSE_CHUNK)
+                .map(m => Buffer.from(m.payload.data, 'base64').toString());
+            const done = client.forwardToLocal('req1', 'GET', '/', {}, null);
+
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(chunks()).toEqual(['first']);
+
+            client.handleMessage({ type: MessageType.HTTP_RESPONSE_PAUSE, payload: { requestId: 'req1' } });
+            local.write('second');
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(chunks()).toEqual(['first']);
+
+            client.handleMessage({ type: MessageType.HTTP_RESPONSE_RESUME, payload: { requestId: 'req1' } });
+            local.end();
+            await done;
+
+            expect(chunks()).toEqual(['first', 'second']);
+            expect(client.localResponses.size).toBe(0);
+        });
+    });
+
+    describe('reconnect', () => {
+        let wss;
+
+        beforeEach(async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => { });
+            wss = new WebSocket.Server({ port: 0, host: '127.0.0.1' });
+            await new Promise(resolve => wss.once('listening', resolve));
+        });
+
+        afterEach(async () => {
+            client.isClosing = true;
+            client.ws?.terminate();
+            await new Promise(resolve => wss.close(resolve));
+            jest.restoreAllMocks();
+        });
+
+        it('should close a socket whose registration failed before opening the next one', async () => {
+            // Refuse the first two registrations with a retryable error
+            let registrations = 0;
+            const openAtRegistration = [];
+            wss.on('connection', (socket) => {
+                socket.on('message', (data) => {
+                    const message = parseMessage(data);
+                    if (message.type === MessageType.HELLO) {
+                        socket.send(serializeMessage(createWelcomeMessage({ version: PROTOCOL_VERSION, capabilities: [] })));
+                    } else if (message.type === MessageType.TUNNEL_REGISTER) {
+                        registrations++;
+                        openAtRegistration.push(wss.clients.size);
+                        socket.send(serializeMessage(registrations <= 2
+                            ? createErrorMessage('Gateway busy', 'SERVER_ERROR')
+                            : createTunnelRegisteredMessage({ tunnelId: 'T1', publicUrl: 'http://demo.localhost', subdomain: 'demo' })));
+                    }
+                });
+            });
+
+            client.options.gatewayPort = wss.address().port;
+            client.options.tui = true; // keeps the spinner quiet
+            client.tunnelId = 'T1';
+            client.publicUrl = 'http://demo.localhost';
+            await client.reconnect();
+
+            expect(registrations).toBe(3);
+            expect(openAtRegistration).toEqual([1, 1, 1]);
+            expect(client.isConnected).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,24 @@
+/**
+ * Authtoken Command - Save the gateway auth token for future tunnels
+ */
+
+const chalk = require('chalk');
+const { saveConfig, CONFIG_PATH } = require('../config');
+
+function execute(token) {
+    if (!token || !token.trim()) {
+        console.error(chalk.red('Error: Please provide an auth token'));
+        process.exit(1);
+    }
+
+    try {
+        saveConfig({ authToken: token.trim() });
+    } catch (error) {
+        console.error(chalk.red(`Failed to save auth token: ${error.message}`));
+        process.exit(1);
+    }
+
+    console.log(chalk.green('✔ Auth token saved to ') + chalk.white(CONFIG_PATH));
+}
+
+module.exports = { execute };
@@ -7,83 +7,214 @@ const chalk = require('chalk');
 const ora = require('ora');
 const boxen = require('boxen');
 const http = require('http');
+const net = require('net');
+const packageJson = require('../../package.json');
+const { loadConfig } = require('../config');
+const { LocalInspector } = require('../inspector/LocalInspector');
+const InspectorServer = require('../inspector/InspectorServer');
+const TerminalUI = require('../tui/TerminalUI');
+const { RouteTable, parseRoute, loadRouteFile } = require('../routing/RouteTable');
 const {
     createLogger,
+    createHelloMessage,
     createTunnelRegisterMessage,
-    createHttpResponseMessage,
+    createTunnelCloseMessage,
+    createHttpResponseStartMessage,
+    createHttpResponseChunkMessage,
+    createHttpResponseEndMessage,
     createHttpErrorMessage,
+    createWsOpenedMessage,
+    createWsFrameMessage,
+    createWsCloseMessage,
+    createTcpDataMessage,
+    createTcpCloseMessage,
+    createReplayResponseMessage,
     parseMessage,
     serializeMessage,
+    toBodyBuffer,
     MessageType,
+    Capability,
+    MIN_PROTOCOL_VERSION,
     LOG_LEVELS,
+    DEFAULT_INSPECTOR_PORT,
+    TUNNEL_TYPES,
+    TUNNEL_CONFIG,
+    ERROR_CODES,
+    parseBytes,
+    parseBasicAuth,
+    parseCidr,
+    normalizeHostname,
+    formatBytes,
+    formatDuration,
+    calculateBackoff,
+    sleep,
 } = require('@devtunnel/shared');
 
 const logger = createLogger({ name: 'Tunnel', level: LOG_LEVELS.INFO });
 
+// Pause reading from the local server while this much is queued on the WebSocket
+const WS_HIGH_WATER_MARK = 4 * 1024 * 1024;
+
+// Gateway errors that retrying the connection won't fix
+const FATAL_ERROR_CODES = [
+    ERROR_CODES.INCOMPATIBLE_PROTOCOL,
+    ERROR_CODES.SUBDOMAIN_TAKEN,
+    ERROR_CODES.INVALID_SUBDOMAIN,
+    ERROR_CODES.INVALID_TUNNEL_TYPE,
+    ERROR_CODES.UNAUTHORIZED,
+    ERROR_CODES.INVALID_TOKEN,
+];
+
+// Upgrade headers that the local WebSocket client generates itself
+const WS_HANDSHAKE_HEADERS = [
+    'host',
+    'connection',
+    'upgrade',
+    'sec-websocket-key',
+    'sec-websocket-version',
+    'sec-websocket-extensions',
+    'sec-websocket-protocol',
+];
+
 class TunnelClient {
     constructor(localPort, options) {
         this.localPort = localPort;
         this.options = options;
+        this.routes = options.routes || new RouteTable(localPort); // path prefix -> local port
+        this.type = options.type || TUNNEL_TYPES.HTTP;
+        this.capabilities = []; // agreed with the gateway in the handshake
         this.ws = null;
         this.tunnelId = null;
         this.publicUrl = null;
         this.subdomain = null;
+        this.domains = [];
         this.isConnected = false;
         this.requestCount = 0;
+
+        // Reconnection state
+        this.resumeToken = null;
+        this.reconnecting = false;
+        this.isClosing = false;
+
+        // In-flight local requests by requestId, so they can be aborted
+        this.activeRequests = new Map();
+
+        // Streamed local responses by requestId ({ res, pausedByGateway, draining }), for flow control
+        this.localResponses = new Map();
+
+        // Local WebSockets by streamId
+        this.localSockets = new Map();
+
+        // Local TCP connections by streamId ({ socket, bytesIn, bytesOut })
+        this.tcpSockets = new Map();
+
+        // Captured traffic for the local inspector UI (--inspector)
+        this.inspector = null;
+        this.inspectorUrl = null;
     }
 
     async connect() {
-        const spinner = ora('Connecting to gateway...').start();
+        const spinner = ora({
+            text: this.resumeToken ? 'Reconnecting to gateway...' : 'Connecting to gateway...',
+            // The terminal UI shows the connection state itself
+            isSilent: Boolean(this.options.tui),
+        }).start();
 
         return new Promise((resolve, reject) => {
             const wsUrl = `ws://${this.options.host}:${this.options.gatewayPort}`;
 
-            this.ws = new WebSocket(wsUrl);
+            const ws = new WebSocket(wsUrl);
+            this.ws = ws;
 
-            this.ws.on('open', () => {
-                spinner.text = 'Registering tunnel...';
+            // Timeout for connection
+            const timeout = setTimeout(() => {
+                if (!this.isConnected) {
+                    spinner.fail('Connection timeout');
+                    ws.close();
+                    reject(new Error('Connection timeout'));
+                }
+            }, 10000);
 
-                // Send registration message
-                const registerMsg = createTunnelRegisterMessage({
-                    subdomain: this.options.subdomain,
-                    localPort: this.localPort,
-                });
+            const onRegistered = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
 
-                this.ws.send(serializeMessage(registerMsg));
+            ws.on('open', () => {
+                spinner.text = 'Negotiating protocol...';
+
+                // Say which protocol version and features we speak before registering
+                ws.send(serializeMessage(createHelloMessage({
+                    capabilities: Object.values(Capability),
+                    client: { name: packageJson.name, version: packageJson.version },
+                })));
             });
 
-            this.ws.on('message', (data) => {
+            ws.on('message', (data) => {
                 const message = parseMessage(data);
-                if (!message) return;
+                if (!message) {
+                    logger.debug('Ignoring unrecognized message from gateway');
+                    return;
+                }
 
-                this.handleMessage(message, spinner, resolve, reject);
+                this.handleMessage(message, spinner, onRegistered, reject);
             });
 
-            this.ws.on('error', (error) => {
+            ws.on('error', (error) => {
                 spinner.fail(`Connection failed: ${error.message}`);
                 reject(error);
             });
 
-            this.ws.on('close', (code, reason) => {
+            ws.on('close', (code) => {
+                clearTimeout(timeout);
                 this.isConnected = false;
-                if (this.tunnelId) {
-                    console.log(chalk.yellow(`\nTunnel closed (code: ${code})`));
+                this.closeLocalSockets();
+                this.closeTcpSockets();
+                this.abortActiveRequests();
+                reject(new Error(`Connection closed (code: ${code})`));
+
+                // Keep the tunnel alive across dropped connections
+                if (this.tunnelId && !this.isClosing && !this.reconnecting) {
+                    console.log(chalk.yellow(`\nConnection to gateway lost (code: ${code})`));
+                    this.reconnect();
                 }
             });
+        });
+    }
 
-            // Timeout for connection
-            setTimeout(() => {
-                if (!this.isConnected) {
-                    spinner.fail('Connection timeout');
-                    this.ws.close();
-                    reject(new Error('Connection timeout'));
+    async reconnect() {
+        this.reconnecting = true;
+
+        for (let attempt = 0; !this.isClosing; attempt++) {
+            const delay = calculateBackoff(attempt, TUNNEL_CONFIG.RECONNECT_BASE_DELAY, TUNNEL_CONFIG.RECONNECT_MAX_DELAY);
+            console.log(chalk.gray(`Reconnecting in ${formatDuration(delay)}...`));
+            await sleep(delay);
+
+            if (this.isClosing) break;
+
+            try {
+                await this.connect();
+                break;
+            } catch (error) {
+                if (FATAL_ERROR_CODES.includes(error.code)) {
+                    console.error(chalk.red(`Unable to restore tunnel: ${error.message}`));
+                    process.exit(1);
                 }
-            }, 10000);
-        });
+
+                // A refused registration leaves its socket open; drop it before the next attempt
+                this.ws?.terminate();
+            }
+        }
+
+        this.reconnecting = false;
     }
 
     handleMessage(message, spinner, resolve, reject) {
         switch (message.type) {
+            case MessageType.WELCOME:
+                this.handleWelcome(message.payload, spinner, reject);
+                break;
+
             case MessageType.TUNNEL_REGISTERED:
                 this.handleRegistered(message.payload, spinner, resolve);
                 break;
@@ -92,9 +223,56 @@ class TunnelClient {
                 this.handleHttpRequest(message.payload);
                 break;
 
+            case MessageType.HTTP_REQUEST_CHUNK:
+                this.handleHttpRequestChunk(message.payload);
+                break;
+
+            case MessageType.HTTP_REQUEST_END:
+                this.handleHttpRequestEnd(message.payload);
+                break;
+
+            case MessageType.HTTP_ABORT:
+                this.handleHttpAbort(message.payload);
+                break;
+
+            case MessageType.HTTP_RESPONSE_PAUSE:
+                this.handleHttpResponsePause(message.payload);
+                break;
+
+            case MessageType.HTTP_RESPONSE_RESUME:
+                this.handleHttpResponseResume(message.payload);
+                break;
+
+            case MessageType.WS_OPEN:
+                this.handleWsOpen(message.payload);
+                break;
+
+            case MessageType.WS_FRAME:
+                this.handleWsFrame(message.payload);
+                break;
+
+            case MessageType.WS_CLOSE:
+                this.handleWsClose(message.payload);
+                break;
+
+            case MessageType.TCP_OPEN:
+                this.handleTcpOpen(message.payload);
+                break;
+
+            case MessageType.TCP_DATA:
+                this.handleTcpData(message.payload);
+                break;
+
+            case MessageType.TCP_CLOSE:
+                this.handleTcpClose(message.payload);
+                break;
+
+            case MessageType.REPLAY_REQUEST:
+                this.handleReplayRequest(message.payload);
+                break;
+
             case MessageType.ERROR:
-                if (spinner) spinner.fail(`Error: ${message.payload.error}`);
-                if (reject) reject(new Error(message.payload.error));
+                this.handleError(message.payload, spinner, reject);
                 break;
 
             case MessageType.PING:
@@ -103,26 +281,125 @@ class TunnelClient {
         }
     }
 
+    handleWelcome(payload, spinner, reject) {
+        if (!(payload.version >= MIN_PROTOCOL_VERSION)) {
+            const error = `Gateway speaks protocol version ${payload.version}, but this devtunnel needs at least ${MIN_PROTOCOL_VERSION}. Please upgrade the gateway.`;
+            spinner.fail(error);
+            this.ws.close();
+            reject(new Error(error));
+            return;
+        }
+
+        this.capabilities = payload.capabilities || [];
+
+        if (this.type === TUNNEL_TYPES.TCP && !this.capabilities.includes(Capability.TCP)) {
+            const error = 'This gateway does not support TCP tunnels';
+            spinner.fail(error);
+            this.ws.close();
+            reject(new Error(error));
+            return;
+        }
+
+        spinner.text = this.resumeToken ? 'Resuming tunnel...' : 'Registering tunnel...';
+        this.register();
+    }
+
+    register() {
+        this.send(createTunnelRegisterMessage({
+            type: this.type,
+            // After a reconnect, ask for the subdomain we had
+            subdomain: this.subdomain || this.options.subdomain,
+            localPort: this.localPort,
+            authToken: this.options.authtoken,
+            maxBodySize: this.options.maxBodySize,
+            resumeToken: this.resumeToken,
+            basicAuth: this.options.basicAuth,
+            ipRules: this.options.ipRules,
+            domains: this.options.domains,
+        }));
+    }
+
+    handleError(payload, spinner, reject) {
+        // The grace period ran out; register again, asking for the same subdomain
+        if (payload.code === ERROR_CODES.INVALID_RESUME_TOKEN && this.resumeToken) {
+            this.resumeToken = null;
+            spinner.text = 'Registering tunnel...';
+            this.register();
+            return;
+        }
+
+        if (spinner) spinner.fail(`Error: ${payload.error}`);
+
+        if (payload.code === ERROR_CODES.UNAUTHORIZED || payload.code === ERROR_CODES.INVALID_TOKEN) {
+            console.log(chalk.gray('  Save a token from your gateway admin with: devtunnel authtoken <token>'));
+        }
+
+        const error = new Error(payload.error);
+        error.code = payload.code;
+        if (reject) reject(error);
+    }
+
     handleRegistered(payload, spinner, resolve) {
+        const previousUrl = this.publicUrl;
+
         this.tunnelId = payload.tunnelId;
         this.publicUrl = payload.publicUrl;
         this.subdomain = payload.subdomain;
+        this.publicPort = payload.publicPort;
+        this.domains = payload.domains || [];
+        this.resumeToken = payload.resumeToken;
         this.isConnected = true;
 
-        spinner.succeed('Tunnel established!');
-        this.displayTunnelInfo();
+        if (payload.resumed) {
+            spinner.succeed('Tunnel resumed');
+        } else if (previousUrl === this.publicUrl) {
+            spinner.succeed('Tunnel re-established');
+        } else {
+            spinner.succeed('Tunnel established!');
+            if (!this.options.tui) this.displayTunnelInfo();
+        }
         resolve();
     }
 
+    /**
+     * Builds the URL of a custom domain, on the same scheme and port as the public URL
+     * @param {string} hostname - Custom hostname
+     * @returns {string} URL
+     */
+    domainUrl(hostname) {
+        const url = new URL(this.publicUrl);
+        url.hostname = hostname;
+        return url.origin;
+    }
+
     displayTunnelInfo() {
         const info = [
             '',
             chalk.bold.green('  DevTunnel+ is running!'),
             '',
             `  ${chalk.cyan('Public URL:')}    ${chalk.bold(this.publicUrl)}`,
-            `  ${chalk.cyan('Subdomain:')}     ${this.subdomain}`,
-            `  ${chalk.cyan('Forwarding to:')} http://localhost:${this.localPort}`,
+            this.type === TUNNEL_TYPES.TCP
+                ? `  ${chalk.cyan('Public port:')}   ${this.publicPort}`
+                : `  ${chalk.cyan('Subdomain:')}     ${this.subdomain}`,
+            ...(this.domains?.length
+                ? [`  ${chalk.cyan('Domains:')}       ${this.domains.map(domain => this.domainUrl(domain)).join(', ')}`]
+                : []),
+            ...(this.routes.hasRoutes()
+                ? this.routes.describe().map((route, i) => (i === 0 ? `  ${chalk.cyan('Forwarding:')}    ${route}` : `${' '.repeat(17)}${route}`))
+                : [`  ${chalk.cyan('Forwarding to:')} ${this.type}://localhost:${this.localPort}`]),
             `  ${chalk.cyan('Tunnel ID:')}     ${this.tunnelId}`,
+            ...(this.options.basicAuth
+                ? [`  ${chalk.cyan('Basic auth:')}    ${this.options.basicAuth.username}`]
+                : []),
+            ...(this.options.ipRules?.allow.length
+                ? [`  ${chalk.cyan('Allowed IPs:')}   ${this.options.ipRules.allow.join(', ')}`]
+                : []),
+            ...(this.options.ipRules?.deny.length
+                ? [`  ${chalk.cyan('Denied IPs:')}    ${this.options.ipRules.deny.join(', ')}`]
+                : []),
+            ...(this.inspectorUrl
+                ? [`  ${chalk.cyan('Inspector:')}     ${this.inspectorUrl}`]
+                : []),
             '',
             chalk.gray('  Press Ctrl+C to stop'),
             '',
@@ -138,13 +415,19 @@ class TunnelClient {
         if (this.options.inspect) {
             console.log(chalk.gray('  Request inspection enabled. Requests will be logged below.\n'));
         }
+
+        if (this.inspectorUrl) {
+            console.log(chalk.gray(`  Browse and replay captured requests at ${this.inspectorUrl}\n`));
+        }
     }
 
     async handleHttpRequest(payload) {
-        const { requestId, method, path, headers, body, query } = payload;
+        const { requestId, method, path, headers, body, streamed } = payload;
         const startTime = Date.now();
         this.requestCount++;
 
+        this.inspector?.recordRequest({ requestId, method, path, headers, body: streamed ? null : body });
+
         // Log incoming request
         console.log(
             chalk.gray(`[${new Date().toLocaleTimeString()}]`) +
@@ -155,31 +438,24 @@ class TunnelClient {
         );
 
         try {
-            // Forward to local server
-            const response = await this.forwardToLocal(method, path, headers, body);
+            // Forward to local server, streaming the response back as it arrives
+            const response = await this.forwardToLocal(requestId, method, path, headers, body, streamed);
             const duration = Date.now() - startTime;
+            this.inspector?.finishResponse(requestId);
 
-            // Send response back
-            const responseMsg = createHttpResponseMessage({
-                requestId,
-                statusCode: response.statusCode,
-                headers: response.headers,
-                body: response.body,
-            });
-
-            this.ws.send(serializeMessage(responseMsg));
-
-            // Log response
+            // Log response, with the local server it came from when there are several
             console.log(
                 chalk.gray(`[${new Date().toLocaleTimeString()}]`) +
                 ' ' +
                 this.colorStatus(response.statusCode) +
                 ' ' +
-                chalk.gray(`${duration}ms`)
+                chalk.gray(`${duration}ms`) +
+                (this.routes.hasRoutes() ? chalk.gray(` -> localhost:${response.upstream.port}${response.upstream.path}`) : '')
             );
 
         } catch (error) {
             const duration = Date.now() - startTime;
+            this.inspector?.finishResponse(requestId, { error: error.message });
 
             // Send error response
             const errorMsg = createHttpErrorMessage({
@@ -188,7 +464,7 @@ class TunnelClient {
                 code: 'LOCAL_SERVER_ERROR',
             });
 
-            this.ws.send(serializeMessage(errorMsg));
+            this.send(errorMsg);
 
             console.log(
                 chalk.gray(`[${new Date().toLocaleTimeString()}]`) +
@@ -202,46 +478,437 @@ class TunnelClient {
         }
     }
 
-    forwardToLocal(method, path, headers, body) {
+    handleHttpRequestChunk(payload) {
+        const req = this.activeRequests.get(payload.requestId);
+        if (!req || !payload.data) return;
+
+        this.inspector?.appendRequestBody(payload.requestId, payload.data);
+        req.write(toBodyBuffer(payload.data));
+    }
+
+    handleHttpRequestEnd(payload) {
+        const req = this.activeRequests.get(payload.requestId);
+        if (!req) return;
+
+        req.end();
+    }
+
+    handleHttpAbort(payload) {
+        const req = this.activeRequests.get(payload.requestId);
+        if (!req) return;
+
+        this.activeRequests.delete(payload.requestId);
+        this.localResponses.delete(payload.requestId);
+        req.destroy(new Error(payload.reason || 'Aborted by gateway'));
+    }
+
+    /**
+     * Aborts the in-flight local requests; the gateway fails them when the connection drops
+     */
+    abortActiveRequests() {
+        for (const req of this.activeRequests.values()) {
+            req.destroy(new Error('Connection to gateway lost'));
+        }
+        this.activeRequests.clear();
+        this.localResponses.clear();
+    }
+
+    // The public caller is reading slower than the response arrives
+    handleHttpResponsePause(payload) {
+        const flow = this.localResponses.get(payload.requestId);
+        if (!flow) return;
+
+        flow.pausedByGateway = true;
+        flow.res.pause();
+    }
+
+    handleHttpResponseResume(payload) {
+        const flow = this.localResponses.get(payload.requestId);
+        if (!flow) return;
+
+        flow.pausedByGateway = false;
+        this.resumeLocalResponse(flow);
+    }
+
+    /**
+     * Reads on from the local server once neither the gateway nor the WebSocket holds it back
+     */
+    resumeLocalResponse(flow) {
+        if (!flow.pausedByGateway && !flow.draining) {
+            flow.res.resume();
+        }
+    }
+
+    /**
+     * Forwards a request to the local server and streams the response
+     * back through the tunnel as start, chunk and end messages.
+     * When `streamed` is set the request body arrives later as chunk
+     * messages and the local request is ended by `http:request:end`.
+     * The local server is picked from the route table by longest path prefix.
+     * Resolves with the status code and that upstream once the response has ended.
+     */
+    forwardToLocal(requestId, method, path, headers, body, streamed = false) {
         return new Promise((resolve, reject) => {
+            const upstream = this.routes.match(path);
+
             // Parse path and query
-            const url = new URL(path, `http://localhost:${this.localPort}`);
+            const url = new URL(upstream.path, `http://localhost:${upstream.port}`);
 
             const options = {
                 hostname: 'localhost',
-                port: this.localPort,
+                port: upstream.port,
                 path: url.pathname + url.search,
                 method,
-                headers: { ...headers, host: `localhost:${this.localPort}` },
+                headers: { ...headers, host: `localhost:${upstream.port}` },
             };
 
             const req = http.request(options, (res) => {
-                const chunks = [];
+                this.send(createHttpResponseStartMessage({
+                    requestId,
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                }));
+                this.inspector?.recordResponse(requestId, res);
 
-                res.on('data', (chunk) => chunks.push(chunk));
+                const flow = { res, pausedByGateway: false, draining: false };
+                this.localResponses.set(requestId, flow);
+
+                res.on('data', (chunk) => {
+                    this.send(createHttpResponseChunkMessage({ requestId, data: chunk }));
+                    this.inspector?.appendResponseBody(requestId, chunk);
+
+                    // Apply backpressure when the tunnel can't keep up
+                    if (!flow.draining && this.ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+                        flow.draining = true;
+                        res.pause();
+                        this.waitForDrain(() => {
+                            flow.draining = false;
+                            this.resumeLocalResponse(flow);
+                        });
+                    }
+                });
 
                 res.on('end', () => {
-                    const responseBody = Buffer.concat(chunks);
-                    resolve({
-                        statusCode: res.statusCode,
-                        headers: res.headers,
-                        body: responseBody.toString('base64'),
-                    });
+                    this.activeRequests.delete(requestId);
+                    this.localResponses.delete(requestId);
+                    this.send(createHttpResponseEndMessage({ requestId }));
+                    resolve({ statusCode: res.statusCode, upstream });
+                });
+
+                res.on('error', (error) => {
+                    this.localResponses.delete(requestId);
+                    reject(error);
                 });
             });
 
-            req.on('error', reject);
+            this.activeRequests.set(requestId, req);
+
+            req.on('error', (error) => {
+                this.activeRequests.delete(requestId);
+                this.localResponses.delete(requestId);
+                reject(error);
+            });
 
             // Send body if present
             if (body) {
-                const bodyBuffer = Buffer.from(body, 'base64');
-                req.write(bodyBuffer);
+                req.write(toBodyBuffer(body));
+            }
+
+            if (!streamed) {
+                req.end();
+            }
+        });
+    }
+
+    /**
+     * Replays a captured request against the local server and sends the
+     * whole response back in one replay:response message.
+     */
+    async handleReplayRequest(payload) {
+        const { requestId, method, path, headers, body } = payload;
+        const startTime = Date.now();
+
+        console.log(
+            chalk.gray(`[${new Date().toLocaleTimeString()}]`) +
+            ' ' +
+            chalk.magenta('REPLAY') +
+            ' ' +
+            this.colorMethod(method) +
+            ' ' +
+            chalk.white(path)
+        );
+
+        try {
+            const response = await this.requestLocal(method, path, headers, body ? toBodyBuffer(body) : null);
+            this.send(createReplayResponseMessage({ requestId, ...response }));
+
+            console.log(
+                chalk.gray(`[${new Date().toLocaleTimeString()}]`) +
+                ' ' +
+                this.colorStatus(response.statusCode) +
+                ' ' +
+                chalk.gray(`${Date.now() - startTime}ms`)
+            );
+        } catch (error) {
+            this.send(createReplayResponseMessage({ requestId, error: error.message }));
+
+            console.log(
+                chalk.gray(`[${new Date().toLocaleTimeString()}]`) +
+                ' ' +
+                chalk.red('ERR') +
+                ' ' +
+                chalk.gray(error.message)
+            );
+        }
+    }
+
+    /**
+     * Sends a request to the local server and buffers the whole response.
+     * Resolves with { statusCode, headers, body }.
+     */
+    requestLocal(method, path, headers, body) {
+        return new Promise((resolve, reject) => {
+            const upstream = this.routes.match(path);
+            const url = new URL(upstream.path, `http://localhost:${upstream.port}`);
+
+            const req = http.request({
+                hostname: 'localhost',
+                port: upstream.port,
+                path: url.pathname + url.search,
+                method,
+                headers: { ...headers, host: `localhost:${upstream.port}` },
+            }, (res) => {
+                const chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('end', () => resolve({
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: Buffer.concat(chunks),
+                }));
+                res.on('error', reject);
+            });
+
+            req.setTimeout(TUNNEL_CONFIG.REQUEST_TIMEOUT, () => req.destroy(new Error('Local server timed out')));
+            req.on('error', reject);
+            req.end(body || undefined);
+        });
+    }
+
+    /**
+     * Opens a WebSocket to the local server for a public upgrade request
+     * and relays frames over the tunnel until either side closes.
+     */
+    handleWsOpen(payload) {
+        const { streamId, path, headers = {} } = payload;
+
+        console.log(
+            chalk.gray(`[${new Date().toLocaleTimeString()}]`) +
+            ' ' +
+            chalk.magenta('WS'.padEnd(6)) +
+            ' ' +
+            chalk.white(path)
+        );
+
+        const localHeaders = {};
+        for (const [key, value] of Object.entries(headers)) {
+            if (!WS_HANDSHAKE_HEADERS.includes(key.toLowerCase())) {
+                localHeaders[key] = value;
             }
+        }
+
+        const protocols = (headers['sec-websocket-protocol'] || '')
+            .split(',')
+            .map(p => p.trim())
+            .filter(Boolean);
+
+        const upstream = this.routes.match(path);
+        const localWs = new WebSocket(`ws://localhost:${upstream.port}${upstream.path}`, protocols, {
+            headers: localHeaders,
+        });
+        this.localSockets.set(streamId, localWs);
+
+        localWs.on('open', () => {
+            this.send(createWsOpenedMessage({ streamId, protocol: localWs.protocol }));
+        });
+
+        localWs.on('message', (data, isBinary) => {
+            this.send(createWsFrameMessage({ streamId, data, binary: isBinary }));
+        });
+
+        localWs.on('unexpected-response', (req, res) => {
+            this.localSockets.delete(streamId);
+            this.send(createWsCloseMessage({
+                streamId,
+                code: 1002,
+                error: `Local server refused upgrade (${res.statusCode})`,
+                statusCode: res.statusCode,
+            }));
+            req.destroy();
+        });
+
+        localWs.on('error', (error) => {
+            if (this.localSockets.get(streamId) !== localWs) return;
+            this.localSockets.delete(streamId);
+            this.send(createWsCloseMessage({ streamId, code: 1011, error: error.message }));
+        });
 
-            req.end();
+        localWs.on('close', (code, reason) => {
+            if (this.localSockets.get(streamId) !== localWs) return;
+            this.localSockets.delete(streamId);
+            this.send(createWsCloseMessage({ streamId, code, reason: reason.toString() }));
         });
     }
 
+    handleWsFrame(payload) {
+        const localWs = this.localSockets.get(payload.streamId);
+        if (!localWs || localWs.readyState !== WebSocket.OPEN) return;
+
+        const data = toBodyBuffer(payload.data);
+        localWs.send(payload.binary ? data : data.toString('utf8'), { binary: payload.binary });
+    }
+
+    handleWsClose(payload) {
+        const localWs = this.localSockets.get(payload.streamId);
+        if (!localWs) return;
+
+        this.localSockets.delete(payload.streamId);
+
+        if (localWs.readyState === WebSocket.OPEN) {
+            const code = payload.code >= 3000 || [1000, 1001, 1003, 1007, 1008, 1009, 1010, 1011].includes(payload.code)
+                ? payload.code
+                : 1000;
+            localWs.close(code, payload.reason || '');
+        } else {
+            localWs.terminate();
+        }
+    }
+
+    closeLocalSockets() {
+        for (const localWs of this.localSockets.values()) {
+            localWs.terminate();
+        }
+        this.localSockets.clear();
+    }
+
+    /**
+     * Connects to the local port for a new public TCP connection
+     * and relays bytes over the tunnel until either side closes.
+     */
+    handleTcpOpen(payload) {
+        const { streamId, remoteAddress } = payload;
+        const startTime = Date.now();
+
+        console.log(
+            chalk.gray(`[${new Date().toLocaleTimeString()}]`) +
+            ' ' +
+            chalk.magenta('TCP'.padEnd(6)) +
+            ' ' +
+            chalk.white(`${remoteAddress} connected`)
+        );
+
+        const socket = net.connect({ host: 'localhost', port: this.localPort });
+        const connection = { socket, bytesIn: 0, bytesOut: 0 };
+        this.tcpSockets.set(streamId, connection);
+
+        socket.on('data', (data) => {
+            connection.bytesOut += data.length;
+            this.send(createTcpDataMessage({ streamId, data }));
+
+            // Apply backpressure when the tunnel can't keep up
+            if (this.ws.bufferedAmount > WS_HIGH_WATER_MARK) {
+                socket.pause();
+                this.waitForDrain(() => socket.resume());
+            }
+        });
+
+        socket.on('error', (error) => {
+            if (this.tcpSockets.get(streamId) !== connection) return;
+            this.tcpSockets.delete(streamId);
+            this.send(createTcpCloseMessage({ streamId, error: error.message }));
+
+            console.log(
+                chalk.gray(`[${new Date().toLocaleTimeString()}]`) +
+                ' ' +
+                chalk.red('ERR') +
+                ' ' +
+                chalk.gray(error.message)
+            );
+        });
+
+        socket.on('close', () => {
+            if (this.tcpSockets.get(streamId) === connection) {
+                this.tcpSockets.delete(streamId);
+                this.send(createTcpCloseMessage({ streamId }));
+            }
+
+            console.log(
+                chalk.gray(`[${new Date().toLocaleTimeString()}]`) +
+                ' ' +
+                chalk.magenta('TCP'.padEnd(6)) +
+                ' ' +
+                chalk.white(`${remoteAddress} closed`) +
+                ' ' +
+                chalk.gray(`in ${formatBytes(connection.bytesIn)}, out ${formatBytes(connection.bytesOut)}, ${Date.now() - startTime}ms`)
+            );
+        });
+    }
+
+    handleTcpData(payload) {
+        const connection = this.tcpSockets.get(payload.streamId);
+        if (!connection || !payload.data) return;
+
+        const data = toBodyBuffer(payload.data);
+        connection.bytesIn += data.length;
+        connection.socket.write(data);
+    }
+
+    handleTcpClose(payload) {
+        const connection = this.tcpSockets.get(payload.streamId);
+        if (!connection) return;
+
+        this.tcpSockets.delete(payload.streamId);
+        connection.socket.end();
+    }
+
+    closeTcpSockets() {
+        for (const connection of this.tcpSockets.values()) {
+            connection.socket.destroy();
+        }
+        this.tcpSockets.clear();
+    }
+
+    /**
+     * Calls back once the WebSocket send buffer has drained below half the
+     * high water mark, or once the WebSocket closes, so a paused stream is
+     * never left waiting on a dead connection
+     */
+    waitForDrain(callback) {
+        const ws = this.ws;
+        let timer = null;
+
+        const settle = () => {
+            clearTimeout(timer);
+            ws.off('close', settle);
+            callback();
+        };
+        const check = () => {
+            if (ws.readyState === WebSocket.OPEN && ws.bufferedAmount > WS_HIGH_WATER_MARK / 2) {
+                timer = setTimeout(check, 10);
+                return;
+            }
+            settle();
+        };
+
+        ws.once('close', settle);
+        timer = setTimeout(check, 10);
+    }
+
+    send(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(serializeMessage(message, { binary: this.capabilities.includes(Capability.BINARY) }));
+        }
+    }
+
     colorMethod(method) {
         const colors = {
             GET: chalk.green,
@@ -262,26 +929,142 @@ class TunnelClient {
     }
 
     close() {
+        this.isClosing = true;
+
         if (this.ws) {
+            // Release the subdomain now instead of after the grace period
+            if (this.tunnelId) {
+                this.send(createTunnelCloseMessage(this.tunnelId));
+            }
             this.ws.close();
         }
     }
 }
 
+/**
+ * Serves the local inspector UI and API for a client's traffic
+ * @param {TunnelClient} client - Tunnel client whose traffic is captured
+ * @param {number} port - Local port for the inspector
+ */
+async function startInspector(client, port) {
+    if (!port || isNaN(port)) {
+        console.error(chalk.red('Error: Please provide a valid inspector port'));
+        process.exit(1);
+    }
+
+    const server = new InspectorServer(client.inspector, () => ({
+        tunnelId: client.tunnelId,
+        publicUrl: client.publicUrl,
+        subdomain: client.subdomain,
+        localPort: client.localPort,
+        connected: client.isConnected,
+        requestCount: client.requestCount,
+    }));
+
+    try {
+        client.inspectorUrl = await server.listen(port);
+    } catch (error) {
+        console.error(chalk.red(`Failed to start inspector on port ${port}: ${error.message}`));
+        process.exit(1);
+    }
+}
+
 async function execute(port, options) {
     if (!port || isNaN(port)) {
         console.error(chalk.red('Error: Please provide a valid port number'));
         process.exit(1);
     }
 
+    if (options.maxBodySize !== undefined) {
+        const maxBodySize = parseBytes(options.maxBodySize);
+        if (maxBodySize === null) {
+            console.error(chalk.red(`Error: Invalid body size: ${options.maxBodySize}`));
+            process.exit(1);
+        }
+        options = { ...options, maxBodySize };
+    }
+
+    if (options.basicAuth !== undefined) {
+        const basicAuth = parseBasicAuth(options.basicAuth);
+        if (!basicAuth) {
+            console.error(chalk.red('Error: Basic auth must be given as user:pass'));
+            process.exit(1);
+        }
+        options = { ...options, basicAuth };
+    }
+
+    const ipRules = { allow: options.allowCidr || [], deny: options.denyCidr || [] };
+    const invalidCidr = [...ipRules.allow, ...ipRules.deny].find(range => !parseCidr(range));
+    if (invalidCidr) {
+        console.error(chalk.red(`Error: Invalid CIDR range: ${invalidCidr}`));
+        process.exit(1);
+    }
+    options = { ...options, ipRules };
+
+    const domains = (options.domain || []).map(normalizeHostname);
+    const invalidDomain = (options.domain || []).find((domain, i) => !domains[i]);
+    if (invalidDomain) {
+        console.error(chalk.red(`Error: Invalid hostname: ${invalidDomain}`));
+        process.exit(1);
+    }
+    options = { ...options, domains };
+
+    // Path routes: a route file first, then --route flags, which win on the same prefix
+    const routes = [];
+    if (options.routeFile) {
+        const loaded = loadRouteFile(options.routeFile);
+        if (!loaded.success) {
+            console.error(chalk.red(`Error: ${loaded.error}`));
+            process.exit(1);
+        }
+        routes.push(...loaded.routes);
+    }
+    for (const spec of options.route || []) {
+        const route = parseRoute(spec);
+        if (!route) {
+            console.error(chalk.red(`Error: Invalid route: ${spec} (expected <prefix>=<port>[:strip], e.g. /api=8080)`));
+            process.exit(1);
+        }
+        routes.push(route);
+    }
+    options = { ...options, routes: new RouteTable(port, routes) };
+
+    // Fall back to the token saved with `devtunnel authtoken`
+    options = { ...options, authtoken: options.authtoken || loadConfig().authToken };
+
+    if (options.tui && !(process.stdin.isTTY && process.stdout.isTTY)) {
+        console.error(chalk.red('Error: --tui needs an interactive terminal'));
+        process.exit(1);
+    }
+
     const client = new TunnelClient(port, options);
 
-    // Handle graceful shutdown
-    process.on('SIGINT', () => {
+    // The inspector UI and the terminal UI both read captured traffic
+    if (options.inspector || options.tui) {
+        client.inspector = new LocalInspector({
+            requestLocal: (method, path, headers, body) => client.requestLocal(method, path, headers, body),
+        });
+    }
+
+    if (options.inspector) {
+        await startInspector(client, options.inspector === true ? DEFAULT_INSPECTOR_PORT : parseInt(options.inspector, 10));
+    }
+
+    const shutdown = () => {
         console.log(chalk.yellow('\nShutting down tunnel...'));
         client.close();
         process.exit(0);
-    });
+    };
+
+    if (options.tui) {
+        const tui = new TerminalUI(client, { onQuit: shutdown });
+        // Leave the full-screen view on every exit, including fatal errors
+        process.on('exit', () => tui.stop());
+        tui.start();
+    }
+
+    // Handle graceful shutdown
+    process.on('SIGINT', shutdown);
 
     try {
         await client.connect();
@@ -0,0 +1,40 @@
+/**
+ * User Config - Settings saved between CLI runs
+ * 
+ * Stored as JSON in ~/.devtunnel/config.json (override with DEVTUNNEL_CONFIG).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CONFIG_PATH = process.env.DEVTUNNEL_CONFIG || path.join(os.homedir(), '.devtunnel', 'config.json');
+
+/**
+ * Reads the user config
+ * @returns {Object} Saved settings (empty if there are none)
+ */
+function loadConfig() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Merges settings into the user config
+ * @param {Object} updates - Settings to save
+ * @returns {Object} The saved config
+ */
+function saveConfig(updates) {
+    const config = { ...loadConfig(), ...updates };
+
+    // The config holds credentials, so keep it private to the user
+    fs.mkdirSync(path.dirname(CONFIG_PATH), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2), { mode: 0o600 });
+
+    return config;
+}
+
+module.exports = { CONFIG_PATH, loadConfig, saveConfig };
@@ -9,11 +9,17 @@ const { program } = require('commander');
 const packageJson = require('../package.json');
 const tunnelCommand = require('./commands/tunnel');
 const statusCommand = require('./commands/status');
+const authtokenCommand = require('./commands/authtoken');
 const { createLogger, LOG_LEVELS } = require('@devtunnel/shared');
 
 // Create logger
 const logger = createLogger({ name: 'CLI', level: LOG_LEVELS.INFO });
 
+// Collects a repeatable, comma-separated option into one list
+function collectList(value, previous) {
+    return previous.concat(value.split(',').map(item => item.trim()).filter(Boolean));
+}
+
 // Setup program
 program
     .name('devtunnel')
@@ -28,12 +34,45 @@ program
     .option('-s, --subdomain <subdomain>', 'Request a specific subdomain')
     .option('-h, --host <host>', 'Gateway server host', 'localhost')
     .option('-p, --gateway-port <port>', 'Gateway WebSocket port', '3001')
+    .option('--authtoken <token>', 'Gateway auth token (defaults to the saved one)')
+    .option('--max-body-size <size>', 'Reject request bodies larger than this (e.g. 50mb)')
+    .option('--basic-auth <user:pass>', 'Require these credentials from public visitors')
+    .option('--allow-cidr <cidr>', 'Only accept visitors from this IP range (repeatable)', collectList, [])
+    .option('--deny-cidr <cidr>', 'Refuse visitors from this IP range (repeatable)', collectList, [])
+    .option('--domain <hostname>', 'Route this custom hostname to the tunnel (repeatable)', collectList, [])
+    .option('--route <prefix=port>', 'Send paths under a prefix to another local port, e.g. /api=8080 or /api=8080:strip (repeatable)', collectList, [])
+    .option('--route-file <file>', 'Read path routes from a JSON file ({ "routes": [{ "path", "port", "stripPrefix" }] })')
     .option('--inspect', 'Enable request inspection', true)
     .option('--no-inspect', 'Disable request inspection')
+    .option('--inspector [port]', 'Serve a local web UI and API for captured requests (default port 4040)')
+    .option('--tui', 'Full-screen terminal view of requests, with replay and copy as curl')
     .action((port, options) => {
         tunnelCommand.execute(parseInt(port, 10), options);
     });
 
+// TCP tunnel command
+program
+    .command('tcp')
+    .description('Create a tunnel to expose a local TCP service (Postgres, Redis, SSH, ...)')
+    .argument('<port>', 'Local port to expose')
+    .option('-h, --host <host>', 'Gateway server host', 'localhost')
+    .option('-p, --gateway-port <port>', 'Gateway WebSocket port', '3001')
+    .option('--authtoken <token>', 'Gateway auth token (defaults to the saved one)')
+    .option('--allow-cidr <cidr>', 'Only accept connections from this IP range (repeatable)', collectList, [])
+    .option('--deny-cidr <cidr>', 'Refuse connections from this IP range (repeatable)', collectList, [])
+    .action((port, options) => {
+        tunnelCommand.execute(parseInt(port, 10), { ...options, type: 'tcp' });
+    });
+
+// Authtoken command
+program
+    .command('authtoken')
+    .description('Save the auth token used to register tunnels')
+    .argument('<token>', 'Auth token issued by the gateway admin')
+    .action((token) => {
+        authtokenCommand.execute(token);
+    });
+
 // Status command
 program
     .command('status')
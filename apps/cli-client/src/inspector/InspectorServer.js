@@ -0,0 +1,289 @@
+/**
+ * Inspector Server
+ *
+ * Local web UI and JSON API for the traffic this CLI captured, bound to
+ * the loopback interface. The API mirrors the gateway's traffic routes:
+ *
+ *   GET    /api/status                      Tunnel and inspector status
+ *   GET    /api/traffic                     Captured traffic (method, statusCode, path, limit, offset)
+ *   DELETE /api/traffic                     Drop captured traffic
+ *   GET    /api/traffic/:requestId          One captured request
+ *   POST   /api/traffic/:requestId/replay   Replay against the local port
+ *   WS     /api/inspect                     Live inspect:request / inspect:response events
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const {
+    createLogger,
+    parseMessage,
+    serializeMessage,
+    createInspectSubscribedMessage,
+    createInspectEventMessage,
+    createErrorMessage,
+    MessageType,
+    ERROR_CODES,
+    LOG_LEVELS,
+} = require('@devtunnel/shared');
+const { matchesFilters } = require('./LocalInspector');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+
+// The only files the UI needs; nothing else is served from disk
+const STATIC_FILES = {
+    '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+    '/app.js': { file: 'app.js', type: 'application/javascript; charset=utf-8' },
+    '/styles.css': { file: 'styles.css', type: 'text/css; charset=utf-8' },
+};
+
+// Host names the server answers to (anything else may be a DNS rebinding attempt)
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Picks and checks list filters
+ * @param {Object} input - Requested filters
+ * @returns {Object} Result with filters (path compiled to a RegExp), or error
+ */
+function parseFilters(input = {}) {
+    const filters = {};
+
+    for (const name of ['method', 'statusCode', 'path']) {
+        if (input[name]) filters[name] = String(input[name]);
+    }
+
+    if (filters.statusCode && !/^\d{3}$/.test(filters.statusCode)) {
+        return { success: false, error: `Invalid statusCode filter: ${filters.statusCode}` };
+    }
+
+    if (filters.path) {
+        try {
+            filters.path = new RegExp(filters.path, 'i');
+        } catch {
+            return { success: false, error: `Invalid path pattern: ${filters.path}` };
+        }
+    }
+
+    return { success: true, filters };
+}
+
+class InspectorServer {
+    /**
+     * @param {LocalInspector} inspector - Captured traffic
+     * @param {Function} getStatus - Returns the tunnel status shown by /api/status
+     */
+    constructor(inspector, getStatus = () => ({})) {
+        this.inspector = inspector;
+        this.getStatus = getStatus;
+        this.logger = createLogger({ name: 'Inspector', level: LOG_LEVELS.WARN });
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+        this.wss = new WebSocketServer({ noServer: true });
+
+        // Map of ws -> filters (null while unsubscribed)
+        this.clients = new Map();
+
+        this.onRequest = (traffic) => this.broadcast(MessageType.INSPECT_REQUEST, traffic);
+        this.onResponse = (traffic) => this.broadcast(MessageType.INSPECT_RESPONSE, traffic);
+        this.inspector.on('request', this.onRequest);
+        this.inspector.on('response', this.onResponse);
+    }
+
+    /**
+     * Starts listening on the loopback interface
+     * @param {number} port - Port to listen on
+     * @returns {Promise<string>} URL of the UI
+     */
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.server.off('error', reject);
+                resolve(`http://127.0.0.1:${this.server.address().port}`);
+            });
+        });
+    }
+
+    /**
+     * Checks that a request comes from a page of this server, not
+     * another site in the same browser
+     * @param {http.IncomingMessage} req - Incoming request
+     * @returns {boolean} Whether the request may be served
+     */
+    isLocalRequest(req) {
+        const host = req.headers.host || '';
+        if (!LOCAL_HOSTNAMES.includes(host.replace(/:\d+$/, ''))) return false;
+
+        return !req.headers.origin || req.headers.origin === `http://${host}`;
+    }
+
+    /**
+     * Routes an HTTP request to the UI or the API
+     * @param {http.IncomingMessage} req - Incoming request
+     * @param {http.ServerResponse} res - Response
+     */
+    async handleRequest(req, res) {
+        if (!this.isLocalRequest(req)) {
+            return this.sendJson(res, 403, { error: 'Forbidden' });
+        }
+
+        try {
+            const url = new URL(req.url, 'http://inspector');
+            const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+            if (req.method === 'GET' && STATIC_FILES[url.pathname]) {
+                return this.sendFile(res, STATIC_FILES[url.pathname]);
+            }
+
+            // e.g. "POST traffic :id replay" for POST /api/traffic/<requestId>/replay
+            const [prefix, resource, requestId, action] = segments;
+            const route = prefix === 'api'
+                ? [req.method, resource, requestId && ':id', action].filter(Boolean).join(' ')
+                : null;
+
+            switch (route) {
+                case 'GET status':
+                    return this.sendJson(res, 200, { ...this.getStatus(), captured: this.inspector.entries.size });
+
+                case 'GET traffic': {
+                    const query = Object.fromEntries(url.searchParams);
+                    const result = parseFilters(query);
+                    if (!result.success) {
+                        return this.sendJson(res, 400, { error: result.error, code: ERROR_CODES.INVALID_REQUEST });
+                    }
+                    const traffic = this.inspector.list({ ...query, ...result.filters });
+                    return this.sendJson(res, 200, { traffic, count: traffic.length });
+                }
+
+                case 'DELETE traffic':
+                    this.inspector.clear();
+                    return this.sendJson(res, 200, { success: true });
+
+                case 'GET traffic :id': {
+                    const traffic = this.inspector.get(requestId);
+                    if (!traffic) {
+                        return this.sendJson(res, 404, { error: 'Request not found' });
+                    }
+                    return this.sendJson(res, 200, traffic);
+                }
+
+                case 'POST traffic :id replay': {
+                    const result = await this.inspector.replay(requestId);
+                    if (!result.success) {
+                        return this.sendJson(res, result.statusCode, { error: result.error });
+                    }
+                    return this.sendJson(res, 201, result.traffic);
+                }
+
+                default:
+                    return this.sendJson(res, 404, { error: 'Not found' });
+            }
+        } catch (error) {
+            if (error instanceof URIError) {
+                return this.sendJson(res, 400, { error: 'Malformed URL' });
+            }
+            this.logger.error('Inspector request failed', { error: error.message });
+            this.sendJson(res, 500, { error: error.message });
+        }
+    }
+
+    sendJson(res, statusCode, data) {
+        res.writeHead(statusCode, { 'content-type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(data));
+    }
+
+    sendFile(res, { file, type }) {
+        fs.readFile(path.join(PUBLIC_DIR, file), (error, content) => {
+            if (error) {
+                return this.sendJson(res, 500, { error: error.message });
+            }
+            res.writeHead(200, { 'content-type': type, 'cache-control': 'no-cache' });
+            res.end(content);
+        });
+    }
+
+    /**
+     * Accepts live traffic subscribers on /api/inspect
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     */
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://inspector');
+        if (url.pathname !== '/api/inspect' || !this.isLocalRequest(req)) {
+            socket.destroy();
+            return;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            this.clients.set(ws, null);
+            ws.on('message', (data) => this.handleMessage(ws, data));
+            ws.on('close', () => this.clients.delete(ws));
+            ws.on('error', () => this.clients.delete(ws));
+            this.subscribe(ws, Object.fromEntries(url.searchParams));
+        });
+    }
+
+    handleMessage(ws, data) {
+        const message = parseMessage(data);
+
+        if (message?.type === MessageType.INSPECT_SUBSCRIBE) {
+            this.subscribe(ws, message.payload?.filters);
+        } else if (message?.type === MessageType.INSPECT_UNSUBSCRIBE) {
+            this.clients.set(ws, null);
+        } else {
+            this.send(ws, createErrorMessage('Invalid message', 'INVALID_MESSAGE'));
+        }
+    }
+
+    subscribe(ws, input) {
+        const result = parseFilters(input);
+        if (!result.success) {
+            this.send(ws, createErrorMessage(result.error, ERROR_CODES.INVALID_REQUEST));
+            return;
+        }
+
+        this.clients.set(ws, result.filters);
+        this.send(ws, createInspectSubscribedMessage({ ...result.filters, path: input?.path }));
+    }
+
+    /**
+     * Pushes a traffic event to every subscriber whose filters match
+     * @param {string} type - Event message type
+     * @param {Object} traffic - Entry (JSON)
+     */
+    broadcast(type, traffic) {
+        const message = serializeMessage(createInspectEventMessage(type, traffic));
+
+        for (const [ws, filters] of this.clients) {
+            if (filters && matchesFilters(traffic, filters)) {
+                this.send(ws, message);
+            }
+        }
+    }
+
+    send(ws, message) {
+        if (ws.readyState === 1) { // WebSocket.OPEN
+            ws.send(typeof message === 'string' ? message : serializeMessage(message));
+        }
+    }
+
+    /**
+     * Closes subscribers and stops listening
+     */
+    close() {
+        this.inspector.off('request', this.onRequest);
+        this.inspector.off('response', this.onResponse);
+
+        for (const ws of this.clients.keys()) {
+            ws.terminate();
+        }
+        this.clients.clear();
+        this.server.close();
+    }
+}
+
+module.exports = InspectorServer;
@@ -0,0 +1,316 @@
+/**
+ * Local Inspector
+ *
+ * Captures the requests that reach this CLI and the responses of the
+ * local server, so they can be browsed and replayed without access to
+ * the gateway's API. Entries are kept in memory, newest last, and
+ * 'request' / 'response' events fire as they are captured.
+ */
+
+const EventEmitter = require('events');
+const {
+    generateRequestId,
+    getContentType,
+    isJsonContentType,
+    toBodyBuffer,
+    TUNNEL_CONFIG,
+} = require('@devtunnel/shared');
+
+// Entries kept before the oldest are dropped
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Parses a captured body for display if its content type is JSON
+ * @param {Buffer|null} body - Captured body
+ * @param {Object} headers - Message headers
+ * @returns {*} Parsed body, or undefined if not JSON
+ */
+function parseJsonBody(body, headers) {
+    if (!body || !isJsonContentType(getContentType(headers || {}))) return undefined;
+
+    try {
+        return JSON.parse(body.toString('utf8'));
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Checks an entry against the list filters
+ * @param {Object} entry - Captured entry
+ * @param {Object} filters - method, statusCode, path (RegExp or pattern string)
+ * @returns {boolean} Whether the entry matches
+ */
+function matchesFilters(entry, filters = {}) {
+    if (filters.method && entry.request.method !== String(filters.method).toUpperCase()) return false;
+    if (filters.statusCode && String(entry.response?.statusCode) !== String(filters.statusCode)) return false;
+
+    if (filters.path) {
+        const pattern = filters.path instanceof RegExp ? filters.path : new RegExp(filters.path, 'i');
+        if (!pattern.test(entry.request.path)) return false;
+    }
+
+    return true;
+}
+
+class LocalInspector extends EventEmitter {
+    /**
+     * @param {Object} options - Inspector options
+     * @param {Function} options.requestLocal - Sends (method, path, headers, body) to the local server
+     * @param {number} options.maxEntries - Entries kept before the oldest are dropped
+     * @param {number} options.maxBodySize - Body bytes captured per request/response
+     */
+    constructor(options = {}) {
+        super();
+        this.requestLocal = options.requestLocal;
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.maxBodySize = options.maxBodySize || TUNNEL_CONFIG.MAX_INSPECT_BODY_SIZE;
+
+        // Map of requestId -> entry, oldest first
+        this.entries = new Map();
+    }
+
+    /**
+     * Starts capturing a request
+     * @param {Object} request - requestId, method, path, headers, body (Buffer or base64), replayOf
+     * @returns {Object} The new entry
+     */
+    recordRequest(request) {
+        const entry = {
+            requestId: request.requestId,
+            replayOf: request.replayOf || null,
+            request: {
+                method: request.method,
+                path: request.path,
+                headers: request.headers || {},
+                body: { chunks: [], size: 0, captured: 0 },
+                timestamp: Date.now(),
+            },
+            response: null,
+            responseTime: null,
+        };
+
+        this.entries.set(entry.requestId, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        if (request.body) {
+            this.appendBody(entry.request.body, request.body);
+        }
+
+        this.emit('request', this.toJSON(entry));
+        return entry;
+    }
+
+    /**
+     * Adds a streamed chunk of a request body
+     * @param {string} requestId - Request ID
+     * @param {Buffer|string} data - Chunk (Buffer or base64)
+     */
+    appendRequestBody(requestId, data) {
+        const entry = this.entries.get(requestId);
+        if (entry) this.appendBody(entry.request.body, data);
+    }
+
+    /**
+     * Records the status and headers of the local server's response
+     * @param {string} requestId - Request ID
+     * @param {Object} response - statusCode, headers
+     */
+    recordResponse(requestId, { statusCode, headers }) {
+        const entry = this.entries.get(requestId);
+        if (!entry) return;
+
+        entry.response = {
+            statusCode,
+            headers: headers || {},
+            body: { chunks: [], size: 0, captured: 0 },
+            error: null,
+        };
+    }
+
+    /**
+     * Adds a chunk of the response body
+     * @param {string} requestId - Request ID
+     * @param {Buffer} data - Chunk
+     */
+    appendResponseBody(requestId, data) {
+        const entry = this.entries.get(requestId);
+        if (entry?.response) this.appendBody(entry.response.body, data);
+    }
+
+    /**
+     * Marks a request as answered, or failed when error is given
+     * @param {string} requestId - Request ID
+     * @param {Object} result - error message if the local server could not answer
+     */
+    finishResponse(requestId, { error = null } = {}) {
+        const entry = this.entries.get(requestId);
+        if (!entry) return;
+
+        if (!entry.response) {
+            entry.response = { statusCode: null, headers: {}, body: { chunks: [], size: 0, captured: 0 }, error };
+        } else if (error) {
+            entry.response.error = error;
+        }
+        entry.responseTime = Date.now() - entry.request.timestamp;
+
+        this.emit('response', this.toJSON(entry));
+    }
+
+    /**
+     * Keeps body bytes up to the capture limit, counting the rest
+     * @param {Object} body - Body capture
+     * @param {Buffer|string} data - Chunk (Buffer or base64)
+     */
+    appendBody(body, data) {
+        const chunk = toBodyBuffer(data);
+        body.size += chunk.length;
+
+        const room = this.maxBodySize - body.captured;
+        if (room > 0) {
+            const kept = chunk.length > room ? chunk.subarray(0, room) : chunk;
+            body.chunks.push(Buffer.from(kept));
+            body.captured += kept.length;
+        }
+    }
+
+    /**
+     * Replays a captured request against the local server
+     * @param {string} requestId - Request to replay
+     * @returns {Promise<Object>} Result with the new entry (JSON), or error
+     */
+    async replay(requestId) {
+        const original = this.entries.get(requestId);
+        if (!original) {
+            return { success: false, error: 'Request not found', statusCode: 404 };
+        }
+        if (original.request.body.captured < original.request.body.size) {
+            return { success: false, error: 'Request body was only partly captured', statusCode: 409 };
+        }
+
+        const body = Buffer.concat(original.request.body.chunks);
+        const entry = this.recordRequest({
+            requestId: generateRequestId(),
+            method: original.request.method,
+            path: original.request.path,
+            headers: original.request.headers,
+            body,
+            replayOf: requestId,
+        });
+
+        try {
+            const response = await this.requestLocal(entry.request.method, entry.request.path, entry.request.headers, body);
+            this.recordResponse(entry.requestId, response);
+            this.appendResponseBody(entry.requestId, response.body);
+            this.finishResponse(entry.requestId);
+        } catch (error) {
+            this.finishResponse(entry.requestId, { error: error.message });
+        }
+
+        return { success: true, traffic: this.toJSON(entry) };
+    }
+
+    /**
+     * Gets a captured entry
+     * @param {string} requestId - Request ID
+     * @returns {Object|null} Entry (JSON) or null
+     */
+    get(requestId) {
+        const entry = this.entries.get(requestId);
+        return entry ? this.toJSON(entry) : null;
+    }
+
+    /**
+     * Lists captured entries, newest first
+     * @param {Object} options - Filters plus limit (default 100) and offset
+     * @returns {Object[]} Entries (JSON)
+     */
+    list(options = {}) {
+        const limit = parseInt(options.limit, 10) || 100;
+        const offset = parseInt(options.offset, 10) || 0;
+
+        return [...this.entries.values()]
+            .reverse()
+            .filter(entry => matchesFilters(entry, options))
+            .slice(offset, offset + limit)
+            .map(entry => this.toJSON(entry));
+    }
+
+    /**
+     * Builds a curl command that repeats a captured request
+     * @param {string} requestId - Request ID
+     * @param {string} baseUrl - Scheme and host to send it to
+     * @returns {string|null} Command, or null if the request is unknown
+     */
+    toCurl(requestId, baseUrl) {
+        const entry = this.entries.get(requestId);
+        if (!entry) return null;
+
+        const quote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+        const parts = ['curl'];
+
+        if (entry.request.method !== 'GET') {
+            parts.push(`-X ${entry.request.method}`);
+        }
+
+        for (const [name, value] of Object.entries(entry.request.headers)) {
+            if (!['host', 'content-length', 'connection'].includes(name.toLowerCase())) {
+                parts.push(`-H ${quote(`${name}: ${value}`)}`);
+            }
+        }
+
+        if (entry.request.body.size) {
+            parts.push(`--data-binary ${quote(Buffer.concat(entry.request.body.chunks).toString('utf8'))}`);
+        }
+
+        parts.push(quote(`${baseUrl}${entry.request.path}`));
+        return parts.join(' \\\n  ');
+    }
+
+    /**
+     * Drops all captured entries
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Converts an entry to the shape the gateway inspector uses: request
+     * bodies as text, response bodies as base64, JSON bodies also parsed
+     * @param {Object} entry - Captured entry
+     * @returns {Object} JSON-ready entry
+     */
+    toJSON(entry) {
+        const requestBody = entry.request.body.size ? Buffer.concat(entry.request.body.chunks) : null;
+        const responseBody = entry.response?.body.size ? Buffer.concat(entry.response.body.chunks) : null;
+
+        return {
+            requestId: entry.requestId,
+            replayOf: entry.replayOf,
+            request: {
+                method: entry.request.method,
+                path: entry.request.path,
+                headers: entry.request.headers,
+                body: requestBody ? requestBody.toString('utf8') : null,
+                parsedBody: parseJsonBody(requestBody, entry.request.headers),
+                bodySize: entry.request.body.size,
+                bodyTruncated: entry.request.body.captured < entry.request.body.size,
+                timestamp: entry.request.timestamp,
+            },
+            response: entry.response ? {
+                statusCode: entry.response.statusCode,
+                headers: entry.response.headers,
+                body: responseBody ? responseBody.toString('base64') : null,
+                parsedBody: parseJsonBody(responseBody, entry.response.headers),
+                bodySize: entry.response.body.size,
+                bodyTruncated: entry.response.body.captured < entry.response.body.size,
+                error: entry.response.error,
+            } : null,
+            responseTime: entry.responseTime,
+        };
+    }
+}
+
+module.exports = { LocalInspector, matchesFilters };
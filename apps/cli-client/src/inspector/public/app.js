@@ -0,0 +1,348 @@
+/**
+ * DevTunnel+ local inspector - browser side
+ *
+ * Lists the requests this CLI captured, kept current over /api/inspect,
+ * and shows their details with a replay button. Captured data is only
+ * ever rendered as text.
+ */
+
+// Rows kept in the list
+const MAX_ROWS = 500;
+
+// Delay before reconnecting the live socket (ms)
+const RECONNECT_DELAY = 2000;
+
+// Content types shown as text rather than as a byte count
+const TEXT_CONTENT_TYPE = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i;
+
+const state = {
+    // Map of requestId -> entry, in arrival order
+    traffic: new Map(),
+    selectedId: null,
+    socket: null,
+    filters: {},
+};
+
+const $ = (id) => document.getElementById(id);
+
+function el(tag, text = '', className = '') {
+    const node = document.createElement(tag);
+    node.textContent = text;
+    if (className) node.className = className;
+    return node;
+}
+
+/**
+ * Calls the inspector API
+ * @param {string} path - API path (with query string)
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function api(path, options = {}) {
+    const response = await fetch(path, options);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `${response.status} ${response.statusText}`);
+    }
+    return data;
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / 1024 ** i).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+function statusClass(statusCode) {
+    return statusCode ? `status-${String(statusCode)[0]}xx` : 'status-pending';
+}
+
+function headerValue(headers = {}, name) {
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+    return key ? String(headers[key]) : '';
+}
+
+function setOnline(online) {
+    const badge = $('connection');
+    badge.textContent = online ? 'online' : 'offline';
+    badge.className = `badge ${online ? 'online' : 'offline'}`;
+}
+
+async function loadStatus() {
+    try {
+        const status = await api('/api/status');
+        $('tunnel').textContent = status.publicUrl
+            ? `${status.publicUrl} → localhost:${status.localPort}`
+            : `localhost:${status.localPort}`;
+    } catch {
+        $('tunnel').textContent = '';
+    }
+}
+
+// ----------------------------------------------------------------------------
+// Traffic list
+// ----------------------------------------------------------------------------
+
+function readFilters() {
+    const form = $('filters');
+    const filters = {};
+    for (const name of ['method', 'statusCode', 'path']) {
+        const value = form.elements[name].value.trim();
+        if (value) filters[name] = value;
+    }
+    return filters;
+}
+
+/**
+ * Reloads the list for the current filters and updates the live subscription
+ */
+async function applyFilters() {
+    state.filters = readFilters();
+
+    try {
+        const query = new URLSearchParams({ ...state.filters, limit: 200 });
+        const { traffic } = await api(`/api/traffic?${query}`);
+        state.traffic = new Map(traffic.reverse().map(t => [t.requestId, t]));
+        renderTraffic();
+    } catch (error) {
+        showNotice(`Could not load traffic: ${error.message}`);
+    }
+
+    if (state.socket?.readyState === WebSocket.OPEN) {
+        state.socket.send(JSON.stringify({ type: 'inspect:subscribe', payload: { filters: state.filters } }));
+    }
+}
+
+function upsertTraffic(traffic) {
+    const isNew = !state.traffic.has(traffic.requestId);
+    state.traffic.set(traffic.requestId, traffic);
+
+    while (state.traffic.size > MAX_ROWS) {
+        state.traffic.delete(state.traffic.keys().next().value);
+    }
+
+    renderTraffic(isNew ? traffic.requestId : null);
+    if (traffic.requestId === state.selectedId) {
+        renderDetail(traffic);
+    }
+}
+
+function renderTraffic(freshId = null) {
+    const rows = $('traffic-rows');
+    rows.replaceChildren();
+
+    const entries = [...state.traffic.values()].reverse();
+    for (const traffic of entries) {
+        const status = traffic.response?.statusCode;
+        const row = el('tr');
+        if (traffic.requestId === state.selectedId) row.classList.add('selected');
+        if (traffic.requestId === freshId) row.classList.add('fresh');
+
+        const path = el('td', traffic.request.path, 'path');
+        path.title = traffic.request.path;
+
+        row.append(
+            el('td', new Date(traffic.request.timestamp).toLocaleTimeString()),
+            el('td', traffic.request.method),
+            path,
+            el('td', status ? String(status) : (traffic.response?.error ? 'ERR' : '…'), statusClass(status)),
+            el('td', traffic.responseTime != null ? `${traffic.responseTime} ms` : '')
+        );
+        row.addEventListener('click', () => selectTraffic(traffic.requestId));
+        rows.append(row);
+    }
+
+    $('traffic-empty').hidden = entries.length > 0;
+}
+
+function connectLive() {
+    const query = new URLSearchParams(state.filters);
+    const socket = new WebSocket(`ws://${location.host}/api/inspect?${query}`);
+    state.socket = socket;
+
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch {
+            return;
+        }
+
+        if (message.type === 'inspect:request' || message.type === 'inspect:response') {
+            upsertTraffic(message.payload.traffic);
+        }
+    });
+
+    socket.addEventListener('open', () => setOnline(true));
+    socket.addEventListener('close', () => {
+        setOnline(false);
+        setTimeout(connectLive, RECONNECT_DELAY);
+    });
+}
+
+// ----------------------------------------------------------------------------
+// Detail view
+// ----------------------------------------------------------------------------
+
+async function selectTraffic(requestId) {
+    state.selectedId = requestId;
+    hideNotice();
+    renderTraffic();
+
+    try {
+        renderDetail(await api(`/api/traffic/${encodeURIComponent(requestId)}`));
+    } catch (error) {
+        renderDetail(state.traffic.get(requestId));
+        showNotice(`Could not load request: ${error.message}`);
+    }
+}
+
+function renderDetail(traffic) {
+    if (!traffic) return;
+
+    $('detail').hidden = false;
+    $('detail-title').textContent = `${traffic.request.method} ${traffic.request.path}`;
+    $('replay').disabled = traffic.request.bodyTruncated;
+
+    const summary = $('detail-summary');
+    summary.replaceChildren();
+    const add = (label, value) => {
+        summary.append(el('dt', label));
+        const dd = el('dd');
+        if (value instanceof Node) dd.append(value); else dd.textContent = value;
+        summary.append(dd);
+    };
+
+    const status = traffic.response?.statusCode;
+    add('Status', status ? String(status) : (traffic.response?.error ? 'failed' : 'pending'));
+    summary.lastChild.className = statusClass(status);
+    if (traffic.response?.error) add('Error', traffic.response.error);
+    add('Started', new Date(traffic.request.timestamp).toLocaleString());
+    add('Duration', traffic.responseTime != null ? `${traffic.responseTime} ms` : '—');
+    add('Request size', formatBytes(traffic.request.bodySize));
+    add('Response size', formatBytes(traffic.response?.bodySize || 0));
+    if (traffic.replayOf) {
+        const link = el('a', traffic.replayOf);
+        link.addEventListener('click', () => selectTraffic(traffic.replayOf));
+        add('Replay of', link);
+    }
+
+    renderHeaders($('request-headers'), traffic.request.headers);
+    renderBody($('request-body'), {
+        parsed: traffic.request.parsedBody,
+        text: traffic.request.body,
+        truncated: traffic.request.bodyTruncated,
+    });
+
+    renderHeaders($('response-headers'), traffic.response?.headers);
+    renderBody($('response-body'), {
+        parsed: traffic.response?.parsedBody,
+        base64: traffic.response?.body,
+        contentType: headerValue(traffic.response?.headers, 'content-type'),
+        truncated: traffic.response?.bodyTruncated,
+    });
+}
+
+function renderHeaders(table, headers = {}) {
+    table.replaceChildren();
+    for (const [name, value] of Object.entries(headers || {})) {
+        const row = el('tr');
+        row.append(el('td', name), el('td', Array.isArray(value) ? value.join('\n') : String(value)));
+        table.append(row);
+    }
+    if (table.rows.length === 0) {
+        const row = el('tr');
+        row.append(el('td', '—'));
+        table.append(row);
+    }
+}
+
+/**
+ * Shows a body: JSON pretty-printed, text as is, binary as a size
+ * @param {HTMLElement} pre - Target element
+ * @param {Object} body - parsed (JSON), text or base64, contentType, truncated
+ */
+function renderBody(pre, { parsed, text, base64, contentType = '', truncated = false }) {
+    let content;
+
+    if (parsed !== undefined) {
+        content = JSON.stringify(parsed, null, 2);
+    } else if (text) {
+        content = text;
+    } else if (base64) {
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        content = !contentType || TEXT_CONTENT_TYPE.test(contentType)
+            ? new TextDecoder().decode(bytes)
+            : `[${formatBytes(bytes.length)} of ${contentType}]`;
+    } else {
+        content = '(empty)';
+    }
+
+    pre.textContent = truncated ? `${content}\n\n… body truncated in the capture` : content;
+}
+
+function showNotice(text) {
+    const notice = $('detail-notice');
+    notice.textContent = text;
+    notice.hidden = false;
+    $('detail').hidden = false;
+}
+
+function hideNotice() {
+    $('detail-notice').hidden = true;
+}
+
+// ----------------------------------------------------------------------------
+// Actions
+// ----------------------------------------------------------------------------
+
+async function replay() {
+    if (!state.selectedId) return;
+
+    const button = $('replay');
+    button.disabled = true;
+    try {
+        const traffic = await api(`/api/traffic/${encodeURIComponent(state.selectedId)}/replay`, { method: 'POST' });
+        upsertTraffic(traffic);
+        await selectTraffic(traffic.requestId);
+        showNotice(`Replayed against the local port: ${traffic.response?.statusCode || traffic.response?.error}`);
+    } catch (error) {
+        showNotice(`Replay failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function clearTraffic() {
+    await api('/api/traffic', { method: 'DELETE' });
+    state.traffic.clear();
+    state.selectedId = null;
+    $('detail').hidden = true;
+    renderTraffic();
+}
+
+// ----------------------------------------------------------------------------
+// Startup
+// ----------------------------------------------------------------------------
+
+function init() {
+    const form = $('filters');
+    let inputTimer = null;
+    form.addEventListener('change', applyFilters);
+    form.addEventListener('input', (event) => {
+        if (event.target.name !== 'path' && event.target.name !== 'statusCode') return;
+        clearTimeout(inputTimer);
+        inputTimer = setTimeout(applyFilters, 300);
+    });
+    form.addEventListener('submit', (event) => event.preventDefault());
+
+    $('clear-traffic').addEventListener('click', clearTraffic);
+    $('replay').addEventListener('click', replay);
+
+    loadStatus();
+    applyFilters();
+    connectLive();
+}
+
+init();
@@ -0,0 +1,148 @@
+/**
+ * Route Table
+ *
+ * Lets one tunnel front several local servers on the same origin, e.g. a
+ * frontend on 5173 with its API on 8080. Each route maps a path prefix to
+ * a local port; the longest matching prefix wins and the tunnel's own
+ * port serves everything else. A prefix matches whole path segments, so
+ * /api matches /api and /api/users but not /apiary.
+ */
+
+const fs = require('fs');
+
+/**
+ * Normalizes a route prefix: /api, /api/ and /api/* all become /api
+ * @param {string} prefix - Path prefix
+ * @returns {string|null} Prefix, or null if it is not a path
+ */
+function normalizePrefix(prefix) {
+    if (typeof prefix !== 'string' || !prefix.startsWith('/') || /[?#\s]/.test(prefix)) return null;
+
+    const trimmed = prefix.replace(/\/?\*$/, '').replace(/\/+$/, '');
+    return trimmed || '/';
+}
+
+/**
+ * Checks a route and normalizes its prefix
+ * @param {Object} route - path, port and stripPrefix
+ * @returns {Object|null} Route, or null if invalid
+ */
+function createRoute({ path, port, stripPrefix = false } = {}) {
+    const prefix = normalizePrefix(path);
+    const portNumber = Number(port);
+    if (!prefix || !Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) return null;
+
+    return { prefix, port: portNumber, stripPrefix: Boolean(stripPrefix) && prefix !== '/' };
+}
+
+/**
+ * Parses a route given on the command line
+ * Format: <prefix>=<port>[:strip], e.g. /api=8080 or /api/*=8080:strip
+ * @param {string} spec - Route spec
+ * @returns {Object|null} Route, or null if invalid
+ */
+function parseRoute(spec) {
+    const match = /^(.+)=(\d+)(:strip)?$/.exec(String(spec).trim());
+    if (!match) return null;
+
+    return createRoute({ path: match[1], port: match[2], stripPrefix: Boolean(match[3]) });
+}
+
+/**
+ * Reads routes from a JSON file: { "routes": [{ "path", "port", "stripPrefix" }] }
+ * @param {string} filePath - Route file
+ * @returns {Object} Result with routes or error
+ */
+function loadRouteFile(filePath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return { success: false, error: `Cannot read route file ${filePath}: ${error.message}` };
+    }
+
+    const entries = Array.isArray(data) ? data : data?.routes;
+    if (!Array.isArray(entries)) {
+        return { success: false, error: `Route file ${filePath} must hold a "routes" array` };
+    }
+
+    const routes = [];
+    for (const entry of entries) {
+        const route = createRoute(entry);
+        if (!route) {
+            return { success: false, error: `Invalid route in ${filePath}: ${JSON.stringify(entry)}` };
+        }
+        routes.push(route);
+    }
+
+    return { success: true, routes };
+}
+
+class RouteTable {
+    /**
+     * @param {number} defaultPort - Port for paths no route matches
+     * @param {Object[]} routes - Routes from parseRoute or loadRouteFile; later ones replace earlier ones with the same prefix
+     */
+    constructor(defaultPort, routes = []) {
+        this.defaultPort = defaultPort;
+
+        // Map of prefix -> route
+        const byPrefix = new Map();
+        for (const route of routes) {
+            byPrefix.set(route.prefix, route);
+        }
+
+        // Longest prefix first, so the first match is the most specific
+        this.routes = [...byPrefix.values()].sort((a, b) => b.prefix.length - a.prefix.length);
+    }
+
+    /**
+     * Whether any path routes were configured
+     * @returns {boolean} True if requests may go to more than one port
+     */
+    hasRoutes() {
+        return this.routes.length > 0;
+    }
+
+    /**
+     * Picks the local server for a request
+     * @param {string} path - Request path with query string
+     * @returns {Object} { port, path, prefix } - path is what to send upstream
+     */
+    match(path) {
+        const queryIndex = path.search(/[?#]/);
+        const pathname = queryIndex === -1 ? path : path.slice(0, queryIndex);
+        const query = queryIndex === -1 ? '' : path.slice(queryIndex);
+
+        const route = this.routes.find(({ prefix }) =>
+            prefix === '/' || pathname === prefix || pathname.startsWith(`${prefix}/`));
+
+        if (!route) {
+            return { port: this.defaultPort, path, prefix: null };
+        }
+
+        if (!route.stripPrefix) {
+            return { port: route.port, path, prefix: route.prefix };
+        }
+
+        const rest = pathname.slice(route.prefix.length);
+        return { port: route.port, path: `${rest.startsWith('/') ? rest : `/${rest}`}${query}`, prefix: route.prefix };
+    }
+
+    /**
+     * Describes the routes for display, most specific first
+     * @returns {string[]} e.g. ['/api/* -> localhost:8080 (prefix stripped)', '/* -> localhost:5173']
+     */
+    describe() {
+        const lines = this.routes.map(route =>
+            `${route.prefix === '/' ? '' : route.prefix}/* -> localhost:${route.port}${route.stripPrefix ? ' (prefix stripped)' : ''}`);
+
+        if (!this.routes.some(route => route.prefix === '/')) {
+            lines.push(`/* -> localhost:${this.defaultPort}`);
+        }
+
+        return lines;
+    }
+}
+
+module.exports = { RouteTable, parseRoute, loadRouteFile };
@@ -0,0 +1,447 @@
+/**
+ * Terminal UI
+ *
+ * Full-screen view for `devtunnel http --tui`: the tunnel info box, live
+ * counters, a scrollable list of recent requests and a detail pane for
+ * the selected one. Drawn with plain ANSI escapes on the terminal's
+ * alternate screen; the data comes from the client's LocalInspector.
+ *
+ * While it runs, anything the client writes with console.log/error is
+ * shown in the status line instead of scrolling the screen.
+ */
+
+const readline = require('readline');
+const chalk = require('chalk');
+const boxen = require('boxen');
+const { getContentType, formatBytes } = require('@devtunnel/shared');
+
+const ESC = '\x1b[';
+const ENTER_SCREEN = '\x1b[?1049h\x1b[?25l';
+const LEAVE_SCREEN = '\x1b[?25h\x1b[?1049l';
+
+// ANSI escape sequences, skipped when measuring or cutting lines
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+// Control characters in captured data that could drive the terminal
+const CONTROL_CHARS = /[\x00-\x08\x0b-\x1f\x7f-\x9f]/g;
+
+// Content types whose bodies are shown as text
+const TEXT_CONTENT_TYPE = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i;
+
+// Redraws are batched to at most one per interval (ms)
+const RENDER_INTERVAL = 50;
+
+const KEY_HELP = '↑/↓ select  PgUp/PgDn scroll  r replay  c copy as curl  x clear  q quit';
+
+/**
+ * Makes captured text safe to print: no control characters, tabs as spaces
+ * @param {*} value - Captured value
+ * @returns {string} Printable text
+ */
+function printable(value) {
+    return String(value).replace(/\t/g, '    ').replace(CONTROL_CHARS, '·');
+}
+
+/**
+ * Cuts or pads a line to an exact visible width, keeping its colors
+ * @param {string} line - Line, possibly with ANSI colors
+ * @param {number} width - Visible width
+ * @returns {string} Fitted line
+ */
+function fitLine(line, width) {
+    let visible = 0;
+    let result = '';
+
+    for (const part of line.split(/(\x1b\[[0-9;?]*[A-Za-z])/)) {
+        if (part.startsWith('\x1b[')) {
+            result += part;
+        } else if (visible + part.length <= width) {
+            result += part;
+            visible += part.length;
+        } else if (visible < width) {
+            result += part.slice(0, width - visible - 1) + '…';
+            visible = width;
+        }
+    }
+
+    return result + ' '.repeat(width - visible) + `${ESC}0m`;
+}
+
+function colorStatus(statusCode) {
+    if (!statusCode) return chalk.gray;
+    if (statusCode >= 500) return chalk.red;
+    if (statusCode >= 400) return chalk.yellow;
+    if (statusCode >= 300) return chalk.cyan;
+    return chalk.green;
+}
+
+class TerminalUI {
+    /**
+     * @param {TunnelClient} client - Client whose tunnel and traffic are shown
+     * @param {Object} options - UI options
+     * @param {Function} options.onQuit - Called when the user quits
+     * @param {tty.ReadStream} options.stdin - Keyboard input (default: process.stdin)
+     * @param {tty.WriteStream} options.stdout - Screen output (default: process.stdout)
+     */
+    constructor(client, options = {}) {
+        this.client = client;
+        this.inspector = client.inspector;
+        this.onQuit = options.onQuit || (() => {});
+        this.stdin = options.stdin || process.stdin;
+        this.stdout = options.stdout || process.stdout;
+
+        // Selected request (null follows the newest) and detail pane scroll position
+        this.selectedId = null;
+        this.detailScroll = 0;
+
+        // Session counters, updated as traffic arrives
+        this.stats = { requests: 0, responses: 0, errors: 0, totalTime: 0 };
+
+        // Last line the client logged, shown in the status line
+        this.message = '';
+
+        this.renderTimer = null;
+        this.listHeight = 0;
+        this.detailHeight = 0;
+        this.active = false;
+        this.originalConsole = null;
+
+        this.onRequest = () => {
+            this.stats.requests++;
+            this.scheduleRender();
+        };
+        this.onResponse = (traffic) => {
+            this.stats.responses++;
+            this.stats.totalTime += traffic.responseTime || 0;
+            if (traffic.response.error || traffic.response.statusCode >= 500) this.stats.errors++;
+            this.scheduleRender();
+        };
+        this.onKeypress = (str, key) => this.handleKey(str, key || {});
+        this.onResize = () => this.render();
+    }
+
+    /**
+     * Switches the terminal to the full-screen view
+     */
+    start() {
+        this.active = true;
+
+        this.originalConsole = { log: console.log, error: console.error };
+        console.log = console.error = (...args) => this.showMessage(args.join(' '));
+
+        readline.emitKeypressEvents(this.stdin);
+        this.stdin.setRawMode(true);
+        this.stdin.resume();
+        this.stdin.on('keypress', this.onKeypress);
+        this.stdout.on('resize', this.onResize);
+
+        this.inspector.on('request', this.onRequest);
+        this.inspector.on('response', this.onResponse);
+
+        // Keeps the connection state current between requests
+        this.clockTimer = setInterval(() => this.render(), 1000);
+
+        this.stdout.write(ENTER_SCREEN);
+        this.render();
+    }
+
+    /**
+     * Restores the terminal and prints the last status message, so errors
+     * that ended the process stay visible; safe to call more than once
+     */
+    stop() {
+        if (!this.active) return;
+        this.active = false;
+
+        clearInterval(this.clockTimer);
+        clearTimeout(this.renderTimer);
+        this.inspector.off('request', this.onRequest);
+        this.inspector.off('response', this.onResponse);
+        this.stdin.off('keypress', this.onKeypress);
+        this.stdout.off('resize', this.onResize);
+        this.stdin.setRawMode(false);
+        this.stdin.pause();
+
+        Object.assign(console, this.originalConsole);
+        this.stdout.write(LEAVE_SCREEN);
+        if (this.message) {
+            this.stdout.write(`${this.message}\n`);
+        }
+    }
+
+    handleKey(str, key) {
+        if ((key.ctrl && key.name === 'c') || key.name === 'q') {
+            this.onQuit();
+            return;
+        }
+
+        switch (key.name) {
+            case 'up':
+            case 'k':
+                this.moveSelection(-1);
+                break;
+            case 'down':
+            case 'j':
+                this.moveSelection(1);
+                break;
+            case 'pageup':
+                this.detailScroll = Math.max(this.detailScroll - this.detailHeight, 0);
+                break;
+            case 'pagedown':
+                this.detailScroll += this.detailHeight;
+                break;
+            case 'r':
+                this.replaySelected();
+                break;
+            case 'c':
+                this.copySelected();
+                break;
+            case 'x':
+                this.inspector.clear();
+                this.selectedId = null;
+                this.detailScroll = 0;
+                this.showMessage('Cleared the request list');
+                break;
+            default:
+                return;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Request IDs in list order, newest first
+     * @returns {string[]} Request IDs
+     */
+    listIds() {
+        return [...this.inspector.entries.keys()].reverse();
+    }
+
+    /**
+     * Request shown in the detail pane
+     * @returns {string|null} Request ID
+     */
+    currentId() {
+        if (this.selectedId && this.inspector.entries.has(this.selectedId)) return this.selectedId;
+        return this.listIds()[0] || null;
+    }
+
+    moveSelection(delta) {
+        const ids = this.listIds();
+        if (ids.length === 0) return;
+
+        const index = Math.max(ids.indexOf(this.currentId()), 0);
+        this.selectedId = ids[Math.min(Math.max(index + delta, 0), ids.length - 1)];
+        this.detailScroll = 0;
+    }
+
+    async replaySelected() {
+        const requestId = this.currentId();
+        if (!requestId) return;
+
+        this.showMessage('Replaying against the local port...');
+        const result = await this.inspector.replay(requestId);
+        if (!result.success) {
+            this.showMessage(`Replay failed: ${result.error}`);
+            return;
+        }
+
+        const { response } = result.traffic;
+        this.selectedId = result.traffic.requestId;
+        this.detailScroll = 0;
+        this.showMessage(response.error
+            ? `Replay failed: ${response.error}`
+            : `Replayed: ${response.statusCode} in ${result.traffic.responseTime}ms`);
+    }
+
+    /**
+     * Puts the selected request on the clipboard as a curl command, using
+     * the terminal's OSC 52 clipboard sequence
+     */
+    copySelected() {
+        const requestId = this.currentId();
+        if (!requestId) return;
+
+        const baseUrl = this.client.publicUrl || `http://localhost:${this.client.localPort}`;
+        const curl = this.inspector.toCurl(requestId, baseUrl);
+
+        this.stdout.write(`\x1b]52;c;${Buffer.from(curl).toString('base64')}\x07`);
+        this.showMessage('Copied as curl to the clipboard');
+    }
+
+    /**
+     * Shows the last line of a log message in the status line
+     * @param {string} text - Message (may contain colors)
+     */
+    showMessage(text) {
+        const lines = String(text).replace(ANSI_PATTERN, '').split('\n').map(l => l.trim()).filter(Boolean);
+        this.message = printable(lines[lines.length - 1] || '');
+        this.scheduleRender();
+    }
+
+    scheduleRender() {
+        if (!this.active || this.renderTimer) return;
+        this.renderTimer = setTimeout(() => {
+            this.renderTimer = null;
+            this.render();
+        }, RENDER_INTERVAL);
+    }
+
+    /**
+     * Splits the rows below the header between the list and the detail
+     * pane; the list takes up to 40% and the detail pane the rest
+     * @param {number} headerHeight - Rows taken by the info box
+     */
+    updateLayout(headerHeight) {
+        // Stats line, two separators and the status line
+        const free = Math.max((this.stdout.rows || 24) - headerHeight - 4, 6);
+        this.listHeight = Math.min(Math.max(Math.floor(free * 0.4), 3), Math.max(this.inspector.entries.size, 1));
+        this.detailHeight = free - this.listHeight;
+    }
+
+    /**
+     * Draws the whole screen
+     */
+    render() {
+        if (!this.active) return;
+
+        const width = this.stdout.columns || 80;
+        const header = this.headerLines();
+        this.updateLayout(header.length);
+
+        const lines = [
+            ...header,
+            this.statsLine(),
+            chalk.gray('─'.repeat(width)),
+            ...this.listLines(width),
+            chalk.gray('─'.repeat(width)),
+            ...this.detailLines(),
+        ];
+
+        const height = (this.stdout.rows || 24) - 1;
+        while (lines.length < height) lines.push('');
+        lines.length = height;
+        lines.push(this.message ? chalk.inverse(` ${this.message} `) + chalk.gray(`  ${KEY_HELP}`) : chalk.gray(KEY_HELP));
+
+        this.stdout.write(`${ESC}H${lines.map(line => fitLine(line, width)).join('\r\n')}`);
+    }
+
+    headerLines() {
+        const client = this.client;
+        const status = client.isConnected
+            ? chalk.green('online')
+            : chalk.yellow(client.tunnelId ? 'reconnecting' : 'connecting');
+
+        const info = [
+            `${chalk.bold.green('DevTunnel+')}  ${status}`,
+            `${chalk.cyan('Public URL:')}    ${chalk.bold(client.publicUrl || '…')}`,
+            ...(client.routes?.hasRoutes()
+                ? client.routes.describe().map((route, i) => (i === 0 ? `${chalk.cyan('Forwarding:')}    ${route}` : `${' '.repeat(15)}${route}`))
+                : [`${chalk.cyan('Forwarding to:')} http://localhost:${client.localPort}`]),
+            ...(client.inspectorUrl ? [`${chalk.cyan('Inspector:')}     ${client.inspectorUrl}`] : []),
+        ].join('\n');
+
+        return boxen(info, { padding: { left: 1, right: 1 }, borderStyle: 'round', borderColor: 'cyan' }).split('\n');
+    }
+
+    statsLine() {
+        const { requests, responses, errors, totalTime } = this.stats;
+        const average = responses ? `${Math.round(totalTime / responses)}ms` : '—';
+
+        return ` ${chalk.cyan('Requests')} ${requests}   ` +
+            `${chalk.cyan('Errors')} ${errors ? chalk.red(errors) : 0}   ` +
+            `${chalk.cyan('Avg latency')} ${average}`;
+    }
+
+    listLines(width) {
+        const height = this.listHeight;
+        const ids = this.listIds();
+        const currentId = this.currentId();
+
+        if (ids.length === 0) {
+            return [chalk.gray(' Waiting for requests...')];
+        }
+
+        // Scroll so the selected row stays visible
+        const index = Math.max(ids.indexOf(currentId), 0);
+        const top = Math.max(0, Math.min(index - Math.floor(height / 2), ids.length - height));
+
+        return ids.slice(top, top + height).map((requestId) => {
+            const { request, response, responseTime } = this.inspector.entries.get(requestId);
+            const status = response?.statusCode;
+
+            const time = new Date(request.timestamp).toLocaleTimeString();
+            const statusText = status ? String(status) : (response?.error ? 'ERR' : '…');
+            const duration = responseTime != null ? `${responseTime}ms` : '';
+            const line = ` ${time}  ${request.method.padEnd(7)}${colorStatus(status)(statusText.padEnd(5))}${duration.padStart(8)}  ${printable(request.path)}`;
+
+            return requestId === currentId ? chalk.inverse(fitLine(line, width)) : line;
+        });
+    }
+
+    detailLines() {
+        const requestId = this.currentId();
+        const traffic = requestId && this.inspector.get(requestId);
+        if (!traffic) return [];
+
+        const { request, response } = traffic;
+        const lines = [
+            chalk.bold(`${request.method} ${printable(request.path)}`) +
+                (traffic.replayOf ? chalk.magenta(`  (replay of ${traffic.replayOf})`) : ''),
+            response?.error
+                ? chalk.red(`Error: ${printable(response.error)}`)
+                : `${colorStatus(response?.statusCode)(response?.statusCode || 'pending')}` +
+                    chalk.gray(`  ${traffic.responseTime != null ? `${traffic.responseTime}ms` : ''}  ` +
+                        `req ${formatBytes(request.bodySize)}, res ${formatBytes(response?.bodySize || 0)}`),
+            '',
+            chalk.cyan('Request headers'),
+            ...this.headerDetail(request.headers),
+            '',
+            chalk.cyan('Request body'),
+            ...this.bodyDetail(request.parsedBody, request.body ? Buffer.from(request.body) : null, request.headers, request.bodyTruncated),
+        ];
+
+        if (response?.statusCode) {
+            lines.push(
+                '',
+                chalk.cyan('Response headers'),
+                ...this.headerDetail(response.headers),
+                '',
+                chalk.cyan('Response body'),
+                ...this.bodyDetail(response.parsedBody, response.body ? Buffer.from(response.body, 'base64') : null, response.headers, response.bodyTruncated)
+            );
+        }
+
+        const height = this.detailHeight;
+        this.detailScroll = Math.min(this.detailScroll, Math.max(lines.length - height, 0));
+        return lines.slice(this.detailScroll, this.detailScroll + height);
+    }
+
+    headerDetail(headers = {}) {
+        const entries = Object.entries(headers);
+        if (entries.length === 0) return [chalk.gray('  (none)')];
+
+        return entries.map(([name, value]) =>
+            `  ${chalk.gray(`${printable(name)}:`)} ${printable(Array.isArray(value) ? value.join(', ') : value)}`);
+    }
+
+    bodyDetail(parsed, body, headers, truncated) {
+        let text;
+        if (parsed !== undefined) {
+            text = JSON.stringify(parsed, null, 2);
+        } else if (!body || body.length === 0) {
+            return [chalk.gray('  (empty)')];
+        } else {
+            const contentType = getContentType(headers || {});
+            text = !contentType || TEXT_CONTENT_TYPE.test(contentType)
+                ? body.toString('utf8')
+                : `[${formatBytes(body.length)} of ${contentType}]`;
+        }
+
+        const lines = text.split('\n').map(line => `  ${printable(line)}`);
+        if (truncated) lines.push(chalk.gray('  … body truncated in the capture'));
+        return lines;
+    }
+}
+
+module.exports = TerminalUI;
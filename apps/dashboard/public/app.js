@@ -0,0 +1,537 @@
+/**
+ * DevTunnel+ Dashboard - browser side
+ *
+ * Loads tunnels and traffic from the gateway API, keeps the traffic
+ * list current through the /api/inspect WebSocket, and shows request
+ * details with copy-as-curl and replay. Captured data is only ever
+ * rendered as text.
+ */
+
+// Rows kept in the live list
+const MAX_ROWS = 500;
+
+// How often the tunnel list is refreshed (ms)
+const TUNNEL_REFRESH_INTERVAL = 5000;
+
+// Delay before reconnecting the live traffic socket (ms)
+const RECONNECT_DELAY = 2000;
+
+// Content types shown as text rather than as a byte count
+const TEXT_CONTENT_TYPE = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i;
+
+const state = {
+    gatewayUrl: '',
+    tunnels: [],
+    // Map of requestId -> traffic entry, in arrival order
+    traffic: new Map(),
+    selectedId: null,
+    socket: null,
+    filters: {},
+    // Admin bearer token for replays, only kept in memory
+    adminToken: '',
+};
+
+const $ = (id) => document.getElementById(id);
+
+/**
+ * Creates an element with text content and optional class
+ * @param {string} tag - Tag name
+ * @param {string} text - Text content
+ * @param {string} className - Class name
+ * @returns {HTMLElement} Element
+ */
+function el(tag, text = '', className = '') {
+    const node = document.createElement(tag);
+    node.textContent = text;
+    if (className) node.className = className;
+    return node;
+}
+
+/**
+ * Calls the gateway API, sending the admin token when one was entered
+ * @param {string} path - API path (with query string)
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function api(path, options = {}) {
+    const headers = { ...options.headers };
+    if (state.adminToken) headers.Authorization = `Bearer ${state.adminToken}`;
+
+    const response = await fetch(`${state.gatewayUrl}${path}`, { ...options, headers });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw Object.assign(new Error(data.error || `${response.status} ${response.statusText}`), { status: response.status });
+    }
+    return data;
+}
+
+/**
+ * Builds a query string from the non-empty filters
+ * @param {Object} values - Filter values
+ * @returns {string} Query string (without ?)
+ */
+function toQuery(values) {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(values)) {
+        if (value !== '' && value !== undefined && value !== null) params.set(name, value);
+    }
+    return params.toString();
+}
+
+/**
+ * Formats a byte count
+ * @param {number} bytes - Byte count
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / 1024 ** i).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+}
+
+/**
+ * CSS class for a status code
+ * @param {number|undefined} statusCode - Status code
+ * @returns {string} Class name
+ */
+function statusClass(statusCode) {
+    return statusCode ? `status-${String(statusCode)[0]}xx` : 'status-pending';
+}
+
+/**
+ * Finds a header value regardless of case
+ * @param {Object} headers - Headers
+ * @param {string} name - Header name
+ * @returns {string} Value or ''
+ */
+function headerValue(headers = {}, name) {
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+    return key ? String(headers[key]) : '';
+}
+
+// ----------------------------------------------------------------------------
+// Tunnels
+// ----------------------------------------------------------------------------
+
+/**
+ * Refreshes the tunnel list and the tunnel filter options
+ */
+async function loadTunnels() {
+    try {
+        const { tunnels } = await api('/api/tunnels');
+        state.tunnels = tunnels;
+        renderTunnels();
+        setOnline(true);
+    } catch {
+        setOnline(false);
+    }
+}
+
+function renderTunnels() {
+    const list = $('tunnel-list');
+    list.replaceChildren();
+
+    for (const tunnel of state.tunnels) {
+        const item = el('li', '', tunnel.status === 'disconnected' ? 'disconnected' : '');
+        if (tunnel.tunnelId === state.filters.tunnelId) item.classList.add('selected');
+
+        const name = tunnel.type === 'tcp' ? `tcp :${tunnel.publicPort}` : tunnel.subdomain;
+        item.append(
+            el('div', name, 'name'),
+            el('div', `→ localhost:${tunnel.localPort} · ${tunnel.status}`, 'meta'),
+            el('div', `${tunnel.requestCount} requests · ${formatBytes(tunnel.bytesIn)} in · ${formatBytes(tunnel.bytesOut)} out`, 'meta')
+        );
+        item.addEventListener('click', () => {
+            const select = $('filters').elements.tunnelId;
+            select.value = select.value === tunnel.tunnelId ? '' : tunnel.tunnelId;
+            applyFilters();
+        });
+        list.append(item);
+    }
+
+    $('tunnel-count').textContent = state.tunnels.length ? `(${state.tunnels.length})` : '';
+    $('tunnel-empty').hidden = state.tunnels.length > 0;
+
+    // Keep the tunnel filter in step, preserving the current choice
+    const select = $('filters').elements.tunnelId;
+    const current = select.value;
+    select.replaceChildren(el('option', 'All tunnels'));
+    select.options[0].value = '';
+    for (const tunnel of state.tunnels) {
+        const option = el('option', tunnel.subdomain || `tcp :${tunnel.publicPort}`);
+        option.value = tunnel.tunnelId;
+        select.append(option);
+    }
+    if (current && !state.tunnels.some(t => t.tunnelId === current)) {
+        const option = el('option', 'closed tunnel');
+        option.value = current;
+        select.append(option);
+    }
+    select.value = current;
+}
+
+function setOnline(online) {
+    const badge = $('connection');
+    badge.textContent = online ? 'online' : 'offline';
+    badge.className = `badge ${online ? 'online' : 'offline'}`;
+}
+
+// ----------------------------------------------------------------------------
+// Traffic list
+// ----------------------------------------------------------------------------
+
+/**
+ * Reads the filter form
+ * @returns {Object} Filters with empty values removed
+ */
+function readFilters() {
+    const form = $('filters');
+    const filters = {};
+    for (const name of ['tunnelId', 'method', 'statusCode', 'path']) {
+        const value = form.elements[name].value.trim();
+        if (value) filters[name] = value;
+    }
+    return filters;
+}
+
+/**
+ * Reloads the list for the current filters and updates the live subscription
+ */
+async function applyFilters() {
+    state.filters = readFilters();
+    renderTunnels();
+
+    try {
+        const { traffic } = await api(`/api/traffic?${toQuery({ ...state.filters, limit: 100 })}`);
+        state.traffic = new Map(traffic.reverse().map(t => [t.requestId, t]));
+        renderTraffic();
+    } catch (error) {
+        showNotice(`Could not load traffic: ${error.message}`);
+    }
+
+    if (state.socket?.readyState === WebSocket.OPEN) {
+        state.socket.send(JSON.stringify({ type: 'inspect:subscribe', payload: { filters: state.filters } }));
+    }
+}
+
+/**
+ * Adds or updates a traffic entry from a live event
+ * @param {Object} traffic - Traffic entry
+ */
+function upsertTraffic(traffic) {
+    const isNew = !state.traffic.has(traffic.requestId);
+    state.traffic.set(traffic.requestId, traffic);
+
+    while (state.traffic.size > MAX_ROWS) {
+        state.traffic.delete(state.traffic.keys().next().value);
+    }
+
+    renderTraffic(isNew ? traffic.requestId : null);
+    if (traffic.requestId === state.selectedId) {
+        renderDetail(traffic);
+    }
+}
+
+/**
+ * Renders the traffic table, newest first
+ * @param {string|null} freshId - Row to highlight as just arrived
+ */
+function renderTraffic(freshId = null) {
+    const rows = $('traffic-rows');
+    rows.replaceChildren();
+
+    const entries = [...state.traffic.values()].reverse();
+    for (const traffic of entries) {
+        const status = traffic.response?.statusCode;
+        const row = el('tr');
+        if (traffic.requestId === state.selectedId) row.classList.add('selected');
+        if (traffic.requestId === freshId) row.classList.add('fresh');
+
+        const path = el('td', traffic.request.path, 'path');
+        path.title = traffic.request.path;
+
+        row.append(
+            el('td', new Date(traffic.request.timestamp || traffic.createdAt).toLocaleTimeString()),
+            el('td', traffic.request.method),
+            path,
+            el('td', status ? String(status) : (traffic.blocked ? 'blocked' : '…'), statusClass(status)),
+            el('td', traffic.responseTime != null ? `${traffic.responseTime} ms` : ''),
+            el('td', traffic.subdomain || '', 'muted')
+        );
+        row.addEventListener('click', () => selectTraffic(traffic.requestId));
+        rows.append(row);
+    }
+
+    $('traffic-empty').hidden = entries.length > 0;
+}
+
+/**
+ * Opens the live traffic socket, reconnecting when it drops
+ */
+function connectLive() {
+    const url = new URL('/api/inspect', state.gatewayUrl);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.search = toQuery(state.filters);
+
+    const socket = new WebSocket(url);
+    state.socket = socket;
+
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch {
+            return;
+        }
+
+        if (message.type === 'inspect:request' || message.type === 'inspect:response') {
+            upsertTraffic(message.payload.traffic);
+        } else if (message.type === 'error') {
+            showNotice(`Live traffic: ${message.payload.error}`);
+        }
+    });
+
+    socket.addEventListener('open', () => setOnline(true));
+    socket.addEventListener('close', () => {
+        setOnline(false);
+        setTimeout(connectLive, RECONNECT_DELAY);
+    });
+}
+
+// ----------------------------------------------------------------------------
+// Detail view
+// ----------------------------------------------------------------------------
+
+/**
+ * Shows the details of a request, fetching the full entry
+ * @param {string} requestId - Request ID
+ */
+async function selectTraffic(requestId) {
+    state.selectedId = requestId;
+    hideNotice();
+    renderTraffic();
+
+    try {
+        const traffic = await api(`/api/traffic/${encodeURIComponent(requestId)}`);
+        state.traffic.set(requestId, { ...state.traffic.get(requestId), ...traffic });
+        renderDetail(traffic);
+    } catch (error) {
+        renderDetail(state.traffic.get(requestId));
+        showNotice(`Could not load request: ${error.message}`);
+    }
+}
+
+function renderDetail(traffic) {
+    if (!traffic) return;
+
+    $('detail').hidden = false;
+    $('detail-title').textContent = `${traffic.request.method} ${traffic.request.path}`;
+    $('replay').disabled = traffic.blocked;
+
+    const summary = $('detail-summary');
+    summary.replaceChildren();
+    const add = (label, value) => {
+        summary.append(el('dt', label));
+        const dd = el('dd');
+        if (value instanceof Node) dd.append(value); else dd.textContent = value;
+        summary.append(dd);
+    };
+
+    const status = traffic.response?.statusCode;
+    add('Status', status ? String(status) : (traffic.response?.error || 'pending'));
+    summary.lastChild.className = statusClass(status);
+    if (traffic.response?.error) add('Error', traffic.response.error);
+    add('Started', new Date(traffic.request.timestamp || traffic.createdAt).toLocaleString());
+    add('Duration', traffic.responseTime != null ? `${traffic.responseTime} ms` : '—');
+    add('Request size', formatBytes(traffic.request.bodySize || 0));
+    add('Response size', formatBytes(traffic.response?.bodySize || 0));
+    add('Tunnel', traffic.subdomain || traffic.tunnelId || '—');
+    if (traffic.request.clientIp) add('Client IP', traffic.request.clientIp);
+    if (traffic.blocked) add('Blocked', 'Turned away by the tunnel\'s IP rules');
+    if (traffic.imported) add('Imported', 'Loaded from a HAR file');
+    if (traffic.replayOf) add('Replay of', requestLink(traffic.replayOf));
+    if (traffic.replays?.length) {
+        const links = el('span');
+        traffic.replays.forEach((id, i) => {
+            if (i > 0) links.append(', ');
+            links.append(requestLink(id));
+        });
+        add('Replays', links);
+    }
+
+    renderHeaders($('request-headers'), traffic.request.headers);
+    renderBody($('request-body'), {
+        parsed: traffic.request.parsedBody,
+        text: traffic.request.body,
+        truncated: traffic.request.bodyTruncated,
+    });
+
+    renderHeaders($('response-headers'), traffic.response?.headers);
+    renderBody($('response-body'), {
+        parsed: traffic.response?.parsedBody,
+        base64: traffic.response?.body,
+        contentType: headerValue(traffic.response?.headers, 'content-type'),
+        truncated: traffic.response?.bodyTruncated,
+    });
+}
+
+function requestLink(requestId) {
+    const link = el('a', requestId);
+    link.addEventListener('click', () => selectTraffic(requestId));
+    return link;
+}
+
+function renderHeaders(table, headers = {}) {
+    table.replaceChildren();
+    for (const [name, value] of Object.entries(headers || {})) {
+        const row = el('tr');
+        row.append(el('td', name), el('td', Array.isArray(value) ? value.join('\n') : String(value)));
+        table.append(row);
+    }
+    if (table.rows.length === 0) {
+        const row = el('tr');
+        row.append(el('td', '—'));
+        table.append(row);
+    }
+}
+
+/**
+ * Shows a body: JSON pretty-printed, text as is, binary as a size
+ * @param {HTMLElement} pre - Target element
+ * @param {Object} body - parsed (JSON), text or base64, contentType, truncated
+ */
+function renderBody(pre, { parsed, text, base64, contentType = '', truncated = false }) {
+    let content;
+
+    if (parsed !== undefined) {
+        content = JSON.stringify(parsed, null, 2);
+    } else if (text) {
+        content = text;
+    } else if (base64) {
+        const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        content = !contentType || TEXT_CONTENT_TYPE.test(contentType)
+            ? new TextDecoder().decode(bytes)
+            : `[${formatBytes(bytes.length)} of ${contentType}]`;
+    } else {
+        content = '(empty)';
+    }
+
+    pre.textContent = truncated ? `${content}\n\n… body truncated in the capture` : content;
+}
+
+function showNotice(text) {
+    const notice = $('detail-notice');
+    notice.textContent = text;
+    notice.hidden = false;
+    $('detail').hidden = false;
+}
+
+function hideNotice() {
+    $('detail-notice').hidden = true;
+}
+
+// ----------------------------------------------------------------------------
+// Actions
+// ----------------------------------------------------------------------------
+
+async function copyCurl() {
+    if (!state.selectedId) return;
+
+    try {
+        const { curl } = await api(`/api/traffic/${encodeURIComponent(state.selectedId)}/curl`);
+        await navigator.clipboard.writeText(curl);
+        showNotice('curl command copied to the clipboard');
+    } catch (error) {
+        showNotice(`Could not copy curl command: ${error.message}`);
+    }
+}
+
+/**
+ * Replays the selected request and opens the new entry with a diff summary
+ */
+async function replay() {
+    if (!state.selectedId) return;
+
+    const button = $('replay');
+    button.disabled = true;
+    try {
+        const result = await api(`/api/traffic/${encodeURIComponent(state.selectedId)}/replay`, { method: 'POST' });
+        const { diff, ...traffic } = result;
+
+        upsertTraffic(traffic);
+        await selectTraffic(traffic.requestId);
+        showNotice(describeDiff(diff));
+    } catch (error) {
+        showNotice(error.status === 401
+            ? 'Replay needs admin access: enter the gateway\'s admin token at the top of the page'
+            : `Replay failed: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Summarises a replay diff in a few lines
+ * @param {Object|null} diff - Diff from the replay API
+ * @returns {string} Summary
+ */
+function describeDiff(diff) {
+    if (!diff) return 'Replayed (the original had no response to compare with)';
+    if (diff.identical) return 'Replayed: same response as the original';
+
+    const lines = ['Replayed, response differs from the original:'];
+    if (diff.statusCode) {
+        lines.push(`• status ${diff.statusCode.original} → ${diff.statusCode.replay}`);
+    }
+    for (const [kind, headers] of Object.entries(diff.headers)) {
+        const names = Object.keys(headers);
+        if (names.length) lines.push(`• headers ${kind}: ${names.join(', ')}`);
+    }
+    if (diff.body.changes === null) {
+        lines.push('• body changed (too long to compare)');
+    } else if (diff.body.changes.length) {
+        const places = diff.body.type === 'json'
+            ? diff.body.changes.slice(0, 5).map(c => c.path).join(', ')
+            : `${diff.body.changes.length} lines`;
+        lines.push(`• body: ${places}${diff.body.type === 'json' && diff.body.changes.length > 5 ? ', …' : ''}`);
+    }
+    return lines.join('\n');
+}
+
+// ----------------------------------------------------------------------------
+// Startup
+// ----------------------------------------------------------------------------
+
+async function init() {
+    const config = await fetch('config.json').then(r => r.json());
+    state.gatewayUrl = config.gatewayUrl;
+    $('gateway').textContent = config.gatewayUrl;
+
+    const form = $('filters');
+    let pathTimer = null;
+    form.addEventListener('change', applyFilters);
+    form.addEventListener('input', (event) => {
+        if (event.target.name !== 'path' && event.target.name !== 'statusCode') return;
+        clearTimeout(pathTimer);
+        pathTimer = setTimeout(applyFilters, 300);
+    });
+    form.addEventListener('submit', (event) => event.preventDefault());
+    $('clear-filters').addEventListener('click', () => {
+        form.reset();
+        applyFilters();
+    });
+
+    $('copy-curl').addEventListener('click', copyCurl);
+    $('replay').addEventListener('click', replay);
+    $('admin-token').addEventListener('input', (event) => {
+        state.adminToken = event.target.value.trim();
+    });
+
+    await loadTunnels();
+    await applyFilters();
+    connectLive();
+    setInterval(loadTunnels, TUNNEL_REFRESH_INTERVAL);
+}
+
+init();
@@ -0,0 +1,33 @@
+/**
+ * Dashboard App
+ *
+ * Serves the dashboard's static files. The page talks to the gateway
+ * directly: its REST API (which allows CORS from the dashboard origin)
+ * and the /api/inspect WebSocket for live traffic.
+ */
+
+const path = require('path');
+const express = require('express');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+/**
+ * Creates the dashboard Express app
+ * @param {Object} config - Dashboard configuration
+ * @param {string} config.gatewayUrl - Base URL of the gateway API
+ * @returns {express.Application} Configured Express app
+ */
+function createDashboardApp(config) {
+    const app = express();
+
+    // Tells the page where the gateway is
+    app.get('/config.json', (req, res) => {
+        res.json({ gatewayUrl: config.gatewayUrl });
+    });
+
+    app.use(express.static(PUBLIC_DIR));
+
+    return app;
+}
+
+module.exports = createDashboardApp;
@@ -0,0 +1,45 @@
+/**
+ * DevTunnel+ Dashboard
+ *
+ * Main entry point for the dashboard web UI: active tunnels, live
+ * traffic with filters, request/response details, copy-as-curl and
+ * replay, all backed by the gateway API.
+ */
+
+const { createLogger, DEFAULT_DASHBOARD_PORT, DEFAULT_GATEWAY_PORT } = require('@devtunnel/shared');
+const createDashboardApp = require('./app');
+
+const logger = createLogger({ name: 'Dashboard' });
+
+// Configuration from environment or defaults
+const config = {
+    port: parseInt(process.env.DASHBOARD_PORT, 10) || DEFAULT_DASHBOARD_PORT,
+    host: process.env.HOST || 'localhost',
+    // Gateway HTTP server the page calls (its CORS settings must allow this dashboard's origin)
+    gatewayUrl: (process.env.GATEWAY_URL || `http://localhost:${DEFAULT_GATEWAY_PORT}`).replace(/\/+$/, ''),
+};
+
+/**
+ * Bootstrap and start the dashboard server
+ */
+function main() {
+    const server = createDashboardApp(config).listen(config.port, config.host, () => {
+        logger.info(`📊 Dashboard running on http://${config.host}:${config.port}`, { gateway: config.gatewayUrl });
+    });
+
+    server.on('error', (error) => {
+        logger.error('Failed to start dashboard', { error: error.message });
+        process.exit(1);
+    });
+
+    // Graceful shutdown handlers
+    const shutdown = (signal) => {
+        logger.info(`Received ${signal}, shutting down...`);
+        server.close(() => process.exit(0));
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main();
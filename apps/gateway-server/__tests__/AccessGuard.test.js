@@ -0,0 +1,73 @@
+/**
+ * Tests for AccessGuard
+ */
+
+const AccessGuard = require('../src/services/AccessGuard');
+
+describe('AccessGuard', () => {
+    let guard;
+    const tunnel = { subdomain: 'demo', basicAuth: { username: 'demo', password: 's3cret:pw' } };
+
+    function createRequest(headers = {}, ip = '127.0.0.1') {
+        return { url: '/', ip, headers: { host: 'demo.localhost', ...headers } };
+    }
+
+    function basic(credentials) {
+        return `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    beforeEach(() => {
+        guard = new AccessGuard();
+        guard.logger.setLevel('ERROR');
+    });
+
+    it('should allow everything on tunnels without access rules', () => {
+        expect(guard.check({ subdomain: 'open' }, createRequest()).allowed).toBe(true);
+    });
+
+    it('should challenge requests without credentials', () => {
+        const result = guard.check(tunnel, createRequest());
+
+        expect(result.allowed).toBe(false);
+        expect(result.statusCode).toBe(401);
+        expect(result.code).toBe('UNAUTHORIZED');
+        expect(result.headers['WWW-Authenticate']).toMatch(/^Basic realm=/);
+    });
+
+    it('should reject wrong credentials', () => {
+        expect(guard.check(tunnel, createRequest({ authorization: basic('demo:wrong') })).allowed).toBe(false);
+        expect(guard.check(tunnel, createRequest({ authorization: basic('other:s3cret:pw') })).allowed).toBe(false);
+        expect(guard.check(tunnel, createRequest({ authorization: 'Bearer s3cret' })).allowed).toBe(false);
+    });
+
+    it('should only let allowed ranges through', () => {
+        const locked = { subdomain: 'hooks', ipRules: { allow: ['192.0.2.0/24', '2001:db8::/32'], deny: [] } };
+
+        expect(guard.check(locked, createRequest({}, '192.0.2.10')).allowed).toBe(true);
+        expect(guard.check(locked, createRequest({}, '::ffff:192.0.2.10')).allowed).toBe(true);
+        expect(guard.check(locked, createRequest({}, '2001:db8::5')).allowed).toBe(true);
+
+        const result = guard.check(locked, createRequest({}, '203.0.113.1'));
+        expect(result).toMatchObject({ allowed: false, blocked: true, statusCode: 403, code: 'IP_BLOCKED' });
+    });
+
+    it('should let deny entries win over allow entries', () => {
+        const locked = { subdomain: 'hooks', ipRules: { allow: ['10.0.0.0/8'], deny: ['10.1.0.0/16'] } };
+
+        expect(guard.isIpAllowed(locked, '10.2.3.4')).toBe(true);
+        expect(guard.isIpAllowed(locked, '10.1.3.4')).toBe(false);
+    });
+
+    it('should check IP rules before asking for credentials', () => {
+        const locked = { ...tunnel, ipRules: { allow: [], deny: ['127.0.0.1'] } };
+
+        expect(guard.check(locked, createRequest()).statusCode).toBe(403);
+    });
+
+    it('should accept matching credentials and strip them from the request', () => {
+        const req = createRequest({ authorization: basic('demo:s3cret:pw') });
+
+        expect(guard.check(tunnel, req).allowed).toBe(true);
+        expect(req.headers.authorization).toBeUndefined();
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for DomainStore
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DomainStore = require('../src/services/DomainStore');
+
+describe('DomainStore', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devtunnel-domains-'));
+        filePath = path.join(dir, 'domains.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createStore() {
+        const store = new DomainStore({ filePath });
+        store.logger.setLevel('ERROR');
+        return store;
+    }
+
+    it('should normalize hostnames and refuse duplicates', () => {
+        const store = createStore();
+
+        expect(store.add({ hostname: 'API.Customer-Demo.test' }).domain.hostname).toBe('api.customer-demo.test');
+        expect(store.add({ hostname: 'api.customer-demo.test.' }).code).toBe('DOMAIN_TAKEN');
+        expect(store.add({ hostname: 'not a host' }).code).toBe('INVALID_DOMAIN');
+        expect(store.add({}).code).toBe('INVALID_DOMAIN');
+    });
+
+    it('should only authorize the owning token', () => {
+        const store = createStore();
+        store.add({ hostname: 'api.customer-demo.test', tokenId: 'tok_a' });
+        store.add({ hostname: 'shared.customer-demo.test' });
+
+        expect(store.authorize('api.customer-demo.test', 'tok_a')).toEqual({ success: true, hostname: 'api.customer-demo.test' });
+        expect(store.authorize('api.customer-demo.test', 'tok_b').code).toBe('DOMAIN_NOT_ALLOWED');
+        expect(store.authorize('shared.customer-demo.test', null).success).toBe(true);
+        expect(store.authorize('other.customer-demo.test', 'tok_a').code).toBe('DOMAIN_NOT_ALLOWED');
+    });
+
+    it('should persist domains and reload them', () => {
+        const store = createStore();
+        store.add({ hostname: 'api.customer-demo.test', tokenId: 'tok_a' });
+        store.add({ hostname: 'app.customer-demo.test' });
+        expect(store.remove('APP.customer-demo.test').hostname).toBe('app.customer-demo.test');
+        expect(store.remove('app.customer-demo.test')).toBeNull();
+
+        const reloaded = createStore();
+        expect(reloaded.list()).toEqual([expect.objectContaining({ hostname: 'api.customer-demo.test', tokenId: 'tok_a' })]);
+    });
+});
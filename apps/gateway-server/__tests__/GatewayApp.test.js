@@ -0,0 +1,266 @@
+/**
+ * Tests for GatewayApp routing
+ */
+
+const http = require('http');
+const { parseMessage, toBodyBuffer, MessageType } = require('@devtunnel/shared');
+const GatewayApp = require('../src/app');
+
+/**
+ * Sends a request to the gateway's HTTP server
+ * @returns {Promise<Object>} statusCode, headers and body (string)
+ */
+function request(port, { method = 'GET', path = '/', host, headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path, headers: { host, ...headers } }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+        });
+        req.setTimeout(5000, () => req.destroy(new Error('Request timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+describe('GatewayApp', () => {
+    let gateway;
+    let port;
+    let tunnel;
+    let received;
+
+    beforeEach(async () => {
+        gateway = new GatewayApp({
+            httpPort: 0,
+            wsPort: 0,
+            host: '127.0.0.1',
+            publicDomain: 'localhost',
+            dashboardUrl: 'http://localhost:3002',
+            reconnectGracePeriod: 0,
+            inspector: {},
+            rateLimits: {},
+        });
+        await gateway.start();
+        port = gateway.httpServer.address().port;
+
+        // A tunnel client that echoes each request's path and body back
+        received = [];
+        const ws = {
+            readyState: 1,
+            bufferedAmount: 0,
+            send(data) {
+                const message = parseMessage(data);
+                if (message.type !== MessageType.HTTP_REQUEST) return;
+
+                const { requestId, method, path, body } = message.payload;
+                received.push({ method, path, body: body ? toBodyBuffer(body).toString('utf8') : null });
+                setImmediate(() => gateway.requestForwarder.handleResponse(tunnel, {
+                    requestId,
+                    statusCode: 200,
+                    headers: { 'content-type': 'text/plain' },
+                    body: Buffer.from(`tunnel:${method} ${path}`),
+                }));
+            },
+            close() { },
+        };
+        tunnel = gateway.tunnelManager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 }).tunnel;
+    });
+
+    afterEach(async () => {
+        await gateway.stop();
+    });
+
+    it('should forward JSON bodies for /api paths on a tunnel host to the tunnel', async () => {
+        const response = await request(port, {
+            method: 'POST',
+            path: '/api/x',
+            host: 'myapp.localhost',
+            headers: { 'content-type': 'application/json' },
+            body: '{"name":"demo"}',
+        });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toBe('tunnel:POST /api/x');
+        expect(received).toEqual([{ method: 'POST', path: '/api/x', body: '{"name":"demo"}' }]);
+    });
+
+    it('should send gateway paths on a tunnel host to the tunnel, for its route table', async () => {
+        const paths = ['/api/tunnels', '/api/stats?window=1', '/api/admin/tokens', '/health', '/metrics'];
+
+        for (const path of paths) {
+            const response = await request(port, { path, host: 'myapp.localhost:3000' });
+            expect(response.body).toBe(`tunnel:GET ${path}`);
+        }
+        expect(received.map(r => r.path)).toEqual(paths);
+    });
+
+    it('should pause and resume a streamed response while the caller reads slowly', async () => {
+        const chunk = Buffer.alloc(256 * 1024, 'x');
+        const flow = [];
+        let sent = 0;
+        let streamTunnel;
+
+        // A client that streams chunks until the gateway asks it to pause, and ends once resumed
+        const ws = {
+            readyState: 1,
+            bufferedAmount: 0,
+            send(data) {
+                const message = parseMessage(data);
+                const { requestId } = message.payload;
+                const forwarder = gateway.requestForwarder;
+
+                if (message.type === MessageType.HTTP_REQUEST) {
+                    forwarder.handleResponseStart(streamTunnel, { requestId, statusCode: 200, headers: {} });
+                    const pump = () => {
+                        if (flow.length > 0 || sent >= 256) return;
+                        sent++;
+                        forwarder.handleResponseChunk(streamTunnel, { requestId, data: chunk });
+                        setImmediate(pump);
+                    };
+                    pump();
+                } else if (message.type === MessageType.HTTP_RESPONSE_PAUSE) {
+                    flow.push('pause');
+                } else if (message.type === MessageType.HTTP_RESPONSE_RESUME) {
+                    flow.push('resume');
+                    forwarder.handleResponseEnd(streamTunnel, { requestId });
+                }
+            },
+            close() { },
+        };
+        streamTunnel = gateway.tunnelManager.registerTunnel({ ws, requestedSubdomain: 'stream', localPort: 8080, capabilities: ['streaming'] }).tunnel;
+
+        const size = await new Promise((resolve, reject) => {
+            const req = http.request({ host: '127.0.0.1', port, path: '/big', headers: { host: 'stream.localhost' } }, (res) => {
+                let received = 0;
+                res.on('data', (data) => { received += data.length; });
+                res.on('end', () => resolve(received));
+
+                // Don't read until the gateway has had to pause the client
+                res.pause();
+                const waitForPause = () => (flow.length > 0 ? res.resume() : setTimeout(waitForPause, 10));
+                waitForPause();
+            });
+            req.setTimeout(10000, () => req.destroy(new Error('Request timed out')));
+            req.on('error', reject);
+            req.end();
+        });
+
+        expect(flow).toEqual(['pause', 'resume']);
+        expect(sent).toBeLessThan(256);
+        expect(size).toBe(sent * chunk.length);
+    });
+
+    it('should rate limit failed basic auth attempts', async () => {
+        tunnel.basicAuth = { username: 'demo', password: 's3cret' };
+        gateway.rateLimiter.limits.ip = { limit: 2, windowMs: 60000 };
+        const guess = (password) => request(port, {
+            host: 'myapp.localhost',
+            headers: { authorization: `Basic ${Buffer.from(`demo:${password}`).toString('base64')}` },
+        });
+
+        expect((await guess('a')).statusCode).toBe(401);
+        expect((await guess('b')).statusCode).toBe(401);
+        expect((await guess('s3cret')).statusCode).toBe(429);
+        expect(received).toEqual([]);
+    });
+
+    it('should tell a full request queue apart from an expired reconnect window', async () => {
+        gateway.tunnelManager.gracePeriod = 60000;
+        gateway.requestForwarder.queueSize = 0;
+
+        tunnel.disconnectedAt = Date.now();
+        const full = await request(port, { host: 'myapp.localhost' });
+        expect(full.statusCode).toBe(503);
+        expect(JSON.parse(full.body)).toMatchObject({ code: 'TUNNEL_UNAVAILABLE', message: 'Tunnel request queue is full' });
+
+        tunnel.disconnectedAt = Date.now() - 60000;
+        const expired = await request(port, { host: 'myapp.localhost' });
+        expect(expired.statusCode).toBe(503);
+        expect(JSON.parse(expired.body)).toMatchObject({
+            code: 'TUNNEL_UNAVAILABLE',
+            message: 'Tunnel client did not reconnect within the grace period',
+        });
+        expect(received).toEqual([]);
+    });
+
+    it('should keep serving the gateway API on the gateway host', async () => {
+        const response = await request(port, { path: '/api/tunnels', host: `localhost:${port}` });
+
+        expect(response.statusCode).toBe(200);
+        expect(JSON.parse(response.body).count).toBe(1);
+        expect(received).toEqual([]);
+    });
+
+    it('should only replay captured traffic for admins', async () => {
+        gateway.config.adminToken = 'adm1n';
+        const host = `localhost:${port}`;
+
+        const denied = await request(port, { method: 'POST', path: '/api/traffic/missing/replay', host });
+        expect(denied.statusCode).toBe(401);
+
+        const allowed = await request(port, {
+            method: 'POST',
+            path: '/api/traffic/missing/replay',
+            host,
+            headers: { authorization: 'Bearer adm1n' },
+        });
+        expect(allowed.statusCode).toBe(404);
+    });
+
+    it('should only import HAR files for admins into tunnels they own', async () => {
+        const host = `localhost:${port}`;
+        const har = JSON.stringify({ log: { entries: [{ startedDateTime: new Date().toISOString(), request: { method: 'GET', url: 'http://myapp.localhost/', headers: [] } }] } });
+        const post = (query, headers = {}) => request(port, {
+            method: 'POST',
+            path: `/api/traffic/import.har${query}`,
+            host,
+            headers: { 'content-type': 'application/json', authorization: 'Bearer adm1n', ...headers },
+            body: har,
+        });
+
+        gateway.config.adminToken = 'adm1n';
+        expect((await post('', { authorization: '' })).statusCode).toBe(401);
+
+        // Opened without a token from another address
+        tunnel.clientInfo = { clientIp: '192.0.2.7' };
+        expect((await post(`?tunnelId=${tunnel.tunnelId}`)).statusCode).toBe(403);
+        expect((await post('?subdomain=myapp')).statusCode).toBe(403);
+
+        // Opened with an auth token: importing takes that token
+        const token = gateway.tokenStore.create({ name: 'ci' });
+        tunnel.clientInfo = { clientIp: '192.0.2.7', tokenId: token.id };
+        expect((await post('?subdomain=myapp', { 'x-devtunnel-token': 'wrong' })).statusCode).toBe(403);
+
+        const imported = await post('?subdomain=myapp', { 'x-devtunnel-token': token.token });
+        expect(imported.statusCode).toBe(201);
+        const [requestId] = JSON.parse(imported.body).requestIds;
+        expect(gateway.inspectorService.getTrafficById(requestId)).toMatchObject({ tunnelId: tunnel.tunnelId });
+
+        // Unattached imports are kept for viewing only
+        expect((await post('')).statusCode).toBe(201);
+    });
+
+    it('should cap the size of HAR imports', async () => {
+        const response = await request(port, {
+            method: 'POST',
+            path: '/api/traffic/import.har',
+            host: `localhost:${port}`,
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify({ log: { entries: [], padding: 'x'.repeat(6 * 1024 * 1024) } }),
+        });
+
+        expect(response.statusCode).toBe(413);
+    });
+
+    it('should require the metrics token when one is configured', async () => {
+        gateway.config.metricsToken = 'm3trics';
+        const host = `localhost:${port}`;
+
+        expect((await request(port, { path: '/metrics', host })).statusCode).toBe(401);
+        expect((await request(port, { path: '/metrics', host, headers: { authorization: 'Bearer wrong' } })).statusCode).toBe(401);
+
+        const response = await request(port, { path: '/metrics', host, headers: { authorization: 'Bearer m3trics' } });
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toContain('devtunnel_active_tunnels{type="http",status="connected"} 1');
+    });
+});
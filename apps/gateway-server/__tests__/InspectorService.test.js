@@ -0,0 +1,191 @@
+/**
+ * Tests for InspectorService
+ */
+
+const InspectorService = require('../src/services/InspectorService');
+
+describe('InspectorService', () => {
+    let inspector;
+
+    function capture(requestId, { statusCode = 200, responseTime = 25, timestamp = Date.UTC(2026, 9, 19, 10) } = {}) {
+        inspector.recordRequest({
+            requestId,
+            tunnelId: 'T1',
+            subdomain: 'hooks',
+            method: 'POST',
+            path: '/webhook?attempt=1',
+            headers: { 'content-type': 'application/json', cookie: 'sid=abc; theme=dark' },
+            body: null,
+            query: { attempt: '1' },
+            timestamp,
+            clientIp: '192.0.2.1',
+        }).setRequestBody('{"id":"e1"}', { size: 11 });
+
+        if (statusCode) {
+            inspector.recordResponse({
+                requestId,
+                statusCode,
+                headers: { 'content-type': 'application/json', 'set-cookie': ['seen=1; Path=/', 'n=2'] },
+                body: Buffer.from('{"ok":true}'),
+                responseTime,
+            });
+        }
+    }
+
+    beforeEach(() => {
+        inspector = new InspectorService();
+        inspector.logger.setLevel('ERROR');
+    });
+
+    afterEach(() => {
+        inspector.destroy();
+    });
+
+    it('should redact credentials as traffic is captured', () => {
+        const emitted = [];
+        inspector.on('request', (traffic) => emitted.push(traffic));
+        capture('r1');
+
+        for (const traffic of [emitted[0], inspector.getTrafficById('r1'), inspector.getAllTraffic()[0]]) {
+            expect(traffic.request.headers).toEqual({ 'content-type': 'application/json', cookie: '[REDACTED]' });
+        }
+        expect(inspector.getTrafficById('r1').response.headers['set-cookie']).toBe('[REDACTED]');
+    });
+
+    describe('HAR export', () => {
+        it('should export captured traffic as HAR 1.2 entries', () => {
+            capture('r1');
+
+            const har = inspector.exportHar({}, (subdomain) => `https://${subdomain}.example.dev`);
+            expect(har.log.version).toBe('1.2');
+            expect(har.log.creator.name).toBe('DevTunnel+');
+
+            const [entry] = har.log.entries;
+            expect(entry.startedDateTime).toBe('2026-10-19T10:00:00.000Z');
+            expect(entry.time).toBe(25);
+            expect(entry.timings).toMatchObject({ send: 0, wait: 25, receive: 0 });
+            expect(entry._requestId).toBe('r1');
+
+            expect(entry.request).toMatchObject({
+                method: 'POST',
+                url: 'https://hooks.example.dev/webhook?attempt=1',
+                queryString: [{ name: 'attempt', value: '1' }],
+                postData: { mimeType: 'application/json', text: '{"id":"e1"}' },
+                bodySize: 11,
+            });
+            // Cookies are redacted when captured, so none are exported
+            expect(entry.request.headers).toContainEqual({ name: 'cookie', value: '[REDACTED]' });
+            expect(entry.request.cookies).toEqual([]);
+
+            expect(entry.response).toMatchObject({
+                status: 200,
+                statusText: 'OK',
+                content: { size: 11, mimeType: 'application/json', text: '{"ok":true}' },
+            });
+            expect(entry.response.headers).toContainEqual({ name: 'set-cookie', value: '[REDACTED]' });
+            expect(entry.response.cookies).toEqual([]);
+        });
+
+        it('should apply the traffic filters and list entries oldest first', () => {
+            capture('first', { timestamp: Date.UTC(2026, 9, 19, 10) });
+            capture('failed', { statusCode: 500 });
+            capture('pending', { statusCode: null });
+            capture('second', { timestamp: Date.UTC(2026, 9, 19, 11) });
+
+            expect(inspector.exportHar({ statusCode: '200' }).log.entries.map(e => e._requestId)).toEqual(['first', 'second']);
+
+            const pending = inspector.exportHar().log.entries.find(e => e._requestId === 'pending');
+            expect(pending.response.status).toBe(0);
+        });
+
+        it('should base64-encode binary response bodies', () => {
+            inspector.recordRequest({ requestId: 'img', tunnelId: 'T1', subdomain: 'hooks', method: 'GET', path: '/logo.png', headers: {} });
+            inspector.recordResponse({
+                requestId: 'img',
+                statusCode: 200,
+                headers: { 'content-type': 'image/png' },
+                body: Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+            });
+
+            const [entry] = inspector.exportHar().log.entries;
+            expect(entry.response.content).toEqual({ size: 4, mimeType: 'image/png', text: 'iVBORw==', encoding: 'base64' });
+        });
+    });
+
+    describe('HAR import', () => {
+        it('should load exported entries back for inspection', async () => {
+            capture('r1');
+            const har = inspector.exportHar();
+            await inspector.clear();
+
+            const result = inspector.importHar(har, { tunnelId: 'T2' });
+            expect(result).toMatchObject({ success: true, imported: 1, skipped: 0 });
+
+            const traffic = inspector.getTrafficById(result.requestIds[0]);
+            expect(traffic).toMatchObject({ tunnelId: 'T2', subdomain: 'hooks', imported: true, responseTime: 25 });
+            expect(traffic.request).toMatchObject({
+                method: 'POST',
+                path: '/webhook?attempt=1',
+                body: '{"id":"e1"}',
+                query: { attempt: '1' },
+                clientIp: '192.0.2.1',
+            });
+            expect(traffic.request.headers['content-type']).toBe('application/json');
+            expect(traffic.response.headers['set-cookie']).toBe('[REDACTED]');
+            expect(traffic.response.parsedBody).toEqual({ ok: true });
+        });
+
+        it('should take the subdomain from the entry URL and skip broken entries', () => {
+            const result = inspector.importHar({
+                log: {
+                    entries: [
+                        {
+                            startedDateTime: '2026-10-19T10:00:00.000Z',
+                            time: 5,
+                            request: { method: 'get', url: 'https://api.example.com/items', headers: [{ name: ':authority', value: 'api.example.com' }] },
+                            response: { status: 204, headers: [], content: {} },
+                        },
+                        { request: { method: 'GET', url: 'not a url' } },
+                    ],
+                },
+            });
+
+            expect(result).toMatchObject({ imported: 1, skipped: 1 });
+            const traffic = inspector.getTrafficById(result.requestIds[0]);
+            expect(traffic).toMatchObject({ subdomain: 'api', tunnelId: null });
+            expect(traffic.request.method).toBe('GET');
+            expect(traffic.request.headers).toEqual({});
+            expect(traffic.response.statusCode).toBe(204);
+        });
+
+        it('should reject documents that are not HAR files', () => {
+            expect(inspector.importHar({ entries: [] })).toMatchObject({ success: false, code: 'INVALID_REQUEST' });
+        });
+    });
+
+    describe('stats', () => {
+        it('should add rolling latency percentiles and error rates as responses arrive', () => {
+            capture('r1', { responseTime: 20 });
+            capture('r2', { responseTime: 400, statusCode: 500 });
+            capture('r3', { statusCode: null });
+
+            const stats = inspector.getStats();
+            expect(stats).toMatchObject({ totalRequests: 3, activeTunnels: 1, successRate: '50.00', errorRate: '50.00', avgResponseTime: 210 });
+            expect(stats.window).toMatchObject({ requests: 2, errors: 1, errorRate: 50, p50: 20 });
+            expect(Math.abs(stats.window.p99 - 400)).toBeLessThanOrEqual(400 * 0.025);
+            expect(stats.buckets).toHaveLength(60);
+            expect(stats.buckets[59].requests).toBe(2);
+
+            expect(inspector.getTunnelMetrics('T1').window.requests).toBe(2);
+            expect(inspector.getTunnelMetrics('T2').window.requests).toBe(0);
+        });
+
+        it('should leave imported traffic out of the rolling stats', () => {
+            capture('r1');
+            inspector.importHar(inspector.exportHar());
+
+            expect(inspector.getStats().totalRequests).toBe(2);
+            expect(inspector.getStats().window.requests).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for InspectorSocket
+ */
+
+const { EventEmitter } = require('events');
+const {
+    createInspectSubscribeMessage,
+    parseMessage,
+    serializeMessage,
+    MessageType,
+} = require('@devtunnel/shared');
+const InspectorService = require('../src/services/InspectorService');
+const InspectorSocket = require('../src/websocket/InspectorSocket');
+
+/**
+ * Creates a fake subscriber WebSocket that records what the gateway sends
+ */
+function createClient() {
+    const ws = new EventEmitter();
+    return Object.assign(ws, {
+        readyState: 1,
+        bufferedAmount: 0,
+        sent: [],
+        send(data) {
+            this.sent.push(parseMessage(data));
+        },
+        close() {
+            this.readyState = 3;
+        },
+        events() {
+            return this.sent.filter(m => m.type === MessageType.INSPECT_REQUEST || m.type === MessageType.INSPECT_RESPONSE);
+        },
+    });
+}
+
+describe('InspectorSocket', () => {
+    let inspector;
+    let socket;
+
+    function connect(query) {
+        const ws = createClient();
+        socket.handleConnection(ws, { socket: { remoteAddress: '127.0.0.1' } }, query);
+        return ws;
+    }
+
+    function capture(requestId, { tunnelId = 'T1', method = 'GET', path = '/', statusCode = 200 } = {}) {
+        inspector.recordRequest({ requestId, tunnelId, subdomain: 'hooks', method, path, headers: {}, body: null });
+        inspector.recordResponse({ requestId, statusCode, headers: {}, body: null, responseTime: 5 });
+    }
+
+    beforeEach(() => {
+        inspector = new InspectorService();
+        inspector.logger.setLevel('ERROR');
+        socket = new InspectorSocket(inspector);
+        socket.logger.setLevel('ERROR');
+    });
+
+    afterEach(() => {
+        socket.stop();
+        inspector.destroy();
+    });
+
+    it('should push all traffic to clients that connect without filters', () => {
+        const ws = connect();
+        expect(ws.sent[0]).toMatchObject({ type: MessageType.INSPECT_SUBSCRIBED, payload: { filters: {} } });
+
+        capture('r1');
+
+        expect(ws.events().map(m => m.type)).toEqual([MessageType.INSPECT_REQUEST, MessageType.INSPECT_RESPONSE]);
+        expect(ws.events()[1].payload.traffic).toMatchObject({ requestId: 'r1', response: { statusCode: 200 } });
+    });
+
+    it('should apply query string filters', () => {
+        const ws = connect({ tunnelId: 'T2', method: 'post', path: '^/hooks' });
+
+        capture('other-tunnel', { method: 'POST', path: '/hooks/a' });
+        capture('wrong-method', { tunnelId: 'T2', path: '/hooks/a' });
+        capture('wrong-path', { tunnelId: 'T2', method: 'POST', path: '/health' });
+        capture('match', { tunnelId: 'T2', method: 'POST', path: '/Hooks/b' });
+
+        expect(ws.events().map(m => m.payload.traffic.requestId)).toEqual(['match', 'match']);
+    });
+
+    it('should only send responses when filtering by status', () => {
+        const ws = connect({ statusCode: '500' });
+
+        capture('ok');
+        capture('failed', { statusCode: 500 });
+
+        expect(ws.events().map(m => [m.type, m.payload.traffic.requestId])).toEqual([
+            [MessageType.INSPECT_RESPONSE, 'failed'],
+        ]);
+    });
+
+    it('should replace the subscription and pause on unsubscribe', () => {
+        const ws = connect();
+
+        socket.handleMessage(ws, serializeMessage(createInspectSubscribeMessage({ subdomain: 'nope' })));
+        capture('r1');
+        expect(ws.events()).toHaveLength(0);
+
+        socket.handleMessage(ws, serializeMessage(createInspectSubscribeMessage({})));
+        socket.handleMessage(ws, serializeMessage({ type: MessageType.INSPECT_UNSUBSCRIBE, payload: {} }));
+        capture('r2');
+        expect(ws.events()).toHaveLength(0);
+    });
+
+    it('should reject invalid filters', () => {
+        const ws = connect({ path: '(' });
+        expect(ws.sent[0]).toMatchObject({ type: MessageType.ERROR, payload: { code: 'INVALID_REQUEST' } });
+
+        capture('r1');
+        expect(ws.events()).toHaveLength(0);
+
+        socket.handleMessage(ws, serializeMessage(createInspectSubscribeMessage({ statusCode: 'abc' })));
+        expect(ws.sent[ws.sent.length - 1].payload.error).toMatch(/statusCode/);
+    });
+
+    it('should stop sending to clients that disconnect or fall behind', () => {
+        const slow = connect();
+        const gone = connect();
+        slow.bufferedAmount = 10 * 1024 * 1024;
+        gone.emit('close');
+
+        capture('r1');
+
+        expect(slow.events()).toHaveLength(0);
+        expect(gone.events()).toHaveLength(0);
+        expect(socket.clients.size).toBe(1);
+    });
+});
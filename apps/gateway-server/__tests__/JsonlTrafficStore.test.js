@@ -0,0 +1,229 @@
+/**
+ * Tests for JsonlTrafficStore
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InspectorService = require('../src/services/InspectorService');
+const JsonlTrafficStore = require('../src/storage/JsonlTrafficStore');
+
+describe('JsonlTrafficStore', () => {
+    let dir;
+    let inspector;
+
+    function open(options = {}) {
+        const store = new JsonlTrafficStore({ dir, ...options });
+        store.logger.setLevel('ERROR');
+        inspector = new InspectorService({ store, ...options });
+        inspector.logger.setLevel('ERROR');
+        return inspector;
+    }
+
+    function capture(requestId, { method = 'GET', path: requestPath = '/', statusCode = 200, tunnelId = 'T1' } = {}) {
+        inspector.recordRequest({ requestId, tunnelId, subdomain: 'hooks', method, path: requestPath, headers: {}, body: null });
+        inspector.recordRequestBody(requestId, `{"id":"${requestId}"}`, { size: 12 });
+        inspector.recordResponse({
+            requestId,
+            statusCode,
+            headers: { 'content-type': 'application/json' },
+            body: Buffer.from('{"ok":true}'),
+            responseTime: 10,
+        });
+    }
+
+    function segments() {
+        return fs.readdirSync(dir).filter(name => name.endsWith('.jsonl'));
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devtunnel-traffic-'));
+    });
+
+    afterEach(async () => {
+        await inspector?.destroy();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep traffic across restarts', async () => {
+        open();
+        capture('r1', { method: 'POST', path: '/webhook' });
+        capture('r2');
+        await inspector.destroy();
+
+        open();
+        const traffic = inspector.getTrafficById('r1');
+        expect(traffic.request).toMatchObject({ method: 'POST', path: '/webhook', body: '{"id":"r1"}' });
+        expect(traffic.request.parsedBody).toBeUndefined();
+        expect(traffic.response.statusCode).toBe(200);
+        expect(traffic.response.parsedBody).toEqual({ ok: true });
+        expect(inspector.getStats().totalRequests).toBe(2);
+    });
+
+    it('should append through a stream and write each body once', async () => {
+        open();
+        const writeSync = jest.spyOn(fs, 'writeSync');
+        try {
+            capture('r1');
+            expect(inspector.getTrafficById('r1').request.body).toBe('{"id":"r1"}');
+            expect(writeSync).not.toHaveBeenCalled();
+        } finally {
+            writeSync.mockRestore();
+        }
+        await inspector.destroy();
+
+        const lines = segments().flatMap(name => fs.readFileSync(path.join(dir, name), 'utf8').trim().split('\n'));
+        const responseBody = Buffer.from('{"ok":true}').toString('base64');
+        expect(lines.filter(line => line.includes('{\\"id\\":\\"r1\\"}'))).toHaveLength(1);
+        expect(lines.filter(line => line.includes(responseBody))).toHaveLength(1);
+        expect(lines).toHaveLength(5); // three states of the record, two bodies
+    });
+
+    it('should redact credentials the same before and after a restart', async () => {
+        open();
+        inspector.recordRequest({
+            requestId: 'r1',
+            tunnelId: 'T1',
+            subdomain: 'hooks',
+            method: 'GET',
+            path: '/',
+            headers: { authorization: 'Bearer s3cret', cookie: 'sid=s3cret', accept: '*/*' },
+        });
+        inspector.recordResponse({ requestId: 'r1', statusCode: 200, headers: { 'set-cookie': ['sid=s3cret'] }, responseTime: 5 });
+        const before = inspector.getTrafficById('r1');
+        await inspector.destroy();
+
+        const contents = segments().map(name => fs.readFileSync(path.join(dir, name), 'utf8')).join('');
+        expect(contents).not.toContain('s3cret');
+
+        open();
+        const traffic = inspector.getTrafficById('r1');
+        expect(traffic.request.headers).toEqual({ authorization: '[REDACTED]', cookie: '[REDACTED]', accept: '*/*' });
+        expect(traffic.response.headers).toEqual({ 'set-cookie': '[REDACTED]' });
+        expect(before.request.headers).toEqual(traffic.request.headers);
+        expect(before.response.headers).toEqual(traffic.response.headers);
+    });
+
+    it('should read records written with their bodies inline', () => {
+        const record = {
+            requestId: 'old',
+            tunnelId: 'T1',
+            subdomain: 'hooks',
+            request: { method: 'POST', path: '/', headers: {}, body: '{"id":"old"}' },
+            response: { statusCode: 200, headers: {}, body: Buffer.from('ok').toString('base64') },
+            responseTime: 10,
+            createdAt: Date.now(),
+        };
+        fs.writeFileSync(path.join(dir, 'traffic-1.jsonl'), `${JSON.stringify(record)}\n`);
+
+        open();
+        const traffic = inspector.getTrafficById('old');
+        expect(traffic.request.body).toBe('{"id":"old"}');
+        expect(traffic.response.body).toBe(record.response.body);
+    });
+
+    it('should serve the traffic filters from its index', () => {
+        open();
+        capture('r1', { method: 'POST', path: '/webhook', statusCode: 201 });
+        capture('r2', { path: '/health' });
+        capture('r3', { path: '/webhook', tunnelId: 'T2' });
+
+        const ids = (options) => inspector.getAllTraffic(options).map(t => t.requestId).sort();
+        expect(ids({ path: 'webhook' })).toEqual(['r1', 'r3']);
+        expect(ids({ method: 'post' })).toEqual(['r1']);
+        expect(ids({ statusCode: '200' })).toEqual(['r2', 'r3']);
+        expect(inspector.getTrafficByTunnel('T2').map(t => t.requestId)).toEqual(['r3']);
+        expect(inspector.getAllTraffic({ limit: 1 })).toHaveLength(1);
+    });
+
+    it('should run search queries on the stored records', () => {
+        open();
+        capture('r1', { method: 'POST', path: '/webhook', statusCode: 500 });
+        capture('r2', { path: '/health' });
+        capture('r3', { path: '/webhook', statusCode: 502 });
+        capture('r4', { path: '/webhook', statusCode: 503, tunnelId: 'T2' });
+
+        const ids = (q, options = {}) => inspector.getAllTraffic(inspector.parseFilters({ ...options, q }).filters).map(t => t.requestId);
+        expect(ids('req.body:r3 OR json.id=r1').sort()).toEqual(['r1', 'r3']);
+        expect(ids('status:5xx res.json.ok=true', { tunnelId: 'T1' }).sort()).toEqual(['r1', 'r3']);
+        expect(ids('status:5xx', { limit: '1', offset: '1' })).toHaveLength(1);
+        expect(ids('status:5xx', { offset: '3' })).toEqual([]);
+    });
+
+    it('should persist replay links', async () => {
+        open();
+        capture('orig');
+        inspector.recordRequest({ requestId: 'again', tunnelId: 'T1', subdomain: 'hooks', method: 'GET', path: '/', headers: {}, replayOf: 'orig' });
+        await inspector.destroy();
+
+        open();
+        expect(inspector.getTrafficById('orig').replays).toEqual(['again']);
+    });
+
+    it('should drop the oldest entries beyond the limit, also after a restart', async () => {
+        open({ maxStoredRequests: 2 });
+        capture('r1');
+        capture('r2');
+        capture('r3');
+
+        expect(inspector.getTrafficById('r1')).toBeNull();
+        await inspector.destroy();
+
+        open({ maxStoredRequests: 2 });
+        expect(inspector.getAllTraffic().map(t => t.requestId).sort()).toEqual(['r2', 'r3']);
+    });
+
+    it('should honour the retention window on start', async () => {
+        open();
+        capture('old');
+        await inspector.destroy();
+
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2 * 60 * 60 * 1000);
+        try {
+            open({ retentionMinutes: 60 });
+            expect(inspector.getTrafficById('old')).toBeNull();
+        } finally {
+            Date.now.mockRestore();
+        }
+    });
+
+    it('should delete segments once none of their records are current', async () => {
+        open({ segmentSize: 600 });
+        for (let i = 0; i < 6; i++) {
+            capture(`r${i}`);
+        }
+        expect(segments().length).toBeGreaterThan(1);
+
+        await inspector.clear();
+        expect(segments()).toHaveLength(1);
+        expect(inspector.getAllTraffic()).toEqual([]);
+    });
+
+    it('should not bring back cleared traffic after a restart', async () => {
+        open();
+        capture('r1');
+        const clearing = inspector.clear();
+        capture('r2');
+        await clearing;
+        await inspector.destroy();
+
+        open();
+        expect(inspector.getTrafficById('r1')).toBeNull();
+        expect(inspector.getTrafficById('r2').response.statusCode).toBe(200);
+        expect(segments().some(name => fs.readFileSync(path.join(dir, name), 'utf8').includes('"r1"'))).toBe(false);
+    });
+
+    it('should skip a line cut short by a crash', async () => {
+        open();
+        capture('r1');
+        await inspector.destroy();
+
+        const [segment] = segments();
+        fs.appendFileSync(path.join(dir, segment), '{"requestId":"r2","req');
+
+        open();
+        expect(inspector.getStats().totalRequests).toBe(1);
+        capture('r3');
+        expect(inspector.getTrafficById('r3').response.statusCode).toBe(200);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for MetricsService
+ */
+
+const EventEmitter = require('events');
+const TunnelManager = require('../src/services/TunnelManager');
+const MetricsService = require('../src/services/MetricsService');
+
+describe('MetricsService', () => {
+    let manager;
+    let metrics;
+    const ws = { readyState: 1 };
+    const newWs = { readyState: 1 };
+
+    // Sample lines of one metric, without HELP/TYPE
+    function samples(name) {
+        return metrics.render().split('\n').filter(line => line.startsWith(name) && !line.startsWith(`${name}_`));
+    }
+
+    beforeEach(() => {
+        manager = new TunnelManager({ gracePeriod: 5000 });
+        manager.logger.setLevel('ERROR');
+        metrics = new MetricsService(manager, { getClientCount: () => 2 });
+    });
+
+    afterEach(() => {
+        metrics.destroy();
+        manager.closeAll();
+    });
+
+    it('should count requests by tunnel, method and status class', () => {
+        const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+
+        metrics.observeRequest(tunnel, 'get', 200, 0.02);
+        metrics.observeRequest(tunnel, 'GET', 204, 0.3);
+        metrics.observeRequest(tunnel, 'PROPFIND', 502, 3);
+        metrics.observeRequest(tunnel, 'POST', null, 40);
+
+        expect(samples('devtunnel_http_requests_total')).toEqual([
+            'devtunnel_http_requests_total{tunnel="myapp",method="GET",status="2xx"} 2',
+            'devtunnel_http_requests_total{tunnel="myapp",method="OTHER",status="5xx"} 1',
+            'devtunnel_http_requests_total{tunnel="myapp",method="POST",status="none"} 1',
+        ]);
+
+        const text = metrics.render();
+        expect(text).toContain('# TYPE devtunnel_http_request_duration_seconds histogram');
+        expect(text).toContain('devtunnel_http_request_duration_seconds_bucket{tunnel="myapp",le="0.025"} 1');
+        expect(text).toContain('devtunnel_http_request_duration_seconds_bucket{tunnel="myapp",le="0.5"} 2');
+        expect(text).toContain('devtunnel_http_request_duration_seconds_bucket{tunnel="myapp",le="30"} 3');
+        expect(text).toContain('devtunnel_http_request_duration_seconds_bucket{tunnel="myapp",le="+Inf"} 4');
+        expect(text).toContain('devtunnel_http_request_duration_seconds_count{tunnel="myapp"} 4');
+        expect(text.endsWith('\n')).toBe(true);
+    });
+
+    it('should record a tracked request when its response closes', () => {
+        const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+        const res = Object.assign(new EventEmitter(), { headersSent: true, statusCode: 404 });
+
+        metrics.trackRequest(tunnel, { method: 'DELETE' }, res);
+        expect(samples('devtunnel_http_requests_total')).toEqual([]);
+
+        res.emit('close');
+        expect(samples('devtunnel_http_requests_total')).toEqual([
+            'devtunnel_http_requests_total{tunnel="myapp",method="DELETE",status="4xx"} 1',
+        ]);
+    });
+
+    it('should report tunnel figures at scrape time', () => {
+        const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+        const tcp = manager.registerTunnel({ ws, type: 'tcp', localPort: 5432 }).tunnel;
+        tcp.publicPort = 40001;
+
+        tunnel.recordRequest(120, 4096);
+        tunnel.addPendingRequest('req1', {});
+
+        expect(samples('devtunnel_tunnel_bytes_in_total')).toEqual([
+            'devtunnel_tunnel_bytes_in_total{tunnel="myapp"} 120',
+            'devtunnel_tunnel_bytes_in_total{tunnel="tcp:40001"} 0',
+        ]);
+        expect(samples('devtunnel_tunnel_bytes_out_total')).toContain('devtunnel_tunnel_bytes_out_total{tunnel="myapp"} 4096');
+        expect(samples('devtunnel_active_tunnels')).toEqual([
+            'devtunnel_active_tunnels{type="http",status="connected"} 1',
+            'devtunnel_active_tunnels{type="tcp",status="connected"} 1',
+        ]);
+        expect(samples('devtunnel_connected_clients')).toEqual(['devtunnel_connected_clients 2']);
+        expect(samples('devtunnel_pending_requests')).toContain('devtunnel_pending_requests{tunnel="myapp"} 1');
+        expect(samples('devtunnel_queued_requests')).toContain('devtunnel_queued_requests{tunnel="myapp"} 0');
+    });
+
+    it('should count timeouts and reconnects, and drop the series of closed tunnels', () => {
+        const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+
+        metrics.observeRequest(tunnel, 'GET', 504, 30);
+        metrics.recordTimeout(tunnel, 'response');
+        manager.suspendTunnelsForWs(ws);
+        expect(samples('devtunnel_active_tunnels')).toEqual(['devtunnel_active_tunnels{type="http",status="disconnected"} 1']);
+
+        manager.resumeTunnel({ ws: newWs, resumeToken: tunnel.resumeToken });
+
+        expect(samples('devtunnel_request_timeouts_total')).toEqual(['devtunnel_request_timeouts_total{tunnel="myapp",stage="response"} 1']);
+        expect(samples('devtunnel_tunnel_reconnects_total')).toEqual(['devtunnel_tunnel_reconnects_total{tunnel="myapp"} 1']);
+
+        manager.closeTunnel(tunnel.tunnelId, 'Done');
+
+        const text = metrics.render();
+        expect(text).not.toContain('tunnel="myapp"');
+        expect(text).toContain('# TYPE devtunnel_http_requests_total counter');
+    });
+
+    it('should escape label values', () => {
+        const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+        tunnel.subdomain = 'a"b\\c';
+
+        metrics.recordTimeout(tunnel, 'queue');
+
+        expect(samples('devtunnel_request_timeouts_total')).toEqual(['devtunnel_request_timeouts_total{tunnel="a\\"b\\\\c",stage="queue"} 1']);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for RateLimiter
+ */
+
+const TunnelManager = require('../src/services/TunnelManager');
+const RateLimiter = require('../src/services/RateLimiter');
+
+describe('RateLimiter', () => {
+    let manager;
+    let limiter;
+    const ws = { readyState: 1 };
+
+    function createLimiter(options) {
+        limiter = new RateLimiter(manager, options);
+        limiter.logger.setLevel('ERROR');
+        return limiter;
+    }
+
+    function register(subdomain, clientInfo = { clientIp: '10.0.0.1' }) {
+        return manager.registerTunnel({ ws, requestedSubdomain: subdomain, localPort: 8080, clientInfo }).tunnel;
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        manager = new TunnelManager();
+        manager.logger.setLevel('ERROR');
+    });
+
+    afterEach(() => {
+        limiter?.destroy();
+        jest.useRealTimers();
+    });
+
+    it('should allow everything when no limits are configured', () => {
+        const tunnel = register('myapp');
+        createLimiter();
+
+        expect(limiter.isEnabled()).toBe(false);
+        expect(limiter.consume(tunnel, '192.0.2.1')).toEqual({ allowed: true, headers: {} });
+    });
+
+    it('should reject with 429 once a tunnel bucket is empty', () => {
+        const tunnel = register('myapp');
+        createLimiter({ tunnel: { limit: 2, windowMs: 10000 } });
+
+        expect(limiter.consume(tunnel, '192.0.2.1').headers['X-RateLimit-Remaining']).toBe('1');
+        expect(limiter.consume(tunnel, '192.0.2.2').allowed).toBe(true);
+
+        const result = limiter.consume(tunnel, '192.0.2.3');
+        expect(result).toMatchObject({ allowed: false, statusCode: 429, code: 'RATE_LIMITED', scope: 'tunnel' });
+        expect(result.headers).toMatchObject({
+            'Retry-After': '5',
+            'X-RateLimit-Limit': '2',
+            'X-RateLimit-Remaining': '0',
+            'X-RateLimit-Reset': '10',
+        });
+        expect(tunnel.getStats().rateLimited).toBe(1);
+        expect(limiter.getStats().hits).toEqual({ tunnel: 1, ip: 0, client: 0, total: 1 });
+    });
+
+    it('should refill over the window', () => {
+        const tunnel = register('myapp');
+        createLimiter({ tunnel: { limit: 2, windowMs: 10000 } });
+
+        limiter.consume(tunnel, '192.0.2.1');
+        limiter.consume(tunnel, '192.0.2.1');
+        expect(limiter.consume(tunnel, '192.0.2.1').allowed).toBe(false);
+
+        jest.advanceTimersByTime(5000);
+        expect(limiter.consume(tunnel, '192.0.2.1').allowed).toBe(true);
+    });
+
+    it('should limit each source IP separately', () => {
+        const tunnel = register('myapp');
+        createLimiter({ ip: { limit: 1, windowMs: 60000 } });
+
+        expect(limiter.consume(tunnel, '192.0.2.1').allowed).toBe(true);
+        expect(limiter.consume(tunnel, '192.0.2.1').scope).toBe('ip');
+        expect(limiter.consume(tunnel, '192.0.2.2').allowed).toBe(true);
+    });
+
+    it('should share a client bucket across the tunnels of one client', () => {
+        const first = register('first', { tokenId: 'abc' });
+        const second = register('second', { tokenId: 'abc' });
+        const other = register('other', { tokenId: 'def' });
+        createLimiter({ client: { limit: 1, windowMs: 60000 } });
+
+        expect(limiter.consume(first, '192.0.2.1').allowed).toBe(true);
+        expect(limiter.consume(second, '192.0.2.1').scope).toBe('client');
+        expect(limiter.consume(other, '192.0.2.1').allowed).toBe(true);
+    });
+
+    it('should not take tokens from other buckets when one rejects', () => {
+        const tunnel = register('myapp');
+        createLimiter({ ip: { limit: 1, windowMs: 60000 }, tunnel: { limit: 2, windowMs: 60000 } });
+
+        limiter.consume(tunnel, '192.0.2.1');
+        limiter.consume(tunnel, '192.0.2.1');
+
+        expect(limiter.consume(tunnel, '192.0.2.2').allowed).toBe(true);
+    });
+
+    it('should forget idle buckets and closed tunnels', () => {
+        const tunnel = register('myapp');
+        createLimiter({ tunnel: { limit: 5, windowMs: 1000 }, ip: { limit: 5, windowMs: 1000 } });
+
+        limiter.consume(tunnel, '192.0.2.1');
+        manager.closeTunnel(tunnel.tunnelId);
+        expect(limiter.buckets.tunnel.size).toBe(0);
+
+        jest.advanceTimersByTime(60000);
+        expect(limiter.buckets.ip.size).toBe(0);
+    });
+});
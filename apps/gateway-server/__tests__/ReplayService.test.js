@@ -0,0 +1,280 @@
+/**
+ * Tests for ReplayService
+ */
+
+const { parseMessage, toBodyBuffer, MessageType } = require('@devtunnel/shared');
+const TunnelManager = require('../src/services/TunnelManager');
+const InspectorService = require('../src/services/InspectorService');
+const ReplayService = require('../src/services/ReplayService');
+const RateLimiter = require('../src/services/RateLimiter');
+
+describe('ReplayService', () => {
+    let manager;
+    let inspector;
+    let replays;
+    let ws;
+
+    function register(capabilities = ['replay']) {
+        return manager.registerTunnel({ ws, requestedSubdomain: 'hooks', localPort: 8080, capabilities }).tunnel;
+    }
+
+    function capture(tunnel) {
+        inspector.recordRequest({
+            requestId: 'orig1',
+            tunnelId: tunnel.tunnelId,
+            subdomain: 'hooks',
+            method: 'POST',
+            path: '/webhook?attempt=1',
+            headers: { 'content-type': 'application/json', 'content-length': '11', connection: 'keep-alive' },
+            body: null,
+            query: { attempt: '1' },
+            timestamp: Date.now(),
+            clientIp: '192.0.2.1',
+        }).setRequestBody('{"id":"e1","retry":false}', { size: 25 });
+
+        inspector.recordResponse({
+            requestId: 'orig1',
+            statusCode: 500,
+            headers: { 'content-type': 'application/json', date: 'Mon, 19 Oct 2026 10:00:00 GMT', 'x-trace': 'a' },
+            body: Buffer.from('{"ok":false,"items":[1,2]}'),
+            responseTime: 12,
+        });
+    }
+
+    function respond(tunnel, response) {
+        const message = ws.sent[ws.sent.length - 1];
+        replays.handleResponse(tunnel, { requestId: message.payload.requestId, ...response });
+        return message;
+    }
+
+    beforeEach(() => {
+        ws = { readyState: 1, sent: [], send(data) { this.sent.push(parseMessage(data)); } };
+
+        manager = new TunnelManager();
+        manager.logger.setLevel('ERROR');
+        inspector = new InspectorService();
+        inspector.logger.setLevel('ERROR');
+        replays = new ReplayService(manager, inspector);
+        replays.logger.setLevel('ERROR');
+    });
+
+    afterEach(() => {
+        inspector.destroy();
+    });
+
+    it('should send the captured request to the client and record the result', async () => {
+        const tunnel = register();
+        capture(tunnel);
+
+        const pending = replays.replay('orig1');
+
+        const [message] = ws.sent;
+        expect(message.type).toBe(MessageType.REPLAY_REQUEST);
+        expect(message.payload).toMatchObject({ method: 'POST', path: '/webhook?attempt=1' });
+        expect(message.payload.headers).toEqual({ 'content-type': 'application/json', 'content-length': '25' });
+        expect(toBodyBuffer(message.payload.body).toString()).toBe('{"id":"e1","retry":false}');
+
+        replays.handleResponse(tunnel, {
+            requestId: message.payload.requestId,
+            statusCode: 200,
+            headers: { 'content-type': 'text/plain' },
+            body: Buffer.from('processed'),
+        });
+
+        const { success, traffic } = await pending;
+        expect(success).toBe(true);
+        expect(traffic.replayOf).toBe('orig1');
+        expect(traffic.response.statusCode).toBe(200);
+        expect(Buffer.from(traffic.response.body, 'base64').toString()).toBe('processed');
+        expect(inspector.getTrafficById('orig1').replays).toEqual([traffic.requestId]);
+    });
+
+    it('should record a failed replay when the client disconnects', async () => {
+        const tunnel = register();
+        capture(tunnel);
+
+        const pending = replays.replay('orig1');
+        manager.suspendTunnel(tunnel.tunnelId);
+
+        const { traffic } = await pending;
+        expect(traffic.response.statusCode).toBe(502);
+        expect(traffic.response.error).toBe('Tunnel disconnected');
+
+        manager.closeAll();
+    });
+
+    it('should refuse replays the client cannot run', async () => {
+        const tunnel = register([]);
+        capture(tunnel);
+
+        expect(await replays.replay('missing')).toMatchObject({ success: false, statusCode: 404 });
+        expect(await replays.replay('orig1')).toMatchObject({ success: false, statusCode: 501, code: 'REPLAY_NOT_SUPPORTED' });
+        expect(ws.sent).toHaveLength(0);
+    });
+
+    it('should only replay imported entries through the tunnel they were attached to', async () => {
+        register();
+        const har = { log: { entries: [{ startedDateTime: new Date().toISOString(), request: { method: 'GET', url: 'http://hooks.example.dev/', headers: [] } }] } };
+        const [requestId] = inspector.importHar(har).requestIds;
+
+        const result = await replays.replay(requestId);
+
+        expect(result).toMatchObject({ success: false, statusCode: 404, code: 'TUNNEL_NOT_FOUND' });
+        expect(ws.sent).toHaveLength(0);
+    });
+
+    it('should replay through a tunnel allowlisted to other addresses', async () => {
+        const tunnel = register();
+        capture(tunnel);
+        tunnel.ipRules = { allow: ['192.0.2.0/24'], deny: [] };
+
+        const pending = replays.replay('orig1', {}, { clientIp: '198.51.100.7' });
+        respond(tunnel, { statusCode: 200 });
+
+        expect((await pending).success).toBe(true);
+        expect(ws.sent).toHaveLength(1);
+    });
+
+    it('should replay through a basic auth tunnel without credentials', async () => {
+        const tunnel = register();
+        capture(tunnel);
+        tunnel.basicAuth = { username: 'demo', password: 'secret' };
+
+        const pending = replays.replay('orig1', {}, { clientIp: '192.0.2.1' });
+        const { payload } = respond(tunnel, { statusCode: 200 });
+
+        expect((await pending).success).toBe(true);
+        expect(payload.headers.authorization).toBeUndefined();
+    });
+
+    it('should rate limit replays like public requests', async () => {
+        const tunnel = register();
+        capture(tunnel);
+        const limiter = new RateLimiter(manager, { ip: { limit: 1, windowMs: 60000 } });
+        limiter.logger.setLevel('ERROR');
+        replays = new ReplayService(manager, inspector, { rateLimiter: limiter });
+        replays.logger.setLevel('ERROR');
+
+        replays.replay('orig1', {}, { clientIp: '192.0.2.1' });
+        respond(tunnel, { statusCode: 200 });
+
+        expect(await replays.replay('orig1', {}, { clientIp: '192.0.2.1' }))
+            .toMatchObject({ success: false, statusCode: 429, code: 'RATE_LIMITED' });
+        expect(ws.sent).toHaveLength(1);
+        limiter.destroy();
+    });
+
+    it('should not send headers the inspector redacted', async () => {
+        const tunnel = register();
+        inspector.recordRequest({
+            requestId: 'stored',
+            tunnelId: tunnel.tunnelId,
+            subdomain: 'hooks',
+            method: 'GET',
+            path: '/',
+            headers: { authorization: '[REDACTED]', accept: '*/*' },
+        });
+
+        replays.replay('stored');
+        const { payload } = respond(tunnel, { statusCode: 200, headers: {}, body: null });
+
+        expect(payload.headers).toEqual({ accept: '*/*' });
+    });
+
+    it('should apply overrides on top of the captured request', async () => {
+        const tunnel = register();
+        capture(tunnel);
+
+        const pending = replays.replay('orig1', {
+            method: 'put',
+            path: '/webhook/v2?attempt=1&debug=1',
+            query: { attempt: 2, debug: null },
+            headers: { 'Content-Type': 'application/vnd.api+json', 'x-signature': 'test' },
+            bodyPatch: { retry: true, extra: { a: 1 } },
+        });
+
+        const { payload } = respond(tunnel, { statusCode: 200, headers: {}, body: null });
+        expect(payload).toMatchObject({ method: 'PUT', path: '/webhook/v2?attempt=2' });
+        expect(payload.headers).toEqual({
+            'content-type': 'application/vnd.api+json',
+            'x-signature': 'test',
+            'content-length': '40',
+        });
+        expect(JSON.parse(toBodyBuffer(payload.body).toString())).toEqual({ id: 'e1', retry: true, extra: { a: 1 } });
+
+        expect((await pending).traffic.request.method).toBe('PUT');
+    });
+
+    it('should send object bodies as JSON and allow removing the body', async () => {
+        const tunnel = register();
+        capture(tunnel);
+
+        replays.replay('orig1', { body: { id: 'e2' }, headers: { 'content-type': null } });
+        expect(toBodyBuffer(respond(tunnel, { statusCode: 200 }).payload.body).toString()).toBe('{"id":"e2"}');
+        expect(ws.sent[0].payload.headers['content-type']).toBe('application/json');
+
+        replays.replay('orig1', { body: null });
+        const { payload } = respond(tunnel, { statusCode: 200 });
+        expect(payload.body == null || toBodyBuffer(payload.body).length === 0).toBe(true);
+        expect(payload.headers['content-length']).toBeUndefined();
+    });
+
+    it('should reject invalid overrides', async () => {
+        const tunnel = register();
+        capture(tunnel);
+
+        expect(await replays.replay('orig1', { path: 'webhook' })).toMatchObject({ success: false, statusCode: 400, code: 'INVALID_REQUEST' });
+        expect(await replays.replay('orig1', { method: 'GET /x' })).toMatchObject({ statusCode: 400 });
+        expect(await replays.replay('orig1', { headers: 'x-a: 1' })).toMatchObject({ statusCode: 400 });
+        expect(ws.sent).toHaveLength(0);
+    });
+
+    it('should diff the replayed response against the original', async () => {
+        const tunnel = register();
+        capture(tunnel);
+
+        const pending = replays.replay('orig1');
+        respond(tunnel, {
+            statusCode: 200,
+            headers: { 'content-type': 'application/json', date: 'Mon, 19 Oct 2026 10:05:00 GMT', 'x-cache': 'miss' },
+            body: Buffer.from('{"ok":true,"items":[1]}'),
+        });
+
+        const { diff } = await pending;
+        expect(diff.identical).toBe(false);
+        expect(diff.statusCode).toEqual({ original: 500, replay: 200 });
+        expect(diff.headers).toEqual({
+            added: { 'x-cache': 'miss' },
+            removed: { 'x-trace': 'a' },
+            changed: {},
+        });
+        expect(diff.body).toEqual({
+            type: 'json',
+            changes: [
+                { path: '$.ok', op: 'changed', original: false, replay: true },
+                { path: '$.items[1]', op: 'removed', original: 2 },
+            ],
+        });
+    });
+
+    it('should diff text bodies line by line', async () => {
+        const tunnel = register();
+        capture(tunnel);
+
+        const pending = replays.replay('orig1');
+        respond(tunnel, {
+            statusCode: 500,
+            headers: { 'content-type': 'application/json', 'x-trace': 'a' },
+            body: Buffer.from('line one\nline 2'),
+        });
+
+        const { diff } = await pending;
+        expect(diff.statusCode).toBeNull();
+        expect(diff.body.type).toBe('text');
+        expect(diff.body.changes).toEqual([
+            { op: '-', line: 1, text: '{"ok":false,"items":[1,2]}' },
+            { op: '+', line: 1, text: 'line one' },
+            { op: '+', line: 2, text: 'line 2' },
+        ]);
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests for TcpProxy
+ */
+
+const net = require('net');
+const { parseMessage, toBodyBuffer, MessageType } = require('@devtunnel/shared');
+const TunnelManager = require('../src/services/TunnelManager');
+const TcpProxy = require('../src/services/TcpProxy');
+const RateLimiter = require('../src/services/RateLimiter');
+
+const PORT_RANGE = { start: 47100, end: 47199 };
+
+/**
+ * Opens a public connection to a tunnel's port
+ * @returns {Promise<net.Socket>} Connected socket
+ */
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Resolves once a socket has closed, with the data it received
+ * @returns {Promise<string>} Received data
+ */
+function untilClosed(socket) {
+    return new Promise((resolve) => {
+        const chunks = [];
+        socket.on('data', (chunk) => chunks.push(chunk));
+        socket.on('error', () => { });
+        socket.on('close', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    });
+}
+
+describe('TcpProxy', () => {
+    let manager;
+    let proxy;
+    let limiter;
+    let ws;
+    let tunnel;
+
+    // Messages of one type the client has been sent
+    const sent = (type) => ws.sent.filter(message => message.type === type);
+
+    // Waits until the client has been sent `count` messages of the given type
+    function nextSent(type, count = 1) {
+        return new Promise((resolve) => {
+            const check = () => {
+                const messages = sent(type);
+                if (messages.length >= count) return resolve(messages[count - 1]);
+                setTimeout(check, 5);
+            };
+            check();
+        });
+    }
+
+    beforeEach(async () => {
+        ws = { readyState: 1, bufferedAmount: 0, sent: [], send(data) { this.sent.push(parseMessage(data)); }, close() { } };
+
+        manager = new TunnelManager();
+        manager.logger.setLevel('ERROR');
+        limiter = new RateLimiter(manager);
+        proxy = new TcpProxy(manager, { host: '127.0.0.1', portRange: PORT_RANGE, rateLimiter: limiter });
+        proxy.logger.setLevel('ERROR');
+
+        tunnel = manager.registerTunnel({ ws, type: 'tcp', localPort: 5432, capabilities: ['tcp'] }).tunnel;
+        await proxy.open(tunnel);
+    });
+
+    afterEach(() => {
+        proxy.close(tunnel);
+        limiter.destroy();
+    });
+
+    it('should give the tunnel a public port from the range', () => {
+        expect(tunnel.publicPort).toBeGreaterThanOrEqual(PORT_RANGE.start);
+        expect(tunnel.publicPort).toBeLessThanOrEqual(PORT_RANGE.end);
+    });
+
+    it('should open a virtual connection and relay bytes both ways', async () => {
+        const socket = await connect(tunnel.publicPort);
+        const received = untilClosed(socket);
+
+        const { payload: opened } = await nextSent(MessageType.TCP_OPEN);
+        expect(opened).toMatchObject({ tunnelId: tunnel.tunnelId, remoteAddress: expect.stringContaining('127.0.0.1') });
+        const { streamId } = opened;
+
+        socket.write('PING');
+        const { payload: data } = await nextSent(MessageType.TCP_DATA);
+        expect(data.streamId).toBe(streamId);
+        expect(toBodyBuffer(data.data).toString()).toBe('PING');
+
+        proxy.handleData(tunnel, { streamId, data: Buffer.from('PONG') });
+        proxy.handleClose(tunnel, { streamId });
+
+        expect(await received).toBe('PONG');
+        expect(proxy.getStreamCount()).toBe(0);
+        expect(sent(MessageType.TCP_CLOSE)).toHaveLength(0);
+        expect(tunnel.getStats()).toMatchObject({ bytesIn: 4, bytesOut: 4 });
+    });
+
+    it('should tell the client when the public side closes', async () => {
+        const socket = await connect(tunnel.publicPort);
+        const { payload: opened } = await nextSent(MessageType.TCP_OPEN);
+
+        socket.end();
+        const { payload } = await nextSent(MessageType.TCP_CLOSE);
+
+        expect(payload.streamId).toBe(opened.streamId);
+        expect(proxy.getStreamCount()).toBe(0);
+    });
+
+    it('should drop the public connection when the local service fails', async () => {
+        const socket = await connect(tunnel.publicPort);
+        const closed = untilClosed(socket);
+        const { payload } = await nextSent(MessageType.TCP_OPEN);
+
+        proxy.handleClose(tunnel, { streamId: payload.streamId, error: 'ECONNREFUSED' });
+
+        await closed;
+        expect(proxy.getStreamCount()).toBe(0);
+    });
+
+    it('should ignore streams of other tunnels', async () => {
+        const socket = await connect(tunnel.publicPort);
+        const { payload } = await nextSent(MessageType.TCP_OPEN);
+        const other = manager.registerTunnel({ ws, type: 'tcp', localPort: 22, capabilities: ['tcp'] }).tunnel;
+
+        proxy.handleClose(other, { streamId: payload.streamId });
+
+        expect(proxy.hasStream(tunnel, payload.streamId)).toBe(true);
+        expect(proxy.hasStream(other, payload.streamId)).toBe(false);
+        socket.destroy();
+    });
+
+    it('should refuse connections the IP rules block', async () => {
+        manager.updateIpRules(tunnel.tunnelId, { allow: [], deny: ['127.0.0.1/32'] });
+
+        const socket = await connect(tunnel.publicPort);
+        await untilClosed(socket);
+
+        expect(sent(MessageType.TCP_OPEN)).toHaveLength(0);
+    });
+
+    it('should rate limit new connections', async () => {
+        limiter.limits.ip = { limit: 1, windowMs: 60000 };
+
+        const first = await connect(tunnel.publicPort);
+        await nextSent(MessageType.TCP_OPEN);
+        await untilClosed(await connect(tunnel.publicPort));
+
+        expect(sent(MessageType.TCP_OPEN)).toHaveLength(1);
+        expect(limiter.getStats().hits.ip).toBe(1);
+        first.destroy();
+    });
+
+    it('should drop connections but keep the port when the client disconnects', async () => {
+        const socket = await connect(tunnel.publicPort);
+        const closed = untilClosed(socket);
+        await nextSent(MessageType.TCP_OPEN);
+
+        manager.detachFromWs(tunnel, 'Connection lost');
+
+        await closed;
+        expect(proxy.getStreamCount()).toBe(0);
+        expect(proxy.servers.has(tunnel.tunnelId)).toBe(true);
+    });
+
+    it('should release the port when the tunnel closes', async () => {
+        const port = tunnel.publicPort;
+        const socket = await connect(port);
+        const closed = untilClosed(socket);
+        await nextSent(MessageType.TCP_OPEN);
+
+        manager.closeTunnel(tunnel.tunnelId);
+
+        await closed;
+        expect(proxy.getStreamCount()).toBe(0);
+        expect(proxy.servers.has(tunnel.tunnelId)).toBe(false);
+        await expect(connect(port)).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    });
+});
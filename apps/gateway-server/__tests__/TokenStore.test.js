@@ -0,0 +1,66 @@
+/**
+ * Tests for TokenStore
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenStore = require('../src/services/TokenStore');
+
+describe('TokenStore', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devtunnel-tokens-'));
+        filePath = path.join(dir, 'tokens.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createStore() {
+        const store = new TokenStore({ filePath });
+        store.logger.setLevel('ERROR');
+        return store;
+    }
+
+    it('should verify tokens it created', () => {
+        const store = createStore();
+        const created = store.create({ name: 'ci' });
+
+        const result = store.verify(created.token);
+        expect(result.success).toBe(true);
+        expect(result.token.id).toBe(created.id);
+        expect(result.token.lastUsedAt).not.toBeNull();
+    });
+
+    it('should reject missing, unknown and revoked tokens', () => {
+        const store = createStore();
+        const created = store.create();
+
+        expect(store.verify(undefined).code).toBe('UNAUTHORIZED');
+        expect(store.verify('not-a-token').code).toBe('INVALID_TOKEN');
+
+        store.revoke(created.id);
+        expect(store.verify(created.token).code).toBe('INVALID_TOKEN');
+        expect(store.hasTokens()).toBe(true);
+    });
+
+    it('should persist hashes only and reload them', () => {
+        const created = createStore().create({ name: 'laptop' });
+
+        const saved = fs.readFileSync(filePath, 'utf8');
+        expect(saved).not.toContain(created.token);
+
+        const reloaded = createStore();
+        expect(reloaded.verify(created.token).success).toBe(true);
+        expect(reloaded.list()).toEqual([expect.objectContaining({ id: created.id, name: 'laptop' })]);
+        expect(reloaded.list()[0].hash).toBeUndefined();
+    });
+
+    it('should return null when revoking an unknown token', () => {
+        expect(createStore().revoke('missing')).toBeNull();
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for TrafficStats
+ */
+
+const TrafficStats = require('../src/services/TrafficStats');
+
+describe('TrafficStats', () => {
+    const start = Date.UTC(2026, 9, 19, 10, 0, 0);
+    const minute = 60 * 1000;
+    let stats;
+
+    beforeEach(() => {
+        stats = new TrafficStats({ bucketSize: minute, bucketCount: 5 });
+    });
+
+    it('should report percentiles close to the exact values', () => {
+        // 1..100 ms, then one slow outlier
+        for (let ms = 1; ms <= 100; ms++) {
+            stats.record({ tunnelId: 'T1', statusCode: 200, responseTime: ms }, start);
+        }
+        stats.record({ tunnelId: 'T1', statusCode: 200, responseTime: 5000 }, start);
+
+        const { window } = stats.summary('T1', start);
+        expect(Math.abs(window.p50 - 51)).toBeLessThanOrEqual(51 * 0.025);
+        expect(Math.abs(window.p90 - 91)).toBeLessThanOrEqual(91 * 0.025);
+        expect(Math.abs(window.p99 - 100)).toBeLessThanOrEqual(100 * 0.025);
+    });
+
+    it('should keep requests, errors and throughput per bucket, oldest first', () => {
+        stats.record({ tunnelId: 'T1', statusCode: 200, responseTime: 10 }, start);
+        stats.record({ tunnelId: 'T1', statusCode: 502, responseTime: 30 }, start + 10 * 1000);
+        stats.record({ tunnelId: 'T2', statusCode: 200, responseTime: 20 }, start + 2 * minute);
+        stats.record({ tunnelId: 'T2', failed: true, responseTime: 5 }, start + 2 * minute);
+
+        const overall = stats.summary(null, start + 2 * minute + 1);
+        expect(overall.bucketSize).toBe(minute);
+        expect(overall.buckets).toHaveLength(5);
+        expect(overall.buckets.map(b => b.requests)).toEqual([0, 0, 2, 0, 2]);
+        expect(overall.buckets[2]).toMatchObject({
+            start: new Date(start).toISOString(),
+            errors: 1,
+            errorRate: 50,
+            throughput: 0.033,
+            p50: 10,
+            p99: 30,
+        });
+        expect(overall.buckets[0]).toMatchObject({ requests: 0, errorRate: 0, p50: null });
+        expect(overall.window).toMatchObject({ requests: 4, errors: 2, errorRate: 50 });
+
+        const t2 = stats.summary('T2', start + 2 * minute + 1);
+        expect(t2.window).toMatchObject({ requests: 2, errors: 1, p50: 5, p99: 20 });
+        expect(stats.summary('nope', start).window).toMatchObject({ requests: 0, p99: null });
+    });
+
+    it('should roll old buckets out of the window', () => {
+        stats.record({ tunnelId: 'T1', statusCode: 200, responseTime: 10 }, start);
+        stats.record({ tunnelId: 'T2', statusCode: 200, responseTime: 10 }, start + 4 * minute);
+
+        // The slot of the first minute is reused five minutes later
+        stats.record({ tunnelId: 'T2', statusCode: 200, responseTime: 10 }, start + 5 * minute);
+
+        expect(stats.summary(null, start + 5 * minute).window.requests).toBe(2);
+        expect(stats.summary('T1', start + 5 * minute).window.requests).toBe(0);
+
+        stats.prune(start + 5 * minute);
+        expect([...stats.tunnels.keys()]).toEqual(['T2']);
+    });
+
+    it('should total requests, errors, latency and tunnels over the window', () => {
+        stats.record({ tunnelId: 'T1', statusCode: 200, responseTime: 10 }, start);
+        stats.record({ tunnelId: 'T1', statusCode: 500, responseTime: 30 }, start + minute);
+        expect(stats.totals(start + minute)).toEqual({ requests: 2, errors: 1, avgResponseTime: 20, tunnels: 1 });
+
+        // The first minute has left the window by now
+        stats.record({ tunnelId: 'T2', failed: true }, start + 5 * minute);
+        expect(stats.totals(start + 5 * minute)).toEqual({ requests: 2, errors: 2, avgResponseTime: 30, tunnels: 2 });
+        expect(new TrafficStats().totals()).toEqual({ requests: 0, errors: 0, avgResponseTime: 0, tunnels: 0 });
+    });
+});
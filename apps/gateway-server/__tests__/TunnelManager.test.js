@@ -0,0 +1,257 @@
+/**
+ * Tests for TunnelManager
+ */
+
+const { createHttpRequestChunkMessage, parseMessage } = require('@devtunnel/shared');
+const TunnelManager = require('../src/services/TunnelManager');
+
+describe('TunnelManager', () => {
+    let manager;
+    const ws = { readyState: 1 };
+
+    beforeEach(() => {
+        manager = new TunnelManager();
+        manager.logger.setLevel('ERROR');
+    });
+
+    describe('registerTunnel', () => {
+        it('should register an HTTP tunnel with a requested subdomain', () => {
+            const result = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+
+            expect(result.success).toBe(true);
+            expect(result.tunnel.type).toBe('http');
+            expect(manager.getTunnelBySubdomain('myapp')).toBe(result.tunnel);
+        });
+
+        it('should reject reserved and taken subdomains', () => {
+            manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+
+            expect(manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8081 }).code)
+                .toBe('SUBDOMAIN_TAKEN');
+            expect(manager.registerTunnel({ ws, requestedSubdomain: 'admin', localPort: 8081 }).code)
+                .toBe('SUBDOMAIN_TAKEN');
+        });
+
+        it('should register TCP tunnels without a subdomain', () => {
+            const result = manager.registerTunnel({ ws, type: 'tcp', requestedSubdomain: 'ignored', localPort: 5432 });
+
+            expect(result.success).toBe(true);
+            expect(result.tunnel.subdomain).toBeNull();
+            expect(manager.getTunnelBySubdomain('ignored')).toBeNull();
+            expect(result.tunnel.getStats()).toMatchObject({ type: 'tcp', localPort: 5432, publicPort: null });
+        });
+
+        it('should reject unknown tunnel types', () => {
+            const result = manager.registerTunnel({ ws, type: 'udp', localPort: 53 });
+
+            expect(result.success).toBe(false);
+            expect(result.code).toBe('INVALID_TUNNEL_TYPE');
+        });
+    });
+
+    describe('IP rules', () => {
+        it('should normalize CIDR lists at registration', () => {
+            const { tunnel } = manager.registerTunnel({
+                ws,
+                localPort: 8080,
+                ipRules: { allow: ['192.0.2.0/24', '2001:db8::1'] },
+            });
+
+            expect(tunnel.ipRules).toEqual({ allow: ['192.0.2.0/24', '2001:db8::1/128'], deny: [] });
+        });
+
+        it('should reject invalid ranges', () => {
+            const result = manager.registerTunnel({ ws, localPort: 8080, ipRules: { deny: ['10.0.0.0/40'] } });
+
+            expect(result.code).toBe('INVALID_REQUEST');
+            expect(manager.getTunnelCount()).toBe(0);
+        });
+
+        it('should replace the lists of a running tunnel', () => {
+            const { tunnel } = manager.registerTunnel({ ws, localPort: 8080, ipRules: { allow: ['192.0.2.0/24'] } });
+
+            expect(manager.updateIpRules(tunnel.tunnelId, { deny: ['198.51.100.7'] }).success).toBe(true);
+            expect(tunnel.getStats().ipRules).toEqual({ allow: [], deny: ['198.51.100.7/32'] });
+            expect(manager.updateIpRules('missing', {}).code).toBe('TUNNEL_NOT_FOUND');
+        });
+    });
+
+    describe('custom domains', () => {
+        it('should route a tunnel\'s domains by exact host', () => {
+            const { tunnel } = manager.registerTunnel({
+                ws,
+                requestedSubdomain: 'myapp',
+                localPort: 8080,
+                domains: ['API.Customer-Demo.test.', 'api.customer-demo.test'],
+            });
+
+            expect(tunnel.domains).toEqual(['api.customer-demo.test']);
+            expect(manager.getTunnelByHost('api.customer-demo.test:3000')).toBe(tunnel);
+            expect(manager.getTunnelByHost('www.customer-demo.test')).toBeNull();
+            expect(manager.getTunnelByHost(undefined)).toBeNull();
+        });
+
+        it('should reject invalid, taken and non-HTTP domains', () => {
+            manager.registerTunnel({ ws, localPort: 8080, domains: ['api.customer-demo.test'] });
+
+            expect(manager.registerTunnel({ ws, localPort: 8081, domains: ['api.customer-demo.test'] }).code)
+                .toBe('DOMAIN_TAKEN');
+            expect(manager.registerTunnel({ ws, localPort: 8081, domains: ['localhost'] }).code)
+                .toBe('INVALID_DOMAIN');
+            expect(manager.registerTunnel({ ws, type: 'tcp', localPort: 5432, domains: ['db.customer-demo.test'] }).code)
+                .toBe('INVALID_REQUEST');
+            expect(manager.getTunnelCount()).toBe(1);
+        });
+
+        it('should free domains when released or when the tunnel closes', () => {
+            const { tunnel } = manager.registerTunnel({
+                ws,
+                localPort: 8080,
+                domains: ['api.customer-demo.test', 'app.customer-demo.test'],
+            });
+
+            expect(manager.releaseDomain('api.customer-demo.test')).toBe(tunnel);
+            expect(tunnel.domains).toEqual(['app.customer-demo.test']);
+            expect(manager.getTunnelByHost('api.customer-demo.test')).toBeNull();
+            expect(manager.releaseDomain('api.customer-demo.test')).toBeNull();
+
+            manager.closeTunnel(tunnel.tunnelId, 'Done');
+            expect(manager.getTunnelByHost('app.customer-demo.test')).toBeNull();
+        });
+    });
+
+    describe('Tunnel.send', () => {
+        const chunk = createHttpRequestChunkMessage({ requestId: 'r1', data: Buffer.from('hello') });
+
+        it('should send binary frames once binary is negotiated', () => {
+            const sent = [];
+            const socket = { readyState: 1, send: (data) => sent.push(data) };
+            const { tunnel } = manager.registerTunnel({ ws: socket, localPort: 8080, capabilities: ['binary'] });
+
+            expect(tunnel.send(chunk)).toBe(true);
+            expect(Buffer.isBuffer(sent[0])).toBe(true);
+            expect(parseMessage(sent[0]).payload.data.toString()).toBe('hello');
+        });
+
+        it('should fall back to JSON for older clients', () => {
+            const sent = [];
+            const socket = { readyState: 1, send: (data) => sent.push(data) };
+            const { tunnel } = manager.registerTunnel({ ws: socket, localPort: 8080 });
+
+            tunnel.send(chunk);
+            expect(typeof sent[0]).toBe('string');
+            expect(JSON.parse(sent[0]).payload.data).toBe(Buffer.from('hello').toString('base64'));
+        });
+    });
+
+    describe('closeTunnel', () => {
+        it('should remove the tunnel and reject pending requests', () => {
+            const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+            const reject = jest.fn();
+            tunnel.addPendingRequest('req1', { reject });
+
+            manager.closeTunnel(tunnel.tunnelId);
+
+            expect(reject).toHaveBeenCalled();
+            expect(manager.getTunnelById(tunnel.tunnelId)).toBeNull();
+            expect(manager.getTunnelBySubdomain('myapp')).toBeNull();
+            expect(manager.getTunnelCount()).toBe(0);
+        });
+    });
+
+    describe('reconnection', () => {
+        const newWs = { readyState: 1 };
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            manager = new TunnelManager({ gracePeriod: 5000 });
+            manager.logger.setLevel('ERROR');
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('should hold the subdomain of a disconnected tunnel', () => {
+            const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+            const reject = jest.fn();
+            tunnel.addPendingRequest('req1', { reject });
+
+            manager.suspendTunnelsForWs(ws);
+
+            expect(reject).toHaveBeenCalled();
+            expect(tunnel.getStats().status).toBe('disconnected');
+            expect(manager.getTunnelsByWs(ws)).toEqual([]);
+            expect(manager.registerTunnel({ ws: newWs, requestedSubdomain: 'myapp', localPort: 8080 }).code)
+                .toBe('SUBDOMAIN_TAKEN');
+        });
+
+        it('should resume the same tunnel with its resume token', () => {
+            const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+            manager.suspendTunnelsForWs(ws);
+
+            const result = manager.resumeTunnel({ ws: newWs, resumeToken: tunnel.resumeToken });
+
+            expect(result.success).toBe(true);
+            expect(result.tunnel).toBe(tunnel);
+            expect(tunnel.ws).toBe(newWs);
+            expect(manager.getTunnelsByWs(newWs)).toEqual([tunnel]);
+
+            // The grace timer no longer applies
+            jest.advanceTimersByTime(10000);
+            expect(manager.getTunnelBySubdomain('myapp')).toBe(tunnel);
+        });
+
+        it('should close the tunnel once the grace period expires', () => {
+            const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+            manager.suspendTunnelsForWs(ws);
+
+            jest.advanceTimersByTime(5000);
+
+            expect(manager.getTunnelBySubdomain('myapp')).toBeNull();
+            expect(manager.resumeTunnel({ ws: newWs, resumeToken: tunnel.resumeToken }).code)
+                .toBe('INVALID_RESUME_TOKEN');
+        });
+
+        it('should take over a tunnel whose old connection is not yet known to be dead', () => {
+            const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+
+            manager.resumeTunnel({ ws: newWs, resumeToken: tunnel.resumeToken });
+            manager.suspendTunnelsForWs(ws);
+
+            expect(tunnel.getStats().status).toBe('connected');
+            expect(tunnel.ws).toBe(newWs);
+        });
+
+        it('should release queued requests in order when the tunnel resumes', async () => {
+            const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+            manager.suspendTunnelsForWs(ws);
+
+            const order = [];
+            const first = tunnel.waitForReconnect(5000).then(() => order.push(1));
+            const second = tunnel.waitForReconnect(5000).then(() => order.push(2));
+            expect(tunnel.getStats().queuedRequests).toBe(2);
+
+            manager.resumeTunnel({ ws: newWs, resumeToken: tunnel.resumeToken });
+            await Promise.all([first, second]);
+
+            expect(order).toEqual([1, 2]);
+            expect(tunnel.requestQueue).toEqual([]);
+        });
+
+        it('should fail queued requests on timeout or when the tunnel closes', async () => {
+            const { tunnel } = manager.registerTunnel({ ws, requestedSubdomain: 'myapp', localPort: 8080 });
+            manager.suspendTunnelsForWs(ws);
+
+            const timedOut = tunnel.waitForReconnect(1000);
+            const closed = tunnel.waitForReconnect(10000);
+
+            jest.advanceTimersByTime(1000);
+            await expect(timedOut).rejects.toThrow('Timed out');
+            expect(tunnel.requestQueue.length).toBe(1);
+
+            jest.advanceTimersByTime(4000);
+            await expect(closed).rejects.toThrow('Tunnel closed');
+        });
+    });
+});
@@ -0,0 +1,279 @@
+/**
+ * Tests for WebSocketHandler
+ */
+
+const {
+    createHelloMessage,
+    createTunnelRegisterMessage,
+    createTunnelCloseMessage,
+    parseMessage,
+    serializeMessage,
+    MessageType,
+} = require('@devtunnel/shared');
+const TunnelManager = require('../src/services/TunnelManager');
+const TokenStore = require('../src/services/TokenStore');
+const DomainStore = require('../src/services/DomainStore');
+const TcpProxy = require('../src/services/TcpProxy');
+const WebSocketHandler = require('../src/websocket/WebSocketHandler');
+
+/**
+ * Creates a fake client WebSocket that records what the gateway sends
+ */
+function createClient() {
+    return {
+        readyState: 1,
+        sent: [],
+        closed: null,
+        send(data) {
+            this.sent.push(parseMessage(data));
+        },
+        close(code, reason) {
+            this.closed = { code, reason };
+        },
+        lastMessage() {
+            return this.sent[this.sent.length - 1];
+        },
+    };
+}
+
+describe('WebSocketHandler', () => {
+    let manager;
+    let tokenStore;
+    let domainStore;
+    let handler;
+    let client;
+
+    beforeEach(() => {
+        manager = new TunnelManager();
+        manager.logger.setLevel('ERROR');
+
+        tokenStore = new TokenStore();
+        tokenStore.logger.setLevel('ERROR');
+
+        domainStore = new DomainStore();
+        domainStore.logger.setLevel('ERROR');
+
+        handler = new WebSocketHandler({ on: () => { } }, manager, null, null, null, null, tokenStore, domainStore, {
+            publicDomain: 'localhost',
+            httpPort: 3000,
+        });
+        handler.logger.setLevel('ERROR');
+
+        client = createClient();
+        handler.clientMetadata.set(client, { clientId: 'test', clientIp: '127.0.0.1', capabilities: [] });
+    });
+
+    afterEach(() => {
+        handler.stop();
+        manager.closeAll();
+    });
+
+    describe('handshake', () => {
+        it('should answer hello with the capabilities both sides support', () => {
+            handler.handleMessage(client, serializeMessage(createHelloMessage({
+                capabilities: ['streaming', 'binary', 'compression'],
+            })));
+
+            const welcome = client.lastMessage();
+            expect(welcome.type).toBe(MessageType.WELCOME);
+            expect(welcome.payload.version).toBe(1);
+            expect(welcome.payload.capabilities).toEqual(['streaming', 'binary']);
+        });
+
+        it('should reject incompatible protocol versions', () => {
+            handler.handleMessage(client, serializeMessage(createHelloMessage({ version: 0 })));
+
+            expect(client.lastMessage().type).toBe(MessageType.ERROR);
+            expect(client.lastMessage().payload.code).toBe('INCOMPATIBLE_PROTOCOL');
+            expect(client.closed.code).toBe(1002);
+        });
+
+        it('should give tunnels the negotiated capabilities', async () => {
+            handler.handleMessage(client, serializeMessage(createHelloMessage({ capabilities: ['streaming'] })));
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080 }).payload);
+
+            const [tunnel] = manager.getTunnelsByWs(client);
+            expect(tunnel.supports('streaming')).toBe(true);
+            expect(tunnel.supports('binary')).toBe(false);
+        });
+
+        it('should treat clients that skip the handshake as legacy clients', async () => {
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080 }).payload);
+
+            expect(client.lastMessage().type).toBe(MessageType.TUNNEL_REGISTERED);
+            expect(manager.getTunnelsByWs(client)[0].capabilities).toEqual([]);
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ type: 'tcp', localPort: 5432 }).payload);
+            expect(client.lastMessage().payload.code).toBe('INVALID_TUNNEL_TYPE');
+        });
+    });
+
+    describe('authentication', () => {
+        it('should require a token once tokens have been issued', async () => {
+            tokenStore.create();
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080 }).payload);
+            expect(client.lastMessage().payload.code).toBe('UNAUTHORIZED');
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080, authToken: 'wrong' }).payload);
+            expect(client.lastMessage().payload.code).toBe('INVALID_TOKEN');
+            expect(manager.getTunnelCount()).toBe(0);
+        });
+
+        it('should register tunnels with a valid token', async () => {
+            const { id, token } = tokenStore.create();
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080, authToken: token }).payload);
+
+            expect(client.lastMessage().type).toBe(MessageType.TUNNEL_REGISTERED);
+            expect(manager.getTunnelsByWs(client)[0].clientInfo.tokenId).toBe(id);
+        });
+
+        it('should keep requiring tokens after the last one is revoked', async () => {
+            const { id, token } = tokenStore.create();
+            tokenStore.revoke(id);
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080 }).payload);
+            expect(client.lastMessage().payload.code).toBe('UNAUTHORIZED');
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080, authToken: token }).payload);
+            expect(client.lastMessage().payload.code).toBe('INVALID_TOKEN');
+        });
+
+        it('should require a token when auth is forced on', async () => {
+            handler.config.authRequired = true;
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080 }).payload);
+            expect(client.lastMessage().payload.code).toBe('UNAUTHORIZED');
+        });
+    });
+
+    describe('basic auth', () => {
+        it('should give the tunnel the requested credentials', async () => {
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({
+                localPort: 8080,
+                basicAuth: { username: 'demo', password: 'secret' },
+            }).payload);
+
+            const tunnel = manager.getTunnelsByWs(client)[0];
+            expect(tunnel.basicAuth).toEqual({ username: 'demo', password: 'secret' });
+            expect(tunnel.getStats().basicAuth).toBe(true);
+        });
+
+        it('should reject incomplete credentials', async () => {
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080, basicAuth: 'demo' }).payload);
+
+            expect(client.lastMessage().payload.code).toBe('INVALID_REQUEST');
+            expect(manager.getTunnelCount()).toBe(0);
+        });
+    });
+
+    describe('TCP tunnels', () => {
+        it('should reject TCP tunnels from clients that did not negotiate TCP support', async () => {
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ type: 'tcp', localPort: 5432 }).payload);
+
+            expect(client.lastMessage()).toMatchObject({ type: MessageType.ERROR, payload: { code: 'INVALID_TUNNEL_TYPE' } });
+            expect(manager.getTunnelCount()).toBe(0);
+        });
+
+        it('should give TCP tunnels a public port when the client supports them', async () => {
+            handler.tcpProxy = new TcpProxy(manager, { host: '127.0.0.1', portRange: { start: 47200, end: 47299 } });
+            handler.tcpProxy.logger.setLevel('ERROR');
+            handler.clientMetadata.get(client).capabilities = ['tcp'];
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ type: 'tcp', localPort: 5432 }).payload);
+
+            const tunnel = manager.getTunnelsByWs(client)[0];
+            expect(client.lastMessage()).toMatchObject({
+                type: MessageType.TUNNEL_REGISTERED,
+                payload: { tunnelType: 'tcp', publicPort: tunnel.publicPort, publicUrl: `tcp://localhost:${tunnel.publicPort}` },
+            });
+        });
+    });
+
+    describe('custom domains', () => {
+        it('should route registered domains to the tunnel', async () => {
+            domainStore.add({ hostname: 'api.customer-demo.test' });
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({
+                localPort: 8080,
+                domains: ['API.customer-demo.test'],
+            }).payload);
+
+            expect(client.lastMessage().payload.domains).toEqual(['api.customer-demo.test']);
+            expect(manager.getTunnelByHost('api.customer-demo.test:3000')).toBe(manager.getTunnelsByWs(client)[0]);
+        });
+
+        it('should reject domains not registered for the client token', async () => {
+            const owner = tokenStore.create();
+            const other = tokenStore.create();
+            domainStore.add({ hostname: 'api.customer-demo.test', tokenId: owner.id });
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({
+                localPort: 8080,
+                authToken: other.token,
+                domains: ['api.customer-demo.test'],
+            }).payload);
+            expect(client.lastMessage().payload.code).toBe('DOMAIN_NOT_ALLOWED');
+
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({
+                localPort: 8080,
+                authToken: owner.token,
+                domains: ['api.customer-demo.test'],
+            }).payload);
+            expect(client.lastMessage().type).toBe(MessageType.TUNNEL_REGISTERED);
+            expect(manager.getTunnelCount()).toBe(1);
+        });
+    });
+
+    describe('closing tunnels', () => {
+        it('should close a tunnel for the connection that owns it', async () => {
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080 }).payload);
+            const { tunnelId } = client.lastMessage().payload;
+
+            handler.handleMessage(client, serializeMessage(createTunnelCloseMessage(tunnelId)));
+
+            expect(manager.getTunnelById(tunnelId)).toBeFalsy();
+        });
+
+        it('should not let another connection close the tunnel', async () => {
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080 }).payload);
+            const { tunnelId } = client.lastMessage().payload;
+
+            const other = createClient();
+            handler.clientMetadata.set(other, { clientId: 'other', clientIp: '127.0.0.1', capabilities: [] });
+            handler.handleMessage(other, serializeMessage(createTunnelCloseMessage(tunnelId)));
+
+            expect(other.lastMessage().payload.code).toBe('TUNNEL_NOT_FOUND');
+            expect(manager.getTunnelById(tunnelId)).toBeTruthy();
+        });
+    });
+
+    describe('reconnection', () => {
+        it('should resume a dropped tunnel on a new connection', async () => {
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ subdomain: 'myapp', localPort: 8080 }).payload);
+            const registered = client.lastMessage().payload;
+            expect(registered.resumeToken).toBeTruthy();
+
+            handler.handleDisconnect(client);
+
+            const next = createClient();
+            handler.clientMetadata.set(next, { clientId: 'next', clientIp: '127.0.0.1', capabilities: [] });
+            await handler.handleTunnelRegister(next, createTunnelRegisterMessage({
+                localPort: 8080,
+                resumeToken: registered.resumeToken,
+            }).payload);
+
+            const resumed = next.lastMessage().payload;
+            expect(resumed.resumed).toBe(true);
+            expect(resumed.tunnelId).toBe(registered.tunnelId);
+            expect(resumed.publicUrl).toBe('http://myapp.localhost:3000');
+        });
+
+        it('should reject unknown resume tokens', async () => {
+            await handler.handleTunnelRegister(client, createTunnelRegisterMessage({ localPort: 8080, resumeToken: 'nope' }).payload);
+
+            expect(client.lastMessage().payload.code).toBe('INVALID_RESUME_TOKEN');
+        });
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for WebSocketProxy
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+const { parseMessage, toBodyBuffer, MessageType } = require('@devtunnel/shared');
+const TunnelManager = require('../src/services/TunnelManager');
+const WebSocketProxy = require('../src/services/WebSocketProxy');
+
+describe('WebSocketProxy', () => {
+    let manager;
+    let proxy;
+    let server;
+    let port;
+    let ws;
+    let tunnel;
+
+    // Messages of one type the client has been sent
+    const sent = (type) => ws.sent.filter(message => message.type === type);
+
+    // Waits until the client has been sent a message of the given type
+    function nextSent(type) {
+        return new Promise((resolve) => {
+            const check = () => {
+                const [message] = sent(type);
+                if (message) return resolve(message);
+                setTimeout(check, 5);
+            };
+            check();
+        });
+    }
+
+    // Opens a public WebSocket to the tunnel, with the client accepting the local side
+    async function open(path = '/chat') {
+        const publicWs = new WebSocket(`ws://127.0.0.1:${port}${path}`, { headers: { host: 'chat.localhost' } });
+        const { payload } = await nextSent(MessageType.WS_OPEN);
+        proxy.handleOpened(tunnel, { streamId: payload.streamId });
+        await new Promise((resolve, reject) => {
+            publicWs.once('open', resolve);
+            publicWs.once('error', reject);
+        });
+        return { publicWs, streamId: payload.streamId };
+    }
+
+    beforeEach(async () => {
+        ws = { readyState: 1, bufferedAmount: 0, sent: [], send(data) { this.sent.push(parseMessage(data)); }, close() { } };
+
+        manager = new TunnelManager();
+        manager.logger.setLevel('ERROR');
+        proxy = new WebSocketProxy(manager);
+        proxy.logger.setLevel('ERROR');
+        tunnel = manager.registerTunnel({ ws, requestedSubdomain: 'chat', localPort: 8080, capabilities: ['websocket'] }).tunnel;
+
+        server = http.createServer();
+        server.on('upgrade', (req, socket, head) => proxy.handleUpgrade('chat', req, socket, head));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+
+    afterEach(async () => {
+        proxy.closeStreamsForTunnel(tunnel);
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should forward the upgrade to the client and finish the handshake once it opens', async () => {
+        const { publicWs, streamId } = await open('/chat?room=1');
+
+        const [message] = sent(MessageType.WS_OPEN);
+        expect(message.payload).toMatchObject({ streamId, path: '/chat?room=1' });
+        expect(message.payload.headers).toMatchObject({ host: 'chat.localhost', upgrade: 'websocket' });
+        expect(proxy.getStreamCount()).toBe(1);
+        publicWs.terminate();
+    });
+
+    it('should relay frames in both directions', async () => {
+        const { publicWs, streamId } = await open();
+
+        publicWs.send('hello');
+        publicWs.send(Buffer.from([1, 2, 3]));
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const frames = sent(MessageType.WS_FRAME).map(({ payload }) => ({
+            streamId: payload.streamId,
+            binary: payload.binary,
+            data: toBodyBuffer(payload.data),
+        }));
+        expect(frames).toEqual([
+            { streamId, binary: false, data: Buffer.from('hello') },
+            { streamId, binary: true, data: Buffer.from([1, 2, 3]) },
+        ]);
+
+        const received = [];
+        publicWs.on('message', (data, isBinary) => received.push({ data, isBinary }));
+        proxy.handleFrame(tunnel, { streamId, data: Buffer.from('hi'), binary: false });
+        proxy.handleFrame(tunnel, { streamId, data: Buffer.from([9]), binary: true });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(received).toEqual([
+            { data: Buffer.from('hi'), isBinary: false },
+            { data: Buffer.from([9]), isBinary: true },
+        ]);
+        publicWs.terminate();
+    });
+
+    it('should tell the client when the public side closes', async () => {
+        const { publicWs, streamId } = await open();
+
+        publicWs.close(4000, 'bye');
+        const { payload } = await nextSent(MessageType.WS_CLOSE);
+
+        expect(payload).toMatchObject({ streamId, code: 4000, reason: 'bye' });
+        expect(proxy.getStreamCount()).toBe(0);
+    });
+
+    it('should close the public side when the local server closes', async () => {
+        const { publicWs, streamId } = await open();
+        const closed = new Promise(resolve => publicWs.once('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+
+        proxy.handleClose(tunnel, { streamId, code: 1000, reason: 'done' });
+
+        expect(await closed).toEqual({ code: 1000, reason: 'done' });
+        expect(proxy.getStreamCount()).toBe(0);
+        expect(sent(MessageType.WS_CLOSE)).toHaveLength(0);
+    });
+
+    it('should answer with the local status when the local server refuses the upgrade', async () => {
+        const publicWs = new WebSocket(`ws://127.0.0.1:${port}/chat`, { headers: { host: 'chat.localhost' } });
+        const refused = new Promise(resolve => publicWs.once('unexpected-response', (req, res) => resolve(res.statusCode)));
+        publicWs.on('error', () => { });
+
+        const { payload } = await nextSent(MessageType.WS_OPEN);
+        proxy.handleClose(tunnel, { streamId: payload.streamId, statusCode: 403, error: 'Forbidden' });
+
+        expect(await refused).toBe(403);
+        expect(proxy.getStreamCount()).toBe(0);
+    });
+
+    it('should close public sockets when the tunnel drops', async () => {
+        const { publicWs } = await open();
+        const closed = new Promise(resolve => publicWs.once('close', resolve));
+
+        manager.detachFromWs(tunnel, 'Connection lost');
+
+        expect(await closed).toBe(1001);
+        expect(proxy.getStreamCount()).toBe(0);
+    });
+
+    it('should reject upgrades for clients without WebSocket support', async () => {
+        tunnel.capabilities = [];
+        const publicWs = new WebSocket(`ws://127.0.0.1:${port}/chat`, { headers: { host: 'chat.localhost' } });
+        publicWs.on('error', () => { });
+
+        const status = await new Promise(resolve => publicWs.once('unexpected-response', (req, res) => resolve(res.statusCode)));
+
+        expect(status).toBe(501);
+        expect(sent(MessageType.WS_OPEN)).toHaveLength(0);
+    });
+});
@@ -0,0 +1,22 @@
+/**
+ * Tests for the admin auth guard
+ */
+
+const { isAdminRequest } = require('../src/routes/adminAuth');
+
+describe('isAdminRequest', () => {
+    const request = (remoteAddress, authorization) => ({ headers: { authorization }, socket: { remoteAddress } });
+
+    it('should require the admin token when one is configured', () => {
+        const config = { adminToken: 's3cret' };
+
+        expect(isAdminRequest(config, request('203.0.113.9', 'Bearer s3cret'))).toBe(true);
+        expect(isAdminRequest(config, request('127.0.0.1', 'Bearer wrong'))).toBe(false);
+        expect(isAdminRequest(config, request('127.0.0.1'))).toBe(false);
+    });
+
+    it('should only allow local callers without a token', () => {
+        expect(isAdminRequest({ adminToken: null }, request('::1'))).toBe(true);
+        expect(isAdminRequest({ adminToken: null }, request('203.0.113.9'))).toBe(false);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the traffic search query language
+ */
+
+const InspectorService = require('../src/services/InspectorService');
+const { parseQuery } = require('../src/storage/trafficQuery');
+
+describe('trafficQuery', () => {
+    let inspector;
+
+    function capture(requestId, {
+        method = 'POST',
+        path = '/webhooks/stripe',
+        headers = { 'content-type': 'application/json' },
+        body = '{"type":"invoice.paid","data":{"amount":1200,"lines":[{"sku":"pro"}]}}',
+        statusCode = 200,
+        responseHeaders = { 'content-type': 'application/json' },
+        responseBody = '{"ok":true}',
+        responseTime = 40,
+        clientIp = '192.0.2.10',
+    } = {}) {
+        inspector.recordRequest({ requestId, tunnelId: 'T1', subdomain: 'hooks', method, path, headers, body: null, clientIp })
+            .setRequestBody(body, { size: Buffer.byteLength(body) });
+        inspector.recordResponse({ requestId, statusCode, headers: responseHeaders, body: Buffer.from(responseBody), responseTime });
+    }
+
+    function search(q) {
+        const result = inspector.parseFilters({ q });
+        if (!result.success) throw new Error(result.error);
+        return inspector.getAllTraffic(result.filters).map(t => t.requestId).sort();
+    }
+
+    beforeEach(() => {
+        inspector = new InspectorService();
+        inspector.logger.setLevel('ERROR');
+
+        capture('paid-slow', { statusCode: 502, responseTime: 2500 });
+        capture('paid-ok', { responseTime: 120 });
+        capture('health', { method: 'GET', path: '/health', headers: {}, body: '', responseBody: 'up', responseHeaders: { 'content-type': 'text/plain' }, responseTime: 2 });
+        capture('missing', {
+            method: 'GET',
+            path: '/users/7?expand=orders',
+            headers: { authorization: 'Bearer abc', 'X-Trace-Id': 't-1' },
+            body: '',
+            statusCode: 404,
+            responseBody: '{"error":"not found","code":404}',
+            clientIp: '::ffff:10.1.2.3',
+        });
+    });
+
+    afterEach(() => {
+        inspector.destroy();
+    });
+
+    it('should find the slow failing webhooks from the example', () => {
+        expect(search('method:POST path:/webhooks status:5xx duration>2s body:"invoice.paid"')).toEqual(['paid-slow']);
+    });
+
+    it('should match status codes, ranges and comparisons', () => {
+        expect(search('status:404')).toEqual(['missing']);
+        expect(search('status:4xx')).toEqual(['missing']);
+        expect(search('status:200-299')).toEqual(['health', 'paid-ok']);
+        expect(search('status!=2xx')).toEqual(['missing', 'paid-slow']);
+        expect(search('status>=400')).toEqual(['missing', 'paid-slow']);
+    });
+
+    it('should compare durations with units', () => {
+        expect(search('duration<100')).toEqual(['health', 'missing']);
+        expect(search('duration>=0.1s duration<=2.5s')).toEqual(['paid-ok', 'paid-slow']);
+    });
+
+    it('should match request and response headers', () => {
+        expect(search('header.authorization:bearer')).toEqual([]); // redacted when captured
+        expect(search('header.x-trace-id=t-1')).toEqual(['missing']);
+        expect(search('header.x-trace-id=T-1')).toEqual([]);
+        expect(search('header.authorization:*')).toEqual(['missing']);
+        expect(search('res.header.content-type:text/plain')).toEqual(['health']);
+        expect(search('res.header.content-type!=text/plain')).toEqual(['missing', 'paid-ok', 'paid-slow']);
+    });
+
+    it('should search request and response bodies', () => {
+        expect(search('req.body:invoice')).toEqual(['paid-ok', 'paid-slow']);
+        expect(search('res.body:"not found"')).toEqual(['missing']);
+        expect(search('body:up')).toEqual(['health']);
+        expect(search('body~"amount\\":\\\\d{4}"')).toEqual(['paid-ok', 'paid-slow']);
+        expect(search('orders')).toEqual(['missing']);
+    });
+
+    it('should match values inside JSON bodies', () => {
+        expect(search('json.type=invoice.paid')).toEqual(['paid-ok', 'paid-slow']);
+        expect(search('json.data.amount>=1000')).toEqual(['paid-ok', 'paid-slow']);
+        expect(search('json.$.data.lines[0].sku:pro')).toEqual(['paid-ok', 'paid-slow']);
+        expect(search('json.data.lines[1]:*')).toEqual([]);
+        expect(search('res.json.code=404')).toEqual(['missing']);
+        expect(search('res.json.ok=true')).toEqual(['paid-ok', 'paid-slow']);
+    });
+
+    it('should match client addresses and ranges', () => {
+        expect(search('ip:192.0.2.10')).toEqual(['health', 'paid-ok', 'paid-slow']);
+        expect(search('ip:10.0.0.0/8')).toEqual(['missing']);
+        expect(search('ip!=192.0.2.0/24')).toEqual(['missing']);
+    });
+
+    it('should match time windows', () => {
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 60 * 1000);
+        try {
+            expect(search('since:15m')).toEqual([]);
+            expect(search('since:2h')).toHaveLength(4);
+        } finally {
+            Date.now.mockRestore();
+        }
+
+        expect(search(`since:"${new Date(now - 1000).toISOString()}" until:"${new Date(now + 1000).toISOString()}"`)).toHaveLength(4);
+        expect(search('until:2020-01-01')).toEqual([]);
+    });
+
+    it('should combine terms with AND, OR, NOT and parentheses', () => {
+        expect(search('method:GET status:404')).toEqual(['missing']);
+        expect(search('method:GET AND status:404')).toEqual(['missing']);
+        expect(search('status:404 OR status:502')).toEqual(['missing', 'paid-slow']);
+        expect(search('method:POST status:502 or path:/health')).toEqual(['health', 'paid-slow']);
+        expect(search('method:POST (status:502 OR path:/health)')).toEqual(['paid-slow']);
+        expect(search('NOT method:POST')).toEqual(['health', 'missing']);
+        expect(search('-path:/webhooks -status:404')).toEqual(['health']);
+    });
+
+    it('should report where a query is wrong', () => {
+        expect(parseQuery('status:404 (method:GET')).toMatchObject({ success: false, error: 'Invalid query: Missing ")" at position 23' });
+        expect(parseQuery('colour:red').error).toBe('Invalid query: Unknown field "colour" at position 1');
+        expect(parseQuery('status:abc').success).toBe(false);
+        expect(parseQuery('duration>fast').success).toBe(false);
+        expect(parseQuery('ip:not-an-ip').success).toBe(false);
+        expect(parseQuery('path~"("').success).toBe(false);
+        expect(parseQuery('body:"open').success).toBe(false);
+        expect(parseQuery('OR status:404').success).toBe(false);
+        expect(parseQuery('   ').success).toBe(false);
+        expect(inspector.parseFilters({ q: ['a', 'b'] })).toMatchObject({ success: false, code: 'INVALID_REQUEST' });
+    });
+});
@@ -13,14 +13,25 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const { WebSocketServer } = require('ws');
-const { createLogger } = require('@devtunnel/shared');
+const { createLogger, safeEqual, ERROR_CODES } = require('@devtunnel/shared');
 
 const TunnelManager = require('./services/TunnelManager');
 const RequestForwarder = require('./services/RequestForwarder');
 const InspectorService = require('./services/InspectorService');
+const WebSocketProxy = require('./services/WebSocketProxy');
+const TcpProxy = require('./services/TcpProxy');
+const TokenStore = require('./services/TokenStore');
+const DomainStore = require('./services/DomainStore');
+const AccessGuard = require('./services/AccessGuard');
+const RateLimiter = require('./services/RateLimiter');
+const ReplayService = require('./services/ReplayService');
+const MetricsService = require('./services/MetricsService');
+const JsonlTrafficStore = require('./storage/JsonlTrafficStore');
 const createPublicRouter = require('./routes/publicRoutes');
 const createApiRouter = require('./routes/apiRoutes');
+const createAdminRouter = require('./routes/adminRoutes');
 const WebSocketHandler = require('./websocket/WebSocketHandler');
+const InspectorSocket = require('./websocket/InspectorSocket');
 
 class GatewayApp {
     constructor(config) {
@@ -28,19 +39,64 @@ class GatewayApp {
         this.logger = createLogger({ name: 'GatewayApp' });
 
         // Initialize services
-        this.tunnelManager = new TunnelManager();
-        this.inspectorService = new InspectorService();
-        this.requestForwarder = new RequestForwarder(this.tunnelManager, this.inspectorService);
+        this.tunnelManager = new TunnelManager({ gracePeriod: this.config.reconnectGracePeriod });
+        this.inspectorService = new InspectorService({
+            ...this.config.inspector,
+            store: this.createTrafficStore(),
+        });
+        this.accessGuard = new AccessGuard();
+        this.rateLimiter = new RateLimiter(this.tunnelManager, this.config.rateLimits);
+        this.metricsService = new MetricsService(this.tunnelManager, {
+            getClientCount: () => (this.wsHandler ? this.wsHandler.getClientCount() : 0),
+        });
+        this.requestForwarder = new RequestForwarder(this.tunnelManager, this.inspectorService, {
+            queueSize: this.config.requestQueueSize,
+            queueTimeout: this.config.requestQueueTimeout,
+            accessGuard: this.accessGuard,
+            rateLimiter: this.rateLimiter,
+            metrics: this.metricsService,
+        });
+        this.webSocketProxy = new WebSocketProxy(this.tunnelManager, {
+            accessGuard: this.accessGuard,
+            rateLimiter: this.rateLimiter,
+        });
+        this.tcpProxy = new TcpProxy(this.tunnelManager, {
+            host: this.config.tcpHost,
+            portRange: this.config.tcpPortRange,
+            accessGuard: this.accessGuard,
+            rateLimiter: this.rateLimiter,
+        });
+        this.replayService = new ReplayService(this.tunnelManager, this.inspectorService, {
+            rateLimiter: this.rateLimiter,
+        });
+        this.tokenStore = new TokenStore({ filePath: this.config.tokenStorePath });
+        this.domainStore = new DomainStore({ filePath: this.config.domainStorePath });
+        this.inspectorSocket = new InspectorSocket(this.inspectorService);
 
         // Initialize Express app
         this.app = this.createExpressApp();
         this.httpServer = http.createServer(this.app);
 
+        // WebSocket upgrades on tunnel subdomains are passed through to the client
+        this.httpServer.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
         // Initialize WebSocket server
         this.wsServer = null;
         this.wsHandler = null;
     }
 
+    /**
+     * Creates the store captured traffic is kept in
+     * @returns {Object|null} Disk store, or null for the inspector's default memory store
+     */
+    createTrafficStore() {
+        const { storage, dataDir, maxStoredRequests } = this.config.inspector || {};
+        if (storage !== 'disk') return null;
+
+        this.logger.info('Storing captured traffic on disk', { dir: dataDir });
+        return new JsonlTrafficStore({ dir: dataDir, maxStoredRequests });
+    }
+
     /**
      * Creates and configures the Express application
      * @returns {express.Application} Configured Express app
@@ -62,8 +118,8 @@ class GatewayApp {
         // Compression for responses
         app.use(compression());
 
-        // Raw body parsing for forwarding
-        app.use(express.raw({ type: '*/*', limit: '10mb' }));
+        // Tunnel request bodies are not parsed here; RequestForwarder
+        // streams them to the client as they arrive
 
         // Request logging middleware
         app.use((req, res, next) => {
@@ -81,38 +137,52 @@ class GatewayApp {
 
         // Subdomain extraction middleware
         app.use((req, res, next) => {
-            const host = req.headers.host || '';
-            const parts = host.split('.');
-
-            // Check if request is for a tunnel subdomain
-            // Format: {subdomain}.{domain}:{port} or {subdomain}.localhost:{port}
-            if (parts.length >= 2 && parts[0] !== 'www' && parts[0] !== 'api') {
-                req.subdomain = parts[0];
-                req.isTunnelRequest = true;
-            } else {
-                req.isTunnelRequest = false;
-            }
+            const subdomain = this.resolveSubdomain(req.headers.host);
+
+            req.subdomain = subdomain || undefined;
+            req.isTunnelRequest = Boolean(subdomain);
 
             next();
         });
 
+        // Gateway endpoints are served on the gateway's own host only; on a
+        // tunnel host these paths belong to the tunnel, and the routers'
+        // body parsers must not consume the request it streams
+        const gatewayOnly = (handler) => (req, res, next) => (req.isTunnelRequest ? next() : handler(req, res, next));
+
+        // Admin routes (token management)
+        app.use('/api/admin', gatewayOnly(createAdminRouter(this)));
+
         // API routes (for dashboard and management)
-        app.use('/api', createApiRouter(this));
+        app.use('/api', gatewayOnly(createApiRouter(this)));
 
         // Health check
-        app.get('/health', (req, res) => {
+        app.get('/health', gatewayOnly((req, res) => {
             res.json({
                 status: 'ok',
                 tunnels: this.tunnelManager.getTunnelCount(),
                 uptime: process.uptime(),
             });
-        });
+        }));
+
+        // Prometheus metrics
+        app.get('/metrics', gatewayOnly((req, res) => {
+            const { metricsToken } = this.config;
+            if (metricsToken && !safeEqual(req.headers.authorization || '', `Bearer ${metricsToken}`)) {
+                return res.status(401).json({ error: 'Metrics token required', code: ERROR_CODES.UNAUTHORIZED });
+            }
+
+            res.type('text/plain; version=0.0.4').send(this.metricsService.render());
+        }));
 
         // Public tunnel routes (catch-all for subdomain-based routing)
         app.use('/', createPublicRouter(this));
 
         // Error handling middleware
         app.use((err, req, res, next) => {
+            if (err.type === 'entity.too.large') {
+                return res.status(413).json({ error: 'Request body too large', code: ERROR_CODES.BODY_TOO_LARGE });
+            }
             this.logger.error('Express error', { error: err.message, stack: err.stack });
             res.status(500).json({ error: 'Internal server error' });
         });
@@ -120,6 +190,59 @@ class GatewayApp {
         return app;
     }
 
+    /**
+     * Extracts the tunnel subdomain from a Host header
+     * Format: {subdomain}.{domain}:{port} or {subdomain}.localhost:{port}
+     * @param {string} host - Host header value
+     * @returns {string|null} Subdomain or null if not a tunnel host
+     */
+    extractSubdomain(host = '') {
+        const parts = host.split('.');
+
+        if (parts.length >= 2 && parts[0] !== 'www' && parts[0] !== 'api') {
+            return parts[0];
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds the tunnel subdomain a Host header routes to: an exact custom
+     * domain match first, then the first label of the host
+     * @param {string} host - Host header value
+     * @returns {string|null} Subdomain or null if not a tunnel host
+     */
+    resolveSubdomain(host = '') {
+        const tunnel = this.tunnelManager.getTunnelByHost(host);
+        if (tunnel) {
+            return tunnel.subdomain;
+        }
+
+        return this.extractSubdomain(host);
+    }
+
+    /**
+     * Handles HTTP upgrade requests on the public server
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Public socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     */
+    handleUpgrade(req, socket, head) {
+        const subdomain = this.resolveSubdomain(req.headers.host);
+
+        if (!subdomain) {
+            // Live traffic subscriptions for the dashboard
+            if (req.url.split('?')[0] === '/api/inspect') {
+                this.inspectorSocket.handleUpgrade(req, socket, head);
+            } else {
+                socket.destroy();
+            }
+            return;
+        }
+
+        this.webSocketProxy.handleUpgrade(subdomain, req, socket, head);
+    }
+
     /**
      * Starts the HTTP and WebSocket servers
      */
@@ -143,6 +266,11 @@ class GatewayApp {
                     this.wsServer,
                     this.tunnelManager,
                     this.requestForwarder,
+                    this.webSocketProxy,
+                    this.tcpProxy,
+                    this.replayService,
+                    this.tokenStore,
+                    this.domainStore,
                     this.config
                 );
 
@@ -172,8 +300,13 @@ class GatewayApp {
 
         // Close all tunnel connections
         this.tunnelManager.closeAll();
+        this.inspectorSocket.stop();
+        this.rateLimiter.destroy();
+        this.metricsService.destroy();
+        await this.inspectorService.destroy();
 
         // Close WebSocket server
+        this.wsHandler?.stop();
         if (this.wsServer) {
             await new Promise((resolve) => {
                 this.wsServer.close(resolve);
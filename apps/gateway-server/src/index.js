@@ -7,8 +7,9 @@
  * - Request forwarding and response streaming
  */
 
-const { createLogger } = require('@devtunnel/shared');
-const { DEFAULT_GATEWAY_PORT, DEFAULT_GATEWAY_WS_PORT } = require('@devtunnel/shared');
+const path = require('path');
+const { createLogger, parseBytes, TUNNEL_CONFIG } = require('@devtunnel/shared');
+const { DEFAULT_GATEWAY_PORT, DEFAULT_GATEWAY_WS_PORT, DEFAULT_TCP_PORT_RANGE } = require('@devtunnel/shared');
 const GatewayApp = require('./app');
 
 const logger = createLogger({ name: 'Gateway' });
@@ -20,13 +21,90 @@ const config = {
     host: process.env.HOST || 'localhost',
     publicDomain: process.env.PUBLIC_DOMAIN || 'localhost',
     dashboardUrl: process.env.DASHBOARD_URL || 'http://localhost:3002',
+    // Gateway-wide request body limit; tunnels may ask for less (0 = unlimited)
+    maxBodySize: parseBytes(process.env.MAX_BODY_SIZE) || 0,
+    // Public ports for TCP tunnels, e.g. "40000-40099"
+    tcpHost: process.env.TCP_HOST || '0.0.0.0',
+    tcpPortRange: parsePortRange(process.env.TCP_PORT_RANGE) || DEFAULT_TCP_PORT_RANGE,
+    // How long a disconnected tunnel keeps its subdomain for the client to resume it (ms, 0 = no grace)
+    reconnectGracePeriod: parseInt(process.env.RECONNECT_GRACE_PERIOD ?? TUNNEL_CONFIG.RECONNECT_GRACE_PERIOD, 10),
+    // Public requests held per tunnel during that window, and how long each may wait (ms)
+    requestQueueSize: parseInt(process.env.REQUEST_QUEUE_SIZE ?? TUNNEL_CONFIG.MAX_QUEUED_REQUESTS, 10),
+    requestQueueTimeout: parseInt(process.env.REQUEST_QUEUE_TIMEOUT ?? TUNNEL_CONFIG.QUEUED_REQUEST_TIMEOUT, 10),
+    // Auth tokens; registration needs one once any have been issued, or always with AUTH_REQUIRED=true
+    tokenStorePath: process.env.TOKEN_STORE_PATH || path.join(process.cwd(), 'data', 'tokens.json'),
+    domainStorePath: process.env.DOMAIN_STORE_PATH || path.join(process.cwd(), 'data', 'domains.json'),
+    authRequired: process.env.AUTH_REQUIRED === 'true',
+    // Protects /api/admin; without it only loopback requests are allowed
+    adminToken: process.env.ADMIN_TOKEN || null,
+    // Bearer token Prometheus must send for /metrics (unset = open, like /health)
+    metricsToken: process.env.METRICS_TOKEN || null,
+    // Captured traffic: kept in memory, or on disk ("disk") as JSONL files that survive restarts
+    inspector: {
+        storage: process.env.INSPECTOR_STORAGE || 'memory',
+        dataDir: process.env.INSPECTOR_DATA_DIR || path.join(process.cwd(), 'data', 'traffic'),
+        maxStoredRequests: parseInt(process.env.INSPECTOR_MAX_REQUESTS, 10) || TUNNEL_CONFIG.MAX_STORED_REQUESTS,
+        retentionMinutes: parseInt(process.env.INSPECTOR_RETENTION_MINUTES, 10) || TUNNEL_CONFIG.TRAFFIC_HISTORY_MINUTES,
+    },
+    // Token-bucket limits for public requests, e.g. "600/1m" (unset = unlimited)
+    rateLimits: {
+        tunnel: parseRateLimit(process.env.RATE_LIMIT_TUNNEL),
+        ip: parseRateLimit(process.env.RATE_LIMIT_IP),
+        client: parseRateLimit(process.env.RATE_LIMIT_CLIENT),
+    },
 };
 
+// Config values kept out of the log
+const SECRET_CONFIG_KEYS = ['adminToken', 'metricsToken'];
+
+/**
+ * Copies the config for logging, with secrets masked
+ * @param {Object} values - Config
+ * @returns {Object} Config safe to log
+ */
+function redactConfig(values) {
+    const redacted = { ...values };
+    for (const key of SECRET_CONFIG_KEYS) {
+        if (redacted[key]) redacted[key] = '[REDACTED]';
+    }
+    return redacted;
+}
+
+/**
+ * Parses a "start-end" port range
+ * @param {string} value - Range string
+ * @returns {Object|null} Range with start and end, or null if invalid
+ */
+function parsePortRange(value) {
+    const match = /^(\d+)-(\d+)$/.exec(value || '');
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    const end = parseInt(match[2], 10);
+    return start > 0 && start <= end && end <= 65535 ? { start, end } : null;
+}
+
+/**
+ * Parses a "requests/window" rate limit such as "100/10s" or "600/1m";
+ * a bare number is requests per minute
+ * @param {string} value - Limit string
+ * @returns {Object|null} Limit with limit and windowMs, or null if unset or invalid
+ */
+function parseRateLimit(value) {
+    const match = /^(\d+)(?:\/(\d*)(s|m|h))?$/.exec((value || '').trim());
+    if (!match) return null;
+
+    const limit = parseInt(match[1], 10);
+    const units = { s: 1000, m: 60000, h: 3600000 };
+    const windowMs = match[3] ? (parseInt(match[2] || '1', 10) * units[match[3]]) : 60000;
+    return limit > 0 && windowMs > 0 ? { limit, windowMs } : null;
+}
+
 /**
  * Bootstrap and start the gateway server
  */
 async function main() {
-    logger.info('Starting DevTunnel+ Gateway Server...', { config });
+    logger.info('Starting DevTunnel+ Gateway Server...', { config: redactConfig(config) });
 
     try {
         const app = new GatewayApp(config);
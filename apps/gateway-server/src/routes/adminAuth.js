@@ -0,0 +1,45 @@
+/**
+ * Admin Auth - Guards gateway endpoints that act on tunnels
+ *
+ * Callers must send the admin token as a Bearer token, or connect from
+ * the gateway's own machine when no ADMIN_TOKEN is configured.
+ */
+
+const { createLogger, safeEqual, ERROR_CODES } = require('@devtunnel/shared');
+
+const logger = createLogger({ name: 'AdminAuth' });
+
+// Addresses allowed to use the admin API when no ADMIN_TOKEN is configured
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Checks a request for admin access
+ * @param {Object} config - Gateway config (adminToken)
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} True if the caller is an admin
+ */
+function isAdminRequest(config, req) {
+    const { adminToken } = config;
+
+    return adminToken
+        ? safeEqual(req.headers.authorization || '', `Bearer ${adminToken}`)
+        : LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress);
+}
+
+/**
+ * Creates middleware that rejects non-admin callers with 401
+ * @param {GatewayApp} app - Gateway application
+ * @returns {Function} Express middleware
+ */
+function createAdminGuard(app) {
+    return (req, res, next) => {
+        if (!isAdminRequest(app.config, req)) {
+            logger.warn('Rejected admin request', { path: req.originalUrl, ip: req.socket.remoteAddress });
+            return res.status(401).json({ error: 'Admin access required', code: ERROR_CODES.UNAUTHORIZED });
+        }
+
+        next();
+    };
+}
+
+module.exports = { createAdminGuard, isAdminRequest };
@@ -0,0 +1,98 @@
+/**
+ * Admin Routes - Auth token, custom domain and tunnel access management
+ */
+
+const express = require('express');
+const { ERROR_CODES } = require('@devtunnel/shared');
+const { createAdminGuard } = require('./adminAuth');
+
+function createAdminRouter(app) {
+    const router = express.Router();
+
+    // Require the admin token, or a local caller if none is configured
+    router.use(createAdminGuard(app));
+
+    // Parse JSON for API
+    router.use(express.json());
+
+    // List tokens
+    router.get('/tokens', (req, res) => {
+        const tokens = app.tokenStore.list();
+        res.json({ tokens, count: tokens.length });
+    });
+
+    // Create a token (the plain token is only returned in this response)
+    router.post('/tokens', (req, res) => {
+        const token = app.tokenStore.create({ name: req.body?.name || null });
+        res.status(201).json(token);
+    });
+
+    // Revoke a token and disconnect the tunnels opened with it
+    router.delete('/tokens/:id', (req, res) => {
+        const token = app.tokenStore.revoke(req.params.id);
+        if (!token) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+
+        const tunnels = app.tunnelManager.getAllTunnels().filter(t => t.clientInfo?.tokenId === token.id);
+        for (const tunnel of tunnels) {
+            app.tunnelManager.closeTunnel(tunnel.tunnelId, 'Auth token revoked');
+            tunnel.ws.close(1008, 'Auth token revoked');
+        }
+
+        res.json({ ...token, closedTunnels: tunnels.length });
+    });
+
+    // List custom domains
+    router.get('/domains', (req, res) => {
+        const domains = app.domainStore.list();
+        res.json({ domains, count: domains.length });
+    });
+
+    // Register a custom domain, optionally for one auth token
+    router.post('/domains', (req, res) => {
+        const tokenId = req.body?.tokenId || null;
+        if (tokenId && !app.tokenStore.findById(tokenId)) {
+            return res.status(404).json({ error: 'Token not found', code: ERROR_CODES.INVALID_TOKEN });
+        }
+
+        const result = app.domainStore.add({ hostname: req.body?.hostname, tokenId });
+        if (!result.success) {
+            const status = result.code === ERROR_CODES.DOMAIN_TAKEN ? 409 : 400;
+            return res.status(status).json({ error: result.error, code: result.code });
+        }
+
+        res.status(201).json(result.domain);
+    });
+
+    // Remove a custom domain and stop routing it to its tunnel
+    router.delete('/domains/:hostname', (req, res) => {
+        const domain = app.domainStore.remove(req.params.hostname);
+        if (!domain) {
+            return res.status(404).json({ error: 'Domain not found' });
+        }
+
+        const tunnel = app.tunnelManager.releaseDomain(domain.hostname);
+
+        res.json({ ...domain, releasedTunnel: tunnel ? tunnel.tunnelId : null });
+    });
+
+    // Replace a tunnel's IP allow/deny lists
+    router.put('/tunnels/:id/ip-rules', (req, res) => {
+        const result = app.tunnelManager.updateIpRules(req.params.id, {
+            allow: req.body?.allow || [],
+            deny: req.body?.deny || [],
+        });
+
+        if (!result.success) {
+            const status = result.code === ERROR_CODES.TUNNEL_NOT_FOUND ? 404 : 400;
+            return res.status(status).json({ error: result.error, code: result.code });
+        }
+
+        res.json(result.tunnel.getStats());
+    });
+
+    return router;
+}
+
+module.exports = createAdminRouter;
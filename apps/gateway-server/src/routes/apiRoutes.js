@@ -3,13 +3,71 @@
  */
 
 const express = require('express');
-const { createLogger } = require('@devtunnel/shared');
+const { createLogger, ERROR_CODES } = require('@devtunnel/shared');
+const { createAdminGuard } = require('./adminAuth');
 
 const logger = createLogger({ name: 'ApiRoutes' });
 
+// HAR files carry whole sessions, so imports get a larger body limit than other API calls
+const HAR_IMPORT_LIMIT = '5mb';
+
+// Header a HAR import presents the tunnel owner's auth token in
+const TUNNEL_TOKEN_HEADER = 'x-devtunnel-token';
+
+/**
+ * Checks that the caller opened a tunnel: it holds the auth token the
+ * tunnel registered with or, for tunnels opened without one, it calls
+ * from the tunnel client's address
+ * @param {GatewayApp} app - Gateway application
+ * @param {Object} tunnel - Tunnel
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the caller owns the tunnel
+ */
+function ownsTunnel(app, tunnel, req) {
+    const { tokenId, clientIp } = tunnel.clientInfo || {};
+
+    if (tokenId) {
+        const auth = app.tokenStore.verify(req.headers[TUNNEL_TOKEN_HEADER]);
+        return auth.success && auth.token.id === tokenId;
+    }
+
+    const callerIp = req.ip || req.socket.remoteAddress;
+    return Boolean(clientIp) && clientIp.replace(/^::ffff:/, '') === String(callerIp).replace(/^::ffff:/, '');
+}
+
 function createApiRouter(app) {
     const router = express.Router();
 
+    // Endpoints that send requests into a tunnel are for admins only
+    const requireAdmin = createAdminGuard(app);
+
+    // Import a HAR file into the inspector (ahead of the default JSON parser and its limit)
+    router.post('/traffic/import.har', requireAdmin, express.json({ limit: HAR_IMPORT_LIMIT, type: ['application/json', 'application/har+json'] }), (req, res) => {
+        // Entries are only attached to (and so replayable through) a tunnel the caller owns
+        let target = {};
+        if (req.query.tunnelId || req.query.subdomain) {
+            const tunnel = req.query.tunnelId
+                ? app.tunnelManager.getTunnelById(req.query.tunnelId)
+                : app.tunnelManager.getTunnelBySubdomain(req.query.subdomain);
+            if (!tunnel) {
+                return res.status(404).json({ error: 'Tunnel not found' });
+            }
+            if (!ownsTunnel(app, tunnel, req)) {
+                return res.status(403).json({
+                    error: `Only the tunnel's owner can import into it; send its auth token in ${TUNNEL_TOKEN_HEADER}`,
+                    code: ERROR_CODES.UNAUTHORIZED,
+                });
+            }
+            target = { tunnelId: tunnel.tunnelId, subdomain: tunnel.subdomain };
+        }
+
+        const result = app.inspectorService.importHar(req.body, target);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error, code: result.code });
+        }
+        res.status(201).json({ imported: result.imported, skipped: result.skipped, requestIds: result.requestIds });
+    });
+
     // Parse JSON for API
     router.use(express.json());
 
@@ -28,18 +86,55 @@ function createApiRouter(app) {
         res.json(tunnel.getStats());
     });
 
-    // Get traffic/inspector data
+    // Rolling latency percentiles, throughput and error rate for a tunnel
+    router.get('/tunnels/:id/metrics', (req, res) => {
+        const tunnel = app.tunnelManager.getTunnelById(req.params.id);
+        if (!tunnel) {
+            return res.status(404).json({ error: 'Tunnel not found' });
+        }
+        res.json({
+            tunnelId: tunnel.tunnelId,
+            subdomain: tunnel.subdomain,
+            ...app.inspectorService.getTunnelMetrics(tunnel.tunnelId),
+        });
+    });
+
+    // Get traffic/inspector data (q= takes a search query, see trafficQuery)
     router.get('/traffic', (req, res) => {
-        const traffic = app.inspectorService.getAllTraffic(req.query);
+        const result = app.inspectorService.parseFilters(req.query);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error, code: result.code });
+        }
+
+        const traffic = app.inspectorService.getAllTraffic(result.filters);
         res.json({ traffic, count: traffic.length });
     });
 
     // Get traffic by tunnel
     router.get('/traffic/tunnel/:tunnelId', (req, res) => {
-        const traffic = app.inspectorService.getTrafficByTunnel(req.params.tunnelId, req.query);
+        const result = app.inspectorService.parseFilters(req.query);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error, code: result.code });
+        }
+
+        const traffic = app.inspectorService.getTrafficByTunnel(req.params.tunnelId, result.filters);
         res.json({ traffic, count: traffic.length });
     });
 
+    // Export traffic as an HTTP Archive (same filters as /traffic, plus tunnelId)
+    router.get('/traffic/export.har', (req, res) => {
+        const result = app.inspectorService.parseFilters(req.query);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error, code: result.code });
+        }
+
+        const har = app.inspectorService.exportHar(result.filters, (subdomain) => app.wsHandler.buildPublicUrl(subdomain));
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+        res.set('Content-Disposition', `attachment; filename="devtunnel-${stamp}.har"`);
+        res.json(har);
+    });
+
     // Get specific request
     router.get('/traffic/:requestId', (req, res) => {
         const traffic = app.inspectorService.getTrafficById(req.params.requestId);
@@ -58,11 +153,28 @@ function createApiRouter(app) {
         res.json({ curl });
     });
 
+    // Replay a captured request through its tunnel, optionally modified
+    router.post('/traffic/:requestId/replay', requireAdmin, async (req, res) => {
+        try {
+            const result = await app.replayService.replay(req.params.requestId, req.body || {}, {
+                clientIp: req.ip || req.socket.remoteAddress,
+            });
+            if (!result.success) {
+                return res.status(result.statusCode).json({ error: result.error, code: result.code });
+            }
+            res.status(201).json({ ...result.traffic, diff: result.diff });
+        } catch (error) {
+            logger.error('Replay failed', { requestId: req.params.requestId, error: error.message });
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
     // Get stats
     router.get('/stats', (req, res) => {
         res.json({
             tunnels: app.tunnelManager.getTunnelCount(),
             traffic: app.inspectorService.getStats(),
+            rateLimits: app.rateLimiter.getStats(),
             uptime: process.uptime(),
         });
     });
@@ -0,0 +1,128 @@
+/**
+ * Access Guard Service
+ *
+ * Decides whether a public request may reach a tunnel, before it is
+ * forwarded. Tunnels can restrict visitors by source IP (allow/deny
+ * CIDR lists) and require basic auth credentials.
+ */
+
+const net = require('net');
+const { createLogger, parseCidr, safeEqual, ERROR_CODES } = require('@devtunnel/shared');
+
+// Realm shown in the browser's login prompt
+const BASIC_AUTH_REALM = 'DevTunnel+';
+
+/**
+ * Builds a matcher for a list of CIDR ranges
+ * @param {string[]} ranges - Normalized CIDR ranges
+ * @returns {net.BlockList|null} Matcher, or null for an empty list
+ */
+function createBlockList(ranges) {
+    if (!ranges || ranges.length === 0) return null;
+
+    const blockList = new net.BlockList();
+    for (const range of ranges) {
+        const { address, prefix, family } = parseCidr(range);
+        blockList.addSubnet(address, prefix, family);
+    }
+    return blockList;
+}
+
+class AccessGuard {
+    constructor() {
+        this.logger = createLogger({ name: 'AccessGuard' });
+
+        // Compiled matchers, keyed by the tunnel's ipRules object (replaced on update)
+        this.ipMatchers = new WeakMap();
+    }
+
+    /**
+     * Checks a public request against the tunnel's access rules
+     *
+     * IP rejections carry `blocked: true` so callers record them in the
+     * inspector; failed basic auth is not recorded.
+     *
+     * @param {Object} tunnel - Tunnel object
+     * @param {http.IncomingMessage} req - Public request
+     * @returns {Object} { allowed: true } or a rejection with statusCode, headers, error and code
+     */
+    check(tunnel, req) {
+        const clientIp = req.ip || req.socket?.remoteAddress;
+        if (!this.isIpAllowed(tunnel, clientIp)) {
+            this.logger.debug(`Blocked by IP rules: ${tunnel.subdomain}`, { clientIp, path: req.url });
+            return {
+                allowed: false,
+                blocked: true,
+                statusCode: 403,
+                headers: {},
+                error: 'Access from your IP address is not allowed',
+                code: ERROR_CODES.IP_BLOCKED,
+            };
+        }
+
+        if (tunnel.basicAuth && !this.checkBasicAuth(tunnel.basicAuth, req)) {
+            this.logger.debug(`Basic auth failed: ${tunnel.subdomain}`, { path: req.url });
+            return {
+                allowed: false,
+                statusCode: 401,
+                headers: { 'WWW-Authenticate': `Basic realm="${BASIC_AUTH_REALM}", charset="UTF-8"` },
+                error: 'Authentication required',
+                code: ERROR_CODES.UNAUTHORIZED,
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Checks a source address against the tunnel's allow/deny lists.
+     * Deny entries win; a non-empty allow list admits only its ranges.
+     * @param {Object} tunnel - Tunnel object
+     * @param {string} ip - Source address
+     * @returns {boolean} True if the address may connect
+     */
+    isIpAllowed(tunnel, ip) {
+        const rules = tunnel.ipRules;
+        if (!rules || (rules.allow.length === 0 && rules.deny.length === 0)) return true;
+
+        let matchers = this.ipMatchers.get(rules);
+        if (!matchers) {
+            matchers = { allow: createBlockList(rules.allow), deny: createBlockList(rules.deny) };
+            this.ipMatchers.set(rules, matchers);
+        }
+
+        const family = net.isIP(ip || '');
+        if (!family) return false;
+
+        const type = family === 4 ? 'ipv4' : 'ipv6';
+        if (matchers.deny?.check(ip, type)) return false;
+        return !matchers.allow || matchers.allow.check(ip, type);
+    }
+
+    /**
+     * Checks the Authorization header against the tunnel's credentials.
+     * The header is removed once accepted so the gateway credentials
+     * never reach the local server or the inspector.
+     * @param {Object} credentials - { username, password }
+     * @param {http.IncomingMessage} req - Public request
+     * @returns {boolean} True if the credentials match
+     */
+    checkBasicAuth(credentials, req) {
+        const match = /^Basic\s+(\S+)$/i.exec(req.headers.authorization || '');
+        if (!match) return false;
+
+        const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator < 0) return false;
+
+        // Compare both parts so a wrong username takes as long as a wrong password
+        const userOk = safeEqual(decoded.slice(0, separator), credentials.username);
+        const passOk = safeEqual(decoded.slice(separator + 1), credentials.password);
+        if (!userOk || !passOk) return false;
+
+        delete req.headers.authorization;
+        return true;
+    }
+}
+
+module.exports = AccessGuard;
@@ -0,0 +1,140 @@
+/**
+ * Domain Store Service
+ *
+ * Keeps the custom hostnames tunnels may claim at registration. A domain
+ * is added through the admin API once it points at the gateway (CNAME or
+ * hosts-file entry), optionally for a single auth token; only clients
+ * holding that token can then route it to their tunnel. Domains are
+ * persisted to a JSON file like the auth tokens.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    createLogger,
+    normalizeHostname,
+    ERROR_CODES,
+} = require('@devtunnel/shared');
+
+class DomainStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.filePath - JSON file to persist domains in (omit for memory only)
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || null;
+        this.logger = createLogger({ name: 'DomainStore' });
+
+        // Map of hostname -> domain record
+        this.domains = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Loads domains from the backing file, if there is one
+     */
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const record of data.domains || []) {
+                this.domains.set(record.hostname, record);
+            }
+            this.logger.info(`Loaded ${this.domains.size} custom domains`, { file: this.filePath });
+        } catch (error) {
+            this.logger.error('Failed to load custom domains', { file: this.filePath, error: error.message });
+        }
+    }
+
+    /**
+     * Writes all domains to the backing file
+     */
+    save() {
+        if (!this.filePath) return;
+
+        // Write then rename so a crash never leaves a half-written file
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify({ domains: [...this.domains.values()] }, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Adds a domain tunnels may claim
+     * @param {Object} options - Domain options
+     * @param {string} options.hostname - Full hostname, e.g. api.customer-demo.test
+     * @param {string} options.tokenId - Auth token that owns the domain (null = any client)
+     * @returns {Object} Result with the domain record or error
+     */
+    add({ hostname, tokenId = null } = {}) {
+        const normalized = normalizeHostname(hostname);
+        if (!normalized) {
+            return { success: false, error: `Invalid hostname: ${hostname}`, code: ERROR_CODES.INVALID_DOMAIN };
+        }
+
+        if (this.domains.has(normalized)) {
+            return { success: false, error: `Domain already registered: ${normalized}`, code: ERROR_CODES.DOMAIN_TAKEN };
+        }
+
+        const record = { hostname: normalized, tokenId, createdAt: Date.now() };
+        this.domains.set(normalized, record);
+        this.save();
+
+        this.logger.info(`Custom domain added: ${normalized}`, { tokenId });
+
+        return { success: true, domain: record };
+    }
+
+    /**
+     * Removes a domain
+     * @param {string} hostname - Hostname
+     * @returns {Object|null} Removed domain record or null if not found
+     */
+    remove(hostname) {
+        const record = this.domains.get(normalizeHostname(hostname));
+        if (!record) return null;
+
+        this.domains.delete(record.hostname);
+        this.save();
+
+        this.logger.info(`Custom domain removed: ${record.hostname}`);
+
+        return record;
+    }
+
+    /**
+     * Lists all domains
+     * @returns {Object[]} Domain records
+     */
+    list() {
+        return [...this.domains.values()];
+    }
+
+    /**
+     * Checks that a client may route a domain to its tunnel
+     * @param {string} hostname - Requested hostname
+     * @param {string|null} tokenId - ID of the client's auth token
+     * @returns {Object} Result with the normalized hostname or error
+     */
+    authorize(hostname, tokenId) {
+        const normalized = normalizeHostname(hostname);
+        if (!normalized) {
+            return { success: false, error: `Invalid hostname: ${hostname}`, code: ERROR_CODES.INVALID_DOMAIN };
+        }
+
+        const record = this.domains.get(normalized);
+        if (!record || (record.tokenId && record.tokenId !== tokenId)) {
+            return {
+                success: false,
+                error: `Domain ${normalized} is not registered for this client; ask the gateway admin to add it`,
+                code: ERROR_CODES.DOMAIN_NOT_ALLOWED,
+            };
+        }
+
+        return { success: true, hostname: normalized };
+    }
+}
+
+module.exports = DomainStore;
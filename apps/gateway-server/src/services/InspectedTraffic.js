@@ -0,0 +1,344 @@
+/**
+ * Inspected Traffic
+ *
+ * A captured request/response pair as kept by the inspector, with the
+ * conversions it is shown or exported in (JSON, curl, HAR) and the plain
+ * record the storage backends persist. Credential headers (Authorization,
+ * Cookie, Set-Cookie, X-Api-Key) are redacted as soon as they are captured,
+ * so every view of the traffic, in memory or on disk, shows the same thing.
+ */
+
+const { STATUS_CODES } = require('http');
+const {
+    sanitizeHeaders,
+    getContentType,
+    isJsonContentType,
+    toBodyBuffer,
+} = require('@devtunnel/shared');
+
+// Content types whose bodies are exported to HAR as plain text rather than base64
+const TEXT_CONTENT_TYPE = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i;
+
+/**
+ * Parses a captured body for display if its content type is JSON
+ * @param {string|null} text - Body as utf8 text
+ * @param {Object} headers - Message headers
+ * @returns {*} Parsed body, or undefined if not JSON
+ */
+function parseJsonBody(text, headers) {
+    if (!text || !isJsonContentType(getContentType(headers || {}))) return undefined;
+
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Converts a header object to HAR name/value pairs
+ * @param {Object} headers - Headers (values may be arrays)
+ * @returns {Object[]} HAR headers
+ */
+function toHarHeaders(headers = {}) {
+    return Object.entries(headers).flatMap(([name, value]) =>
+        (Array.isArray(value) ? value : [value]).map(v => ({ name, value: String(v) })));
+}
+
+/**
+ * Lists the cookies of a Cookie or Set-Cookie header as HAR cookies
+ * @param {string|string[]} header - Header value(s)
+ * @param {boolean} setCookie - Whether these are Set-Cookie values (one cookie each)
+ * @returns {Object[]} HAR cookies
+ */
+function toHarCookies(header, setCookie = false) {
+    if (!header) return [];
+
+    const pairs = setCookie
+        ? (Array.isArray(header) ? header : [header]).map(value => value.split(';')[0])
+        : String(header).split(';');
+
+    return pairs
+        .map(pair => pair.trim())
+        .filter(pair => pair.includes('='))
+        .map((pair) => {
+            const index = pair.indexOf('=');
+            return { name: pair.slice(0, index), value: pair.slice(index + 1) };
+        });
+}
+
+/**
+ * Represents a captured request/response pair
+ */
+class InspectedTraffic {
+    constructor(request) {
+        this.requestId = request.requestId;
+        this.tunnelId = request.tunnelId;
+        this.subdomain = request.subdomain;
+
+        // Request data
+        this.request = {
+            method: request.method,
+            path: request.path,
+            headers: sanitizeHeaders(request.headers || {}),
+            body: request.body,
+            query: request.query,
+            timestamp: request.timestamp,
+            clientIp: request.clientIp,
+        };
+
+        // Response data (filled in later)
+        this.response = null;
+
+        // Turned away by the tunnel's IP rules, never forwarded
+        this.blocked = request.blocked || false;
+
+        // Replay links: the request this one replays, and replays of this one
+        this.replayOf = request.replayOf || null;
+        this.replays = [];
+
+        // Loaded from a HAR file rather than captured live
+        this.imported = request.imported || false;
+
+        // JSON bodies parsed once for display
+        this.parsedRequestBody = parseJsonBody(request.body, request.headers);
+        this.parsedResponseBody = undefined;
+
+        // Timing
+        this.responseTime = null;
+        this.createdAt = Date.now();
+    }
+
+    /**
+     * Attaches the request body once it has finished streaming
+     * @param {string|null} body - Captured body (utf8)
+     * @param {Object} info - Body metadata
+     * @param {number} info.size - Full body size in bytes
+     * @param {boolean} info.truncated - Whether the capture was cut short
+     */
+    setRequestBody(body, { size, truncated = false } = {}) {
+        this.request.body = body;
+        this.request.bodySize = size;
+        this.request.bodyTruncated = truncated;
+        this.parsedRequestBody = parseJsonBody(body, this.request.headers);
+    }
+
+    /**
+     * Attaches response data
+     * @param {Object} response - Response data (body as a Buffer or base64 string)
+     */
+    setResponse(response) {
+        const body = response.body ? toBodyBuffer(response.body) : null;
+
+        this.response = {
+            statusCode: response.statusCode,
+            headers: sanitizeHeaders(response.headers || {}),
+            body: body ? body.toString('base64') : null,
+            bodySize: response.bodySize,
+            bodyTruncated: response.bodyTruncated || false,
+            error: response.error,
+            timestamp: response.timestamp,
+        };
+        this.responseTime = response.responseTime;
+        this.parsedResponseBody = body ? parseJsonBody(body.toString('utf8'), response.headers) : undefined;
+    }
+
+    /**
+     * Plain copy of the traffic for storage backends that serialize it
+     * @returns {Object} Record accepted by InspectedTraffic.fromRecord
+     */
+    toRecord() {
+        return {
+            requestId: this.requestId,
+            tunnelId: this.tunnelId,
+            subdomain: this.subdomain,
+            blocked: this.blocked,
+            replayOf: this.replayOf,
+            replays: this.replays,
+            imported: this.imported,
+            request: this.request,
+            response: this.response,
+            responseTime: this.responseTime,
+            createdAt: this.createdAt,
+        };
+    }
+
+    /**
+     * Rebuilds traffic from a stored record
+     * @param {Object} record - Record from toRecord
+     * @returns {InspectedTraffic} Traffic
+     */
+    static fromRecord(record) {
+        const traffic = new InspectedTraffic({
+            ...record.request,
+            requestId: record.requestId,
+            tunnelId: record.tunnelId,
+            subdomain: record.subdomain,
+            blocked: record.blocked,
+            replayOf: record.replayOf,
+            imported: record.imported,
+        });
+
+        traffic.request = record.request;
+        traffic.replays = record.replays || [];
+        traffic.responseTime = record.responseTime;
+        traffic.createdAt = record.createdAt;
+
+        if (record.response) {
+            traffic.response = record.response;
+            traffic.parsedResponseBody = record.response.body
+                ? parseJsonBody(Buffer.from(record.response.body, 'base64').toString('utf8'), record.response.headers)
+                : undefined;
+        }
+
+        return traffic;
+    }
+
+    /**
+     * Formats the traffic for JSON output
+     * @returns {Object} Formatted traffic data
+     */
+    toJSON() {
+        const result = {
+            requestId: this.requestId,
+            tunnelId: this.tunnelId,
+            subdomain: this.subdomain,
+            blocked: this.blocked,
+            replayOf: this.replayOf,
+            replays: this.replays,
+            imported: this.imported,
+            request: { ...this.request },
+            response: this.response ? { ...this.response } : null,
+            responseTime: this.responseTime,
+            createdAt: this.createdAt,
+        };
+
+        // Parsed JSON bodies for better display
+        if (this.parsedRequestBody !== undefined) {
+            result.request.parsedBody = this.parsedRequestBody;
+        }
+
+        if (result.response && this.parsedResponseBody !== undefined) {
+            result.response.parsedBody = this.parsedResponseBody;
+        }
+
+        return result;
+    }
+
+    /**
+     * Generates a curl command for this request
+     * @returns {string} Curl command
+     */
+    toCurl() {
+        const parts = ['curl'];
+
+        // Method
+        if (this.request.method !== 'GET') {
+            parts.push(`-X ${this.request.method}`);
+        }
+
+        // Headers
+        for (const [key, value] of Object.entries(this.request.headers)) {
+            if (!['host', 'content-length'].includes(key.toLowerCase())) {
+                parts.push(`-H '${key}: ${value}'`);
+            }
+        }
+
+        // Body
+        if (this.request.body) {
+            parts.push(`-d '${this.request.body.replace(/'/g, "'\\''")}'`);
+        }
+
+        // URL - construct from subdomain and path
+        const url = `https://${this.subdomain}.example.com${this.request.path}`;
+        parts.push(`'${url}'`);
+
+        return parts.join(' \\\n  ');
+    }
+
+    /**
+     * Builds an HTTP Archive (HAR 1.2) entry for this request
+     * @param {string} baseUrl - Public URL of the tunnel (scheme and host)
+     * @returns {Object} HAR entry
+     */
+    toHarEntry(baseUrl) {
+        const url = new URL(this.request.path, baseUrl);
+        const requestHeaders = this.request.headers || {};
+        const requestBody = this.request.body;
+
+        const request = {
+            method: this.request.method,
+            url: url.href,
+            httpVersion: 'HTTP/1.1',
+            cookies: toHarCookies(requestHeaders.cookie),
+            headers: toHarHeaders(requestHeaders),
+            queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+            headersSize: -1,
+            bodySize: this.request.bodySize ?? (requestBody ? Buffer.byteLength(requestBody) : 0),
+        };
+        if (requestBody) {
+            request.postData = { mimeType: getContentType(requestHeaders), text: requestBody };
+        }
+
+        // Requests still waiting (or never answered) get status 0, as browsers export them
+        const response = {
+            status: this.response?.statusCode || 0,
+            statusText: STATUS_CODES[this.response?.statusCode] || '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [],
+            content: { size: 0, mimeType: 'x-unknown' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1,
+        };
+
+        if (this.response) {
+            const headers = this.response.headers || {};
+            const body = this.response.body ? Buffer.from(this.response.body, 'base64') : Buffer.alloc(0);
+            const mimeType = getContentType(headers) || 'x-unknown';
+
+            response.cookies = toHarCookies(headers['set-cookie'], true);
+            response.headers = toHarHeaders(headers);
+            response.redirectURL = headers.location || '';
+            response.bodySize = this.response.bodySize ?? body.length;
+            response.content = { size: body.length, mimeType };
+
+            if (body.length > 0) {
+                if (TEXT_CONTENT_TYPE.test(mimeType)) {
+                    response.content.text = body.toString('utf8');
+                } else {
+                    response.content.text = this.response.body;
+                    response.content.encoding = 'base64';
+                }
+            }
+            if (this.response.error) {
+                response._error = this.response.error;
+            }
+        }
+
+        // Only the time spent waiting on the tunnel is measured
+        const wait = this.responseTime ?? 0;
+
+        const entry = {
+            startedDateTime: new Date(this.request.timestamp || this.createdAt).toISOString(),
+            time: wait,
+            request,
+            response,
+            cache: {},
+            timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait, receive: 0 },
+            _requestId: this.requestId,
+            _tunnelId: this.tunnelId,
+        };
+        if (this.request.clientIp) {
+            entry._clientIp = this.request.clientIp;
+        }
+        if (this.blocked) {
+            entry._blocked = true;
+        }
+
+        return entry;
+    }
+}
+
+module.exports = InspectedTraffic;
@@ -2,137 +2,55 @@
  * Inspector Service
  * 
  * Captures and stores request/response data for the dashboard
- * with real-time event emission for WebSocket updates.
+ * with real-time event emission for WebSocket updates. Traffic is
+ * kept in a pluggable store: in memory by default, or on disk.
  */
 
 const { EventEmitter } = require('events');
 const {
     createLogger,
     TUNNEL_CONFIG,
-    sanitizeHeaders,
-    getContentType,
-    isJsonContentType,
+    ERROR_CODES,
+    generateRequestId,
 } = require('@devtunnel/shared');
+const { version } = require('../../package.json');
+const InspectedTraffic = require('./InspectedTraffic');
+const TrafficStats = require('./TrafficStats');
+const MemoryTrafficStore = require('../storage/MemoryTrafficStore');
+const { parseQuery } = require('../storage/trafficQuery');
 
 /**
- * Represents a captured request/response pair
+ * Converts HAR name/value pairs to a header object
+ * @param {Object[]} headers - HAR headers
+ * @returns {Object} Headers with lowercase names (set-cookie as an array)
  */
-class InspectedTraffic {
-    constructor(request) {
-        this.requestId = request.requestId;
-        this.tunnelId = request.tunnelId;
-        this.subdomain = request.subdomain;
-
-        // Request data
-        this.request = {
-            method: request.method,
-            path: request.path,
-            headers: request.headers,
-            body: request.body,
-            query: request.query,
-            timestamp: request.timestamp,
-            clientIp: request.clientIp,
-        };
-
-        // Response data (filled in later)
-        this.response = null;
-
-        // Timing
-        this.responseTime = null;
-        this.createdAt = Date.now();
-    }
-
-    /**
-     * Attaches response data
-     * @param {Object} response - Response data
-     */
-    setResponse(response) {
-        this.response = {
-            statusCode: response.statusCode,
-            headers: response.headers,
-            body: response.body,
-            error: response.error,
-            timestamp: response.timestamp,
-        };
-        this.responseTime = response.responseTime;
-    }
-
-    /**
-     * Formats the traffic for JSON output
-     * @param {boolean} sanitize - Whether to sanitize sensitive headers
-     * @returns {Object} Formatted traffic data
-     */
-    toJSON(sanitize = false) {
-        const result = {
-            requestId: this.requestId,
-            tunnelId: this.tunnelId,
-            subdomain: this.subdomain,
-            request: {
-                ...this.request,
-                headers: sanitize ? sanitizeHeaders(this.request.headers) : this.request.headers,
-            },
-            response: this.response ? {
-                ...this.response,
-                headers: sanitize ? sanitizeHeaders(this.response.headers || {}) : this.response.headers,
-            } : null,
-            responseTime: this.responseTime,
-            createdAt: this.createdAt,
-        };
-
-        // Try to parse JSON bodies for better display
-        if (result.request.body && isJsonContentType(getContentType(result.request.headers))) {
-            try {
-                result.request.parsedBody = JSON.parse(result.request.body);
-            } catch { }
-        }
-
-        if (result.response?.body && isJsonContentType(getContentType(result.response.headers || {}))) {
-            try {
-                // Body might be base64 encoded
-                const decoded = Buffer.from(result.response.body, 'base64').toString('utf8');
-                result.response.parsedBody = JSON.parse(decoded);
-            } catch { }
+function fromHarHeaders(headers = []) {
+    const result = {};
+    for (const { name, value } of headers) {
+        const key = String(name).toLowerCase();
+        // HTTP/2 pseudo-headers from browser exports
+        if (key.startsWith(':')) continue;
+
+        if (key === 'set-cookie') {
+            result[key] = [...(result[key] || []), String(value)];
+        } else {
+            result[key] = key in result ? `${result[key]}, ${value}` : String(value);
         }
-
-        return result;
-    }
-
-    /**
-     * Generates a curl command for this request
-     * @returns {string} Curl command
-     */
-    toCurl() {
-        const parts = ['curl'];
-
-        // Method
-        if (this.request.method !== 'GET') {
-            parts.push(`-X ${this.request.method}`);
-        }
-
-        // Headers
-        for (const [key, value] of Object.entries(this.request.headers)) {
-            if (!['host', 'content-length'].includes(key.toLowerCase())) {
-                parts.push(`-H '${key}: ${value}'`);
-            }
-        }
-
-        // Body
-        if (this.request.body) {
-            parts.push(`-d '${this.request.body.replace(/'/g, "'\\''")}'`);
-        }
-
-        // URL - construct from subdomain and path
-        const url = `https://${this.subdomain}.example.com${this.request.path}`;
-        parts.push(`'${url}'`);
-
-        return parts.join(' \\\n  ');
     }
+    return result;
 }
 
 /**
  * Service for capturing and storing traffic data
  */
 class InspectorService extends EventEmitter {
+    /**
+     * @param {Object} options - Inspector options
+     * @param {number} options.maxStoredRequests - Entries kept by the default store
+     * @param {number} options.retentionMinutes - How long traffic is kept
+     * @param {Object} options.store - Traffic store (defaults to MemoryTrafficStore)
+     * @param {Object} options.stats - Bucket options for the rolling stats (see TrafficStats)
+     */
     constructor(options = {}) {
         super();
         this.logger = createLogger({ name: 'InspectorService' });
@@ -141,14 +59,14 @@ class InspectorService extends EventEmitter {
         this.maxStoredRequests = options.maxStoredRequests || TUNNEL_CONFIG.MAX_STORED_REQUESTS;
         this.retentionMinutes = options.retentionMinutes || TUNNEL_CONFIG.TRAFFIC_HISTORY_MINUTES;
 
-        // Storage by tunnel ID
-        this.trafficByTunnel = new Map();
+        // Where traffic is kept
+        this.store = options.store || new MemoryTrafficStore({ maxStoredRequests: this.maxStoredRequests });
 
-        // All traffic (limited circular buffer)
-        this.allTraffic = [];
+        // Rolling latency and error stats, kept apart from the store so reading them is cheap
+        this.trafficStats = new TrafficStats(options.stats);
 
-        // Map of requestId -> InspectedTraffic for fast lookup
-        this.trafficByRequestId = new Map();
+        // A persistent store may hold traffic that expired while the gateway was down
+        this.cleanup();
 
         // Start cleanup timer
         this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
@@ -161,21 +79,14 @@ class InspectorService extends EventEmitter {
      */
     recordRequest(request) {
         const traffic = new InspectedTraffic(request);
+        this.store.save(traffic);
 
-        // Store in maps
-        this.trafficByRequestId.set(request.requestId, traffic);
-
-        // Store by tunnel
-        if (!this.trafficByTunnel.has(request.tunnelId)) {
-            this.trafficByTunnel.set(request.tunnelId, []);
+        // Link a replay to the request it replays
+        const original = traffic.replayOf ? this.store.get(traffic.replayOf) : null;
+        if (original) {
+            original.replays.push(traffic.requestId);
+            this.store.save(original);
         }
-        this.trafficByTunnel.get(request.tunnelId).push(traffic);
-
-        // Store in global list
-        this.allTraffic.push(traffic);
-
-        // Enforce limits
-        this.enforceLimit();
 
         // Emit event for real-time updates
         this.emit('request', traffic.toJSON());
@@ -188,12 +99,26 @@ class InspectorService extends EventEmitter {
         return traffic;
     }
 
+    /**
+     * Records the request body once it has finished streaming
+     * @param {string} requestId - Request ID
+     * @param {string|null} body - Captured body (utf8)
+     * @param {Object} info - Body metadata (size, truncated)
+     */
+    recordRequestBody(requestId, body, info) {
+        const traffic = this.store.get(requestId);
+        if (!traffic) return;
+
+        traffic.setRequestBody(body, info);
+        this.store.save(traffic);
+    }
+
     /**
      * Records a response for a request
      * @param {Object} response - Response data
      */
     recordResponse(response) {
-        const traffic = this.trafficByRequestId.get(response.requestId);
+        const traffic = this.store.get(response.requestId);
 
         if (!traffic) {
             this.logger.warn(`No request found for response: ${response.requestId}`);
@@ -201,6 +126,17 @@ class InspectorService extends EventEmitter {
         }
 
         traffic.setResponse(response);
+        this.store.save(traffic);
+
+        // Imported entries are not live traffic
+        if (!traffic.imported) {
+            this.trafficStats.record({
+                tunnelId: traffic.tunnelId,
+                statusCode: response.statusCode,
+                responseTime: response.responseTime,
+                failed: Boolean(response.error),
+            });
+        }
 
         // Emit event for real-time updates
         this.emit('response', traffic.toJSON());
@@ -218,8 +154,7 @@ class InspectorService extends EventEmitter {
      * @returns {Object[]} Array of traffic data
      */
     getTrafficByTunnel(tunnelId, options = {}) {
-        const traffic = this.trafficByTunnel.get(tunnelId) || [];
-        return this.filterAndPaginate(traffic, options);
+        return this.filterAndPaginate({ ...options, tunnelId });
     }
 
     /**
@@ -228,7 +163,7 @@ class InspectorService extends EventEmitter {
      * @returns {Object[]} Array of traffic data
      */
     getAllTraffic(options = {}) {
-        return this.filterAndPaginate(this.allTraffic, options);
+        return this.filterAndPaginate(options);
     }
 
     /**
@@ -237,7 +172,7 @@ class InspectorService extends EventEmitter {
      * @returns {Object|null} Traffic data or null
      */
     getTrafficById(requestId) {
-        const traffic = this.trafficByRequestId.get(requestId);
+        const traffic = this.store.get(requestId);
         return traffic ? traffic.toJSON() : null;
     }
 
@@ -247,68 +182,141 @@ class InspectorService extends EventEmitter {
      * @returns {string|null} Curl command or null
      */
     getCurlCommand(requestId) {
-        const traffic = this.trafficByRequestId.get(requestId);
+        const traffic = this.store.get(requestId);
         return traffic ? traffic.toCurl() : null;
     }
 
     /**
-     * Filters and paginates traffic data
-     * @param {InspectedTraffic[]} traffic - Traffic array
-     * @param {Object} options - Filter options
-     * @returns {Object[]} Filtered traffic data
+     * Exports traffic as an HTTP Archive (HAR 1.2)
+     * @param {Object} options - Same filters as getAllTraffic, plus tunnelId
+     * @param {Function} baseUrlFor - Maps a subdomain to its public URL
+     * @returns {Object} HAR document
      */
-    filterAndPaginate(traffic, options = {}) {
-        let result = [...traffic];
+    exportHar(options = {}, baseUrlFor = (subdomain) => `http://${subdomain}.localhost`) {
+        // HAR entries run in the order the requests started
+        const entries = this.store.query(options)
+            .sort((a, b) => (a.request.timestamp || a.createdAt) - (b.request.timestamp || b.createdAt))
+            .map(t => t.toHarEntry(baseUrlFor(t.subdomain)));
 
-        // Filter by method
-        if (options.method) {
-            result = result.filter(t => t.request.method === options.method.toUpperCase());
-        }
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'DevTunnel+', version },
+                pages: [],
+                entries,
+            },
+        };
+    }
 
-        // Filter by status code
-        if (options.statusCode) {
-            result = result.filter(t => t.response?.statusCode === parseInt(options.statusCode, 10));
+    /**
+     * Loads the entries of an HTTP Archive as captured traffic
+     *
+     * Imported entries get new request IDs. Only entries attached to a
+     * tunnel can be replayed; otherwise the subdomain in each entry's URL
+     * is kept for display.
+     *
+     * @param {Object} har - HAR document
+     * @param {Object} options - Import options
+     * @param {string} options.tunnelId - Tunnel to attach the entries to
+     * @param {string} options.subdomain - Subdomain to attach the entries to
+     * @returns {Object} Result with imported and skipped counts and the new request IDs
+     */
+    importHar(har, options = {}) {
+        const entries = har?.log?.entries;
+        if (!Array.isArray(entries)) {
+            return { success: false, error: 'Not a HAR file: log.entries is missing', code: ERROR_CODES.INVALID_REQUEST };
         }
 
-        // Filter by path pattern
-        if (options.path) {
-            const pattern = new RegExp(options.path, 'i');
-            result = result.filter(t => pattern.test(t.request.path));
-        }
+        const requestIds = [];
+        let skipped = 0;
 
-        // Filter by time range
-        if (options.since) {
-            const since = new Date(options.since).getTime();
-            result = result.filter(t => t.createdAt >= since);
-        }
+        for (const entry of entries) {
+            let url;
+            try {
+                url = new URL(entry.request.url);
+            } catch {
+                skipped++;
+                continue;
+            }
+            if (!entry.request.method) {
+                skipped++;
+                continue;
+            }
+
+            const requestId = generateRequestId();
+            const headers = fromHarHeaders(entry.request.headers);
+            const timestamp = Date.parse(entry.startedDateTime) || Date.now();
+
+            const postData = entry.request.postData;
+            let body = null;
+            if (postData?.text) {
+                body = postData.encoding === 'base64'
+                    ? Buffer.from(postData.text, 'base64').toString('utf8')
+                    : postData.text;
+            }
+
+            this.recordRequest({
+                requestId,
+                tunnelId: options.tunnelId || null,
+                subdomain: options.subdomain || url.hostname.split('.')[0],
+                method: String(entry.request.method).toUpperCase(),
+                path: url.pathname + url.search,
+                headers,
+                body: null,
+                query: Object.fromEntries(url.searchParams),
+                timestamp,
+                clientIp: entry._clientIp || null,
+                imported: true,
+            });
+            if (body !== null) {
+                this.recordRequestBody(requestId, body, { size: Buffer.byteLength(body) });
+            }
+
+            const response = entry.response;
+            if (response?.status > 0) {
+                const content = response.content || {};
+                this.recordResponse({
+                    requestId,
+                    statusCode: response.status,
+                    headers: fromHarHeaders(response.headers),
+                    body: content.text ? Buffer.from(content.text, content.encoding === 'base64' ? 'base64' : 'utf8') : null,
+                    responseTime: entry.time >= 0 ? Math.round(entry.time) : null,
+                    timestamp: timestamp + Math.max(0, entry.time || 0),
+                });
+            }
 
-        // Sort (newest first by default)
-        result.sort((a, b) => b.createdAt - a.createdAt);
+            requestIds.push(requestId);
+        }
 
-        // Pagination
-        const limit = options.limit || 50;
-        const offset = options.offset || 0;
-        result = result.slice(offset, offset + limit);
+        this.logger.info(`Imported ${requestIds.length} HAR entries`, { skipped });
 
-        return result.map(t => t.toJSON(options.sanitize));
+        return { success: true, imported: requestIds.length, skipped, requestIds };
     }
 
     /**
-     * Enforces storage limits
+     * Checks /api/traffic options and compiles the q search
+     * @param {Object} options - Query options as received
+     * @returns {Object} Result with filters, or error
      */
-    enforceLimit() {
-        // Global limit
-        while (this.allTraffic.length > this.maxStoredRequests) {
-            const removed = this.allTraffic.shift();
-            this.trafficByRequestId.delete(removed.requestId);
+    parseFilters(options = {}) {
+        if (options.q === undefined || options.q === '') {
+            return { success: true, filters: { ...options, q: undefined } };
         }
 
-        // Per-tunnel limit
-        for (const [tunnelId, traffic] of this.trafficByTunnel) {
-            while (traffic.length > this.maxStoredRequests / 2) {
-                traffic.shift();
-            }
+        const result = parseQuery(options.q);
+        if (!result.success) {
+            return { success: false, error: result.error, code: ERROR_CODES.INVALID_REQUEST };
         }
+        return { success: true, filters: { ...options, q: result.query } };
+    }
+
+    /**
+     * Filters and paginates traffic data
+     * @param {Object} options - Filter options
+     * @returns {Object[]} Filtered traffic data
+     */
+    filterAndPaginate(options = {}) {
+        return this.store.query(options).map(t => t.toJSON());
     }
 
     /**
@@ -316,81 +324,57 @@ class InspectorService extends EventEmitter {
      */
     cleanup() {
         const cutoff = Date.now() - (this.retentionMinutes * 60 * 1000);
-
-        // Clean global list
-        this.allTraffic = this.allTraffic.filter(t => t.createdAt >= cutoff);
-
-        // Clean by-tunnel storage
-        for (const [tunnelId, traffic] of this.trafficByTunnel) {
-            this.trafficByTunnel.set(
-                tunnelId,
-                traffic.filter(t => t.createdAt >= cutoff)
-            );
-        }
-
-        // Clean lookup map
-        for (const [requestId, traffic] of this.trafficByRequestId) {
-            if (traffic.createdAt < cutoff) {
-                this.trafficByRequestId.delete(requestId);
-            }
-        }
+        this.store.prune(cutoff);
+        this.trafficStats.prune();
 
         this.logger.debug('Traffic cleanup completed', {
-            remaining: this.allTraffic.length,
+            remaining: this.store.count(),
         });
     }
 
     /**
      * Clears all traffic data
+     * @returns {Promise<void>} Resolves once the store has removed everything
      */
-    clear() {
-        this.allTraffic = [];
-        this.trafficByTunnel.clear();
-        this.trafficByRequestId.clear();
+    async clear() {
+        await this.store.clear();
     }
 
     /**
-     * Stops the cleanup timer
+     * Stops the cleanup timer and closes the store
+     * @returns {Promise<void>} Resolves once the store has written everything out
      */
-    destroy() {
+    async destroy() {
         if (this.cleanupInterval) {
             clearInterval(this.cleanupInterval);
         }
+        await this.store.close();
     }
 
     /**
-     * Gets statistics about stored traffic
+     * Gets rolling stats for one tunnel
+     * @param {string} tunnelId - Tunnel ID
+     * @returns {Object} Window totals and per-bucket stats (see TrafficStats.summary)
+     */
+    getTunnelMetrics(tunnelId) {
+        return this.trafficStats.summary(tunnelId);
+    }
+
+    /**
+     * Gets the number of stored requests, plus rolling stats for all tunnels
      * @returns {Object} Statistics
      */
     getStats() {
-        const totalTraffic = this.allTraffic.length;
-        const tunnelCount = this.trafficByTunnel.size;
-
-        let successCount = 0;
-        let errorCount = 0;
-        let totalResponseTime = 0;
-        let responseTimeCount = 0;
-
-        for (const traffic of this.allTraffic) {
-            if (traffic.response) {
-                if (traffic.response.statusCode >= 200 && traffic.response.statusCode < 400) {
-                    successCount++;
-                } else {
-                    errorCount++;
-                }
-                if (traffic.responseTime) {
-                    totalResponseTime += traffic.responseTime;
-                    responseTimeCount++;
-                }
-            }
-        }
+        // Rates, latency and tunnel count cover the rolling stats window, so nothing is scanned
+        const totals = this.trafficStats.totals();
 
         return {
-            totalRequests: totalTraffic,
-            activeTunnels: tunnelCount,
-            successRate: totalTraffic > 0 ? (successCount / totalTraffic * 100).toFixed(2) : 0,
-            errorRate: totalTraffic > 0 ? (errorCount / totalTraffic * 100).toFixed(2) : 0,
-            avgResponseTime: responseTimeCount > 0 ? Math.round(totalResponseTime / responseTimeCount) : 0,
+            totalRequests: this.store.count(),
+            activeTunnels: totals.tunnels,
+            successRate: totals.requests > 0 ? ((totals.requests - totals.errors) / totals.requests * 100).toFixed(2) : 0,
+            errorRate: totals.requests > 0 ? (totals.errors / totals.requests * 100).toFixed(2) : 0,
+            avgResponseTime: totals.avgResponseTime,
+            ...this.trafficStats.summary(),
         };
     }
 }
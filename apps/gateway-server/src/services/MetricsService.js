@@ -0,0 +1,246 @@
+/**
+ * Metrics Service
+ *
+ * Gateway metrics for Prometheus, served at /metrics in the text
+ * exposition format. Request counts, latencies, timeouts and reconnects
+ * are counted as they happen; tunnel, client and byte figures are read
+ * from the tunnel manager at scrape time.
+ *
+ * Label values are kept to bounded sets: methods outside the common
+ * ones are reported as OTHER, statuses by class (2xx, 5xx), and the
+ * series of a tunnel are dropped when it closes.
+ */
+
+// Request duration histogram buckets (seconds)
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Methods reported by name; anything else is OTHER
+const KNOWN_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+/**
+ * Escapes a label value for the exposition format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set
+ * @param {Object} labels - Label names and values
+ * @returns {string} e.g. {tunnel="myapp",method="GET"}, or '' without labels
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Names a tunnel in labels: its subdomain, or type and public port for TCP tunnels
+ * @param {Object} tunnel - Tunnel
+ * @returns {string} Label value
+ */
+function tunnelLabel(tunnel) {
+    return tunnel.subdomain || `${tunnel.type}:${tunnel.publicPort ?? 'pending'}`;
+}
+
+/**
+ * Buckets a status code into its class
+ * @param {number|null} statusCode - Status code, or null if no response was sent
+ * @returns {string} e.g. 2xx, or none
+ */
+function statusClass(statusCode) {
+    return statusCode >= 100 && statusCode <= 599 ? `${Math.floor(statusCode / 100)}xx` : 'none';
+}
+
+class MetricsService {
+    /**
+     * @param {TunnelManager} tunnelManager - Source of tunnel figures
+     * @param {Object} options - Metrics options
+     * @param {Function} options.getClientCount - Returns the number of connected CLI clients
+     */
+    constructor(tunnelManager, options = {}) {
+        this.tunnelManager = tunnelManager;
+        this.getClientCount = options.getClientCount || (() => 0);
+
+        // Map of series key -> { labels, value } per counter
+        this.requests = new Map();
+        this.timeouts = new Map();
+        this.reconnects = new Map();
+
+        // Map of tunnel label -> { counts per bucket, sum, count }
+        this.durations = new Map();
+
+        this.onResumed = (tunnel) => this.increment(this.reconnects, { tunnel: tunnelLabel(tunnel) });
+        this.onClosed = (tunnel) => this.dropTunnel(tunnelLabel(tunnel));
+        this.tunnelManager.on('tunnel:resumed', this.onResumed);
+        this.tunnelManager.on('tunnel:closed', this.onClosed);
+    }
+
+    /**
+     * Counts a public request to a tunnel once its response is done
+     * @param {Object} tunnel - Tunnel the request is for
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    trackRequest(tunnel, req, res) {
+        const start = process.hrtime.bigint();
+
+        res.once('close', () => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observeRequest(tunnel, req.method, res.headersSent ? res.statusCode : null, seconds);
+        });
+    }
+
+    /**
+     * Records a finished request
+     * @param {Object} tunnel - Tunnel
+     * @param {string} method - Request method
+     * @param {number|null} statusCode - Status sent, or null if none was
+     * @param {number} seconds - Time from arrival to the end of the response
+     */
+    observeRequest(tunnel, method, statusCode, seconds) {
+        const label = tunnelLabel(tunnel);
+        const upperMethod = String(method).toUpperCase();
+
+        this.increment(this.requests, {
+            tunnel: label,
+            method: KNOWN_METHODS.includes(upperMethod) ? upperMethod : 'OTHER',
+            status: statusClass(statusCode),
+        });
+
+        let histogram = this.durations.get(label);
+        if (!histogram) {
+            histogram = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+            this.durations.set(label, histogram);
+        }
+
+        DURATION_BUCKETS.forEach((bound, i) => {
+            if (seconds <= bound) histogram.buckets[i]++;
+        });
+        histogram.sum += seconds;
+        histogram.count++;
+    }
+
+    /**
+     * Counts a request that gave up waiting
+     * @param {Object} tunnel - Tunnel
+     * @param {string} stage - response (client too slow) or queue (client did not reconnect in time)
+     */
+    recordTimeout(tunnel, stage) {
+        this.increment(this.timeouts, { tunnel: tunnelLabel(tunnel), stage });
+    }
+
+    /**
+     * Adds one to a counter series
+     * @param {Map} counter - Series of the counter
+     * @param {Object} labels - Labels of the series
+     */
+    increment(counter, labels) {
+        const key = JSON.stringify(labels);
+        const series = counter.get(key);
+        if (series) {
+            series.value++;
+        } else {
+            counter.set(key, { labels, value: 1 });
+        }
+    }
+
+    /**
+     * Forgets the series of a closed tunnel
+     * @param {string} label - Tunnel label
+     */
+    dropTunnel(label) {
+        for (const counter of [this.requests, this.timeouts, this.reconnects]) {
+            for (const [key, series] of counter) {
+                if (series.labels.tunnel === label) counter.delete(key);
+            }
+        }
+        this.durations.delete(label);
+    }
+
+    /**
+     * Renders every metric in the Prometheus text format
+     * @returns {string} Exposition text
+     */
+    render() {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [labels, value, suffix = ''] of samples) {
+                lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+            }
+        };
+        const counterSamples = (counter) => [...counter.values()].map(({ labels, value }) => [labels, value]);
+
+        const tunnels = this.tunnelManager.getAllTunnels();
+
+        metric('devtunnel_http_requests_total', 'counter',
+            'Public HTTP requests forwarded to tunnels, by tunnel, method and status class.',
+            counterSamples(this.requests));
+
+        const durationSamples = [];
+        for (const [tunnel, histogram] of this.durations) {
+            DURATION_BUCKETS.forEach((bound, i) => {
+                durationSamples.push([{ tunnel, le: String(bound) }, histogram.buckets[i], '_bucket']);
+            });
+            durationSamples.push([{ tunnel, le: '+Inf' }, histogram.count, '_bucket']);
+            durationSamples.push([{ tunnel }, histogram.sum, '_sum']);
+            durationSamples.push([{ tunnel }, histogram.count, '_count']);
+        }
+        metric('devtunnel_http_request_duration_seconds', 'histogram',
+            'Time from a public request arriving to its response ending.',
+            durationSamples);
+
+        metric('devtunnel_tunnel_bytes_in_total', 'counter',
+            'Bytes received from public clients per tunnel (HTTP bodies, WebSocket and TCP data).',
+            tunnels.map(t => [{ tunnel: tunnelLabel(t) }, t.bytesIn]));
+
+        metric('devtunnel_tunnel_bytes_out_total', 'counter',
+            'Bytes sent to public clients per tunnel.',
+            tunnels.map(t => [{ tunnel: tunnelLabel(t) }, t.bytesOut]));
+
+        const active = new Map();
+        for (const tunnel of tunnels) {
+            const labels = { type: tunnel.type, status: tunnel.disconnectedAt ? 'disconnected' : 'connected' };
+            const key = JSON.stringify(labels);
+            active.set(key, { labels, value: (active.get(key)?.value || 0) + 1 });
+        }
+        metric('devtunnel_active_tunnels', 'gauge',
+            'Registered tunnels, by type and whether their client is connected.',
+            counterSamples(active));
+
+        metric('devtunnel_connected_clients', 'gauge',
+            'CLI clients connected to the tunnel WebSocket server.',
+            [[{}, this.getClientCount()]]);
+
+        metric('devtunnel_pending_requests', 'gauge',
+            'Requests sent to a tunnel client and waiting for its response.',
+            tunnels.map(t => [{ tunnel: tunnelLabel(t) }, t.pendingRequests.size]));
+
+        metric('devtunnel_queued_requests', 'gauge',
+            'Requests held while a tunnel client reconnects.',
+            tunnels.map(t => [{ tunnel: tunnelLabel(t) }, t.requestQueue.length]));
+
+        metric('devtunnel_request_timeouts_total', 'counter',
+            'Requests that timed out, waiting for a response or for the client to reconnect.',
+            counterSamples(this.timeouts));
+
+        metric('devtunnel_tunnel_reconnects_total', 'counter',
+            'Tunnels resumed by their client after a dropped WebSocket connection.',
+            counterSamples(this.reconnects));
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Stops listening to tunnel events
+     */
+    destroy() {
+        this.tunnelManager.off('tunnel:resumed', this.onResumed);
+        this.tunnelManager.off('tunnel:closed', this.onClosed);
+    }
+}
+
+module.exports = MetricsService;
@@ -0,0 +1,225 @@
+/**
+ * Rate Limiter Service
+ *
+ * Token-bucket limits for public traffic, kept per tunnel, per source
+ * IP and per registering client (its auth token, or its address when
+ * the gateway runs without tokens). Each bucket holds `limit` tokens
+ * and refills continuously over `windowMs`; a request takes one token
+ * from every bucket that applies.
+ */
+
+const { createLogger, ERROR_CODES, HTTP_STATUS } = require('@devtunnel/shared');
+
+// Scopes checked for every request, in order
+const SCOPES = ['ip', 'tunnel', 'client'];
+
+/**
+ * A single token bucket
+ */
+class TokenBucket {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.refillPerMs = limit / windowMs;
+        this.tokens = limit;
+        this.updatedAt = Date.now();
+    }
+
+    /**
+     * Adds the tokens earned since the last update
+     * @param {number} now - Current time (ms)
+     */
+    refill(now) {
+        this.tokens = Math.min(this.limit, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until the bucket has a whole token again
+     * @returns {number} Wait time (ms)
+     */
+    msUntilToken() {
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+    }
+
+    /**
+     * Milliseconds until the bucket is full again
+     * @returns {number} Wait time (ms)
+     */
+    msUntilFull() {
+        return Math.ceil((this.limit - this.tokens) / this.refillPerMs);
+    }
+}
+
+class RateLimiter {
+    /**
+     * @param {TunnelManager} tunnelManager - Tunnel manager
+     * @param {Object} options - Limits per scope, each { limit, windowMs } or null for none
+     * @param {Object} options.tunnel - Requests per tunnel
+     * @param {Object} options.ip - Requests per source IP
+     * @param {Object} options.client - Requests per registering client
+     */
+    constructor(tunnelManager, options = {}) {
+        this.tunnelManager = tunnelManager;
+        this.logger = createLogger({ name: 'RateLimiter' });
+
+        this.limits = {
+            tunnel: options.tunnel || null,
+            ip: options.ip || null,
+            client: options.client || null,
+        };
+
+        // Map of scope -> (key -> TokenBucket)
+        this.buckets = {
+            tunnel: new Map(),
+            ip: new Map(),
+            client: new Map(),
+        };
+
+        // Rejected requests per scope
+        this.hits = { tunnel: 0, ip: 0, client: 0 };
+
+        // A closed tunnel's bucket is never needed again
+        this.tunnelManager.on('tunnel:closed', (tunnel) => this.buckets.tunnel.delete(tunnel.tunnelId));
+
+        // Drop buckets that have refilled completely; they hold no state worth keeping
+        this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
+    }
+
+    /**
+     * Checks whether any limit is configured
+     * @returns {boolean} True if limiting is on
+     */
+    isEnabled() {
+        return SCOPES.some(scope => this.limits[scope]);
+    }
+
+    /**
+     * Takes a token for a public request from every bucket that applies
+     *
+     * Nothing is taken unless every bucket has a token, so a request
+     * rejected by one scope doesn't use up the others.
+     *
+     * @param {Object} tunnel - Tunnel object
+     * @param {string} clientIp - Source address of the request
+     * @returns {Object} { allowed, headers } plus statusCode, error, code and scope when rejected
+     */
+    consume(tunnel, clientIp) {
+        const now = Date.now();
+        const keys = {
+            tunnel: tunnel.tunnelId,
+            ip: clientIp || 'unknown',
+            client: tunnel.clientInfo?.tokenId || tunnel.clientInfo?.clientIp || tunnel.tunnelId,
+        };
+
+        const buckets = [];
+        for (const scope of SCOPES) {
+            if (!this.limits[scope]) continue;
+
+            const bucket = this.getBucket(scope, keys[scope]);
+            bucket.refill(now);
+            buckets.push({ scope, bucket });
+        }
+
+        if (buckets.length === 0) {
+            return { allowed: true, headers: {} };
+        }
+
+        const blocked = buckets.find(({ bucket }) => bucket.tokens < 1);
+        if (blocked) {
+            this.hits[blocked.scope]++;
+            tunnel.recordRateLimited();
+
+            this.logger.debug(`Rate limited (${blocked.scope}): ${tunnel.subdomain || tunnel.tunnelId}`, { clientIp });
+
+            return {
+                allowed: false,
+                statusCode: HTTP_STATUS.TOO_MANY_REQUESTS,
+                scope: blocked.scope,
+                error: 'Too many requests',
+                code: ERROR_CODES.RATE_LIMITED,
+                headers: {
+                    'Retry-After': String(Math.max(1, Math.ceil(blocked.bucket.msUntilToken() / 1000))),
+                    ...this.buildHeaders(blocked.bucket),
+                },
+            };
+        }
+
+        for (const { bucket } of buckets) {
+            bucket.tokens -= 1;
+        }
+
+        // Report the bucket closest to running out
+        const tightest = buckets.reduce((a, b) => (b.bucket.tokens < a.bucket.tokens ? b : a));
+        return { allowed: true, headers: this.buildHeaders(tightest.bucket) };
+    }
+
+    /**
+     * Gets or creates the bucket for a key
+     * @param {string} scope - Limit scope
+     * @param {string} key - Tunnel ID, IP or client key
+     * @returns {TokenBucket} Bucket
+     */
+    getBucket(scope, key) {
+        let bucket = this.buckets[scope].get(key);
+        if (!bucket) {
+            bucket = new TokenBucket(this.limits[scope]);
+            this.buckets[scope].set(key, bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * Builds the X-RateLimit-* headers for a bucket
+     * @param {TokenBucket} bucket - Bucket to describe
+     * @returns {Object} Response headers
+     */
+    buildHeaders(bucket) {
+        return {
+            'X-RateLimit-Limit': String(bucket.limit),
+            'X-RateLimit-Remaining': String(Math.max(0, Math.floor(bucket.tokens))),
+            'X-RateLimit-Reset': String(Math.ceil(bucket.msUntilFull() / 1000)),
+        };
+    }
+
+    /**
+     * Removes buckets that have refilled completely
+     */
+    cleanup() {
+        const now = Date.now();
+
+        for (const scope of SCOPES) {
+            for (const [key, bucket] of this.buckets[scope]) {
+                bucket.refill(now);
+                if (bucket.tokens >= bucket.limit) {
+                    this.buckets[scope].delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Stops the cleanup timer
+     */
+    destroy() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+        }
+    }
+
+    /**
+     * Gets the configured limits and how often each was hit
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            limits: this.limits,
+            hits: {
+                ...this.hits,
+                total: this.hits.tunnel + this.hits.ip + this.hits.client,
+            },
+            trackedClients: this.buckets.ip.size,
+        };
+    }
+}
+
+module.exports = RateLimiter;
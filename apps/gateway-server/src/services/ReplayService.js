@@ -0,0 +1,483 @@
+/**
+ * Replay Service
+ *
+ * Re-sends captured requests through the owning tunnel so the client
+ * can fire them at the local server again, optionally with the method,
+ * path, query, headers or body changed. Each replay is recorded as a
+ * new traffic entry that points back at the original request, and its
+ * response is compared with the original one.
+ */
+
+const {
+    createLogger,
+    generateRequestId,
+    createReplayRequestMessage,
+    createDeferred,
+    toBodyBuffer,
+    TUNNEL_CONFIG,
+    ERROR_CODES,
+    Capability,
+} = require('@devtunnel/shared');
+
+// Headers that describe the original connection or body framing, not the request
+const SKIPPED_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade', 'content-length'];
+
+// Value the inspector keeps in place of credentials; it is never sent on
+const REDACTED_VALUE = '[REDACTED]';
+
+// Response headers that differ on every request and would only add noise to a diff
+const IGNORED_DIFF_HEADERS = ['date'];
+
+// Text bodies longer than this (in lines) are only reported as changed, not diffed line by line
+const MAX_DIFF_LINES = 500;
+
+/**
+ * Checks for a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Applies a JSON merge patch (RFC 7386): objects merge, null removes, anything else replaces
+ * @param {*} target - Original value
+ * @param {*} patch - Patch to apply
+ * @returns {*} Patched value
+ */
+function mergePatch(target, patch) {
+    if (!isPlainObject(patch)) return patch;
+
+    const result = isPlainObject(target) ? { ...target } : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = mergePatch(result[key], value);
+        }
+    }
+    return result;
+}
+
+/**
+ * Lists the differences between two JSON values
+ * @param {*} original - Original value
+ * @param {*} replay - Replayed value
+ * @param {string} path - JSON path of the values
+ * @returns {Object[]} Changes with path, op and the values on each side
+ */
+function diffJson(original, replay, path = '$') {
+    const bothArrays = Array.isArray(original) && Array.isArray(replay);
+    if (!bothArrays && !(isPlainObject(original) && isPlainObject(replay))) {
+        return JSON.stringify(original) === JSON.stringify(replay)
+            ? []
+            : [{ path, op: 'changed', original, replay }];
+    }
+
+    const keys = bothArrays
+        ? [...Array(Math.max(original.length, replay.length)).keys()]
+        : [...new Set([...Object.keys(original), ...Object.keys(replay)])];
+
+    const changes = [];
+    for (const key of keys) {
+        const childPath = bothArrays ? `${path}[${key}]` : `${path}.${key}`;
+
+        if (!(key in replay)) {
+            changes.push({ path: childPath, op: 'removed', original: original[key] });
+        } else if (!(key in original)) {
+            changes.push({ path: childPath, op: 'added', replay: replay[key] });
+        } else {
+            changes.push(...diffJson(original[key], replay[key], childPath));
+        }
+    }
+    return changes;
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string} original - Original text
+ * @param {string} replay - Replayed text
+ * @returns {Object[]|null} Removed (-) and added (+) lines, or null if too long to diff
+ */
+function diffLines(original, replay) {
+    const a = original.split('\n');
+    const b = replay.split('\n');
+    if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) return null;
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            changes.push({ op: '-', line: i + 1, text: a[i++] });
+        } else {
+            changes.push({ op: '+', line: j + 1, text: b[j++] });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Compares the original response of a request with the replayed one
+ * @param {Object} original - Original response (inspector JSON)
+ * @param {Object} replay - Replayed response (inspector JSON)
+ * @returns {Object|null} Diff of status, headers and body, or null if either is missing
+ */
+function diffResponses(original, replay) {
+    if (!original || !replay) return null;
+
+    const headers = { added: {}, removed: {}, changed: {} };
+    const originalHeaders = original.headers || {};
+    const replayHeaders = replay.headers || {};
+
+    for (const name of new Set([...Object.keys(originalHeaders), ...Object.keys(replayHeaders)])) {
+        if (IGNORED_DIFF_HEADERS.includes(name)) continue;
+
+        if (!(name in replayHeaders)) {
+            headers.removed[name] = originalHeaders[name];
+        } else if (!(name in originalHeaders)) {
+            headers.added[name] = replayHeaders[name];
+        } else if (String(originalHeaders[name]) !== String(replayHeaders[name])) {
+            headers.changed[name] = { original: originalHeaders[name], replay: replayHeaders[name] };
+        }
+    }
+
+    let body;
+    if (original.parsedBody !== undefined && replay.parsedBody !== undefined) {
+        body = { type: 'json', changes: diffJson(original.parsedBody, replay.parsedBody) };
+    } else {
+        const originalText = Buffer.from(original.body || '', 'base64').toString('utf8');
+        const replayText = Buffer.from(replay.body || '', 'base64').toString('utf8');
+        body = { type: 'text', changes: originalText === replayText ? [] : diffLines(originalText, replayText) };
+    }
+
+    const statusCode = original.statusCode === replay.statusCode
+        ? null
+        : { original: original.statusCode, replay: replay.statusCode };
+
+    const headersChanged = Object.values(headers).some(group => Object.keys(group).length > 0);
+
+    return {
+        identical: !statusCode && !headersChanged && body.changes?.length === 0,
+        statusCode,
+        headers,
+        body,
+    };
+}
+
+class ReplayService {
+    /**
+     * @param {TunnelManager} tunnelManager - Tunnel manager
+     * @param {InspectorService} inspectorService - Inspector service
+     * @param {Object} options - Replay options
+     * @param {RateLimiter} options.rateLimiter - Rate limits for public requests (optional)
+     */
+    constructor(tunnelManager, inspectorService, options = {}) {
+        this.tunnelManager = tunnelManager;
+        this.inspectorService = inspectorService;
+        this.rateLimiter = options.rateLimiter || null;
+        this.logger = createLogger({ name: 'ReplayService' });
+
+        // Map of requestId -> { tunnel, resolve, reject, timeout }
+        this.pending = new Map();
+
+        // Replays in flight can't finish once the client is gone
+        this.tunnelManager.on('tunnel:disconnected', (tunnel) => this.rejectPending(tunnel, 'Tunnel disconnected'));
+        this.tunnelManager.on('tunnel:closed', (tunnel) => this.rejectPending(tunnel, 'Tunnel closed'));
+    }
+
+    /**
+     * Replays a captured request through its tunnel
+     * @param {string} requestId - ID of the captured request
+     * @param {Object} overrides - Changes applied on top of the captured request
+     * @param {string} overrides.method - HTTP method
+     * @param {string} overrides.path - Path, optionally with a query string
+     * @param {Object} overrides.query - Query parameters to set (null removes one)
+     * @param {Object} overrides.headers - Headers to set (null removes one)
+     * @param {string|Object} overrides.body - Replacement body (objects are sent as JSON)
+     * @param {Object} overrides.bodyPatch - JSON merge patch for a JSON body
+     * @param {Object} caller - Who asked for the replay
+     * @param {string} caller.clientIp - Caller address, charged against the tunnel's rate limits
+     * @returns {Promise<Object>} Result with the new traffic entry and response diff, or error with statusCode
+     */
+    async replay(requestId, overrides = {}, { clientIp = null } = {}) {
+        const original = this.inspectorService.getTrafficById(requestId);
+        if (!original) {
+            return { success: false, statusCode: 404, error: 'Request not found' };
+        }
+
+        // A restarted client gets a new tunnel ID but usually the same subdomain.
+        // Imported entries only go to the tunnel their importer attached them to.
+        const tunnel = this.tunnelManager.getTunnelById(original.tunnelId)
+            || (original.imported ? null : this.tunnelManager.getTunnelBySubdomain(original.subdomain));
+
+        if (!tunnel) {
+            return { success: false, statusCode: 404, error: 'Tunnel not found', code: ERROR_CODES.TUNNEL_NOT_FOUND };
+        }
+
+        if (tunnel.disconnectedAt || tunnel.ws.readyState !== 1) { // WebSocket.OPEN
+            return { success: false, statusCode: 503, error: 'Tunnel client is not connected', code: ERROR_CODES.TUNNEL_UNAVAILABLE };
+        }
+
+        if (!tunnel.supports(Capability.REPLAY)) {
+            return { success: false, statusCode: 501, error: 'Tunnel client does not support replay', code: ERROR_CODES.REPLAY_NOT_SUPPORTED };
+        }
+
+        const built = this.buildRequest(original, overrides);
+        if (!built.success) {
+            return { ...built, statusCode: built.statusCode || 400 };
+        }
+
+        // Replays are admin only, so the tunnel's visitor checks (IP rules, basic auth) don't apply
+        const admitted = this.admit(tunnel, clientIp);
+        if (!admitted.success) {
+            return admitted;
+        }
+
+        const traffic = await this.send(tunnel, original, built.request);
+
+        return {
+            success: true,
+            traffic,
+            diff: diffResponses(original.response, traffic.response),
+        };
+    }
+
+    /**
+     * Builds the request to replay from a captured traffic entry and overrides
+     * @param {Object} original - Captured traffic (as returned by the inspector)
+     * @param {Object} overrides - Changes to apply (see replay)
+     * @returns {Object} Result with the request (method, path, headers, body Buffer or null) or error
+     */
+    buildRequest(original, overrides = {}) {
+        const invalid = (error) => ({ success: false, error, code: ERROR_CODES.INVALID_REQUEST });
+
+        const method = String(overrides.method || original.request.method).toUpperCase();
+        if (!/^[A-Z]+$/.test(method)) {
+            return invalid(`Invalid method: ${overrides.method}`);
+        }
+
+        const path = overrides.path ?? original.request.path;
+        if (typeof path !== 'string' || !path.startsWith('/')) {
+            return invalid('Path must start with /');
+        }
+
+        const url = new URL(path, 'http://replay');
+        if (overrides.query !== undefined) {
+            if (!isPlainObject(overrides.query)) return invalid('Query overrides must be an object');
+
+            for (const [name, value] of Object.entries(overrides.query)) {
+                if (value === null) {
+                    url.searchParams.delete(name);
+                } else {
+                    url.searchParams.set(name, String(value));
+                }
+            }
+        }
+
+        const headers = {};
+        for (const [name, value] of Object.entries(original.request.headers || {})) {
+            if (!SKIPPED_HEADERS.includes(name.toLowerCase()) && value !== REDACTED_VALUE) {
+                headers[name.toLowerCase()] = value;
+            }
+        }
+        if (overrides.headers !== undefined) {
+            if (!isPlainObject(overrides.headers)) return invalid('Header overrides must be an object');
+
+            for (const [name, value] of Object.entries(overrides.headers)) {
+                if (value === null) {
+                    delete headers[name.toLowerCase()];
+                } else {
+                    headers[name.toLowerCase()] = String(value);
+                }
+            }
+        }
+
+        let text;
+        if (overrides.body !== undefined) {
+            if (overrides.body === null || typeof overrides.body === 'string') {
+                text = overrides.body;
+            } else {
+                text = JSON.stringify(overrides.body);
+                headers['content-type'] = headers['content-type'] || 'application/json';
+            }
+        } else if (original.request.bodyTruncated) {
+            return { success: false, statusCode: 409, error: 'Request body was only partly captured', code: ERROR_CODES.BODY_TOO_LARGE };
+        } else if (overrides.bodyPatch !== undefined) {
+            let json;
+            try {
+                json = JSON.parse(original.request.body);
+            } catch {
+                return invalid('bodyPatch needs a captured JSON body');
+            }
+            text = JSON.stringify(mergePatch(json, overrides.bodyPatch));
+        } else {
+            text = original.request.body;
+        }
+
+        const body = text ? Buffer.from(text, 'utf8') : null;
+        if (body) {
+            headers['content-length'] = String(body.length);
+        }
+
+        return {
+            success: true,
+            request: {
+                method,
+                path: url.pathname + url.search,
+                headers,
+                body,
+            },
+        };
+    }
+
+    /**
+     * Charges a replay against the tunnel's rate limits, so replays can't
+     * flood the local server any faster than public requests
+     * @param {Object} tunnel - Tunnel to replay through
+     * @param {string|null} clientIp - Caller address
+     * @returns {Object} Result, or error with statusCode
+     */
+    admit(tunnel, clientIp) {
+        if (this.rateLimiter) {
+            const limit = this.rateLimiter.consume(tunnel, clientIp);
+            if (!limit.allowed) {
+                return { success: false, statusCode: limit.statusCode, error: limit.error, code: limit.code };
+            }
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Sends a replay to the client, recording it and its result in the inspector
+     * @param {Object} tunnel - Tunnel to replay through
+     * @param {Object} original - Captured traffic being replayed
+     * @param {Object} request - Request to send
+     * @returns {Promise<Object>} New traffic entry
+     */
+    async send(tunnel, original, request) {
+        const requestId = generateRequestId();
+        const startTime = Date.now();
+        const url = new URL(request.path, 'http://replay');
+
+        this.inspectorService.recordRequest({
+            requestId,
+            tunnelId: tunnel.tunnelId,
+            subdomain: tunnel.subdomain,
+            method: request.method,
+            path: request.path,
+            headers: request.headers,
+            body: request.body ? request.body.toString('utf8') : null,
+            query: Object.fromEntries(url.searchParams),
+            timestamp: startTime,
+            clientIp: null,
+            replayOf: original.requestId,
+        });
+
+        const { promise, resolve, reject } = createDeferred();
+        const timeout = setTimeout(() => {
+            this.pending.delete(requestId);
+            reject(Object.assign(new Error('Replay timed out'), { statusCode: 504 }));
+        }, TUNNEL_CONFIG.REQUEST_TIMEOUT);
+
+        this.pending.set(requestId, { tunnel, resolve, reject, timeout });
+        tunnel.send(createReplayRequestMessage({ requestId, ...request }));
+
+        this.logger.info(`Replaying ${original.requestId} as ${requestId}`, {
+            tunnelId: tunnel.tunnelId,
+            method: request.method,
+            path: request.path,
+        });
+
+        let response;
+        try {
+            response = await promise;
+        } catch (error) {
+            response = { statusCode: error.statusCode || 502, headers: {}, body: null, error: error.message };
+        }
+
+        const body = response.body || null;
+        const captured = body && body.length > TUNNEL_CONFIG.MAX_INSPECT_BODY_SIZE
+            ? body.subarray(0, TUNNEL_CONFIG.MAX_INSPECT_BODY_SIZE)
+            : body;
+
+        this.inspectorService.recordResponse({
+            requestId,
+            tunnelId: tunnel.tunnelId,
+            statusCode: response.statusCode,
+            headers: response.headers,
+            body: captured,
+            bodySize: body ? body.length : 0,
+            bodyTruncated: captured !== body,
+            error: response.error,
+            responseTime: Date.now() - startTime,
+            timestamp: Date.now(),
+        });
+
+        return this.inspectorService.getTrafficById(requestId);
+    }
+
+    /**
+     * Settles a replay with the client's answer
+     * @param {Object} tunnel - Tunnel the answer arrived on
+     * @param {Object} payload - replay:response payload
+     */
+    handleResponse(tunnel, payload) {
+        const entry = this.pending.get(payload.requestId);
+        if (!entry || entry.tunnel !== tunnel) return;
+
+        this.pending.delete(payload.requestId);
+        clearTimeout(entry.timeout);
+
+        if (payload.error) {
+            entry.resolve({ statusCode: 502, headers: {}, body: null, error: payload.error });
+            return;
+        }
+
+        entry.resolve({
+            statusCode: payload.statusCode,
+            headers: payload.headers || {},
+            body: payload.body ? toBodyBuffer(payload.body) : null,
+        });
+    }
+
+    /**
+     * Checks if a replay in flight belongs to a tunnel
+     * @param {Object} tunnel - Tunnel object
+     * @param {string} requestId - Replay request ID
+     * @returns {boolean} True if the tunnel owns the replay
+     */
+    hasReplay(tunnel, requestId) {
+        return this.pending.get(requestId)?.tunnel === tunnel;
+    }
+
+    /**
+     * Fails every replay in flight on a tunnel
+     * @param {Object} tunnel - Tunnel object
+     * @param {string} reason - Failure reason
+     */
+    rejectPending(tunnel, reason) {
+        for (const [requestId, entry] of this.pending) {
+            if (entry.tunnel !== tunnel) continue;
+
+            this.pending.delete(requestId);
+            clearTimeout(entry.timeout);
+            entry.reject(Object.assign(new Error(reason), { statusCode: 502 }));
+        }
+    }
+}
+
+module.exports = ReplayService;
@@ -9,22 +9,55 @@ const {
     createLogger,
     generateRequestId,
     createHttpRequestMessage,
-    MessageType,
-    serializeMessage,
+    createHttpRequestChunkMessage,
+    createHttpRequestEndMessage,
+    createHttpAbortMessage,
+    createHttpResponsePauseMessage,
+    createHttpResponseResumeMessage,
+    toBodyBuffer,
     TUNNEL_CONFIG,
     ERROR_CODES,
     createDeferred,
+    Capability,
 } = require('@devtunnel/shared');
+const AccessGuard = require('./AccessGuard');
+
+// Hop-by-hop headers are never copied onto the public response
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade'];
+
 
 class RequestForwarder {
-    constructor(tunnelManager, inspectorService) {
+    /**
+     * @param {TunnelManager} tunnelManager - Tunnel manager
+     * @param {InspectorService} inspectorService - Inspector service
+     * @param {Object} options - Forwarder options
+     * @param {number} options.queueSize - Requests held per tunnel while its client reconnects
+     * @param {number} options.queueTimeout - Longest a held request waits (ms)
+     * @param {AccessGuard} options.accessGuard - Checks public requests against tunnel access rules
+     * @param {RateLimiter} options.rateLimiter - Rate limits for public requests (optional)
+     * @param {MetricsService} options.metrics - Request metrics (optional)
+     */
+    constructor(tunnelManager, inspectorService, options = {}) {
         this.tunnelManager = tunnelManager;
         this.inspectorService = inspectorService;
         this.logger = createLogger({ name: 'RequestForwarder' });
+
+        this.queueSize = options.queueSize ?? TUNNEL_CONFIG.MAX_QUEUED_REQUESTS;
+        this.queueTimeout = options.queueTimeout ?? TUNNEL_CONFIG.QUEUED_REQUEST_TIMEOUT;
+        this.accessGuard = options.accessGuard || new AccessGuard();
+        this.rateLimiter = options.rateLimiter || null;
+        this.metrics = options.metrics || null;
     }
 
     /**
      * Forwards an HTTP request through a tunnel
+     *
+     * The request body is streamed to the client as `http:request:chunk`
+     * messages (clients without the streaming capability get it buffered
+     * in the `http:request` message instead), and the response is written to `res` as it streams back:
+     * status and headers on `http:response:start`, body on each
+     * `http:response:chunk`, and the response is ended on `http:response:end`.
+     *
      * @param {Object} options - Request options
      * @param {string} options.subdomain - Tunnel subdomain
      * @param {Object} options.req - Express request object
@@ -47,6 +80,34 @@ class RequestForwarder {
             });
         }
 
+        this.metrics?.trackRequest(tunnel, req, res);
+
+        // Charge the limits first, so failed basic auth attempts are limited too
+        if (this.rateLimiter) {
+            const limit = this.rateLimiter.consume(tunnel, req.ip || req.connection?.remoteAddress);
+            res.set(limit.headers);
+
+            if (!limit.allowed) {
+                return res.status(limit.statusCode).json({
+                    error: limit.error,
+                    code: limit.code,
+                    scope: limit.scope,
+                });
+            }
+        }
+
+        // Turn away requests the tunnel doesn't accept before they use a queue slot
+        const access = this.accessGuard.check(tunnel, req);
+        if (!access.allowed) {
+            return this.rejectAccess({ tunnel, requestId, req, res, access });
+        }
+
+        // Hold the request while the client reconnects
+        if (tunnel.disconnectedAt) {
+            const resumed = await this.waitForReconnect(tunnel, req, res);
+            if (!resumed) return;
+        }
+
         // Check if WebSocket is still connected
         if (tunnel.ws.readyState !== 1) { // WebSocket.OPEN
             this.logger.warn(`Tunnel WebSocket not ready: ${subdomain}`);
@@ -56,18 +117,30 @@ class RequestForwarder {
             });
         }
 
+        // Reject oversized uploads up front when the size is declared
+        const maxBodySize = tunnel.maxBodySize;
+        const declaredSize = parseInt(req.headers['content-length'], 10) || 0;
+        if (maxBodySize && declaredSize > maxBodySize) {
+            return this.rejectTooLarge(res, maxBodySize);
+        }
+
+        // Request and response capture for the inspector (bounded)
+        const requestCapture = this.createCapture();
+        const capture = this.createCapture();
+
         try {
-            // Prepare request data
-            const body = req.body && req.body.length > 0 ? req.body : null;
+            const hasBody = declaredSize > 0 || Boolean(req.headers['transfer-encoding']);
+            const streamed = hasBody && tunnel.supports(Capability.STREAMING);
 
-            // Create request message
+            // Create request message (a streamed body follows as chunks)
             const requestMessage = createHttpRequestMessage({
                 requestId,
                 method: req.method,
                 path: req.originalUrl,
                 headers: { ...req.headers },
-                body: body ? body.toString('base64') : null,
+                body: null,
                 query: req.query,
+                streamed,
             });
 
             // Record request for inspection
@@ -78,27 +151,70 @@ class RequestForwarder {
                 method: req.method,
                 path: req.originalUrl,
                 headers: { ...req.headers },
-                body: body ? body.toString('utf8') : null,
+                body: null,
                 query: req.query,
                 timestamp: Date.now(),
                 clientIp: req.ip || req.connection?.remoteAddress,
             };
             this.inspectorService.recordRequest(inspectData);
 
-            // Create deferred promise for response
+            // Create deferred promise, settled when the response ends
             const { promise, resolve, reject } = createDeferred();
 
-            // Set timeout
-            const timeout = setTimeout(() => {
+            // Idle timeout, re-armed whenever the client sends data
+            let timeout = null;
+            const armTimeout = () => {
+                clearTimeout(timeout);
+                timeout = setTimeout(() => {
+                    tunnel.removePendingRequest(requestId);
+                    this.metrics?.recordTimeout(tunnel, 'response');
+                    reject(new Error('Request timeout'));
+                }, TUNNEL_CONFIG.REQUEST_TIMEOUT);
+            };
+            armTimeout();
+
+            // Stop the client if the public caller goes away mid-response
+            res.on('close', () => {
+                if (res.writableFinished || !tunnel.getPendingRequest(requestId)) return;
                 tunnel.removePendingRequest(requestId);
-                reject(new Error('Request timeout'));
-            }, TUNNEL_CONFIG.REQUEST_TIMEOUT);
+                this.sendAbort(tunnel, requestId, 'Client disconnected');
+                reject(new Error('Client disconnected'));
+            });
+
+            // Pause the client while the public caller reads slower than chunks arrive
+            let paused = false;
+            const onDrain = () => {
+                paused = false;
+                if (!tunnel.getPendingRequest(requestId)) return;
+                armTimeout();
+                tunnel.send(createHttpResponseResumeMessage({ requestId }));
+            };
 
             // Store pending request
             tunnel.addPendingRequest(requestId, {
-                resolve: (response) => {
+                onStart: ({ statusCode, headers }) => {
+                    armTimeout();
+                    capture.statusCode = statusCode;
+                    capture.headers = headers || {};
+                    this.writeHead(res, statusCode, headers);
+                },
+                onChunk: (chunk) => {
+                    armTimeout();
+                    capture.size += chunk.length;
+                    this.captureChunk(capture, chunk);
+                    const flushed = res.write(chunk);
+                    if (typeof res.flush === 'function') {
+                        res.flush(); // compression middleware buffers otherwise
+                    }
+                    if (!flushed && !paused) {
+                        paused = true;
+                        tunnel.send(createHttpResponsePauseMessage({ requestId }));
+                        res.once('drain', onDrain);
+                    }
+                },
+                resolve: () => {
                     clearTimeout(timeout);
-                    resolve(response);
+                    resolve();
                 },
                 reject: (error) => {
                     clearTimeout(timeout);
@@ -109,16 +225,23 @@ class RequestForwarder {
                 inspectData,
             });
 
-            // Send request through WebSocket
-            tunnel.ws.send(serializeMessage(requestMessage));
+            // Send request through WebSocket (a buffered body goes out once read)
+            if (!hasBody || streamed) {
+                tunnel.send(requestMessage);
+            }
             this.logger.debug(`Request forwarded: ${requestId}`, {
                 method: req.method,
                 path: req.originalUrl,
                 subdomain,
             });
 
-            // Wait for response
-            const response = await promise;
+            if (hasBody) {
+                this.streamRequestBody({ tunnel, requestId, req, requestMessage, requestCapture, armTimeout, reject });
+            }
+
+            // Wait for the response to finish streaming
+            await promise;
+            res.end();
 
             // Calculate response time
             const responseTime = Date.now() - startTime;
@@ -127,36 +250,17 @@ class RequestForwarder {
             this.inspectorService.recordResponse({
                 requestId,
                 tunnelId: tunnel.tunnelId,
-                statusCode: response.statusCode,
-                headers: response.headers,
-                body: response.body,
+                statusCode: capture.statusCode,
+                headers: capture.headers,
+                body: capture.chunks.length > 0 ? Buffer.concat(capture.chunks) : null,
+                bodySize: capture.size,
+                bodyTruncated: capture.truncated,
                 responseTime,
                 timestamp: Date.now(),
             });
 
             // Update tunnel stats
-            const bodySize = body ? body.length : 0;
-            const responseSize = response.body ? Buffer.from(response.body, 'base64').length : 0;
-            tunnel.recordRequest(bodySize, responseSize);
-
-            // Send response to client
-            res.status(response.statusCode);
-
-            // Set response headers (filter out hop-by-hop headers)
-            const hopByHopHeaders = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade'];
-            for (const [key, value] of Object.entries(response.headers || {})) {
-                if (!hopByHopHeaders.includes(key.toLowerCase())) {
-                    res.set(key, value);
-                }
-            }
-
-            // Send response body
-            if (response.body) {
-                const responseBody = Buffer.from(response.body, 'base64');
-                res.send(responseBody);
-            } else {
-                res.end();
-            }
+            tunnel.recordRequest(requestCapture.size, capture.size);
 
         } catch (error) {
             const responseTime = Date.now() - startTime;
@@ -170,7 +274,8 @@ class RequestForwarder {
             this.inspectorService.recordResponse({
                 requestId,
                 tunnelId: tunnel?.tunnelId,
-                statusCode: 502,
+                statusCode: capture.statusCode || (error.code === ERROR_CODES.BODY_TOO_LARGE ? 413 : 502),
+                headers: capture.headers,
                 error: error.message,
                 responseTime,
                 timestamp: Date.now(),
@@ -179,47 +284,341 @@ class RequestForwarder {
             // Clean up pending request
             tunnel?.removePendingRequest(requestId);
 
-            // Send error response
-            if (!res.headersSent) {
-                if (error.message === 'Request timeout') {
-                    res.status(504).json({
-                        error: 'Gateway timeout',
-                        code: ERROR_CODES.REQUEST_TIMEOUT,
-                    });
-                } else {
-                    res.status(502).json({
-                        error: 'Bad gateway',
-                        code: ERROR_CODES.REQUEST_FAILED,
-                        message: error.message,
-                    });
-                }
+            // Send error response, or cut the stream if it already started
+            if (res.headersSent) {
+                res.destroy();
+            } else if (error.code === ERROR_CODES.BODY_TOO_LARGE) {
+                this.rejectTooLarge(res, tunnel.maxBodySize);
+            } else if (error.message === 'Request timeout') {
+                res.status(504).json({
+                    error: 'Gateway timeout',
+                    code: ERROR_CODES.REQUEST_TIMEOUT,
+                });
+            } else {
+                res.status(502).json({
+                    error: 'Bad gateway',
+                    code: error.code || ERROR_CODES.REQUEST_FAILED,
+                    message: error.message,
+                });
+            }
+        }
+    }
+
+    /**
+     * Queues a request for a disconnected tunnel until its client comes back
+     * @param {Object} tunnel - Disconnected tunnel
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {Promise<boolean>} True if the tunnel was resumed and the request should proceed
+     */
+    async waitForReconnect(tunnel, req, res) {
+        const windowLeft = tunnel.disconnectedAt + this.tunnelManager.gracePeriod - Date.now();
+
+        if (windowLeft <= 0) {
+            this.rejectUnavailable(res, 'Tunnel client did not reconnect within the grace period');
+            return false;
+        }
+
+        if (tunnel.requestQueue.length >= this.queueSize) {
+            this.rejectUnavailable(res, 'Tunnel request queue is full');
+            return false;
+        }
+
+        this.logger.debug(`Queueing request for disconnected tunnel: ${tunnel.subdomain}`, {
+            queued: tunnel.requestQueue.length + 1,
+        });
+
+        try {
+            await tunnel.waitForReconnect(Math.min(windowLeft, this.queueTimeout));
+        } catch (error) {
+            if (error.code === ERROR_CODES.REQUEST_TIMEOUT) {
+                this.metrics?.recordTimeout(tunnel, 'queue');
+            }
+            this.rejectUnavailable(res, error.message);
+            return false;
+        }
+
+        // The public caller may have given up while queued
+        return !req.socket.destroyed;
+    }
+
+    /**
+     * Responds with 503 when a request for a disconnected tunnel can't be held
+     * @param {Object} res - Express response object
+     * @param {string} message - Reason
+     */
+    rejectUnavailable(res, message) {
+        if (res.headersSent || res.destroyed) return;
+
+        res.set('Retry-After', String(TUNNEL_CONFIG.QUEUE_RETRY_AFTER));
+        res.status(503).json({
+            error: 'Tunnel temporarily unavailable',
+            code: ERROR_CODES.TUNNEL_UNAVAILABLE,
+            message,
+        });
+    }
+
+    /**
+     * Pipes the public request body to the tunnel client as chunk messages,
+     * enforcing the tunnel's body size limit as bytes arrive. For clients
+     * without streaming support the body is collected and sent with the
+     * request message instead.
+     * @param {Object} options - Stream options
+     */
+    streamRequestBody({ tunnel, requestId, req, requestMessage, requestCapture, armTimeout, reject }) {
+        const maxBodySize = tunnel.maxBodySize;
+        const buffered = requestMessage.payload.streamed ? null : [];
+
+        const onData = (chunk) => {
+            if (!tunnel.getPendingRequest(requestId)) {
+                req.off('data', onData);
+                return;
+            }
+
+            requestCapture.size += chunk.length;
+            if (maxBodySize && requestCapture.size > maxBodySize) {
+                req.off('data', onData);
+                tunnel.removePendingRequest(requestId);
+                this.sendAbort(tunnel, requestId, 'Request body too large');
+
+                const error = new Error('Request body too large');
+                error.code = ERROR_CODES.BODY_TOO_LARGE;
+                reject(error);
+                return;
+            }
+
+            armTimeout();
+            this.captureChunk(requestCapture, chunk);
+
+            if (buffered) {
+                buffered.push(chunk);
+                return;
+            }
+
+            tunnel.send(createHttpRequestChunkMessage({ requestId, data: chunk }));
+
+            // Apply backpressure when the tunnel can't keep up
+            if (tunnel.isBackedUp()) {
+                req.pause();
+                tunnel.waitForDrain(() => req.resume());
+            }
+        };
+
+        req.on('data', onData);
+
+        req.on('end', () => {
+            if (!tunnel.getPendingRequest(requestId)) return;
+
+            if (buffered) {
+                tunnel.send({
+                    ...requestMessage,
+                    payload: { ...requestMessage.payload, body: Buffer.concat(buffered) },
+                });
+            } else {
+                tunnel.send(createHttpRequestEndMessage({ requestId }));
             }
+
+            this.inspectorService.recordRequestBody(
+                requestId,
+                requestCapture.chunks.length > 0 ? Buffer.concat(requestCapture.chunks).toString('utf8') : null,
+                { size: requestCapture.size, truncated: requestCapture.truncated }
+            );
+        });
+    }
+
+    /**
+     * Responds to a request the tunnel's access rules turned away. IP
+     * blocks are recorded in the inspector, marked as blocked.
+     * @param {Object} options - Rejection options
+     * @param {Object} options.tunnel - Tunnel object
+     * @param {string} options.requestId - Request ID
+     * @param {Object} options.req - Express request object
+     * @param {Object} options.res - Express response object
+     * @param {Object} options.access - Rejection from AccessGuard.check
+     */
+    rejectAccess({ tunnel, requestId, req, res, access }) {
+        const body = { error: access.error, code: access.code };
+        res.status(access.statusCode).set(access.headers).json(body);
+
+        if (!access.blocked) return;
+
+        this.inspectorService.recordRequest({
+            requestId,
+            tunnelId: tunnel.tunnelId,
+            subdomain: tunnel.subdomain,
+            method: req.method,
+            path: req.originalUrl,
+            headers: { ...req.headers },
+            body: null,
+            query: req.query,
+            timestamp: Date.now(),
+            clientIp: req.ip || req.connection?.remoteAddress,
+            blocked: true,
+        });
+        const responseBody = Buffer.from(JSON.stringify(body));
+        this.inspectorService.recordResponse({
+            requestId,
+            tunnelId: tunnel.tunnelId,
+            statusCode: access.statusCode,
+            headers: { 'content-type': 'application/json' },
+            body: responseBody,
+            bodySize: responseBody.length,
+            error: access.error,
+            responseTime: 0,
+            timestamp: Date.now(),
+        });
+    }
+
+    /**
+     * Responds with 413 for a request body over the tunnel's limit
+     * @param {Object} res - Express response object
+     * @param {number} maxBodySize - Limit in bytes
+     */
+    rejectTooLarge(res, maxBodySize) {
+        // The rest of the upload is never read, so don't reuse the connection
+        res.set('Connection', 'close');
+        res.status(413).json({
+            error: 'Request body too large',
+            code: ERROR_CODES.BODY_TOO_LARGE,
+            limit: maxBodySize,
+        });
+    }
+
+    /**
+     * Creates bounded capture state for a request or response body
+     * @returns {Object} Capture state
+     */
+    createCapture() {
+        return {
+            statusCode: null,
+            headers: null,
+            chunks: [],
+            capturedSize: 0,
+            size: 0,
+            truncated: false,
+        };
+    }
+
+    /**
+     * Writes the status line and headers of a streamed response
+     * @param {Object} res - Express response object
+     * @param {number} statusCode - HTTP status code
+     * @param {Object} headers - Response headers from the local server
+     */
+    writeHead(res, statusCode, headers = {}) {
+        res.status(statusCode);
+
+        // Set response headers (filter out hop-by-hop headers)
+        for (const [key, value] of Object.entries(headers)) {
+            if (!HOP_BY_HOP_HEADERS.includes(key.toLowerCase())) {
+                res.set(key, value);
+            }
+        }
+
+        res.flushHeaders();
+    }
+
+    /**
+     * Keeps up to MAX_INSPECT_BODY_SIZE bytes of a body for the inspector
+     * @param {Object} capture - Capture state
+     * @param {Buffer} chunk - Body chunk
+     */
+    captureChunk(capture, chunk) {
+        const remaining = TUNNEL_CONFIG.MAX_INSPECT_BODY_SIZE - capture.capturedSize;
+        if (remaining <= 0) {
+            capture.truncated = true;
+            return;
+        }
+        if (chunk.length > remaining) {
+            capture.truncated = true;
         }
+        const kept = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+        capture.chunks.push(kept);
+        capture.capturedSize += kept.length;
     }
 
     /**
-     * Handles a response received from a tunnel client
+     * Tells the tunnel client to stop processing a request
+     * @param {Object} tunnel - Tunnel object
+     * @param {string} requestId - Request ID
+     * @param {string} reason - Reason for aborting
+     */
+    sendAbort(tunnel, requestId, reason) {
+        tunnel.send(createHttpAbortMessage({ requestId, reason }));
+    }
+
+    /**
+     * Handles a complete (non-streamed) response from a tunnel client
      * @param {Object} tunnel - Tunnel object
      * @param {Object} payload - Response payload
      */
     handleResponse(tunnel, payload) {
         const { requestId, statusCode, headers, body } = payload;
 
+        this.handleResponseStart(tunnel, { requestId, statusCode, headers });
+        if (body) {
+            this.handleResponseChunk(tunnel, { requestId, data: body });
+        }
+        this.handleResponseEnd(tunnel, { requestId });
+    }
+
+    /**
+     * Handles the status and headers of a streamed response
+     * @param {Object} tunnel - Tunnel object
+     * @param {Object} payload - Response start payload
+     */
+    handleResponseStart(tunnel, payload) {
+        const { requestId, statusCode, headers } = payload;
+
         const pending = tunnel.getPendingRequest(requestId);
         if (!pending) {
             this.logger.warn(`No pending request found: ${requestId}`);
             return;
         }
 
-        tunnel.removePendingRequest(requestId);
+        pending.onStart({ statusCode, headers });
 
-        pending.resolve({
-            statusCode,
-            headers,
-            body,
-        });
+        this.logger.debug(`Response started: ${requestId}`, { statusCode });
+    }
+
+    /**
+     * Handles a body chunk of a streamed response
+     * @param {Object} tunnel - Tunnel object
+     * @param {Object} payload - Response chunk payload
+     */
+    handleResponseChunk(tunnel, payload) {
+        const { requestId, data } = payload;
+
+        const pending = tunnel.getPendingRequest(requestId);
+        if (!pending) {
+            // Expected after an abort while chunks were still in flight
+            this.logger.debug(`Dropping chunk for unknown request: ${requestId}`);
+            return;
+        }
+
+        if (data) {
+            pending.onChunk(toBodyBuffer(data));
+        }
+    }
+
+    /**
+     * Handles the end of a streamed response
+     * @param {Object} tunnel - Tunnel object
+     * @param {Object} payload - Response end payload
+     */
+    handleResponseEnd(tunnel, payload) {
+        const { requestId } = payload;
+
+        const pending = tunnel.getPendingRequest(requestId);
+        if (!pending) {
+            this.logger.debug(`No pending request to end: ${requestId}`);
+            return;
+        }
+
+        tunnel.removePendingRequest(requestId);
+        pending.resolve();
 
-        this.logger.debug(`Response received: ${requestId}`, { statusCode });
+        this.logger.debug(`Response completed: ${requestId}`);
     }
 
     /**
@@ -0,0 +1,260 @@
+/**
+ * TCP Proxy Service
+ * 
+ * Gives each TCP tunnel a public port from a configured range and
+ * multiplexes the raw byte streams of its connections over the
+ * client's tunnel WebSocket as virtual connections keyed by streamId.
+ */
+
+const net = require('net');
+const {
+    createLogger,
+    generateRequestId,
+    createTcpOpenMessage,
+    createTcpDataMessage,
+    createTcpCloseMessage,
+    toBodyBuffer,
+    DEFAULT_TCP_PORT_RANGE,
+    ERROR_CODES,
+} = require('@devtunnel/shared');
+const AccessGuard = require('./AccessGuard');
+
+class TcpProxy {
+    /**
+     * @param {TunnelManager} tunnelManager - Tunnel manager
+     * @param {Object} options - Proxy options
+     * @param {string} options.host - Address the public ports listen on
+     * @param {Object} options.portRange - { start, end } of the public ports
+     * @param {AccessGuard} options.accessGuard - Checks connections against tunnel IP rules
+     * @param {RateLimiter} options.rateLimiter - Rate limits for new connections (optional)
+     */
+    constructor(tunnelManager, options = {}) {
+        this.tunnelManager = tunnelManager;
+        this.logger = createLogger({ name: 'TcpProxy' });
+
+        // Configuration
+        this.host = options.host || '0.0.0.0';
+        this.portRange = options.portRange || DEFAULT_TCP_PORT_RANGE;
+        this.accessGuard = options.accessGuard || new AccessGuard();
+        this.rateLimiter = options.rateLimiter || null;
+
+        // Map of tunnelId -> net.Server
+        this.servers = new Map();
+
+        // Map of streamId -> { tunnel, socket }
+        this.streams = new Map();
+
+        // Connections die with the client connection; the port is kept until the tunnel closes
+        this.tunnelManager.on('tunnel:disconnected', (tunnel) => this.closeStreams(tunnel));
+        this.tunnelManager.on('tunnel:closed', (tunnel) => this.close(tunnel));
+    }
+
+    /**
+     * Allocates a public port for a TCP tunnel and starts listening on it
+     * @param {Object} tunnel - Tunnel object
+     * @returns {Promise<number>} Assigned port
+     */
+    async open(tunnel) {
+        const usedPorts = new Set([...this.tunnelManager.getAllTunnels()].map(t => t.publicPort));
+
+        for (let port = this.portRange.start; port <= this.portRange.end; port++) {
+            if (usedPorts.has(port)) continue;
+
+            const server = net.createServer((socket) => this.handleConnection(tunnel, socket));
+
+            try {
+                await this.listen(server, port);
+            } catch (error) {
+                if (error.code === 'EADDRINUSE' || error.code === 'EACCES') continue;
+                throw error;
+            }
+
+            tunnel.publicPort = port;
+            this.servers.set(tunnel.tunnelId, server);
+
+            this.logger.info(`TCP tunnel listening on port ${port}`, { tunnelId: tunnel.tunnelId });
+            return port;
+        }
+
+        const error = new Error('No public TCP ports available');
+        error.code = ERROR_CODES.NO_PORTS_AVAILABLE;
+        throw error;
+    }
+
+    /**
+     * Starts a server on a port
+     * @param {net.Server} server - Server to start
+     * @param {number} port - Port to listen on
+     * @returns {Promise<void>}
+     */
+    listen(server, port) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, this.host, () => {
+                server.off('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Handles a public connection to a TCP tunnel's port
+     * @param {Object} tunnel - Tunnel object
+     * @param {net.Socket} socket - Public socket
+     */
+    handleConnection(tunnel, socket) {
+        if (tunnel.ws.readyState !== 1) { // WebSocket.OPEN
+            socket.destroy();
+            return;
+        }
+
+        // Each connection counts as one request against the limits
+        const limit = this.rateLimiter?.consume(tunnel, socket.remoteAddress);
+        if (limit && !limit.allowed) {
+            this.logger.debug(`TCP connection rate limited`, {
+                tunnelId: tunnel.tunnelId,
+                remoteAddress: socket.remoteAddress,
+                scope: limit.scope,
+            });
+            socket.destroy();
+            return;
+        }
+
+        if (!this.accessGuard.isIpAllowed(tunnel, socket.remoteAddress)) {
+            this.logger.debug(`TCP connection blocked by IP rules`, {
+                tunnelId: tunnel.tunnelId,
+                remoteAddress: socket.remoteAddress,
+            });
+            socket.destroy();
+            return;
+        }
+
+        const streamId = generateRequestId();
+        this.streams.set(streamId, { tunnel, socket });
+        tunnel.recordConnection();
+
+        tunnel.send(createTcpOpenMessage({
+            streamId,
+            tunnelId: tunnel.tunnelId,
+            remoteAddress: socket.remoteAddress,
+        }));
+
+        socket.on('data', (data) => {
+            tunnel.recordBytes(data.length, 0);
+            tunnel.send(createTcpDataMessage({ streamId, data }));
+
+            // Apply backpressure when the tunnel can't keep up
+            if (tunnel.isBackedUp()) {
+                socket.pause();
+                tunnel.waitForDrain(() => socket.resume());
+            }
+        });
+
+        socket.on('close', () => {
+            if (!this.streams.has(streamId)) return;
+            this.streams.delete(streamId);
+            tunnel.send(createTcpCloseMessage({ streamId }));
+        });
+
+        socket.on('error', (error) => {
+            this.logger.debug(`Public TCP socket error: ${streamId}`, { error: error.message });
+        });
+
+        this.logger.debug(`TCP connection opened: ${streamId}`, {
+            tunnelId: tunnel.tunnelId,
+            remoteAddress: socket.remoteAddress,
+        });
+    }
+
+    /**
+     * Writes bytes from the local service to the public socket
+     * @param {Object} tunnel - Tunnel object
+     * @param {Object} payload - tcp:data payload
+     */
+    handleData(tunnel, payload) {
+        const stream = this.getStream(tunnel, payload.streamId);
+        if (!stream || !payload.data) return;
+
+        const data = toBodyBuffer(payload.data);
+        tunnel.recordBytes(0, data.length);
+        stream.socket.write(data);
+    }
+
+    /**
+     * Closes the public side of a virtual connection
+     * @param {Object} tunnel - Tunnel object
+     * @param {Object} payload - tcp:close payload
+     */
+    handleClose(tunnel, payload) {
+        const stream = this.getStream(tunnel, payload.streamId);
+        if (!stream) return;
+
+        this.streams.delete(payload.streamId);
+
+        if (payload.error) {
+            this.logger.debug(`TCP stream failed locally: ${payload.streamId}`, { error: payload.error });
+            stream.socket.destroy();
+        } else {
+            stream.socket.end();
+        }
+    }
+
+    /**
+     * Gets a stream, making sure it belongs to the given tunnel
+     * @param {Object} tunnel - Tunnel object
+     * @param {string} streamId - Stream ID
+     * @returns {Object|null} Stream state or null
+     */
+    getStream(tunnel, streamId) {
+        const stream = this.streams.get(streamId);
+        return stream && stream.tunnel === tunnel ? stream : null;
+    }
+
+    /**
+     * Checks if a stream belongs to a tunnel
+     * @param {Object} tunnel - Tunnel object
+     * @param {string} streamId - Stream ID
+     * @returns {boolean} True if the tunnel owns the stream
+     */
+    hasStream(tunnel, streamId) {
+        return this.getStream(tunnel, streamId) !== null;
+    }
+
+    /**
+     * Stops listening for a tunnel and drops its connections
+     * @param {Object} tunnel - Tunnel object
+     */
+    close(tunnel) {
+        const server = this.servers.get(tunnel.tunnelId);
+        if (!server) return;
+
+        this.servers.delete(tunnel.tunnelId);
+        server.close();
+        this.closeStreams(tunnel);
+
+        this.logger.info(`TCP tunnel port released: ${tunnel.publicPort}`, { tunnelId: tunnel.tunnelId });
+    }
+
+    /**
+     * Drops every open connection of a tunnel
+     * @param {Object} tunnel - Tunnel object
+     */
+    closeStreams(tunnel) {
+        for (const [streamId, stream] of this.streams) {
+            if (stream.tunnel === tunnel) {
+                this.streams.delete(streamId);
+                stream.socket.destroy();
+            }
+        }
+    }
+
+    /**
+     * Gets the number of open TCP connections
+     * @returns {number} Stream count
+     */
+    getStreamCount() {
+        return this.streams.size;
+    }
+}
+
+module.exports = TcpProxy;
@@ -0,0 +1,191 @@
+/**
+ * Token Store Service
+ * 
+ * Keeps the auth tokens that CLI clients present when registering
+ * tunnels. Only SHA-256 hashes are stored; the token itself is shown
+ * once, when it is created. Tokens are persisted to a JSON file so a
+ * local gateway keeps them across restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    createLogger,
+    generateAuthToken,
+    ERROR_CODES,
+} = require('@devtunnel/shared');
+
+/**
+ * Hashes a token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} Hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class TokenStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.filePath - JSON file to persist tokens in (omit for memory only)
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || null;
+        this.logger = createLogger({ name: 'TokenStore' });
+
+        // Map of token hash -> token record
+        this.tokens = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Loads tokens from the backing file, if there is one
+     */
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            for (const record of data.tokens || []) {
+                this.tokens.set(record.hash, record);
+            }
+            this.logger.info(`Loaded ${this.tokens.size} auth tokens`, { file: this.filePath });
+        } catch (error) {
+            this.logger.error('Failed to load auth tokens', { file: this.filePath, error: error.message });
+        }
+    }
+
+    /**
+     * Writes all tokens to the backing file
+     */
+    save() {
+        if (!this.filePath) return;
+
+        // Write then rename so a crash never leaves a half-written file
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify({ tokens: [...this.tokens.values()] }, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Creates a new token
+     * @param {Object} options - Token options
+     * @param {string} options.name - Label for the token (e.g. who it was issued to)
+     * @returns {Object} Token record, including the plain token (only returned here)
+     */
+    create({ name = null } = {}) {
+        const token = generateAuthToken();
+        const hash = hashToken(token);
+
+        const record = {
+            id: hash.slice(0, 12),
+            name,
+            hash,
+            createdAt: Date.now(),
+            lastUsedAt: null,
+            revokedAt: null,
+        };
+
+        this.tokens.set(hash, record);
+        this.save();
+
+        this.logger.info(`Auth token created: ${record.id}`, { name });
+
+        return { ...this.toPublic(record), token };
+    }
+
+    /**
+     * Revokes a token
+     * @param {string} id - Token ID
+     * @returns {Object|null} Revoked token record or null if not found
+     */
+    revoke(id) {
+        const record = this.findById(id);
+        if (!record) return null;
+
+        if (!record.revokedAt) {
+            record.revokedAt = Date.now();
+            this.save();
+            this.logger.info(`Auth token revoked: ${id}`);
+        }
+
+        return this.toPublic(record);
+    }
+
+    /**
+     * Lists all tokens (without secrets)
+     * @returns {Object[]} Token records
+     */
+    list() {
+        return [...this.tokens.values()].map(record => this.toPublic(record));
+    }
+
+    /**
+     * Checks a token presented by a client
+     * @param {string} token - Plain token
+     * @returns {Object} Result with the token record or error
+     */
+    verify(token) {
+        if (!token) {
+            return {
+                success: false,
+                error: 'An auth token is required to register tunnels on this gateway',
+                code: ERROR_CODES.UNAUTHORIZED,
+            };
+        }
+
+        const record = this.tokens.get(hashToken(String(token)));
+
+        if (!record || record.revokedAt) {
+            return {
+                success: false,
+                error: 'Invalid or revoked auth token',
+                code: ERROR_CODES.INVALID_TOKEN,
+            };
+        }
+
+        record.lastUsedAt = Date.now();
+        this.save();
+
+        return {
+            success: true,
+            token: this.toPublic(record),
+        };
+    }
+
+    /**
+     * Gets a token record by ID
+     * @param {string} id - Token ID
+     * @returns {Object|null} Token record or null
+     */
+    findById(id) {
+        for (const record of this.tokens.values()) {
+            if (record.id === id) return record;
+        }
+        return null;
+    }
+
+    /**
+     * Checks whether any token was ever issued (revoked ones included,
+     * so revoking the last token doesn't open the gateway up again)
+     * @returns {boolean} True if the store has tokens
+     */
+    hasTokens() {
+        return this.tokens.size > 0;
+    }
+
+    /**
+     * Strips the hash from a token record
+     * @param {Object} record - Token record
+     * @returns {Object} Public token data
+     */
+    toPublic(record) {
+        const { hash, ...rest } = record;
+        return rest;
+    }
+}
+
+module.exports = TokenStore;
@@ -0,0 +1,233 @@
+/**
+ * Traffic Stats
+ *
+ * Rolling request statistics, overall and per tunnel: request count,
+ * error rate and p50/p90/p99 latency in fixed time buckets (one minute
+ * over the last hour by default). Each answered request is added to the
+ * bucket it finished in, so reading the stats never scans stored traffic.
+ *
+ * Latencies are counted in logarithmic bins that grow by 5%, and a
+ * percentile is read as the middle of its bin: within 2.5% of the exact
+ * value, while a bucket holds a few hundred counters at most however many
+ * requests it saw.
+ */
+
+// Default bucket width (ms) and number of buckets kept
+const DEFAULT_BUCKET_SIZE = 60 * 1000;
+const DEFAULT_BUCKET_COUNT = 60;
+
+// Width of each latency bin relative to the one before
+const BIN_GROWTH = 1.05;
+const LOG_GROWTH = Math.log(BIN_GROWTH);
+
+const PERCENTILES = { p50: 0.5, p90: 0.9, p99: 0.99 };
+
+/**
+ * Finds the latency bin for a response time
+ * @param {number} ms - Response time
+ * @returns {number} Bin index
+ */
+function binOf(ms) {
+    return ms <= 1 ? 0 : Math.ceil(Math.log(ms) / LOG_GROWTH);
+}
+
+/**
+ * Creates an empty bucket
+ * @param {number} start - Bucket start time
+ * @returns {Object} Bucket
+ */
+function createBucket(start) {
+    return { start, requests: 0, errors: 0, latencies: new Map(), latencyCount: 0, latencyTotal: 0, maxLatency: 0 };
+}
+
+/**
+ * Reads percentiles from merged latency bins
+ * @param {Map} bins - Bin index -> count
+ * @param {number} count - Latencies counted
+ * @param {number} max - Largest latency seen, which no percentile exceeds
+ * @returns {Object} p50, p90 and p99 in ms (null without data)
+ */
+function percentilesOf(bins, count, max) {
+    const result = {};
+    const sorted = [...bins.entries()].sort((a, b) => a[0] - b[0]);
+
+    for (const [name, fraction] of Object.entries(PERCENTILES)) {
+        if (count === 0) {
+            result[name] = null;
+            continue;
+        }
+
+        const rank = Math.ceil(fraction * count);
+        let seen = 0;
+        for (const [bin, binCount] of sorted) {
+            seen += binCount;
+            if (seen >= rank) {
+                result[name] = Math.round(Math.min(BIN_GROWTH ** Math.max(bin - 0.5, 0), max));
+                break;
+            }
+        }
+    }
+
+    return result;
+}
+
+class TrafficStats {
+    /**
+     * @param {Object} options - Stats options
+     * @param {number} options.bucketSize - Bucket width (ms)
+     * @param {number} options.bucketCount - Buckets kept (window = bucketSize * bucketCount)
+     */
+    constructor(options = {}) {
+        this.bucketSize = options.bucketSize || DEFAULT_BUCKET_SIZE;
+        this.bucketCount = options.bucketCount || DEFAULT_BUCKET_COUNT;
+
+        // Ring of buckets for all traffic, and a ring per tunnel ID
+        this.overall = [];
+        this.tunnels = new Map();
+    }
+
+    /**
+     * Adds an answered (or failed) request
+     * @param {Object} sample - tunnelId, statusCode, responseTime, failed
+     * @param {number} now - When the request finished
+     */
+    record({ tunnelId, statusCode, responseTime, failed = false }, now = Date.now()) {
+        const isError = failed || !statusCode || statusCode < 200 || statusCode >= 400;
+
+        const rings = [this.overall];
+        if (tunnelId) {
+            if (!this.tunnels.has(tunnelId)) this.tunnels.set(tunnelId, []);
+            rings.push(this.tunnels.get(tunnelId));
+        }
+
+        for (const ring of rings) {
+            const bucket = this.bucketAt(ring, now);
+            bucket.requests++;
+            if (isError) bucket.errors++;
+
+            if (typeof responseTime === 'number' && responseTime >= 0) {
+                const bin = binOf(responseTime);
+                bucket.latencies.set(bin, (bucket.latencies.get(bin) || 0) + 1);
+                bucket.latencyCount++;
+                bucket.latencyTotal += responseTime;
+                bucket.maxLatency = Math.max(bucket.maxLatency, responseTime);
+            }
+        }
+    }
+
+    /**
+     * Gets the current bucket of a ring, replacing the expired one in its slot
+     * @param {Object[]} ring - Buckets
+     * @param {number} now - Current time
+     * @returns {Object} Bucket
+     */
+    bucketAt(ring, now) {
+        const start = now - (now % this.bucketSize);
+        const slot = Math.floor(start / this.bucketSize) % this.bucketCount;
+
+        if (!ring[slot] || ring[slot].start !== start) {
+            ring[slot] = createBucket(start);
+        }
+        return ring[slot];
+    }
+
+    /**
+     * Summarizes the window, overall or for one tunnel
+     * @param {string|null} tunnelId - Tunnel ID, or null for all traffic
+     * @param {number} now - Current time
+     * @returns {Object} Window totals and one entry per bucket, oldest first
+     */
+    summary(tunnelId = null, now = Date.now()) {
+        const ring = tunnelId ? this.tunnels.get(tunnelId) || [] : this.overall;
+        const current = now - (now % this.bucketSize);
+        const bucketSeconds = this.bucketSize / 1000;
+
+        const merged = createBucket(current - (this.bucketCount - 1) * this.bucketSize);
+        const buckets = [];
+
+        for (let i = this.bucketCount - 1; i >= 0; i--) {
+            const start = current - i * this.bucketSize;
+            const stored = ring[Math.floor(start / this.bucketSize) % this.bucketCount];
+            const bucket = stored && stored.start === start ? stored : createBucket(start);
+
+            buckets.push({
+                start: new Date(start).toISOString(),
+                requests: bucket.requests,
+                errors: bucket.errors,
+                errorRate: bucket.requests ? Number((bucket.errors / bucket.requests * 100).toFixed(2)) : 0,
+                throughput: Number((bucket.requests / bucketSeconds).toFixed(3)),
+                ...percentilesOf(bucket.latencies, bucket.latencyCount, bucket.maxLatency),
+            });
+
+            merged.requests += bucket.requests;
+            merged.errors += bucket.errors;
+            merged.latencyCount += bucket.latencyCount;
+            merged.maxLatency = Math.max(merged.maxLatency, bucket.maxLatency);
+            for (const [bin, count] of bucket.latencies) {
+                merged.latencies.set(bin, (merged.latencies.get(bin) || 0) + count);
+            }
+        }
+
+        return {
+            bucketSize: this.bucketSize,
+            window: {
+                start: buckets[0].start,
+                requests: merged.requests,
+                errors: merged.errors,
+                errorRate: merged.requests ? Number((merged.errors / merged.requests * 100).toFixed(2)) : 0,
+                throughput: Number((merged.requests / (bucketSeconds * this.bucketCount)).toFixed(3)),
+                ...percentilesOf(merged.latencies, merged.latencyCount, merged.maxLatency),
+            },
+            buckets,
+        };
+    }
+
+    /**
+     * Totals for the whole window, without percentiles or per-bucket detail
+     * @param {number} now - Current time
+     * @returns {Object} requests, errors, avgResponseTime (ms) and the number of tunnels with requests
+     */
+    totals(now = Date.now()) {
+        const oldest = now - (now % this.bucketSize) - (this.bucketCount - 1) * this.bucketSize;
+        const live = ring => ring.filter(bucket => bucket && bucket.start >= oldest && bucket.start <= now);
+
+        let requests = 0;
+        let errors = 0;
+        let latencyCount = 0;
+        let latencyTotal = 0;
+        for (const bucket of live(this.overall)) {
+            requests += bucket.requests;
+            errors += bucket.errors;
+            latencyCount += bucket.latencyCount;
+            latencyTotal += bucket.latencyTotal;
+        }
+
+        let tunnels = 0;
+        for (const ring of this.tunnels.values()) {
+            if (live(ring).length > 0) tunnels++;
+        }
+
+        return {
+            requests,
+            errors,
+            avgResponseTime: latencyCount > 0 ? Math.round(latencyTotal / latencyCount) : 0,
+            tunnels,
+        };
+    }
+
+    /**
+     * Forgets tunnels without requests in the window
+     * @param {number} now - Current time
+     */
+    prune(now = Date.now()) {
+        const oldest = now - (now % this.bucketSize) - (this.bucketCount - 1) * this.bucketSize;
+
+        for (const [tunnelId, ring] of this.tunnels) {
+            if (!ring.some(bucket => bucket && bucket.start >= oldest)) {
+                this.tunnels.delete(tunnelId);
+            }
+        }
+    }
+}
+
+module.exports = TrafficStats;
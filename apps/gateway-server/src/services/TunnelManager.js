@@ -10,30 +10,130 @@ const {
     createLogger,
     generateTunnelId,
     generateSubdomain,
+    generateResumeToken,
     isValidSubdomain,
+    normalizeHostname,
+    parseCidr,
     TUNNEL_CONFIG,
+    TUNNEL_TYPES,
     ERROR_CODES,
+    Capability,
+    serializeMessage,
 } = require('@devtunnel/shared');
 
+// Stop reading from public sockets while this much is queued on the tunnel WebSocket
+const WS_HIGH_WATER_MARK = 4 * 1024 * 1024;
+
+/**
+ * Validates allow/deny CIDR lists and normalizes each entry to "address/prefix"
+ * @param {Object} rules - { allow, deny } arrays of CIDR ranges or addresses
+ * @returns {Object} Result with the normalized rules or error
+ */
+function normalizeIpRules(rules = {}) {
+    const normalized = {};
+
+    for (const list of ['allow', 'deny']) {
+        const entries = rules[list] || [];
+        if (!Array.isArray(entries)) {
+            return { success: false, error: `IP ${list} list must be an array`, code: ERROR_CODES.INVALID_REQUEST };
+        }
+
+        normalized[list] = [];
+        for (const entry of entries) {
+            const range = parseCidr(entry);
+            if (!range) {
+                return { success: false, error: `Invalid CIDR range: ${entry}`, code: ERROR_CODES.INVALID_REQUEST };
+            }
+            normalized[list].push(range.cidr);
+        }
+    }
+
+    return { success: true, rules: normalized };
+}
+
 /**
  * Represents a single tunnel connection
  */
 class Tunnel {
-    constructor({ tunnelId, subdomain, ws, localPort, clientInfo }) {
+    constructor({ tunnelId, type = TUNNEL_TYPES.HTTP, subdomain, ws, localPort, clientInfo, maxBodySize = 0, capabilities = [], basicAuth = null, ipRules = { allow: [], deny: [] }, domains = [] }) {
         this.tunnelId = tunnelId;
+        this.type = type;
         this.subdomain = subdomain;
         this.ws = ws;
+        this.capabilities = capabilities; // agreed in the hello/welcome handshake
         this.localPort = localPort;
         this.clientInfo = clientInfo;
+        this.maxBodySize = maxBodySize; // 0 = unlimited
+        this.basicAuth = basicAuth; // { username, password } public visitors must send
+        this.ipRules = ipRules; // { allow, deny } CIDR lists; deny wins, an empty allow list allows all
+        this.domains = domains; // custom hostnames routed here, checked before subdomains
         this.createdAt = Date.now();
         this.lastActivity = Date.now();
         this.requestCount = 0;
         this.bytesIn = 0;
         this.bytesOut = 0;
+        this.rateLimitedCount = 0;
         this.isAlive = true;
 
+        // Lets the client take the tunnel back after a dropped connection
+        this.resumeToken = generateResumeToken();
+        this.disconnectedAt = null;
+        this.graceTimer = null;
+
+        // Assigned by TcpProxy for TCP tunnels
+        this.publicPort = null;
+        this.connectionCount = 0;
+
         // Pending requests waiting for responses
         this.pendingRequests = new Map();
+
+        // Public requests waiting for a disconnected client to come back
+        this.requestQueue = [];
+    }
+
+    /**
+     * Checks whether the tunnel client agreed to a capability
+     * @param {string} capability - Capability name
+     * @returns {boolean} True if supported
+     */
+    supports(capability) {
+        return this.capabilities.includes(capability);
+    }
+
+    /**
+     * Sends a protocol message to the tunnel client in its negotiated wire format
+     * @param {Object} message - Protocol message
+     * @returns {boolean} True if the message was sent
+     */
+    send(message) {
+        if (this.ws.readyState !== 1) return false; // WebSocket.OPEN
+
+        this.ws.send(serializeMessage(message, { binary: this.supports(Capability.BINARY) }));
+        return true;
+    }
+
+    /**
+     * Checks whether the tunnel WebSocket has too much data queued
+     * @returns {boolean} True if senders should pause
+     */
+    isBackedUp() {
+        return this.ws.bufferedAmount > WS_HIGH_WATER_MARK;
+    }
+
+    /**
+     * Calls back once the tunnel WebSocket has drained below half the high water mark
+     * @param {Function} callback - Called when it is safe to send again
+     */
+    waitForDrain(callback) {
+        const check = () => {
+            if (this.ws.readyState !== 1) return; // WebSocket.OPEN
+            if (this.ws.bufferedAmount > WS_HIGH_WATER_MARK / 2) {
+                setTimeout(check, 10);
+                return;
+            }
+            callback();
+        };
+        setTimeout(check, 10);
     }
 
     /**
@@ -55,6 +155,32 @@ class Tunnel {
         this.touch();
     }
 
+    /**
+     * Adds traffic that is not a request/response pair (e.g. WebSocket frames)
+     * @param {number} bytesIn - Incoming bytes
+     * @param {number} bytesOut - Outgoing bytes
+     */
+    recordBytes(bytesIn = 0, bytesOut = 0) {
+        this.bytesIn += bytesIn;
+        this.bytesOut += bytesOut;
+        this.touch();
+    }
+
+    /**
+     * Increments the accepted connection count (TCP tunnels)
+     */
+    recordConnection() {
+        this.connectionCount++;
+        this.touch();
+    }
+
+    /**
+     * Counts a public request turned away by a rate limit
+     */
+    recordRateLimited() {
+        this.rateLimitedCount++;
+    }
+
     /**
      * Adds a pending request
      * @param {string} requestId - Request ID
@@ -76,6 +202,55 @@ class Tunnel {
         return this.pendingRequests.get(requestId);
     }
 
+    /**
+     * Rejects and forgets all pending requests
+     * @param {string} reason - Error message for the rejected requests
+     */
+    rejectPendingRequests(reason) {
+        for (const pending of this.pendingRequests.values()) {
+            if (pending.reject) {
+                pending.reject(new Error(reason));
+            }
+        }
+        this.pendingRequests.clear();
+    }
+
+    /**
+     * Waits in the request queue until the client reconnects
+     * @param {number} timeout - Longest wait (ms)
+     * @returns {Promise<void>} Resolves on resume; rejects on timeout or when the tunnel closes
+     */
+    waitForReconnect(timeout) {
+        return new Promise((resolve, reject) => {
+            const entry = { resolve, reject };
+            entry.timer = setTimeout(() => {
+                this.requestQueue.splice(this.requestQueue.indexOf(entry), 1);
+                const error = new Error('Timed out waiting for the tunnel client to reconnect');
+                error.code = ERROR_CODES.REQUEST_TIMEOUT;
+                reject(error);
+            }, timeout);
+            this.requestQueue.push(entry);
+        });
+    }
+
+    /**
+     * Lets every queued request continue, in arrival order
+     * @param {Error} error - Fails the queued requests instead, if given
+     */
+    releaseQueue(error = null) {
+        const queue = this.requestQueue;
+        this.requestQueue = [];
+
+        for (const entry of queue) {
+            clearTimeout(entry.timer);
+            if (error) {
+                entry.reject(error);
+            } else {
+                entry.resolve();
+            }
+        }
+    }
+
     /**
      * Removes a pending request
      * @param {string} requestId - Request ID
@@ -91,14 +266,26 @@ class Tunnel {
     getStats() {
         return {
             tunnelId: this.tunnelId,
+            type: this.type,
             subdomain: this.subdomain,
+            domains: this.domains,
+            publicPort: this.publicPort,
             localPort: this.localPort,
+            capabilities: this.capabilities,
+            status: this.disconnectedAt ? 'disconnected' : 'connected',
+            disconnectedAt: this.disconnectedAt,
+            maxBodySize: this.maxBodySize,
+            basicAuth: Boolean(this.basicAuth),
+            ipRules: this.ipRules,
             createdAt: this.createdAt,
             lastActivity: this.lastActivity,
             requestCount: this.requestCount,
             bytesIn: this.bytesIn,
             bytesOut: this.bytesOut,
+            rateLimited: this.rateLimitedCount,
+            connectionCount: this.connectionCount,
             pendingRequests: this.pendingRequests.size,
+            queuedRequests: this.requestQueue.length,
             uptime: Date.now() - this.createdAt,
         };
     }
@@ -108,19 +295,30 @@ class Tunnel {
  * Manages all active tunnels
  */
 class TunnelManager extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} options - Manager options
+     * @param {number} options.gracePeriod - How long a disconnected tunnel is held for resumption (ms, 0 = close immediately)
+     */
+    constructor(options = {}) {
         super();
         this.logger = createLogger({ name: 'TunnelManager' });
+        this.gracePeriod = options.gracePeriod ?? TUNNEL_CONFIG.RECONNECT_GRACE_PERIOD;
 
         // Map of subdomain -> Tunnel
         this.tunnelsBySubdomain = new Map();
 
+        // Map of custom hostname -> Tunnel
+        this.tunnelsByHost = new Map();
+
         // Map of tunnelId -> Tunnel
         this.tunnelsById = new Map();
 
         // Map of WebSocket -> Tunnel[]
         this.tunnelsByWs = new Map();
 
+        // Map of resume token -> Tunnel
+        this.tunnelsByResumeToken = new Map();
+
         // Set of reserved subdomains
         this.reservedSubdomains = new Set(['api', 'www', 'admin', 'dashboard', 'app', 'mail', 'ftp']);
     }
@@ -129,17 +327,42 @@ class TunnelManager extends EventEmitter {
      * Registers a new tunnel
      * @param {Object} options - Tunnel options
      * @param {WebSocket} options.ws - WebSocket connection
-     * @param {string} options.requestedSubdomain - Requested subdomain (optional)
+     * @param {string} options.type - Tunnel type (default: 'http')
+     * @param {string} options.requestedSubdomain - Requested subdomain (optional, HTTP only)
      * @param {number} options.localPort - Local port being tunneled
      * @param {Object} options.clientInfo - Client information
+     * @param {number} options.maxBodySize - Request body limit in bytes (0 = unlimited)
+     * @param {string[]} options.capabilities - Capabilities agreed with the client
+     * @param {Object} options.basicAuth - Credentials public requests must present (optional)
+     * @param {Object} options.ipRules - { allow, deny } CIDR lists for public visitors (optional)
+     * @param {string[]} options.domains - Custom hostnames to route to the tunnel (optional, HTTP only)
      * @returns {Object} Result with tunnel or error
      */
-    registerTunnel({ ws, requestedSubdomain, localPort, clientInfo = {} }) {
+    registerTunnel({ ws, type = TUNNEL_TYPES.HTTP, requestedSubdomain, localPort, clientInfo = {}, maxBodySize = 0, capabilities = [], basicAuth = null, ipRules = {}, domains = [] }) {
         try {
-            // Validate or generate subdomain
-            let subdomain;
+            if (!Object.values(TUNNEL_TYPES).includes(type)) {
+                return {
+                    success: false,
+                    error: `Unknown tunnel type: ${type}`,
+                    code: ERROR_CODES.INVALID_TUNNEL_TYPE,
+                };
+            }
+
+            const ipRulesResult = normalizeIpRules(ipRules);
+            if (!ipRulesResult.success) {
+                return ipRulesResult;
+            }
+
+            // Validate or generate subdomain (TCP tunnels are routed by port instead)
+            const isHttp = type === TUNNEL_TYPES.HTTP;
+
+            const domainsResult = this.checkDomains(domains, isHttp);
+            if (!domainsResult.success) {
+                return domainsResult;
+            }
+            let subdomain = null;
 
-            if (requestedSubdomain) {
+            if (isHttp && requestedSubdomain) {
                 // Validate requested subdomain
                 if (!isValidSubdomain(requestedSubdomain)) {
                     return {
@@ -166,7 +389,7 @@ class TunnelManager extends EventEmitter {
                 }
 
                 subdomain = requestedSubdomain.toLowerCase();
-            } else {
+            } else if (isHttp) {
                 // Generate unique subdomain
                 do {
                     subdomain = generateSubdomain();
@@ -187,24 +410,34 @@ class TunnelManager extends EventEmitter {
             const tunnelId = generateTunnelId();
             const tunnel = new Tunnel({
                 tunnelId,
+                type,
                 subdomain,
                 ws,
                 localPort,
                 clientInfo,
+                maxBodySize,
+                capabilities,
+                basicAuth,
+                ipRules: ipRulesResult.rules,
+                domains: domainsResult.domains,
             });
 
             // Register in all maps
-            this.tunnelsBySubdomain.set(subdomain, tunnel);
-            this.tunnelsById.set(tunnelId, tunnel);
-
-            if (!this.tunnelsByWs.has(ws)) {
-                this.tunnelsByWs.set(ws, []);
+            if (subdomain) {
+                this.tunnelsBySubdomain.set(subdomain, tunnel);
             }
-            this.tunnelsByWs.get(ws).push(tunnel);
+            for (const hostname of tunnel.domains) {
+                this.tunnelsByHost.set(hostname, tunnel);
+            }
+            this.tunnelsById.set(tunnelId, tunnel);
+            this.tunnelsByResumeToken.set(tunnel.resumeToken, tunnel);
+            this.attachToWs(tunnel, ws);
 
-            this.logger.info(`Tunnel registered: ${subdomain} -> localhost:${localPort}`, {
+            this.logger.info(`Tunnel registered: ${subdomain || type} -> localhost:${localPort}`, {
                 tunnelId,
+                type,
                 subdomain,
+                domains: tunnel.domains,
             });
 
             // Emit event for monitoring
@@ -224,6 +457,176 @@ class TunnelManager extends EventEmitter {
         }
     }
 
+    /**
+     * Validates the custom hostnames requested for a new tunnel
+     * @param {string[]} domains - Requested hostnames
+     * @param {boolean} isHttp - Whether the tunnel is an HTTP tunnel
+     * @returns {Object} Result with the normalized hostnames or error
+     */
+    checkDomains(domains, isHttp) {
+        if (!Array.isArray(domains)) {
+            return { success: false, error: 'Domains must be an array', code: ERROR_CODES.INVALID_REQUEST };
+        }
+        if (domains.length > 0 && !isHttp) {
+            return { success: false, error: 'Custom domains are only available for HTTP tunnels', code: ERROR_CODES.INVALID_REQUEST };
+        }
+
+        const normalized = [];
+        for (const domain of domains) {
+            const hostname = normalizeHostname(domain);
+            if (!hostname) {
+                return { success: false, error: `Invalid hostname: ${domain}`, code: ERROR_CODES.INVALID_DOMAIN };
+            }
+            if (this.tunnelsByHost.has(hostname)) {
+                return { success: false, error: `Domain is already in use: ${hostname}`, code: ERROR_CODES.DOMAIN_TAKEN };
+            }
+            if (!normalized.includes(hostname)) normalized.push(hostname);
+        }
+
+        return { success: true, domains: normalized };
+    }
+
+    /**
+     * Moves a disconnected tunnel onto a new client connection
+     * @param {Object} options - Resume options
+     * @param {WebSocket} options.ws - New WebSocket connection
+     * @param {string} options.resumeToken - Token issued when the tunnel was registered
+     * @param {Object} options.clientInfo - Client information
+     * @param {string[]} options.capabilities - Capabilities agreed on the new connection
+     * @returns {Object} Result with tunnel or error
+     */
+    resumeTunnel({ ws, resumeToken, clientInfo = {}, capabilities = [] }) {
+        const tunnel = this.tunnelsByResumeToken.get(resumeToken);
+
+        if (!tunnel) {
+            return {
+                success: false,
+                error: 'Unknown or expired resume token',
+                code: ERROR_CODES.INVALID_RESUME_TOKEN,
+            };
+        }
+
+        // The old connection may not have been noticed as dead yet
+        if (!tunnel.disconnectedAt) {
+            this.detachFromWs(tunnel, 'Client reconnected');
+        }
+
+        clearTimeout(tunnel.graceTimer);
+        tunnel.graceTimer = null;
+        tunnel.disconnectedAt = null;
+        tunnel.ws = ws;
+        tunnel.clientInfo = clientInfo;
+        tunnel.capabilities = capabilities;
+        tunnel.touch();
+        this.attachToWs(tunnel, ws);
+
+        this.logger.info(`Tunnel resumed: ${tunnel.subdomain || tunnel.type}`, {
+            tunnelId: tunnel.tunnelId,
+            queuedRequests: tunnel.requestQueue.length,
+        });
+        this.emit('tunnel:resumed', tunnel);
+
+        // Deliver requests that arrived while the client was away
+        tunnel.releaseQueue();
+
+        return {
+            success: true,
+            tunnel,
+        };
+    }
+
+    /**
+     * Handles a dropped client connection for a tunnel: keeps the tunnel and
+     * its subdomain for the grace period, then closes it unless resumed
+     * @param {string} tunnelId - Tunnel ID
+     * @param {string} reason - Reason for the disconnect
+     */
+    suspendTunnel(tunnelId, reason = 'Client disconnected') {
+        const tunnel = this.tunnelsById.get(tunnelId);
+        if (!tunnel || tunnel.disconnectedAt) return;
+
+        if (!this.gracePeriod) {
+            this.closeTunnel(tunnelId, reason);
+            return;
+        }
+
+        this.detachFromWs(tunnel, reason);
+        tunnel.disconnectedAt = Date.now();
+        tunnel.graceTimer = setTimeout(() => {
+            this.closeTunnel(tunnelId, 'Reconnect grace period expired');
+        }, this.gracePeriod);
+
+        this.logger.info(`Tunnel disconnected, holding for ${this.gracePeriod}ms: ${tunnel.subdomain || tunnel.type}`, {
+            tunnelId,
+            reason,
+        });
+    }
+
+    /**
+     * Adds a tunnel to its connection's tunnel list
+     * @param {Tunnel} tunnel - Tunnel
+     * @param {WebSocket} ws - WebSocket connection
+     */
+    attachToWs(tunnel, ws) {
+        if (!this.tunnelsByWs.has(ws)) {
+            this.tunnelsByWs.set(ws, []);
+        }
+        this.tunnelsByWs.get(ws).push(tunnel);
+    }
+
+    /**
+     * Takes a tunnel off its current connection, failing anything in flight on it
+     * @param {Tunnel} tunnel - Tunnel
+     * @param {string} reason - Reason for detaching
+     */
+    detachFromWs(tunnel, reason) {
+        tunnel.rejectPendingRequests(reason);
+
+        const wsTunnels = this.tunnelsByWs.get(tunnel.ws);
+        if (wsTunnels) {
+            const index = wsTunnels.indexOf(tunnel);
+            if (index !== -1) {
+                wsTunnels.splice(index, 1);
+            }
+            if (wsTunnels.length === 0) {
+                this.tunnelsByWs.delete(tunnel.ws);
+            }
+        }
+
+        // Virtual streams die with the connection
+        this.emit('tunnel:disconnected', tunnel, reason);
+    }
+
+    /**
+     * Replaces a tunnel's IP allow/deny lists
+     * @param {string} tunnelId - Tunnel ID
+     * @param {Object} ipRules - { allow, deny } CIDR lists
+     * @returns {Object} Result with tunnel or error
+     */
+    updateIpRules(tunnelId, ipRules) {
+        const tunnel = this.tunnelsById.get(tunnelId);
+        if (!tunnel) {
+            return {
+                success: false,
+                error: 'Tunnel not found',
+                code: ERROR_CODES.TUNNEL_NOT_FOUND,
+            };
+        }
+
+        const result = normalizeIpRules(ipRules);
+        if (!result.success) {
+            return result;
+        }
+
+        tunnel.ipRules = result.rules;
+        this.logger.info(`IP rules updated: ${tunnel.subdomain || tunnel.type}`, { tunnelId, ...result.rules });
+
+        return {
+            success: true,
+            tunnel,
+        };
+    }
+
     /**
      * Gets a tunnel by subdomain
      * @param {string} subdomain - Subdomain to look up
@@ -233,6 +636,32 @@ class TunnelManager extends EventEmitter {
         return this.tunnelsBySubdomain.get(subdomain?.toLowerCase()) || null;
     }
 
+    /**
+     * Gets the tunnel a custom hostname is routed to
+     * @param {string} host - Hostname or Host header (port is ignored)
+     * @returns {Tunnel|null} Tunnel or null
+     */
+    getTunnelByHost(host) {
+        return this.tunnelsByHost.get(normalizeHostname(host)) || null;
+    }
+
+    /**
+     * Stops routing a custom hostname to its tunnel
+     * @param {string} hostname - Hostname
+     * @returns {Tunnel|null} Tunnel that had it, or null
+     */
+    releaseDomain(hostname) {
+        const normalized = normalizeHostname(hostname);
+        const tunnel = this.tunnelsByHost.get(normalized);
+        if (!tunnel) return null;
+
+        this.tunnelsByHost.delete(normalized);
+        tunnel.domains = tunnel.domains.filter(domain => domain !== normalized);
+
+        this.logger.info(`Custom domain released: ${normalized}`, { tunnelId: tunnel.tunnelId });
+        return tunnel;
+    }
+
     /**
      * Gets a tunnel by ID
      * @param {string} tunnelId - Tunnel ID
@@ -260,31 +689,24 @@ class TunnelManager extends EventEmitter {
         const tunnel = this.tunnelsById.get(tunnelId);
         if (!tunnel) return;
 
-        this.logger.info(`Closing tunnel: ${tunnel.subdomain}`, { tunnelId, reason });
+        this.logger.info(`Closing tunnel: ${tunnel.subdomain || tunnel.type}`, { tunnelId, reason });
 
-        // Clean up pending requests
-        for (const [requestId, pending] of tunnel.pendingRequests) {
-            if (pending.reject) {
-                pending.reject(new Error('Tunnel closed'));
-            }
+        // Clean up pending requests and the connection
+        if (!tunnel.disconnectedAt) {
+            this.detachFromWs(tunnel, 'Tunnel closed');
         }
-        tunnel.pendingRequests.clear();
+        clearTimeout(tunnel.graceTimer);
+        tunnel.releaseQueue(new Error('Tunnel closed'));
 
         // Remove from maps
-        this.tunnelsBySubdomain.delete(tunnel.subdomain);
-        this.tunnelsById.delete(tunnelId);
-
-        // Remove from ws map
-        const wsTunnels = this.tunnelsByWs.get(tunnel.ws);
-        if (wsTunnels) {
-            const index = wsTunnels.indexOf(tunnel);
-            if (index !== -1) {
-                wsTunnels.splice(index, 1);
-            }
-            if (wsTunnels.length === 0) {
-                this.tunnelsByWs.delete(tunnel.ws);
-            }
+        if (tunnel.subdomain) {
+            this.tunnelsBySubdomain.delete(tunnel.subdomain);
+        }
+        for (const hostname of tunnel.domains) {
+            this.tunnelsByHost.delete(hostname);
         }
+        this.tunnelsById.delete(tunnelId);
+        this.tunnelsByResumeToken.delete(tunnel.resumeToken);
 
         // Emit event
         this.emit('tunnel:closed', tunnel, reason);
@@ -302,6 +724,18 @@ class TunnelManager extends EventEmitter {
         }
     }
 
+    /**
+     * Suspends all tunnels of a dropped connection (see suspendTunnel)
+     * @param {WebSocket} ws - WebSocket connection
+     * @param {string} reason - Reason for the disconnect
+     */
+    suspendTunnelsForWs(ws, reason = 'Connection lost') {
+        const tunnels = this.tunnelsByWs.get(ws) || [];
+        for (const tunnel of [...tunnels]) {
+            this.suspendTunnel(tunnel.tunnelId, reason);
+        }
+    }
+
     /**
      * Closes all tunnels
      */
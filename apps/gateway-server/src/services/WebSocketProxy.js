@@ -0,0 +1,273 @@
+/**
+ * WebSocket Proxy Service
+ * 
+ * Passes WebSocket upgrades on tunnel subdomains through to the
+ * local server. Each public socket becomes a virtual socket on the
+ * tunnel WebSocket, identified by a streamId, and frames are relayed
+ * in both directions until either side closes.
+ */
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const {
+    createLogger,
+    generateRequestId,
+    createWsOpenMessage,
+    createWsFrameMessage,
+    createWsCloseMessage,
+    toBodyBuffer,
+    TUNNEL_CONFIG,
+    Capability,
+} = require('@devtunnel/shared');
+const AccessGuard = require('./AccessGuard');
+
+// Close codes that may not be sent in a close frame
+const RESERVED_CLOSE_CODES = [1004, 1005, 1006, 1015];
+
+class WebSocketProxy {
+    /**
+     * @param {TunnelManager} tunnelManager - Tunnel manager
+     * @param {Object} options - Proxy options
+     * @param {AccessGuard} options.accessGuard - Checks upgrades against tunnel access rules
+     * @param {RateLimiter} options.rateLimiter - Rate limits for upgrades (optional)
+     */
+    constructor(tunnelManager, options = {}) {
+        this.tunnelManager = tunnelManager;
+        this.accessGuard = options.accessGuard || new AccessGuard();
+        this.rateLimiter = options.rateLimiter || null;
+        this.logger = createLogger({ name: 'WebSocketProxy' });
+
+        // Completes public handshakes once the local socket is open
+        this.wss = new WebSocketServer({
+            noServer: true,
+            handleProtocols: (protocols, req) => req.selectedProtocol || false,
+        });
+
+        // Map of streamId -> stream state
+        this.streams = new Map();
+
+        // Drop virtual sockets along with their tunnel's connection
+        this.tunnelManager.on('tunnel:disconnected', (tunnel) => this.closeStreamsForTunnel(tunnel));
+        this.tunnelManager.on('tunnel:closed', (tunnel) => this.closeStreamsForTunnel(tunnel));
+    }
+
+    /**
+     * Handles an HTTP upgrade request for a tunnel subdomain
+     * @param {string} subdomain - Tunnel subdomain
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Public socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     */
+    handleUpgrade(subdomain, req, socket, head) {
+        const tunnel = this.tunnelManager.getTunnelBySubdomain(subdomain);
+
+        if (!tunnel) {
+            return this.rejectUpgrade(socket, 404);
+        }
+
+        // Limits come first, so failed basic auth attempts are limited too
+        const limit = this.rateLimiter?.consume(tunnel, req.socket.remoteAddress);
+        if (limit && !limit.allowed) {
+            return this.rejectUpgrade(socket, limit.statusCode, limit.headers);
+        }
+
+        const access = this.accessGuard.check(tunnel, req);
+        if (!access.allowed) {
+            return this.rejectUpgrade(socket, access.statusCode, access.headers);
+        }
+
+        if (tunnel.ws.readyState !== 1) { // WebSocket.OPEN
+            return this.rejectUpgrade(socket, 502);
+        }
+
+        // Older clients can't open local WebSockets
+        if (!tunnel.supports(Capability.WEBSOCKET)) {
+            return this.rejectUpgrade(socket, 501);
+        }
+
+        const streamId = generateRequestId();
+        const stream = {
+            streamId,
+            tunnel,
+            req,
+            socket,
+            head,
+            publicWs: null,
+            timeout: setTimeout(() => {
+                this.logger.warn(`WebSocket open timed out: ${streamId}`);
+                tunnel.send(createWsCloseMessage({ streamId, code: 1001, reason: 'Open timeout' }));
+                this.streams.delete(streamId);
+                this.rejectUpgrade(socket, 504);
+            }, TUNNEL_CONFIG.REQUEST_TIMEOUT),
+        };
+        this.streams.set(streamId, stream);
+
+        // Public client gave up before the local socket opened
+        socket.once('close', () => {
+            if (this.streams.get(streamId) === stream && !stream.publicWs) {
+                clearTimeout(stream.timeout);
+                this.streams.delete(streamId);
+                tunnel.send(createWsCloseMessage({ streamId, code: 1001, reason: 'Client went away' }));
+            }
+        });
+
+        tunnel.send(createWsOpenMessage({
+            streamId,
+            path: req.url,
+            headers: { ...req.headers },
+        }));
+
+        this.logger.debug(`WebSocket upgrade forwarded: ${streamId}`, { subdomain, path: req.url });
+    }
+
+    /**
+     * Completes the public handshake once the client has opened the local socket
+     * @param {Object} tunnel - Tunnel object
+     * @param {Object} payload - ws:opened payload
+     */
+    handleOpened(tunnel, payload) {
+        const stream = this.getStream(tunnel, payload.streamId);
+        if (!stream || stream.publicWs) return;
+
+        clearTimeout(stream.timeout);
+
+        const { streamId, req, socket, head } = stream;
+        req.selectedProtocol = payload.protocol;
+
+        this.wss.handleUpgrade(req, socket, head, (publicWs) => {
+            stream.publicWs = publicWs;
+
+            publicWs.on('message', (data, isBinary) => {
+                tunnel.recordBytes(data.length, 0);
+                tunnel.send(createWsFrameMessage({ streamId, data, binary: isBinary }));
+            });
+
+            publicWs.on('close', (code, reason) => {
+                if (this.streams.get(streamId) !== stream) return;
+                this.streams.delete(streamId);
+                tunnel.send(createWsCloseMessage({
+                    streamId,
+                    code,
+                    reason: reason?.toString(),
+                }));
+            });
+
+            publicWs.on('error', (error) => {
+                this.logger.debug(`Public WebSocket error: ${streamId}`, { error: error.message });
+            });
+
+            this.logger.debug(`WebSocket stream opened: ${streamId}`);
+        });
+    }
+
+    /**
+     * Relays a frame from the local server to the public socket
+     * @param {Object} tunnel - Tunnel object
+     * @param {Object} payload - ws:frame payload
+     */
+    handleFrame(tunnel, payload) {
+        const stream = this.getStream(tunnel, payload.streamId);
+        if (!stream?.publicWs || stream.publicWs.readyState !== 1) return;
+
+        const data = toBodyBuffer(payload.data);
+        tunnel.recordBytes(0, data.length);
+        stream.publicWs.send(payload.binary ? data : data.toString('utf8'), { binary: payload.binary });
+    }
+
+    /**
+     * Closes the public side of a virtual socket
+     * @param {Object} tunnel - Tunnel object
+     * @param {Object} payload - ws:close payload
+     */
+    handleClose(tunnel, payload) {
+        const stream = this.getStream(tunnel, payload.streamId);
+        if (!stream) return;
+
+        this.streams.delete(stream.streamId);
+        clearTimeout(stream.timeout);
+
+        if (!stream.publicWs) {
+            // The local server refused the upgrade
+            this.logger.debug(`WebSocket upgrade refused locally: ${stream.streamId}`, { error: payload.error });
+            return this.rejectUpgrade(stream.socket, payload.statusCode || 502);
+        }
+
+        const code = this.isSendableCloseCode(payload.code) ? payload.code : 1000;
+        stream.publicWs.close(code, payload.reason || '');
+    }
+
+    /**
+     * Gets a stream, making sure it belongs to the given tunnel
+     * @param {Object} tunnel - Tunnel object
+     * @param {string} streamId - Stream ID
+     * @returns {Object|null} Stream state or null
+     */
+    getStream(tunnel, streamId) {
+        const stream = this.streams.get(streamId);
+        return stream && stream.tunnel === tunnel ? stream : null;
+    }
+
+    /**
+     * Checks if a stream belongs to a tunnel
+     * @param {Object} tunnel - Tunnel object
+     * @param {string} streamId - Stream ID
+     * @returns {boolean} True if the tunnel owns the stream
+     */
+    hasStream(tunnel, streamId) {
+        return this.getStream(tunnel, streamId) !== null;
+    }
+
+    /**
+     * Closes every virtual socket of a tunnel
+     * @param {Object} tunnel - Tunnel object
+     */
+    closeStreamsForTunnel(tunnel) {
+        for (const stream of [...this.streams.values()]) {
+            if (stream.tunnel !== tunnel) continue;
+
+            this.streams.delete(stream.streamId);
+            clearTimeout(stream.timeout);
+
+            if (stream.publicWs) {
+                stream.publicWs.close(1001, 'Tunnel closed');
+            } else {
+                this.rejectUpgrade(stream.socket, 502);
+            }
+        }
+    }
+
+    /**
+     * Answers an upgrade request with a plain HTTP error and closes the socket
+     * @param {net.Socket} socket - Public socket
+     * @param {number} statusCode - HTTP status code
+     * @param {Object} headers - Extra response headers
+     */
+    rejectUpgrade(socket, statusCode, headers = {}) {
+        if (socket.writable) {
+            const extra = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+            socket.write(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n${extra}Connection: close\r\nContent-Length: 0\r\n\r\n`);
+        }
+        socket.destroy();
+    }
+
+    /**
+     * Checks whether a close code may be sent on the wire
+     * @param {number} code - WebSocket close code
+     * @returns {boolean} True if sendable
+     */
+    isSendableCloseCode(code) {
+        if (!Number.isInteger(code)) return false;
+        if (code >= 3000 && code <= 4999) return true;
+        return code >= 1000 && code <= 1014 && !RESERVED_CLOSE_CODES.includes(code);
+    }
+
+    /**
+     * Gets the number of open virtual sockets
+     * @returns {number} Stream count
+     */
+    getStreamCount() {
+        return this.streams.size;
+    }
+}
+
+module.exports = WebSocketProxy;
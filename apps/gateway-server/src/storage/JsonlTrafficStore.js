@@ -0,0 +1,485 @@
+/**
+ * JSONL Traffic Store
+ *
+ * Disk-backed inspector storage. Every change to an entry appends its
+ * record, without bodies, as one JSON line to the current segment file;
+ * the newest line for a request wins. Each body is appended once, on a
+ * line of its own, when it is first captured. Credential headers are
+ * already redacted by InspectedTraffic, so nothing secret is written.
+ * Lines go out through an append stream and are served from memory
+ * until they are on disk.
+ *
+ * An in-memory index keeps where each entry's lines are, plus the
+ * fields the /api/traffic filters read, so queries only load the
+ * records on the requested page from disk.
+ *
+ * Segments roll over at a size limit and are deleted once none of
+ * their lines is still in use by a kept entry. On start the
+ * index is rebuilt by scanning the segments, and writing continues in
+ * a fresh one so a line cut short by a crash is never appended to.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger, TUNNEL_CONFIG } = require('@devtunnel/shared');
+const InspectedTraffic = require('../services/InspectedTraffic');
+const { filterTraffic } = require('./filterTraffic');
+
+// Segment file names carry their creation time, so sorting them sorts by age
+const SEGMENT_PATTERN = /^traffic-(\d+)\.jsonl$/;
+
+// Size at which writing moves on to a new segment
+const DEFAULT_SEGMENT_SIZE = 16 * 1024 * 1024;
+
+// Chunk size used when scanning segments on start
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+// Parts of an entry whose bodies are stored on lines of their own
+const BODY_PARTS = ['request', 'response'];
+
+/**
+ * Keeps the fields of a record that filters and statistics need
+ * @param {Object} record - Stored record
+ * @returns {Object} Index entry shaped like InspectedTraffic
+ */
+function summarize(record) {
+    return {
+        requestId: record.requestId,
+        tunnelId: record.tunnelId,
+        subdomain: record.subdomain,
+        blocked: record.blocked,
+        createdAt: record.createdAt,
+        responseTime: record.responseTime,
+        request: {
+            method: record.request.method,
+            path: record.request.path,
+            timestamp: record.request.timestamp,
+        },
+        response: record.response ? { statusCode: record.response.statusCode } : null,
+    };
+}
+
+/**
+ * Prepares a record for writing: bodies are left out, as they get lines of their own
+ * @param {Object} record - Record from InspectedTraffic.toRecord
+ * @returns {Object} Record to write
+ */
+function toStoredRecord(record) {
+    return {
+        ...record,
+        request: { ...record.request, body: undefined },
+        response: record.response ? { ...record.response, body: undefined } : null,
+    };
+}
+
+/**
+ * Lists the lines an index entry points at
+ * @param {Object} location - Index entry
+ * @returns {Object[]} Line references
+ */
+function linesOf(location) {
+    return [location.record, ...BODY_PARTS.map(part => location.bodies[part])].filter(Boolean);
+}
+
+class JsonlTrafficStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.dir - Directory for the segment files
+     * @param {number} options.maxStoredRequests - Entries kept before the oldest are dropped
+     * @param {number} options.segmentSize - Bytes per segment before rolling over
+     */
+    constructor(options = {}) {
+        this.dir = options.dir;
+        this.maxStoredRequests = options.maxStoredRequests || TUNNEL_CONFIG.MAX_STORED_REQUESTS;
+        this.segmentSize = options.segmentSize || DEFAULT_SEGMENT_SIZE;
+        this.logger = createLogger({ name: 'JsonlTrafficStore' });
+
+        // Map of requestId -> { record, bodies: { request, response }, entry }, in recording order.
+        // record and bodies are line references: { segment, offset, length, pending }
+        this.index = new Map();
+
+        // Map of segment file name -> { fd, stream, size, live } (live = current lines it holds)
+        this.segments = new Map();
+
+        // Segment new records are appended to
+        this.active = null;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.load();
+        this.openSegment();
+    }
+
+    /**
+     * Rebuilds the index from the segment files
+     */
+    load() {
+        const files = fs.readdirSync(this.dir)
+            .filter(name => SEGMENT_PATTERN.test(name))
+            .sort((a, b) => Number(SEGMENT_PATTERN.exec(a)[1]) - Number(SEGMENT_PATTERN.exec(b)[1]));
+
+        // Map of requestId -> { request, response } body lines
+        const bodies = new Map();
+
+        let skipped = 0;
+        for (const name of files) {
+            const fd = fs.openSync(path.join(this.dir, name), 'r');
+            const segment = { fd, stream: null, size: fs.fstatSync(fd).size, live: 0 };
+            this.segments.set(name, segment);
+
+            this.scanSegment(segment, (line, offset) => {
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch {
+                    skipped++;
+                    return;
+                }
+
+                const ref = { segment: name, offset, length: Buffer.byteLength(line) };
+                if (record.part) {
+                    if (!bodies.has(record.requestId)) bodies.set(record.requestId, { request: null, response: null });
+                    bodies.get(record.requestId)[record.part] = ref;
+                    return;
+                }
+
+                this.index.set(record.requestId, { record: ref, bodies: null, entry: summarize(record) });
+            });
+        }
+
+        // Count the lines still in use only now, as bodies may be stored before their record
+        for (const [requestId, location] of this.index) {
+            location.bodies = bodies.get(requestId) || { request: null, response: null };
+            for (const ref of linesOf(location)) {
+                this.segments.get(ref.segment).live++;
+            }
+        }
+
+        for (const name of files) {
+            this.dropSegmentIfUnused(name);
+        }
+        this.enforceLimit();
+
+        if (files.length > 0) {
+            this.logger.info(`Loaded ${this.index.size} stored requests`, { dir: this.dir, skipped });
+        }
+    }
+
+    /**
+     * Calls back with every complete line of a segment and its byte offset
+     * @param {Object} segment - Segment to scan
+     * @param {Function} onLine - Called with (line, offset)
+     */
+    scanSegment(segment, onLine) {
+        const chunk = Buffer.alloc(READ_CHUNK_SIZE);
+        let pending = Buffer.alloc(0);
+        let pendingOffset = 0;
+        let position = 0;
+
+        while (position < segment.size) {
+            const bytesRead = fs.readSync(segment.fd, chunk, 0, chunk.length, position);
+            if (bytesRead === 0) break;
+            position += bytesRead;
+
+            const data = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+            let start = 0;
+            let newline;
+            while ((newline = data.indexOf(0x0a, start)) !== -1) {
+                if (newline > start) {
+                    onLine(data.toString('utf8', start, newline), pendingOffset + start);
+                }
+                start = newline + 1;
+            }
+
+            pending = Buffer.from(data.subarray(start));
+            pendingOffset += start;
+        }
+    }
+
+    /**
+     * Starts a new segment for appending
+     */
+    openSegment() {
+        let stamp = Date.now();
+        while (this.segments.has(`traffic-${stamp}.jsonl`)) {
+            stamp++;
+        }
+
+        const name = `traffic-${stamp}.jsonl`;
+        const fd = fs.openSync(path.join(this.dir, name), 'a+');
+
+        // Appends go through the stream; reads use the fd directly
+        const stream = fs.createWriteStream(null, { fd, autoClose: false });
+        stream.on('error', (error) => {
+            this.logger.error(`Failed to write traffic segment: ${name}`, { error: error.message });
+        });
+
+        this.segments.set(name, { fd, stream, size: 0, live: 0 });
+        this.active = name;
+    }
+
+    /**
+     * Appends a line to the active segment, rolling over when it is full
+     * @param {Object} data - Value to write as JSON
+     * @returns {Object} Reference to the line, counted as in use
+     */
+    append(data) {
+        const text = JSON.stringify(data);
+        const line = Buffer.from(`${text}\n`);
+
+        let segment = this.segments.get(this.active);
+        if (segment.size > 0 && segment.size + line.length > this.segmentSize) {
+            const previous = this.active;
+            this.openSegment();
+            this.endSegment(this.segments.get(previous));
+            this.dropSegmentIfUnused(previous);
+            segment = this.segments.get(this.active);
+        }
+
+        // Served from memory until the stream has written it
+        const ref = { segment: this.active, offset: segment.size, length: line.length - 1, pending: text };
+        segment.stream.write(line, () => {
+            delete ref.pending;
+        });
+        segment.size += line.length;
+        segment.live++;
+
+        return ref;
+    }
+
+    /**
+     * Reads a stored line
+     * @param {Object} ref - Line reference
+     * @returns {Object} Parsed line
+     */
+    readLine(ref) {
+        if (ref.pending !== undefined) {
+            return JSON.parse(ref.pending);
+        }
+
+        const buffer = Buffer.alloc(ref.length);
+        fs.readSync(this.segments.get(ref.segment).fd, buffer, 0, ref.length, ref.offset);
+        return JSON.parse(buffer.toString('utf8'));
+    }
+
+    /**
+     * Stops using a line, deleting its segment once nothing in it is current
+     * @param {Object} ref - Line reference
+     */
+    release(ref) {
+        this.segments.get(ref.segment).live--;
+        this.dropSegmentIfUnused(ref.segment);
+    }
+
+    /**
+     * Appends the current state of traffic; bodies already stored are not written again
+     * @param {InspectedTraffic} traffic - Traffic to store
+     */
+    save(traffic) {
+        const record = traffic.toRecord();
+        const previous = this.index.get(record.requestId);
+        const bodies = { ...(previous?.bodies || { request: null, response: null }) };
+
+        for (const part of BODY_PARTS) {
+            const body = record[part]?.body;
+            if (body != null && !bodies[part]) {
+                bodies[part] = this.append({ requestId: record.requestId, part, body });
+            }
+        }
+
+        this.index.set(record.requestId, {
+            record: this.append(toStoredRecord(record)),
+            bodies,
+            entry: summarize(record),
+        });
+
+        if (previous) {
+            this.release(previous.record);
+        } else {
+            this.enforceLimit();
+        }
+    }
+
+    /**
+     * Reads stored traffic from disk
+     * @param {string} requestId - Request ID
+     * @returns {InspectedTraffic|null} Traffic or null
+     */
+    get(requestId) {
+        const location = this.index.get(requestId);
+        if (!location) return null;
+
+        try {
+            const record = this.readLine(location.record);
+            for (const part of BODY_PARTS) {
+                if (location.bodies[part] && record[part]) {
+                    record[part].body = this.readLine(location.bodies[part]).body;
+                }
+            }
+            return InspectedTraffic.fromRecord(record);
+        } catch (error) {
+            this.logger.error(`Failed to read stored request: ${requestId}`, { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Finds traffic matching the /api/traffic filters
+     * @param {Object} options - Filter options (see filterTraffic)
+     * @returns {InspectedTraffic[]} Matching traffic, newest first
+     */
+    query(options = {}) {
+        if (!options.q) {
+            return filterTraffic(this.summaries(), options)
+                .map(entry => this.get(entry.requestId))
+                .filter(Boolean);
+        }
+
+        // The search reads headers and bodies, so narrow down with the index
+        // first, then load records newest first until the page is full
+        const candidates = filterTraffic(this.summaries(), { ...options, q: null, limit: Infinity, offset: 0 });
+        const limit = Number(options.limit) || 50;
+        const offset = Number(options.offset) || 0;
+        const result = [];
+        let skipped = 0;
+
+        for (const entry of candidates) {
+            if (result.length >= limit) break;
+
+            const traffic = this.get(entry.requestId);
+            if (!traffic || !options.q.matches(traffic)) continue;
+
+            if (skipped < offset) {
+                skipped++;
+            } else {
+                result.push(traffic);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Lists the index entry of every stored request
+     * @returns {Object[]} Index entries
+     */
+    summaries() {
+        return [...this.index.values()].map(location => location.entry);
+    }
+
+    /**
+     * Counts stored entries
+     * @returns {number} Entry count
+     */
+    count() {
+        return this.index.size;
+    }
+
+    /**
+     * Removes an entry from the index
+     * @param {string} requestId - Request ID
+     */
+    remove(requestId) {
+        const location = this.index.get(requestId);
+        if (!location) return;
+
+        this.index.delete(requestId);
+        for (const ref of linesOf(location)) {
+            this.release(ref);
+        }
+    }
+
+    /**
+     * Deletes a segment once it holds no current records
+     * @param {string} name - Segment file name
+     */
+    dropSegmentIfUnused(name) {
+        const segment = this.segments.get(name);
+        if (!segment || segment.live > 0 || name === this.active) return;
+
+        this.segments.delete(name);
+        this.deleteSegment(name, segment);
+    }
+
+    /**
+     * Closes a segment and removes its file once its queued lines are written
+     * @param {string} name - Segment file name
+     * @param {Object} segment - Segment
+     * @returns {Promise<void>} Resolves once the file is gone
+     */
+    async deleteSegment(name, segment) {
+        await this.closeSegment(segment);
+        fs.rmSync(path.join(this.dir, name), { force: true });
+    }
+
+    /**
+     * Stops appending to a segment
+     * @param {Object} segment - Segment
+     */
+    endSegment(segment) {
+        if (!segment.stream) return;
+
+        const { stream } = segment;
+        segment.stream = null;
+        segment.flushed = new Promise(resolve => stream.end(resolve));
+    }
+
+    /**
+     * Closes a segment's file once its queued lines are written
+     * @param {Object} segment - Segment
+     * @returns {Promise<void>} Resolves once the file is closed
+     */
+    closeSegment(segment) {
+        this.endSegment(segment);
+        return Promise.resolve(segment.flushed).then(() => fs.closeSync(segment.fd));
+    }
+
+    /**
+     * Drops the oldest entries beyond the storage limit
+     */
+    enforceLimit() {
+        while (this.index.size > this.maxStoredRequests) {
+            this.remove(this.index.keys().next().value);
+        }
+    }
+
+    /**
+     * Drops traffic older than the cutoff
+     * @param {number} cutoff - Oldest creation time to keep (ms)
+     */
+    prune(cutoff) {
+        for (const [requestId, location] of this.index) {
+            if (location.entry.createdAt < cutoff) {
+                this.remove(requestId);
+            }
+        }
+    }
+
+    /**
+     * Removes all traffic, including the segment files. New traffic goes to a
+     * fresh segment straight away; the old files are only removed once their
+     * queued lines are written, so nothing lands in them afterwards.
+     * @returns {Promise<void>} Resolves once the old segment files are gone
+     */
+    async clear() {
+        const segments = [...this.segments];
+        this.index.clear();
+        this.openSegment();
+        for (const [name] of segments) {
+            this.segments.delete(name);
+        }
+
+        await Promise.all(segments.map(([name, segment]) => this.deleteSegment(name, segment)));
+    }
+
+    /**
+     * Writes out queued lines and closes the segment files
+     * @returns {Promise<void>} Resolves once everything is on disk
+     */
+    async close() {
+        const segments = [...this.segments.values()];
+        this.segments.clear();
+        await Promise.all(segments.map(segment => this.closeSegment(segment)));
+    }
+}
+
+module.exports = JsonlTrafficStore;
@@ -0,0 +1,171 @@
+/**
+ * Memory Traffic Store
+ *
+ * The default inspector storage: traffic lives in arrays and maps and
+ * is lost when the gateway stops. Every traffic store has this shape:
+ *
+ * - save(traffic)        store new traffic, or the latest state of stored traffic
+ * - get(requestId)       InspectedTraffic or null
+ * - query(options)       traffic matching the /api/traffic filters
+ * - summaries()          every entry's method, path, status and timing, for stats
+ * - count()              number of stored entries
+ * - prune(cutoff)        drop entries created before the cutoff (ms)
+ * - clear()              may return a promise that settles once everything is removed
+ * - close()              may return a promise that settles once everything is written
+ */
+
+const { TUNNEL_CONFIG } = require('@devtunnel/shared');
+const { filterTraffic } = require('./filterTraffic');
+
+class MemoryTrafficStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {number} options.maxStoredRequests - Entries kept before the oldest are dropped
+     */
+    constructor(options = {}) {
+        this.maxStoredRequests = options.maxStoredRequests || TUNNEL_CONFIG.MAX_STORED_REQUESTS;
+
+        // Storage by tunnel ID
+        this.trafficByTunnel = new Map();
+
+        // All traffic (limited circular buffer)
+        this.allTraffic = [];
+
+        // Map of requestId -> InspectedTraffic for fast lookup
+        this.trafficByRequestId = new Map();
+    }
+
+    /**
+     * Stores traffic; entries are kept by reference, so updates need no copy
+     * @param {InspectedTraffic} traffic - Traffic to store
+     */
+    save(traffic) {
+        const existing = this.trafficByRequestId.get(traffic.requestId);
+        if (existing === traffic) return;
+
+        this.trafficByRequestId.set(traffic.requestId, traffic);
+
+        if (existing) {
+            this.replace(this.allTraffic, existing, traffic);
+            this.replace(this.trafficByTunnel.get(traffic.tunnelId) || [], existing, traffic);
+            return;
+        }
+
+        // Store by tunnel
+        if (!this.trafficByTunnel.has(traffic.tunnelId)) {
+            this.trafficByTunnel.set(traffic.tunnelId, []);
+        }
+        this.trafficByTunnel.get(traffic.tunnelId).push(traffic);
+
+        // Store in global list
+        this.allTraffic.push(traffic);
+
+        this.enforceLimit();
+    }
+
+    /**
+     * Swaps an entry in a list for its new copy
+     * @param {InspectedTraffic[]} list - List to update
+     * @param {InspectedTraffic} existing - Stored entry
+     * @param {InspectedTraffic} traffic - New copy
+     */
+    replace(list, existing, traffic) {
+        const index = list.indexOf(existing);
+        if (index !== -1) {
+            list[index] = traffic;
+        }
+    }
+
+    /**
+     * Gets stored traffic
+     * @param {string} requestId - Request ID
+     * @returns {InspectedTraffic|null} Traffic or null
+     */
+    get(requestId) {
+        return this.trafficByRequestId.get(requestId) || null;
+    }
+
+    /**
+     * Finds traffic matching the /api/traffic filters
+     * @param {Object} options - Filter options (see filterTraffic)
+     * @returns {InspectedTraffic[]} Matching traffic, newest first
+     */
+    query(options = {}) {
+        const source = options.tunnelId ? this.trafficByTunnel.get(options.tunnelId) || [] : this.allTraffic;
+        return filterTraffic(source, options);
+    }
+
+    /**
+     * Lists every stored entry for statistics
+     * @returns {InspectedTraffic[]} Stored traffic
+     */
+    summaries() {
+        return this.allTraffic;
+    }
+
+    /**
+     * Counts stored entries
+     * @returns {number} Entry count
+     */
+    count() {
+        return this.allTraffic.length;
+    }
+
+    /**
+     * Enforces storage limits
+     */
+    enforceLimit() {
+        // Global limit
+        while (this.allTraffic.length > this.maxStoredRequests) {
+            const removed = this.allTraffic.shift();
+            this.trafficByRequestId.delete(removed.requestId);
+        }
+
+        // Per-tunnel limit
+        for (const [tunnelId, traffic] of this.trafficByTunnel) {
+            while (traffic.length > this.maxStoredRequests / 2) {
+                traffic.shift();
+            }
+        }
+    }
+
+    /**
+     * Drops traffic older than the cutoff
+     * @param {number} cutoff - Oldest creation time to keep (ms)
+     */
+    prune(cutoff) {
+        // Clean global list
+        this.allTraffic = this.allTraffic.filter(t => t.createdAt >= cutoff);
+
+        // Clean by-tunnel storage
+        for (const [tunnelId, traffic] of this.trafficByTunnel) {
+            this.trafficByTunnel.set(
+                tunnelId,
+                traffic.filter(t => t.createdAt >= cutoff)
+            );
+        }
+
+        // Clean lookup map
+        for (const [requestId, traffic] of this.trafficByRequestId) {
+            if (traffic.createdAt < cutoff) {
+                this.trafficByRequestId.delete(requestId);
+            }
+        }
+    }
+
+    /**
+     * Removes all traffic
+     */
+    clear() {
+        this.allTraffic = [];
+        this.trafficByTunnel.clear();
+        this.trafficByRequestId.clear();
+    }
+
+    /**
+     * Nothing to release for memory storage
+     */
+    close() { }
+}
+
+module.exports = MemoryTrafficStore;
@@ -0,0 +1,75 @@
+/**
+ * Traffic Filters
+ *
+ * The /api/traffic query options, shared by the inspector storage
+ * backends and live subscriptions. They only read the fields every
+ * store keeps in memory (method, path, status, blocked marker and
+ * timestamps), so the disk store can run them over its index without
+ * loading bodies. The q search (see trafficQuery) reads headers and
+ * bodies too, so stores that index summaries run it on full records.
+ */
+
+/**
+ * Compiles a path filter
+ * @param {string|RegExp} path - Pattern
+ * @returns {RegExp} Case-insensitive pattern
+ */
+function toPattern(path) {
+    return path instanceof RegExp ? path : new RegExp(path, 'i');
+}
+
+/**
+ * Checks one traffic entry against the filters
+ * @param {Object} traffic - Traffic, or an index entry shaped like it
+ * @param {Object} options - Filter options
+ * @returns {boolean} True if the entry matches every filter given
+ */
+function matchesTraffic(traffic, options = {}) {
+    // Filter by tunnel
+    if (options.tunnelId && traffic.tunnelId !== options.tunnelId) return false;
+    if (options.subdomain && traffic.subdomain !== options.subdomain) return false;
+
+    // Filter by method
+    if (options.method && traffic.request.method !== options.method.toUpperCase()) return false;
+
+    // Filter by status code
+    if (options.statusCode && traffic.response?.statusCode !== parseInt(options.statusCode, 10)) return false;
+
+    // Filter by IP block marker
+    if (options.blocked !== undefined && traffic.blocked !== (String(options.blocked) === 'true')) return false;
+
+    // Filter by path pattern (a string, or a RegExp compiled once by the caller)
+    if (options.path && !toPattern(options.path).test(traffic.request.path)) return false;
+
+    // Filter by time range
+    if (options.since && traffic.createdAt < new Date(options.since).getTime()) return false;
+
+    // Filter by search query (compiled by parseQuery)
+    if (options.q && !options.q.matches(traffic)) return false;
+
+    return true;
+}
+
+/**
+ * Filters and sorts traffic (newest first) and applies pagination
+ * @param {Object[]} traffic - Traffic, or index entries shaped like it
+ * @param {Object} options - Filter options
+ * @returns {Object[]} Matching traffic
+ */
+function filterTraffic(traffic, options = {}) {
+    const filters = options.path ? { ...options, path: toPattern(options.path) } : options;
+    const result = traffic.filter(t => matchesTraffic(t, filters));
+
+    // Sort (newest first by default)
+    result.sort((a, b) => b.createdAt - a.createdAt);
+
+    // Pagination
+    const limit = options.limit || 50;
+    const offset = options.offset || 0;
+    return result.slice(offset, offset + limit);
+}
+
+module.exports = {
+    matchesTraffic,
+    filterTraffic,
+};
@@ -0,0 +1,531 @@
+/**
+ * Traffic Query
+ *
+ * The search syntax of /api/traffic?q=. A query is a list of terms,
+ * joined with AND (the default between terms), OR and NOT (or a leading
+ * "-"), grouped with parentheses:
+ *
+ *   method:POST path:/webhooks status:5xx duration>2s body:"invoice.paid"
+ *   (status:4xx OR status:5xx) -path:/health
+ *
+ * A term is field, operator and value. Operators are ":" (contains, or
+ * matches for status, ip and times), "=", "!=", ">", ">=", "<", "<=" and
+ * "~" (regular expression). Values with spaces or parentheses are quoted;
+ * "*" as a header or JSON value means "is present". A term without a
+ * field searches the path and both bodies.
+ *
+ * Queries run on full traffic (headers and bodies), so the disk store
+ * evaluates them after its index filters.
+ */
+
+const net = require('net');
+const { parseCidr, safeJsonParse } = require('@devtunnel/shared');
+
+// Operators, longest first so ">=" is not read as ">"
+const OPERATORS = ['!=', '>=', '<=', ':', '=', '>', '<', '~'];
+
+// Field names: letters, then anything a header name or JSON path may contain
+const FIELD_PATTERN = /^[A-Za-z][\w.\-[\]$]*/;
+
+// Units accepted in durations (duration>2s) and relative times (since:15m)
+const TIME_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * A query the parser could not understand
+ */
+class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} at position ${position + 1}`);
+        this.position = position;
+    }
+}
+
+/**
+ * Splits a query into parentheses, keywords and terms
+ * @param {string} text - Query text
+ * @returns {Object[]} Tokens ({ type, position, ... })
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    // Reads a quoted string or a bare run of characters up to whitespace or ")"
+    const readValue = () => {
+        if (text[i] === '"') {
+            const start = i;
+            let value = '';
+            for (i++; i < text.length && text[i] !== '"'; i++) {
+                value += text[i] === '\\' && i + 1 < text.length ? text[++i] : text[i];
+            }
+            if (i >= text.length) throw new QuerySyntaxError('Unterminated quote', start);
+            i++;
+            return { value, quoted: true };
+        }
+
+        const start = i;
+        while (i < text.length && !/[\s()]/.test(text[i])) i++;
+        return { value: text.slice(start, i), quoted: false };
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        const position = i;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char, position });
+            i++;
+        } else if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+            tokens.push({ type: 'NOT', position });
+            i++;
+        } else {
+            const field = FIELD_PATTERN.exec(text.slice(i));
+            const afterField = field ? i + field[0].length : i;
+            const operator = field && OPERATORS.find(op => text.startsWith(op, afterField));
+
+            if (operator) {
+                i = afterField + operator.length;
+                const { value, quoted } = readValue();
+                if (value === '' && !quoted) {
+                    throw new QuerySyntaxError(`Missing value for ${field[0]}`, position);
+                }
+                tokens.push({ type: 'TERM', field: field[0], operator, value, position });
+            } else {
+                const { value, quoted } = readValue();
+                const keyword = value.toUpperCase();
+                if (!quoted && ['AND', 'OR', 'NOT'].includes(keyword)) {
+                    tokens.push({ type: keyword, position });
+                } else {
+                    tokens.push({ type: 'TERM', field: null, operator: ':', value, position });
+                }
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses a duration such as 250, 250ms, 2s or 1.5m
+ * @param {string} value - Duration text
+ * @returns {number|null} Milliseconds, or null if invalid
+ */
+function parseDuration(value) {
+    const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(value);
+    return match ? parseFloat(match[1]) * TIME_UNITS[match[2] || 'ms'] : null;
+}
+
+/**
+ * Parses a point in time: a date, or a duration meaning "that long ago"
+ * @param {string} value - Time text
+ * @returns {number|null} Timestamp (ms), or null if invalid
+ */
+function parseTime(value) {
+    if (/^\d+(\.\d+)?(ms|s|m|h|d)$/.test(value)) {
+        return Date.now() - parseDuration(value);
+    }
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Splits a JSON path such as data.items[0].id (an optional "$." is allowed)
+ * @param {string} path - JSON path
+ * @returns {Array<string|number>} Keys and indexes
+ */
+function parseJsonPath(path) {
+    const segments = [];
+    for (const part of path.replace(/^\$\.?/, '').split('.')) {
+        const match = /^([^[\]]*)((?:\[\d+\])*)$/.exec(part);
+        if (!match || (!match[1] && !match[2])) return null;
+        if (match[1]) segments.push(match[1]);
+        for (const index of match[2].matchAll(/\[(\d+)\]/g)) {
+            segments.push(parseInt(index[1], 10));
+        }
+    }
+    return segments;
+}
+
+/**
+ * Reads a header regardless of case, joining repeated values
+ * @param {Object} headers - Headers
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined} Value
+ */
+function headerValue(headers, name) {
+    const key = Object.keys(headers || {}).find(k => k.toLowerCase() === name);
+    if (key === undefined) return undefined;
+    const value = headers[key];
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+function requestBodyText(traffic) {
+    return traffic.request.body || '';
+}
+
+function responseBodyText(traffic) {
+    return traffic.response?.body ? Buffer.from(traffic.response.body, 'base64').toString('utf8') : '';
+}
+
+/**
+ * Builds a string comparison for a term
+ * @param {Object} term - Parsed term
+ * @param {boolean} caseSensitive - Whether "=" compares case-sensitively
+ * @returns {Function} (string|undefined) => boolean
+ */
+function textMatcher(term, caseSensitive = true) {
+    const { operator, value } = term;
+    const normalize = (text) => (caseSensitive ? text : text.toLowerCase());
+
+    switch (operator) {
+        case ':': {
+            const needle = value.toLowerCase();
+            return (actual) => actual !== undefined && actual.toLowerCase().includes(needle);
+        }
+        case '=':
+            return (actual) => actual !== undefined && normalize(actual) === normalize(value);
+        case '!=':
+            return (actual) => actual === undefined || normalize(actual) !== normalize(value);
+        case '~': {
+            let pattern;
+            try {
+                pattern = new RegExp(value, 'i');
+            } catch {
+                throw new QuerySyntaxError(`Invalid regular expression for ${term.field || 'text'}`, term.position);
+            }
+            return (actual) => actual !== undefined && pattern.test(actual);
+        }
+        default:
+            throw new QuerySyntaxError(`${term.field} does not support ${operator}`, term.position);
+    }
+}
+
+/**
+ * Builds a numeric comparison for a term
+ * @param {Object} term - Parsed term
+ * @param {number} expected - Value to compare with
+ * @returns {Function} (number|null) => boolean
+ */
+function numberMatcher(term, expected) {
+    const compare = {
+        ':': (a) => a === expected,
+        '=': (a) => a === expected,
+        '!=': (a) => a !== expected,
+        '>': (a) => a > expected,
+        '>=': (a) => a >= expected,
+        '<': (a) => a < expected,
+        '<=': (a) => a <= expected,
+    }[term.operator];
+
+    if (!compare) {
+        throw new QuerySyntaxError(`${term.field} does not support ${term.operator}`, term.position);
+    }
+    return (actual) => typeof actual === 'number' && compare(actual);
+}
+
+/**
+ * Builds the status code test: 404, 5xx, 400-499 or a comparison
+ * @param {Object} term - Parsed term
+ * @returns {Function} Predicate on traffic
+ */
+function statusPredicate(term) {
+    const { operator, value } = term;
+    const status = (traffic) => traffic.response?.statusCode ?? null;
+
+    let range = null;
+    if (/^[1-5]xx$/i.test(value)) {
+        const base = parseInt(value[0], 10) * 100;
+        range = [base, base + 99];
+    } else if (/^\d{3}-\d{3}$/.test(value)) {
+        range = value.split('-').map(Number);
+    }
+
+    if (range) {
+        if (![':', '=', '!='].includes(operator)) {
+            throw new QuerySyntaxError(`status ranges only support ":", "=" and "!="`, term.position);
+        }
+        const inRange = (traffic) => status(traffic) !== null && status(traffic) >= range[0] && status(traffic) <= range[1];
+        return operator === '!=' ? (traffic) => !inRange(traffic) : inRange;
+    }
+
+    if (!/^\d{3}$/.test(value)) {
+        throw new QuerySyntaxError(`Invalid status "${value}"`, term.position);
+    }
+    const matches = numberMatcher(term, parseInt(value, 10));
+    return (traffic) => matches(status(traffic));
+}
+
+/**
+ * Builds the client IP test: an address or a CIDR range
+ * @param {Object} term - Parsed term
+ * @returns {Function} Predicate on traffic
+ */
+function ipPredicate(term) {
+    const range = parseCidr(term.value);
+    if (!range || ![':', '=', '!='].includes(term.operator)) {
+        throw new QuerySyntaxError(`ip needs an address or CIDR range with ":", "=" or "!="`, term.position);
+    }
+
+    const blockList = new net.BlockList();
+    blockList.addSubnet(range.address, range.prefix, range.family);
+
+    const inRange = (traffic) => {
+        // IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+        const ip = (traffic.request.clientIp || '').replace(/^::ffff:(?=\d+\.)/, '');
+        const family = net.isIP(ip);
+        return family !== 0 && blockList.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+    };
+    return term.operator === '!=' ? (traffic) => !inRange(traffic) : inRange;
+}
+
+/**
+ * Builds a test on a value inside a JSON body
+ * @param {Object} term - Parsed term
+ * @param {string} path - JSON path after the field prefix
+ * @param {Function} read - Returns the parsed body of a traffic entry
+ * @returns {Function} Predicate on traffic
+ */
+function jsonPredicate(term, path, read) {
+    const segments = parseJsonPath(path);
+    if (!segments || segments.length === 0) {
+        throw new QuerySyntaxError(`Invalid JSON path "${path}"`, term.position);
+    }
+
+    const lookup = (traffic) => {
+        let value = read(traffic);
+        for (const segment of segments) {
+            if (value === null || typeof value !== 'object' || !(segment in value)) return undefined;
+            value = value[segment];
+        }
+        return value;
+    };
+
+    if (term.value === '*' && term.operator === ':') {
+        return (traffic) => lookup(traffic) !== undefined;
+    }
+
+    const number = Number(term.value);
+    if (['>', '>=', '<', '<='].includes(term.operator) || (term.operator !== ':' && term.operator !== '~' && term.value !== '' && !Number.isNaN(number))) {
+        if (Number.isNaN(number)) {
+            throw new QuerySyntaxError(`${term.field} ${term.operator} needs a number`, term.position);
+        }
+        const matches = numberMatcher(term, number);
+        return (traffic) => {
+            const value = lookup(traffic);
+            return matches(typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+        };
+    }
+
+    const matches = textMatcher(term);
+    return (traffic) => {
+        const value = lookup(traffic);
+        if (value === undefined) return matches(undefined);
+        return matches(typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value));
+    };
+}
+
+/**
+ * Builds the test on a header, with "*" meaning present
+ * @param {Object} term - Parsed term
+ * @param {string} name - Header name
+ * @param {Function} read - Returns the headers of a traffic entry
+ * @returns {Function} Predicate on traffic
+ */
+function headerPredicate(term, name, read) {
+    const header = name.toLowerCase();
+    if (term.value === '*' && term.operator === ':') {
+        return (traffic) => headerValue(read(traffic), header) !== undefined;
+    }
+
+    const matches = textMatcher(term);
+    return (traffic) => matches(headerValue(read(traffic), header));
+}
+
+// Parsed bodies, falling back to parsing text sent without a JSON content type
+const requestJson = (traffic) => (traffic.parsedRequestBody !== undefined
+    ? traffic.parsedRequestBody
+    : safeJsonParse(requestBodyText(traffic)));
+const responseJson = (traffic) => (traffic.parsedResponseBody !== undefined
+    ? traffic.parsedResponseBody
+    : safeJsonParse(responseBodyText(traffic)));
+
+/**
+ * Compiles one term into a predicate on traffic
+ * @param {Object} term - Parsed term
+ * @returns {Function} Predicate on traffic
+ */
+function compileTerm(term) {
+    const field = term.field && term.field.toLowerCase();
+
+    // Free text: path or either body
+    if (!field) {
+        const matches = textMatcher(term);
+        return (traffic) => matches(traffic.request.path) || matches(requestBodyText(traffic)) || matches(responseBodyText(traffic));
+    }
+
+    const prefixed = /^(req\.|res\.)?(header|json)\.(.+)$/.exec(term.field);
+    if (prefixed) {
+        const isResponse = prefixed[1] === 'res.';
+        if (prefixed[2].toLowerCase() === 'header') {
+            return headerPredicate(term, prefixed[3], (t) => (isResponse ? t.response?.headers : t.request.headers));
+        }
+        return jsonPredicate(term, prefixed[3], isResponse ? responseJson : requestJson);
+    }
+
+    switch (field) {
+        case 'method': {
+            const matches = textMatcher(term, false);
+            return (traffic) => matches(traffic.request.method);
+        }
+
+        case 'path': {
+            const matches = textMatcher(term);
+            return (traffic) => matches(traffic.request.path);
+        }
+
+        case 'status':
+            return statusPredicate(term);
+
+        case 'duration': {
+            const duration = parseDuration(term.value);
+            if (duration === null) {
+                throw new QuerySyntaxError(`Invalid duration "${term.value}"`, term.position);
+            }
+            const matches = numberMatcher(term, duration);
+            return (traffic) => matches(traffic.responseTime ?? null);
+        }
+
+        case 'ip':
+            return ipPredicate(term);
+
+        case 'since':
+        case 'until': {
+            const time = parseTime(term.value);
+            if (time === null || term.operator !== ':') {
+                throw new QuerySyntaxError(`${field} needs ":" and a date or a duration such as 15m`, term.position);
+            }
+            return field === 'since'
+                ? (traffic) => traffic.createdAt >= time
+                : (traffic) => traffic.createdAt <= time;
+        }
+
+        case 'subdomain':
+        case 'tunnel': {
+            const matches = textMatcher(term);
+            return (traffic) => matches(field === 'tunnel' ? traffic.tunnelId : traffic.subdomain);
+        }
+
+        case 'blocked': {
+            const expected = term.value.toLowerCase() === 'true';
+            return (traffic) => Boolean(traffic.blocked) === expected;
+        }
+
+        case 'body':
+        case 'req.body':
+        case 'res.body': {
+            const matches = textMatcher(term);
+            if (field === 'req.body') return (traffic) => matches(requestBodyText(traffic));
+            if (field === 'res.body') return (traffic) => matches(responseBodyText(traffic));
+
+            // "!=" must hold for both bodies, anything else for either
+            return term.operator === '!='
+                ? (traffic) => matches(requestBodyText(traffic)) && matches(responseBodyText(traffic))
+                : (traffic) => matches(requestBodyText(traffic)) || matches(responseBodyText(traffic));
+        }
+
+        default:
+            throw new QuerySyntaxError(`Unknown field "${term.field}"`, term.position);
+    }
+}
+
+/**
+ * Recursive descent over the tokens: OR binds loosest, then AND, then NOT
+ * @param {Object[]} tokens - Tokens from tokenize
+ * @param {number} length - Query length, for errors at the end
+ * @returns {Function} Predicate on traffic
+ */
+function parseTokens(tokens, length) {
+    let index = 0;
+    const peek = () => tokens[index];
+    const positionOf = (token) => (token ? token.position : length);
+
+    function parseOr() {
+        const parts = [parseAnd()];
+        while (peek()?.type === 'OR') {
+            index++;
+            parts.push(parseAnd());
+        }
+        return parts.length === 1 ? parts[0] : (traffic) => parts.some(part => part(traffic));
+    }
+
+    function parseAnd() {
+        const parts = [parseNot()];
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') index++;
+            parts.push(parseNot());
+        }
+        return parts.length === 1 ? parts[0] : (traffic) => parts.every(part => part(traffic));
+    }
+
+    function parseNot() {
+        if (peek()?.type === 'NOT') {
+            index++;
+            const inner = parseNot();
+            return (traffic) => !inner(traffic);
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token) throw new QuerySyntaxError('Unexpected end of query', length);
+
+        if (token.type === '(') {
+            index++;
+            const inner = parseOr();
+            if (peek()?.type !== ')') throw new QuerySyntaxError('Missing ")"', positionOf(peek()));
+            index++;
+            return inner;
+        }
+
+        if (token.type === 'TERM') {
+            index++;
+            return compileTerm(token);
+        }
+
+        throw new QuerySyntaxError(`Unexpected ${token.type}`, token.position);
+    }
+
+    const predicate = parseOr();
+    if (index < tokens.length) {
+        throw new QuerySyntaxError(`Unexpected ${tokens[index].type}`, tokens[index].position);
+    }
+    return predicate;
+}
+
+/**
+ * Parses a traffic query
+ * @param {string} text - Query text
+ * @returns {Object} Result with query ({ text, matches(traffic) }), or error
+ */
+function parseQuery(text) {
+    if (typeof text !== 'string') {
+        return { success: false, error: 'Query must be a string' };
+    }
+    if (text.trim() === '') {
+        return { success: false, error: 'Query is empty' };
+    }
+
+    try {
+        const tokens = tokenize(text);
+        return { success: true, query: { text, matches: parseTokens(tokens, text.length) } };
+    } catch (error) {
+        if (!(error instanceof QuerySyntaxError)) throw error;
+        return { success: false, error: `Invalid query: ${error.message}`, position: error.position };
+    }
+}
+
+module.exports = {
+    parseQuery,
+};
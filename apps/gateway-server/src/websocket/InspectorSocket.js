@@ -0,0 +1,243 @@
+/**
+ * Inspector Socket
+ *
+ * Live traffic for the dashboard and other tooling. Clients connect to
+ * /api/inspect on the gateway's HTTP port and receive inspect:request
+ * and inspect:response events as traffic is captured. The query string
+ * of the connection sets the first subscription (none = all traffic);
+ * inspect:subscribe replaces it and inspect:unsubscribe pauses events.
+ */
+
+const { WebSocketServer } = require('ws');
+const {
+    createLogger,
+    parseMessage,
+    serializeMessage,
+    createInspectSubscribedMessage,
+    createInspectEventMessage,
+    createErrorMessage,
+    createPongMessage,
+    MessageType,
+    TUNNEL_CONFIG,
+    ERROR_CODES,
+} = require('@devtunnel/shared');
+const { matchesTraffic } = require('../storage/filterTraffic');
+
+// Filters a subscription may use (the /api/traffic options that make sense for live events)
+const SUBSCRIPTION_FILTERS = ['tunnelId', 'subdomain', 'method', 'statusCode', 'path'];
+
+// Events are skipped for a client with this much unsent data, rather than buffered without bound
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Picks and checks the filters of a subscription
+ * @param {Object} input - Requested filters
+ * @returns {Object} Result with filters (path compiled to a RegExp), or error
+ */
+function parseFilters(input = {}) {
+    const filters = {};
+
+    for (const name of SUBSCRIPTION_FILTERS) {
+        const value = input[name];
+        if (value === undefined || value === null || value === '') continue;
+
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return { success: false, error: `Filter ${name} must be a string` };
+        }
+        filters[name] = String(value);
+    }
+
+    if (filters.statusCode && !/^\d{3}$/.test(filters.statusCode)) {
+        return { success: false, error: `Invalid statusCode filter: ${filters.statusCode}` };
+    }
+
+    let pattern = null;
+    if (filters.path) {
+        try {
+            pattern = new RegExp(filters.path, 'i');
+        } catch {
+            return { success: false, error: `Invalid path pattern: ${filters.path}` };
+        }
+    }
+
+    return { success: true, filters, pattern };
+}
+
+class InspectorSocket {
+    /**
+     * @param {InspectorService} inspectorService - Source of traffic events
+     */
+    constructor(inspectorService) {
+        this.inspectorService = inspectorService;
+        this.logger = createLogger({ name: 'InspectorSocket' });
+
+        // Upgrades are routed here by the gateway's HTTP server
+        this.wss = new WebSocketServer({ noServer: true });
+
+        // Map of ws -> { clientId, filters, pattern, isAlive }; filters is null while unsubscribed
+        this.clients = new Map();
+
+        this.onRequest = (traffic) => this.broadcast(MessageType.INSPECT_REQUEST, traffic);
+        this.onResponse = (traffic) => this.broadcast(MessageType.INSPECT_RESPONSE, traffic);
+        this.inspectorService.on('request', this.onRequest);
+        this.inspectorService.on('response', this.onResponse);
+
+        this.heartbeatInterval = setInterval(() => this.pingAll(), TUNNEL_CONFIG.HEARTBEAT_INTERVAL);
+    }
+
+    /**
+     * Accepts an upgrade request for the inspector endpoint
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {net.Socket} socket - Client socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     */
+    handleUpgrade(req, socket, head) {
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            const query = Object.fromEntries(new URL(req.url, 'http://inspector').searchParams);
+            this.handleConnection(ws, req, query);
+        });
+    }
+
+    /**
+     * Sets up a new subscriber
+     * @param {WebSocket} ws - Client connection
+     * @param {http.IncomingMessage} req - Upgrade request
+     * @param {Object} query - Filters from the query string
+     */
+    handleConnection(ws, req, query = {}) {
+        const clientId = `${req.socket.remoteAddress}:${Date.now()}`;
+        this.clients.set(ws, { clientId, filters: null, pattern: null, isAlive: true });
+
+        this.logger.info(`Inspector client connected: ${clientId}`);
+
+        ws.on('message', (data) => this.handleMessage(ws, data));
+        ws.on('pong', () => {
+            const client = this.clients.get(ws);
+            if (client) client.isAlive = true;
+        });
+        ws.on('error', (error) => {
+            this.logger.error(`Inspector socket error: ${clientId}`, { error: error.message });
+        });
+        ws.on('close', () => {
+            this.clients.delete(ws);
+            this.logger.info(`Inspector client disconnected: ${clientId}`);
+        });
+
+        this.subscribe(ws, query);
+    }
+
+    /**
+     * Handles a message from a subscriber
+     * @param {WebSocket} ws - Client connection
+     * @param {Buffer|string} data - Raw message
+     */
+    handleMessage(ws, data) {
+        const message = parseMessage(data);
+
+        if (!message) {
+            this.send(ws, createErrorMessage('Invalid message format', 'INVALID_MESSAGE'));
+            return;
+        }
+
+        switch (message.type) {
+            case MessageType.INSPECT_SUBSCRIBE:
+                this.subscribe(ws, message.payload?.filters);
+                break;
+
+            case MessageType.INSPECT_UNSUBSCRIBE:
+                this.clients.get(ws).filters = null;
+                break;
+
+            case MessageType.PING:
+                this.send(ws, createPongMessage(message.payload?.timestamp));
+                break;
+
+            default:
+                this.send(ws, createErrorMessage(`Unknown message type: ${message.type}`, 'UNKNOWN_MESSAGE'));
+        }
+    }
+
+    /**
+     * Replaces a client's subscription
+     * @param {WebSocket} ws - Client connection
+     * @param {Object} input - Requested filters
+     */
+    subscribe(ws, input) {
+        const result = parseFilters(input);
+        if (!result.success) {
+            this.send(ws, createErrorMessage(result.error, ERROR_CODES.INVALID_REQUEST));
+            return;
+        }
+
+        const client = this.clients.get(ws);
+        client.filters = result.filters;
+        client.pattern = result.pattern;
+
+        this.send(ws, createInspectSubscribedMessage(result.filters));
+    }
+
+    /**
+     * Pushes a traffic event to every subscriber whose filters match
+     * @param {string} type - Event message type
+     * @param {Object} traffic - Traffic entry (inspector JSON)
+     */
+    broadcast(type, traffic) {
+        let serialized = null;
+
+        for (const [ws, client] of this.clients) {
+            if (!client.filters) continue;
+            if (!matchesTraffic(traffic, { ...client.filters, path: client.pattern })) continue;
+
+            if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+                this.logger.debug(`Skipping event for slow inspector client: ${client.clientId}`);
+                continue;
+            }
+
+            serialized = serialized || serializeMessage(createInspectEventMessage(type, traffic));
+            this.send(ws, serialized);
+        }
+    }
+
+    /**
+     * Sends a message to a subscriber
+     * @param {WebSocket} ws - Client connection
+     * @param {Object|string} message - Message, or one already serialized
+     */
+    send(ws, message) {
+        if (ws.readyState === 1) { // WebSocket.OPEN
+            ws.send(typeof message === 'string' ? message : serializeMessage(message));
+        }
+    }
+
+    /**
+     * Pings all subscribers, dropping those that missed the last ping
+     */
+    pingAll() {
+        for (const [ws, client] of this.clients) {
+            if (!client.isAlive) {
+                ws.terminate();
+                this.clients.delete(ws);
+                continue;
+            }
+
+            client.isAlive = false;
+            ws.ping();
+        }
+    }
+
+    /**
+     * Closes all subscriber connections
+     */
+    stop() {
+        clearInterval(this.heartbeatInterval);
+        this.inspectorService.off('request', this.onRequest);
+        this.inspectorService.off('response', this.onResponse);
+
+        for (const ws of this.clients.keys()) {
+            ws.close(1001, 'Gateway shutting down');
+        }
+        this.clients.clear();
+    }
+}
+
+module.exports = InspectorSocket;
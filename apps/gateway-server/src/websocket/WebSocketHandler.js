@@ -8,19 +8,31 @@
 const {
     createLogger,
     parseMessage,
+    parseBasicAuth,
     serializeMessage,
     createTunnelRegisteredMessage,
+    createWelcomeMessage,
     createErrorMessage,
     createPongMessage,
     MessageType,
     TUNNEL_CONFIG,
+    TUNNEL_TYPES,
+    ERROR_CODES,
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    Capability,
 } = require('@devtunnel/shared');
 
 class WebSocketHandler {
-    constructor(wss, tunnelManager, requestForwarder, config) {
+    constructor(wss, tunnelManager, requestForwarder, webSocketProxy, tcpProxy, replayService, tokenStore, domainStore, config) {
         this.wss = wss;
         this.tunnelManager = tunnelManager;
         this.requestForwarder = requestForwarder;
+        this.webSocketProxy = webSocketProxy;
+        this.tcpProxy = tcpProxy;
+        this.replayService = replayService;
+        this.tokenStore = tokenStore;
+        this.domainStore = domainStore;
         this.config = config;
         this.logger = createLogger({ name: 'WebSocketHandler' });
 
@@ -52,6 +64,9 @@ class WebSocketHandler {
             connectedAt: Date.now(),
             lastPing: Date.now(),
             isAlive: true,
+            // Set by the hello/welcome handshake; clients that skip it get no optional capabilities
+            protocolVersion: null,
+            capabilities: [],
         });
 
         // Setup message handler
@@ -95,6 +110,10 @@ class WebSocketHandler {
         this.logger.debug(`Message received: ${message.type}`, { payload: message.payload });
 
         switch (message.type) {
+            case MessageType.HELLO:
+                this.handleHello(ws, message.payload);
+                break;
+
             case MessageType.TUNNEL_REGISTER:
                 this.handleTunnelRegister(ws, message.payload);
                 break;
@@ -107,10 +126,54 @@ class WebSocketHandler {
                 this.handleHttpResponse(ws, message.payload);
                 break;
 
+            case MessageType.HTTP_RESPONSE_START:
+                this.dispatchToTunnel(ws, message.payload, (tunnel, payload) =>
+                    this.requestForwarder.handleResponseStart(tunnel, payload));
+                break;
+
+            case MessageType.HTTP_RESPONSE_CHUNK:
+                this.dispatchToTunnel(ws, message.payload, (tunnel, payload) =>
+                    this.requestForwarder.handleResponseChunk(tunnel, payload));
+                break;
+
+            case MessageType.HTTP_RESPONSE_END:
+                this.dispatchToTunnel(ws, message.payload, (tunnel, payload) =>
+                    this.requestForwarder.handleResponseEnd(tunnel, payload));
+                break;
+
             case MessageType.HTTP_ERROR:
                 this.handleHttpError(ws, message.payload);
                 break;
 
+            case MessageType.WS_OPENED:
+                this.dispatchToStream(ws, message.payload, this.webSocketProxy, (tunnel, payload) =>
+                    this.webSocketProxy.handleOpened(tunnel, payload));
+                break;
+
+            case MessageType.WS_FRAME:
+                this.dispatchToStream(ws, message.payload, this.webSocketProxy, (tunnel, payload) =>
+                    this.webSocketProxy.handleFrame(tunnel, payload));
+                break;
+
+            case MessageType.WS_CLOSE:
+                this.dispatchToStream(ws, message.payload, this.webSocketProxy, (tunnel, payload) =>
+                    this.webSocketProxy.handleClose(tunnel, payload));
+                break;
+
+            case MessageType.TCP_DATA:
+                this.dispatchToStream(ws, message.payload, this.tcpProxy, (tunnel, payload) =>
+                    this.tcpProxy.handleData(tunnel, payload));
+                break;
+
+            case MessageType.TCP_CLOSE:
+                this.dispatchToStream(ws, message.payload, this.tcpProxy, (tunnel, payload) =>
+                    this.tcpProxy.handleClose(tunnel, payload));
+                break;
+
+            case MessageType.REPLAY_RESPONSE:
+                this.handleReplayResponse(ws, message.payload);
+                break;
+
             case MessageType.PING:
                 this.send(ws, createPongMessage(message.payload.timestamp));
                 break;
@@ -125,53 +188,219 @@ class WebSocketHandler {
         }
     }
 
+    /**
+     * Handles the client's hello: checks its protocol version and answers
+     * with the capabilities both sides support
+     * @param {WebSocket} ws - WebSocket connection
+     * @param {Object} payload - Hello payload
+     */
+    handleHello(ws, payload) {
+        const metadata = this.clientMetadata.get(ws);
+        if (!metadata) return;
+
+        const version = parseInt(payload.version, 10);
+
+        if (!(version >= MIN_PROTOCOL_VERSION)) {
+            this.logger.warn(`Incompatible client protocol: ${payload.version}`, { clientId: metadata.clientId });
+            this.send(ws, createErrorMessage(
+                `Protocol version ${payload.version} is not supported; this gateway speaks versions ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}. Please upgrade devtunnel.`,
+                ERROR_CODES.INCOMPATIBLE_PROTOCOL
+            ));
+            ws.close(1002, 'Incompatible protocol version');
+            return;
+        }
+
+        const offered = Array.isArray(payload.capabilities) ? payload.capabilities : [];
+
+        metadata.protocolVersion = Math.min(version, PROTOCOL_VERSION);
+        metadata.capabilities = Object.values(Capability).filter(capability => offered.includes(capability));
+
+        this.send(ws, createWelcomeMessage({
+            version: metadata.protocolVersion,
+            capabilities: metadata.capabilities,
+        }));
+
+        this.logger.info(`Handshake complete: ${metadata.clientId}`, {
+            version: metadata.protocolVersion,
+            capabilities: metadata.capabilities,
+            client: payload.client,
+        });
+    }
+
     /**
      * Handles tunnel registration request
      * @param {WebSocket} ws - WebSocket connection
      * @param {Object} payload - Registration payload
      */
-    handleTunnelRegister(ws, payload) {
-        const { subdomain, localPort, authToken } = payload;
+    async handleTunnelRegister(ws, payload) {
+        const { tunnelType = TUNNEL_TYPES.HTTP, subdomain, localPort, authToken, maxBodySize, resumeToken, basicAuth, ipRules, domains = [] } = payload;
 
-        this.logger.info(`Tunnel registration request`, { subdomain, localPort });
+        this.logger.info(`Tunnel registration request`, { tunnelType, subdomain, localPort });
 
         // Get client metadata
         const metadata = this.clientMetadata.get(ws);
+        const capabilities = metadata?.capabilities || [];
+
+        const auth = this.authenticate(authToken);
+        if (!auth.success) {
+            this.send(ws, createErrorMessage(auth.error, auth.code));
+            this.logger.warn(`Tunnel registration rejected`, { clientId: metadata?.clientId, code: auth.code });
+            return;
+        }
+
+        if (tunnelType === TUNNEL_TYPES.TCP && !capabilities.includes(Capability.TCP)) {
+            this.send(ws, createErrorMessage('Client did not negotiate TCP tunnel support', ERROR_CODES.INVALID_TUNNEL_TYPE));
+            return;
+        }
+
+        // Basic auth guards public HTTP requests, so it means nothing for TCP
+        const credentials = basicAuth ? parseBasicAuth(basicAuth) : null;
+        if (basicAuth && (!credentials || tunnelType !== TUNNEL_TYPES.HTTP)) {
+            this.send(ws, createErrorMessage('Basic auth needs user:pass credentials on an HTTP tunnel', ERROR_CODES.INVALID_REQUEST));
+            return;
+        }
+
+        const clientInfo = {
+            clientId: metadata?.clientId,
+            clientIp: metadata?.clientIp,
+            tokenId: auth.token?.id || null,
+        };
+
+        // Custom domains must be registered by an admin, for this client's token if set
+        const domainsResult = this.authorizeDomains(domains, clientInfo.tokenId);
+        if (!domainsResult.success) {
+            this.send(ws, createErrorMessage(domainsResult.error, domainsResult.code));
+            this.logger.warn(`Tunnel registration rejected`, { clientId: metadata?.clientId, code: domainsResult.code });
+            return;
+        }
+
+        // Take back a tunnel whose previous connection dropped
+        if (resumeToken) {
+            const resumed = this.tunnelManager.resumeTunnel({ ws, resumeToken, clientInfo, capabilities });
+
+            if (!resumed.success) {
+                this.send(ws, createErrorMessage(resumed.error, resumed.code));
+                this.logger.warn(`Tunnel resume failed`, { error: resumed.error, code: resumed.code });
+                return;
+            }
+
+            this.sendRegistered(ws, resumed.tunnel, true);
+            return;
+        }
 
         // Register the tunnel
         const result = this.tunnelManager.registerTunnel({
             ws,
+            type: tunnelType,
             requestedSubdomain: subdomain,
             localPort,
-            clientInfo: {
-                clientId: metadata?.clientId,
-                clientIp: metadata?.clientIp,
-                authToken,
-            },
+            clientInfo,
+            maxBodySize: this.resolveMaxBodySize(maxBodySize),
+            capabilities,
+            basicAuth: credentials,
+            ipRules,
+            domains: domainsResult.domains,
         });
 
-        if (result.success) {
-            const { tunnel } = result;
-
-            // Construct public URL
-            const publicUrl = this.buildPublicUrl(tunnel.subdomain);
-
-            // Send success response
-            this.send(ws, createTunnelRegisteredMessage({
-                tunnelId: tunnel.tunnelId,
-                publicUrl,
-                subdomain: tunnel.subdomain,
-            }));
-
-            this.logger.info(`Tunnel registered: ${tunnel.subdomain}`, {
-                tunnelId: tunnel.tunnelId,
-                publicUrl,
-            });
-        } else {
+        if (!result.success) {
             // Send error response
             this.send(ws, createErrorMessage(result.error, result.code));
             this.logger.warn(`Tunnel registration failed`, { error: result.error, code: result.code });
+            return;
         }
+
+        const { tunnel } = result;
+
+        // TCP tunnels need a public port before they are usable
+        if (tunnel.type === TUNNEL_TYPES.TCP) {
+            try {
+                await this.tcpProxy.open(tunnel);
+            } catch (error) {
+                this.tunnelManager.closeTunnel(tunnel.tunnelId, 'Port allocation failed');
+                this.send(ws, createErrorMessage(error.message, error.code || ERROR_CODES.CONNECTION_FAILED));
+                this.logger.warn(`Tunnel registration failed`, { error: error.message, code: error.code });
+                return;
+            }
+        }
+
+        this.sendRegistered(ws, tunnel, false);
+    }
+
+    /**
+     * Tells the client its tunnel is ready
+     * @param {WebSocket} ws - WebSocket connection
+     * @param {Object} tunnel - Registered or resumed tunnel
+     * @param {boolean} resumed - Whether an existing tunnel was resumed
+     */
+    sendRegistered(ws, tunnel, resumed) {
+        // Construct public URL
+        const publicUrl = tunnel.type === TUNNEL_TYPES.TCP
+            ? `tcp://${this.config.publicDomain}:${tunnel.publicPort}`
+            : this.buildPublicUrl(tunnel.subdomain);
+
+        // Send success response
+        this.send(ws, createTunnelRegisteredMessage({
+            tunnelId: tunnel.tunnelId,
+            publicUrl,
+            subdomain: tunnel.subdomain,
+            type: tunnel.type,
+            publicPort: tunnel.publicPort,
+            resumeToken: tunnel.resumeToken,
+            resumed,
+            domains: tunnel.domains,
+        }));
+
+        this.logger.info(`Tunnel ${resumed ? 'resumed' : 'registered'}: ${tunnel.subdomain || tunnel.type}`, {
+            tunnelId: tunnel.tunnelId,
+            publicUrl,
+        });
+    }
+
+    /**
+     * Checks that a client may claim each of the requested custom domains
+     * @param {string[]} domains - Requested hostnames
+     * @param {string|null} tokenId - ID of the client's auth token
+     * @returns {Object} Result with the normalized hostnames or error
+     */
+    authorizeDomains(domains, tokenId) {
+        if (!Array.isArray(domains)) {
+            return { success: false, error: 'Domains must be an array', code: ERROR_CODES.INVALID_REQUEST };
+        }
+
+        const authorized = [];
+        for (const domain of domains) {
+            const result = this.domainStore
+                ? this.domainStore.authorize(domain, tokenId)
+                : { success: false, error: 'Custom domains are not enabled on this gateway', code: ERROR_CODES.DOMAIN_NOT_ALLOWED };
+            if (!result.success) return result;
+            authorized.push(result.hostname);
+        }
+
+        return { success: true, domains: authorized };
+    }
+
+    /**
+     * Checks the client's auth token when the gateway requires one
+     * @param {string} authToken - Token sent with the registration
+     * @returns {Object} Result with the token record (null when auth is off) or error
+     */
+    authenticate(authToken) {
+        const required = this.config.authRequired || this.tokenStore.hasTokens();
+        if (!required) {
+            return { success: true, token: null };
+        }
+
+        return this.tokenStore.verify(authToken);
+    }
+
+    /**
+     * Combines the limit requested by the client with the gateway-wide limit
+     * @param {number} requested - Limit requested at registration (bytes)
+     * @returns {number} Effective limit in bytes (0 = unlimited)
+     */
+    resolveMaxBodySize(requested) {
+        const limits = [parseInt(requested, 10), this.config.maxBodySize].filter(n => n > 0);
+        return limits.length > 0 ? Math.min(...limits) : 0;
     }
 
     /**
@@ -182,6 +411,14 @@ class WebSocketHandler {
     handleTunnelClose(ws, payload) {
         const { tunnelId, reason } = payload;
 
+        // Tunnel IDs are public, so a connection may only close its own tunnels
+        const owned = this.tunnelManager.getTunnelsByWs(ws).some(tunnel => tunnel.tunnelId === tunnelId);
+        if (!owned) {
+            this.logger.warn(`Rejected close for a tunnel this connection doesn't own: ${tunnelId}`);
+            this.send(ws, createErrorMessage('Tunnel not found', ERROR_CODES.TUNNEL_NOT_FOUND));
+            return;
+        }
+
         this.tunnelManager.closeTunnel(tunnelId, reason || 'Client requested close');
 
         this.logger.info(`Tunnel closed by client: ${tunnelId}`, { reason });
@@ -193,38 +430,72 @@ class WebSocketHandler {
      * @param {Object} payload - Response payload
      */
     handleHttpResponse(ws, payload) {
+        this.dispatchToTunnel(ws, payload, (tunnel) => this.requestForwarder.handleResponse(tunnel, payload));
+    }
+
+    /**
+     * Handles HTTP error from client
+     * @param {WebSocket} ws - WebSocket connection
+     * @param {Object} payload - Error payload
+     */
+    handleHttpError(ws, payload) {
+        this.dispatchToTunnel(ws, payload, (tunnel) => this.requestForwarder.handleError(tunnel, payload));
+    }
+
+    /**
+     * Handles the client's answer to a replayed request
+     * @param {WebSocket} ws - WebSocket connection
+     * @param {Object} payload - Replay response payload
+     */
+    handleReplayResponse(ws, payload) {
+        const tunnel = this.tunnelManager.getTunnelsByWs(ws)
+            .find(t => this.replayService.hasReplay(t, payload.requestId));
+
+        if (!tunnel) {
+            this.logger.debug(`No tunnel found for replay: ${payload.requestId}`);
+            return;
+        }
+
+        this.replayService.handleResponse(tunnel, payload);
+    }
+
+    /**
+     * Finds the tunnel owning a pending request and hands the payload to it
+     * @param {WebSocket} ws - WebSocket connection
+     * @param {Object} payload - Message payload with a requestId
+     * @param {Function} handler - Called with (tunnel, payload)
+     */
+    dispatchToTunnel(ws, payload, handler) {
         // Find tunnel for this WebSocket
         const tunnels = this.tunnelManager.getTunnelsByWs(ws);
 
         for (const tunnel of tunnels) {
-            const pending = tunnel.getPendingRequest(payload.requestId);
-            if (pending) {
-                this.requestForwarder.handleResponse(tunnel, payload);
+            if (tunnel.getPendingRequest(payload.requestId)) {
+                handler(tunnel, payload);
                 return;
             }
         }
 
-        this.logger.warn(`No tunnel found for response: ${payload.requestId}`);
+        this.logger.debug(`No tunnel found for request: ${payload.requestId}`);
     }
 
     /**
-     * Handles HTTP error from client
+     * Finds the tunnel owning a virtual socket and hands the payload to it
      * @param {WebSocket} ws - WebSocket connection
-     * @param {Object} payload - Error payload
+     * @param {Object} payload - Message payload with a streamId
+     * @param {WebSocketProxy|TcpProxy} proxy - Service that owns the stream
+     * @param {Function} handler - Called with (tunnel, payload)
      */
-    handleHttpError(ws, payload) {
-        // Find tunnel for this WebSocket
+    dispatchToStream(ws, payload, proxy, handler) {
         const tunnels = this.tunnelManager.getTunnelsByWs(ws);
+        const tunnel = tunnels.find(t => proxy.hasStream(t, payload.streamId));
 
-        for (const tunnel of tunnels) {
-            const pending = tunnel.getPendingRequest(payload.requestId);
-            if (pending) {
-                this.requestForwarder.handleError(tunnel, payload);
-                return;
-            }
+        if (!tunnel) {
+            this.logger.debug(`No tunnel found for stream: ${payload.streamId}`);
+            return;
         }
 
-        this.logger.warn(`No tunnel found for error: ${payload.requestId}`);
+        handler(tunnel, payload);
     }
 
     /**
@@ -232,8 +503,8 @@ class WebSocketHandler {
      * @param {WebSocket} ws - WebSocket connection
      */
     handleDisconnect(ws) {
-        // Close all tunnels for this connection
-        this.tunnelManager.closeTunnelsForWs(ws, 'Client disconnected');
+        // Hold this connection's tunnels so the client can resume them
+        this.tunnelManager.suspendTunnelsForWs(ws, 'Client disconnected');
 
         // Clean up metadata
         this.clientMetadata.delete(ws);
@@ -3,15 +3,41 @@
  */
 
 const {
+    PROTOCOL_VERSION,
+    Capability,
     MessageType,
+    createHelloMessage,
+    createWelcomeMessage,
     createTunnelRegisterMessage,
     createTunnelRegisteredMessage,
     createHttpRequestMessage,
+    createHttpRequestChunkMessage,
+    createHttpRequestEndMessage,
     createHttpResponseMessage,
+    createHttpResponseStartMessage,
+    createHttpResponseChunkMessage,
+    createHttpResponseEndMessage,
+    createHttpResponsePauseMessage,
+    createHttpResponseResumeMessage,
     createHttpErrorMessage,
+    createHttpAbortMessage,
+    createWsOpenMessage,
+    createWsOpenedMessage,
+    createWsFrameMessage,
+    createWsCloseMessage,
+    createTcpOpenMessage,
+    createTcpDataMessage,
+    createTcpCloseMessage,
+    createReplayRequestMessage,
+    createReplayResponseMessage,
+    createInspectSubscribeMessage,
+    createInspectEventMessage,
     createPingMessage,
     createPongMessage,
     createErrorMessage,
+    toBodyBuffer,
+    encodeBinaryMessage,
+    decodeBinaryMessage,
     parseMessage,
     serializeMessage,
 } = require('../src/protocol');
@@ -29,6 +55,23 @@ describe('Protocol Messages', () => {
         });
     });
 
+    describe('handshake messages', () => {
+        it('should create a hello with the current protocol version', () => {
+            const msg = createHelloMessage({ capabilities: [Capability.STREAMING, Capability.BINARY] });
+
+            expect(msg.type).toBe(MessageType.HELLO);
+            expect(msg.payload.version).toBe(PROTOCOL_VERSION);
+            expect(msg.payload.capabilities).toEqual(['streaming', 'binary']);
+        });
+
+        it('should create a welcome with the agreed capabilities', () => {
+            const msg = createWelcomeMessage({ version: 1, capabilities: [Capability.STREAMING] });
+
+            expect(msg.type).toBe(MessageType.WELCOME);
+            expect(parseMessage(serializeMessage(msg)).payload.capabilities).toEqual(['streaming']);
+        });
+    });
+
     describe('createTunnelRegisterMessage', () => {
         it('should create valid register message', () => {
             const msg = createTunnelRegisterMessage({
@@ -41,8 +84,14 @@ describe('Protocol Messages', () => {
             expect(msg.payload.subdomain).toBe('test');
             expect(msg.payload.localPort).toBe(8080);
             expect(msg.payload.authToken).toBe('token123');
+            expect(msg.payload.tunnelType).toBe('http');
             expect(msg.payload.timestamp).toBeDefined();
         });
+
+        it('should carry the tunnel type', () => {
+            const msg = createTunnelRegisterMessage({ type: 'tcp', localPort: 5432 });
+            expect(msg.payload.tunnelType).toBe('tcp');
+        });
     });
 
     describe('createHttpRequestMessage', () => {
@@ -60,6 +109,212 @@ describe('Protocol Messages', () => {
             expect(msg.payload.requestId).toBe('req123');
             expect(msg.payload.method).toBe('POST');
             expect(msg.payload.path).toBe('/api/test');
+            expect(msg.payload.streamed).toBe(false);
+        });
+
+        it('should mark streamed request bodies', () => {
+            const msg = createHttpRequestMessage({
+                requestId: 'req123',
+                method: 'PUT',
+                path: '/upload',
+                headers: {},
+                streamed: true,
+            });
+
+            expect(msg.payload.streamed).toBe(true);
+            expect(msg.payload.body).toBeNull();
+        });
+    });
+
+    describe('streamed request messages', () => {
+        it('should create request chunk and end messages', () => {
+            const chunk = createHttpRequestChunkMessage({ requestId: 'req123', data: Buffer.from('part') });
+            expect(chunk.type).toBe(MessageType.HTTP_REQUEST_CHUNK);
+            expect(toBodyBuffer(chunk.payload.data).toString()).toBe('part');
+
+            const end = createHttpRequestEndMessage({ requestId: 'req123' });
+            expect(end.type).toBe(MessageType.HTTP_REQUEST_END);
+            expect(end.payload.requestId).toBe('req123');
+        });
+    });
+
+    describe('streamed response messages', () => {
+        it('should create response start message', () => {
+            const msg = createHttpResponseStartMessage({
+                requestId: 'req123',
+                statusCode: 200,
+                headers: { 'content-type': 'text/plain' },
+            });
+
+            expect(msg.type).toBe(MessageType.HTTP_RESPONSE_START);
+            expect(msg.payload.statusCode).toBe(200);
+            expect(msg.payload.headers['content-type']).toBe('text/plain');
+        });
+
+        it('should base64 encode buffer chunks in JSON', () => {
+            const msg = createHttpResponseChunkMessage({
+                requestId: 'req123',
+                data: Buffer.from('hello'),
+            });
+
+            expect(msg.type).toBe(MessageType.HTTP_RESPONSE_CHUNK);
+            expect(JSON.parse(serializeMessage(msg)).payload.data).toBe(Buffer.from('hello').toString('base64'));
+        });
+
+        it('should create response end and abort messages', () => {
+            expect(createHttpResponseEndMessage({ requestId: 'req123' }).type)
+                .toBe(MessageType.HTTP_RESPONSE_END);
+
+            const abort = createHttpAbortMessage({ requestId: 'req123', reason: 'gone' });
+            expect(abort.type).toBe(MessageType.HTTP_ABORT);
+            expect(abort.payload.reason).toBe('gone');
+        });
+
+        it('should create response pause and resume messages', () => {
+            const pause = createHttpResponsePauseMessage({ requestId: 'req123' });
+            expect(pause).toEqual({ type: MessageType.HTTP_RESPONSE_PAUSE, payload: { requestId: 'req123' } });
+
+            const resume = parseMessage(serializeMessage(createHttpResponseResumeMessage({ requestId: 'req123' })));
+            expect(resume).toMatchObject({ type: MessageType.HTTP_RESPONSE_RESUME, payload: { requestId: 'req123' } });
+        });
+
+        it('should round-trip through parseMessage', () => {
+            const msg = createHttpResponseEndMessage({ requestId: 'req123' });
+            expect(parseMessage(serializeMessage(msg)).payload.requestId).toBe('req123');
+        });
+    });
+
+    describe('WebSocket passthrough messages', () => {
+        it('should create open and opened messages', () => {
+            const open = createWsOpenMessage({
+                streamId: 'stream1',
+                path: '/socket?x=1',
+                headers: { 'sec-websocket-protocol': 'chat' },
+            });
+            expect(open.type).toBe(MessageType.WS_OPEN);
+            expect(open.payload.path).toBe('/socket?x=1');
+
+            const opened = createWsOpenedMessage({ streamId: 'stream1' });
+            expect(opened.type).toBe(MessageType.WS_OPENED);
+            expect(opened.payload.protocol).toBeNull();
+        });
+
+        it('should encode binary frames', () => {
+            const frame = createWsFrameMessage({ streamId: 'stream1', data: Buffer.from([1, 2, 3]), binary: true });
+            expect(frame.type).toBe(MessageType.WS_FRAME);
+            expect([...toBodyBuffer(frame.payload.data)]).toEqual([1, 2, 3]);
+            expect(frame.payload.binary).toBe(true);
+        });
+
+        it('should create close messages', () => {
+            const close = createWsCloseMessage({ streamId: 'stream1', code: 4001, reason: 'bye' });
+            expect(close.type).toBe(MessageType.WS_CLOSE);
+            expect(close.payload.code).toBe(4001);
+            expect(close.payload.reason).toBe('bye');
+        });
+    });
+
+    describe('TCP stream messages', () => {
+        it('should create open, data and close messages', () => {
+            const open = createTcpOpenMessage({ streamId: 's1', tunnelId: 't1', remoteAddress: '10.0.0.1' });
+            expect(open.type).toBe(MessageType.TCP_OPEN);
+            expect(open.payload.remoteAddress).toBe('10.0.0.1');
+
+            const data = createTcpDataMessage({ streamId: 's1', data: Buffer.from('PING\r\n') });
+            expect(data.type).toBe(MessageType.TCP_DATA);
+            expect(toBodyBuffer(data.payload.data).toString()).toBe('PING\r\n');
+
+            const close = createTcpCloseMessage({ streamId: 's1', error: 'ECONNREFUSED' });
+            expect(close.type).toBe(MessageType.TCP_CLOSE);
+            expect(close.payload.error).toBe('ECONNREFUSED');
+        });
+    });
+
+    describe('replay messages', () => {
+        it('should round-trip replay requests and responses in both encodings', () => {
+            const request = createReplayRequestMessage({
+                requestId: 'r2',
+                method: 'POST',
+                path: '/webhook?retry=1',
+                headers: { 'content-type': 'application/json' },
+                body: Buffer.from('{"ok":true}'),
+            });
+            const response = createReplayResponseMessage({ requestId: 'r2', statusCode: 200, headers: {}, body: Buffer.from('done') });
+
+            for (const binary of [false, true]) {
+                const parsedRequest = parseMessage(serializeMessage(request, { binary }));
+                expect(parsedRequest.type).toBe(MessageType.REPLAY_REQUEST);
+                expect(parsedRequest.payload.path).toBe('/webhook?retry=1');
+                expect(toBodyBuffer(parsedRequest.payload.body).toString()).toBe('{"ok":true}');
+
+                const parsedResponse = parseMessage(serializeMessage(response, { binary }));
+                expect(parsedResponse.payload.statusCode).toBe(200);
+                expect(toBodyBuffer(parsedResponse.payload.body).toString()).toBe('done');
+            }
+        });
+    });
+
+    describe('inspector messages', () => {
+        it('should carry subscription filters and traffic events as JSON', () => {
+            const subscribe = parseMessage(serializeMessage(createInspectSubscribeMessage({ tunnelId: 'T1', method: 'POST' })));
+            expect(subscribe.type).toBe(MessageType.INSPECT_SUBSCRIBE);
+            expect(subscribe.payload.filters).toEqual({ tunnelId: 'T1', method: 'POST' });
+
+            const event = createInspectEventMessage(MessageType.INSPECT_RESPONSE, { requestId: 'r1', response: { statusCode: 200 } });
+            expect(parseMessage(serializeMessage(event, { binary: true }))).toEqual(event);
+        });
+    });
+
+    describe('binary wire format', () => {
+        it('should round-trip a request with raw body bytes', () => {
+            const body = Buffer.from([0, 255, 10, 13]);
+            const msg = createHttpRequestMessage({
+                requestId: 'req123',
+                method: 'POST',
+                path: '/upload',
+                headers: { 'content-type': 'application/octet-stream' },
+                body,
+            });
+
+            const frame = encodeBinaryMessage(msg);
+            const decoded = decodeBinaryMessage(frame);
+
+            expect(decoded.type).toBe(MessageType.HTTP_REQUEST);
+            expect(decoded.payload.requestId).toBe('req123');
+            expect(decoded.payload.method).toBe('POST');
+            expect(decoded.payload.body.equals(body)).toBe(true);
+        });
+
+        it('should carry the stream id for stream messages', () => {
+            const msg = createWsFrameMessage({ streamId: 'stream1', data: Buffer.from('hi'), binary: false });
+            const parsed = parseMessage(serializeMessage(msg, { binary: true }));
+
+            expect(parsed.type).toBe(MessageType.WS_FRAME);
+            expect(parsed.payload.streamId).toBe('stream1');
+            expect(parsed.payload.binary).toBe(false);
+            expect(parsed.payload.data.toString()).toBe('hi');
+        });
+
+        it('should be smaller than the JSON encoding', () => {
+            const msg = createTcpDataMessage({ streamId: 's1', data: Buffer.alloc(3000, 7) });
+            expect(serializeMessage(msg, { binary: true }).length)
+                .toBeLessThan(serializeMessage(msg).length);
+        });
+
+        it('should keep JSON for control messages', () => {
+            const msg = createHttpResponseEndMessage({ requestId: 'req123' });
+            expect(typeof serializeMessage(msg, { binary: true })).toBe('string');
+        });
+
+        it('should reject malformed frames', () => {
+            const frame = encodeBinaryMessage(createHttpRequestChunkMessage({ requestId: 'r1', data: Buffer.from('x') }));
+            expect(decodeBinaryMessage(frame.subarray(0, 6))).toBeNull();
+            expect(decodeBinaryMessage(Buffer.from([0xdb, 99, 0, 0, 0, 0, 0, 0]))).toBeNull();
+        });
+
+        it('should decode base64 bodies from JSON messages', () => {
+            expect(toBodyBuffer(Buffer.from('abc').toString('base64')).toString()).toBe('abc');
+            expect(toBodyBuffer(null).length).toBe(0);
         });
     });
 
@@ -8,6 +8,11 @@ const {
     generateTunnelId,
     isValidSubdomain,
     formatBytes,
+    parseBytes,
+    parseBasicAuth,
+    safeEqual,
+    parseCidr,
+    normalizeHostname,
     formatDuration,
     safeJsonParse,
     truncate,
@@ -55,6 +60,83 @@ describe('Utility Functions', () => {
         });
     });
 
+    describe('parseBytes', () => {
+        it('should parse sizes with units', () => {
+            expect(parseBytes('512')).toBe(512);
+            expect(parseBytes('10kb')).toBe(10240);
+            expect(parseBytes('50MB')).toBe(50 * 1024 * 1024);
+            expect(parseBytes('1.5gb')).toBe(1.5 * 1024 ** 3);
+            expect(parseBytes(2048)).toBe(2048);
+        });
+
+        it('should return null for invalid sizes', () => {
+            expect(parseBytes('lots')).toBeNull();
+            expect(parseBytes('')).toBeNull();
+            expect(parseBytes(undefined)).toBeNull();
+            expect(parseBytes(-1)).toBeNull();
+        });
+    });
+
+    describe('parseBasicAuth', () => {
+        it('should split credentials on the first colon', () => {
+            expect(parseBasicAuth('demo:secret')).toEqual({ username: 'demo', password: 'secret' });
+            expect(parseBasicAuth('demo:a:b')).toEqual({ username: 'demo', password: 'a:b' });
+            expect(parseBasicAuth({ username: 'demo', password: 'secret' })).toEqual({ username: 'demo', password: 'secret' });
+        });
+
+        it('should return null for incomplete credentials', () => {
+            expect(parseBasicAuth('demo')).toBeNull();
+            expect(parseBasicAuth(':secret')).toBeNull();
+            expect(parseBasicAuth('demo:')).toBeNull();
+            expect(parseBasicAuth(undefined)).toBeNull();
+        });
+    });
+
+    describe('safeEqual', () => {
+        it('should compare values of any length', () => {
+            expect(safeEqual('secret', 'secret')).toBe(true);
+            expect(safeEqual('secret', 'secret2')).toBe(false);
+            expect(safeEqual('', 'x')).toBe(false);
+        });
+    });
+
+    describe('normalizeHostname', () => {
+        it('should lowercase and drop the port and trailing dot', () => {
+            expect(normalizeHostname('API.Customer-Demo.test:3000')).toBe('api.customer-demo.test');
+            expect(normalizeHostname('example.com.')).toBe('example.com');
+        });
+
+        it('should return null for anything but a DNS name', () => {
+            expect(normalizeHostname('localhost')).toBeNull();
+            expect(normalizeHostname('192.0.2.1')).toBeNull();
+            expect(normalizeHostname('[::1]:3000')).toBeNull();
+            expect(normalizeHostname('-bad.example.com')).toBeNull();
+            expect(normalizeHostname('a..example.com')).toBeNull();
+            expect(normalizeHostname('*.example.com')).toBeNull();
+            expect(normalizeHostname(undefined)).toBeNull();
+        });
+    });
+
+    describe('parseCidr', () => {
+        it('should parse IPv4 and IPv6 ranges', () => {
+            expect(parseCidr('192.0.2.0/24')).toEqual({ address: '192.0.2.0', prefix: 24, family: 'ipv4', cidr: '192.0.2.0/24' });
+            expect(parseCidr('2001:db8::/32')).toMatchObject({ prefix: 32, family: 'ipv6' });
+        });
+
+        it('should treat a bare address as a single host', () => {
+            expect(parseCidr('203.0.113.7').cidr).toBe('203.0.113.7/32');
+            expect(parseCidr('::1').cidr).toBe('::1/128');
+        });
+
+        it('should return null for invalid ranges', () => {
+            expect(parseCidr('10.0.0.0/33')).toBeNull();
+            expect(parseCidr('10.0.0.0/')).toBeNull();
+            expect(parseCidr('example.com/24')).toBeNull();
+            expect(parseCidr('10.0.0.0/8/1')).toBeNull();
+            expect(parseCidr(undefined)).toBeNull();
+        });
+    });
+
     describe('formatDuration', () => {
         it('should format durations correctly', () => {
             expect(formatDuration(500)).toBe('500ms');
@@ -8,6 +8,16 @@
 const DEFAULT_GATEWAY_PORT = 3000;
 const DEFAULT_GATEWAY_WS_PORT = 3001;
 const DEFAULT_DASHBOARD_PORT = 3002;
+const DEFAULT_INSPECTOR_PORT = 4040;
+
+// Public ports handed out to TCP tunnels (inclusive)
+const DEFAULT_TCP_PORT_RANGE = { start: 40000, end: 40099 };
+
+// Tunnel types
+const TUNNEL_TYPES = {
+    HTTP: 'http',
+    TCP: 'tcp',
+};
 
 // Tunnel configuration
 const TUNNEL_CONFIG = {
@@ -25,9 +35,26 @@ const TUNNEL_CONFIG = {
     // Heartbeat interval (ms)
     HEARTBEAT_INTERVAL: 30000,
 
+    // How long a disconnected tunnel keeps its subdomain for the client to resume it (ms)
+    RECONNECT_GRACE_PERIOD: 60000,
+
+    // Public requests held per tunnel while its client reconnects, and how long each may wait (ms)
+    MAX_QUEUED_REQUESTS: 100,
+    QUEUED_REQUEST_TIMEOUT: 30000,
+
+    // Retry-After (seconds) sent when a request can't be queued
+    QUEUE_RETRY_AFTER: 5,
+
+    // Client reconnect backoff (ms)
+    RECONNECT_BASE_DELAY: 1000,
+    RECONNECT_MAX_DELAY: 30000,
+
     // Max request body size (bytes)
     MAX_BODY_SIZE: 10 * 1024 * 1024, // 10MB
 
+    // Max body bytes captured by the inspector per request/response
+    MAX_INSPECT_BODY_SIZE: 1024 * 1024, // 1MB
+
     // Traffic history retention (minutes)
     TRAFFIC_HISTORY_MINUTES: 60,
 
@@ -56,23 +83,33 @@ const ERROR_CODES = {
     CONNECTION_FAILED: 'CONNECTION_FAILED',
     CONNECTION_CLOSED: 'CONNECTION_CLOSED',
     CONNECTION_TIMEOUT: 'CONNECTION_TIMEOUT',
+    INCOMPATIBLE_PROTOCOL: 'INCOMPATIBLE_PROTOCOL',
 
     // Tunnel errors
     TUNNEL_NOT_FOUND: 'TUNNEL_NOT_FOUND',
+    TUNNEL_UNAVAILABLE: 'TUNNEL_UNAVAILABLE',
     TUNNEL_LIMIT_EXCEEDED: 'TUNNEL_LIMIT_EXCEEDED',
     SUBDOMAIN_TAKEN: 'SUBDOMAIN_TAKEN',
     INVALID_SUBDOMAIN: 'INVALID_SUBDOMAIN',
+    INVALID_TUNNEL_TYPE: 'INVALID_TUNNEL_TYPE',
+    NO_PORTS_AVAILABLE: 'NO_PORTS_AVAILABLE',
+    INVALID_RESUME_TOKEN: 'INVALID_RESUME_TOKEN',
+    INVALID_DOMAIN: 'INVALID_DOMAIN',
+    DOMAIN_TAKEN: 'DOMAIN_TAKEN',
+    DOMAIN_NOT_ALLOWED: 'DOMAIN_NOT_ALLOWED',
 
     // Request errors
     REQUEST_TIMEOUT: 'REQUEST_TIMEOUT',
     REQUEST_FAILED: 'REQUEST_FAILED',
     INVALID_REQUEST: 'INVALID_REQUEST',
     BODY_TOO_LARGE: 'BODY_TOO_LARGE',
+    REPLAY_NOT_SUPPORTED: 'REPLAY_NOT_SUPPORTED',
 
     // Auth errors
     UNAUTHORIZED: 'UNAUTHORIZED',
     INVALID_TOKEN: 'INVALID_TOKEN',
     TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    IP_BLOCKED: 'IP_BLOCKED',
 
     // Rate limiting
     RATE_LIMITED: 'RATE_LIMITED',
@@ -103,6 +140,9 @@ module.exports = {
     DEFAULT_GATEWAY_PORT,
     DEFAULT_GATEWAY_WS_PORT,
     DEFAULT_DASHBOARD_PORT,
+    DEFAULT_INSPECTOR_PORT,
+    DEFAULT_TCP_PORT_RANGE,
+    TUNNEL_TYPES,
     TUNNEL_CONFIG,
     HTTP_STATUS,
     ERROR_CODES,
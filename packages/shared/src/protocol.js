@@ -3,10 +3,40 @@
  * 
  * Defines the message types and formats used for tunnel communication
  * between the gateway server and CLI clients.
+ *
+ * A connection starts with a hello/welcome handshake in which the client
+ * states its protocol version and capabilities and the gateway answers
+ * with the set both sides will use. Clients that skip the handshake are
+ * treated as legacy clients with no optional capabilities.
+ *
+ * Message bodies (request/response bodies, chunks, WebSocket frames and
+ * TCP data) may be Buffers or base64 strings. In the JSON wire format they
+ * are sent base64-encoded; once the binary capability is agreed,
+ * body-carrying messages travel as binary WebSocket frames with raw body
+ * bytes (see encodeBinaryMessage).
  */
 
+// Protocol version spoken by this package, bumped on incompatible changes
+const PROTOCOL_VERSION = 1;
+
+// Oldest protocol version still accepted from the other side
+const MIN_PROTOCOL_VERSION = 1;
+
+// Optional features negotiated in the hello/welcome handshake
+const Capability = {
+    STREAMING: 'streaming', // request/response bodies as chunk messages
+    BINARY: 'binary', // binary wire format for body-carrying messages
+    WEBSOCKET: 'websocket', // WebSocket upgrade passthrough
+    TCP: 'tcp', // raw TCP tunnels
+    REPLAY: 'replay', // replaying captured requests against the local server
+};
+
 // Message Types - enumeration of all protocol message types
 const MessageType = {
+    // Handshake (sent before tunnel:register)
+    HELLO: 'hello',
+    WELCOME: 'welcome',
+
     // Connection lifecycle
     TUNNEL_REGISTER: 'tunnel:register',
     TUNNEL_REGISTERED: 'tunnel:registered',
@@ -15,8 +45,31 @@ const MessageType = {
 
     // Request/Response forwarding
     HTTP_REQUEST: 'http:request',
+    HTTP_REQUEST_CHUNK: 'http:request:chunk',
+    HTTP_REQUEST_END: 'http:request:end',
     HTTP_RESPONSE: 'http:response',
     HTTP_ERROR: 'http:error',
+    HTTP_ABORT: 'http:abort',
+
+    // Streamed responses (start -> chunk* -> end)
+    HTTP_RESPONSE_START: 'http:response:start',
+    HTTP_RESPONSE_CHUNK: 'http:response:chunk',
+    HTTP_RESPONSE_END: 'http:response:end',
+
+    // Flow control for streamed responses (gateway -> client)
+    HTTP_RESPONSE_PAUSE: 'http:response:pause',
+    HTTP_RESPONSE_RESUME: 'http:response:resume',
+
+    // WebSocket passthrough (virtual sockets keyed by streamId)
+    WS_OPEN: 'ws:open',
+    WS_OPENED: 'ws:opened',
+    WS_FRAME: 'ws:frame',
+    WS_CLOSE: 'ws:close',
+
+    // Raw TCP streams (virtual connections keyed by streamId)
+    TCP_OPEN: 'tcp:open',
+    TCP_DATA: 'tcp:data',
+    TCP_CLOSE: 'tcp:close',
 
     // Heartbeat/keepalive
     PING: 'ping',
@@ -26,6 +79,9 @@ const MessageType = {
     ERROR: 'error',
 
     // Inspection events (for dashboard)
+    INSPECT_SUBSCRIBE: 'inspect:subscribe',
+    INSPECT_SUBSCRIBED: 'inspect:subscribed',
+    INSPECT_UNSUBSCRIBE: 'inspect:unsubscribe',
     INSPECT_REQUEST: 'inspect:request',
     INSPECT_RESPONSE: 'inspect:response',
 
@@ -34,21 +90,94 @@ const MessageType = {
     REPLAY_RESPONSE: 'replay:response',
 };
 
+// First byte of every binary frame; JSON text frames always start with '{'
+const BINARY_MAGIC = 0xdb;
+
+// Binary frame flags
+const BINARY_FLAG_HAS_BODY = 0x01;
+const BINARY_FLAG_STREAM_ID = 0x02;
+
+// Message types that travel as binary frames, with their type code and body field
+const BINARY_MESSAGE_TYPES = {
+    [MessageType.HTTP_REQUEST]: { code: 1, bodyField: 'body' },
+    [MessageType.HTTP_REQUEST_CHUNK]: { code: 2, bodyField: 'data' },
+    [MessageType.HTTP_RESPONSE]: { code: 3, bodyField: 'body' },
+    [MessageType.HTTP_RESPONSE_CHUNK]: { code: 4, bodyField: 'data' },
+    [MessageType.WS_FRAME]: { code: 5, bodyField: 'data' },
+    [MessageType.TCP_DATA]: { code: 6, bodyField: 'data' },
+    [MessageType.REPLAY_REQUEST]: { code: 7, bodyField: 'body' },
+    [MessageType.REPLAY_RESPONSE]: { code: 8, bodyField: 'body' },
+};
+
+const BINARY_TYPES_BY_CODE = Object.fromEntries(
+    Object.entries(BINARY_MESSAGE_TYPES).map(([type, { code, bodyField }]) => [code, { type, bodyField }])
+);
+
+/**
+ * Creates a hello message, the first message a client sends
+ * @param {Object} options - Hello options
+ * @param {number} options.version - Protocol version spoken by the client
+ * @param {string[]} options.capabilities - Capabilities the client supports
+ * @param {Object} options.client - Client name and version (informational)
+ * @returns {Object} Protocol message
+ */
+function createHelloMessage({ version = PROTOCOL_VERSION, capabilities = [], client = null }) {
+    return {
+        type: MessageType.HELLO,
+        payload: {
+            version,
+            capabilities,
+            client,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a welcome message, the gateway's answer to hello
+ * @param {Object} options - Welcome options
+ * @param {number} options.version - Protocol version both sides will speak
+ * @param {string[]} options.capabilities - Capabilities enabled for this connection
+ * @returns {Object} Protocol message
+ */
+function createWelcomeMessage({ version, capabilities }) {
+    return {
+        type: MessageType.WELCOME,
+        payload: {
+            version,
+            capabilities,
+            timestamp: Date.now(),
+        },
+    };
+}
+
 /**
  * Creates a tunnel registration message
  * @param {Object} options - Registration options
+ * @param {string} options.type - Tunnel type, 'http' or 'tcp' (default: 'http')
  * @param {string} options.subdomain - Requested subdomain (optional)
  * @param {number} options.localPort - Local port being tunneled
  * @param {string} options.authToken - Authentication token (optional)
+ * @param {number} options.maxBodySize - Request body limit in bytes (optional)
+ * @param {string} options.resumeToken - Token of a disconnected tunnel to resume (optional)
+ * @param {Object} options.basicAuth - { username, password } public visitors must send (optional)
+ * @param {Object} options.ipRules - { allow, deny } CIDR lists for public visitors (optional)
+ * @param {string[]} options.domains - Custom hostnames to route to the tunnel (optional)
  * @returns {Object} Protocol message
  */
-function createTunnelRegisterMessage({ subdomain, localPort, authToken }) {
+function createTunnelRegisterMessage({ type = 'http', subdomain, localPort, authToken, maxBodySize, resumeToken, basicAuth, ipRules, domains }) {
     return {
         type: MessageType.TUNNEL_REGISTER,
         payload: {
+            tunnelType: type,
             subdomain,
             localPort,
             authToken,
+            maxBodySize,
+            resumeToken,
+            basicAuth,
+            ipRules,
+            domains,
             timestamp: Date.now(),
         },
     };
@@ -60,15 +189,25 @@ function createTunnelRegisterMessage({ subdomain, localPort, authToken }) {
  * @param {string} options.tunnelId - Assigned tunnel ID
  * @param {string} options.publicUrl - Public URL for the tunnel
  * @param {string} options.subdomain - Assigned subdomain
+ * @param {string} options.type - Tunnel type
+ * @param {number} options.publicPort - Assigned public port (TCP tunnels)
+ * @param {string} options.resumeToken - Token for resuming the tunnel after a disconnect
+ * @param {boolean} options.resumed - Whether an existing tunnel was resumed
+ * @param {string[]} options.domains - Custom hostnames routed to the tunnel
  * @returns {Object} Protocol message
  */
-function createTunnelRegisteredMessage({ tunnelId, publicUrl, subdomain }) {
+function createTunnelRegisteredMessage({ tunnelId, publicUrl, subdomain, type = 'http', publicPort = null, resumeToken = null, resumed = false, domains = [] }) {
     return {
         type: MessageType.TUNNEL_REGISTERED,
         payload: {
             tunnelId,
             publicUrl,
             subdomain,
+            tunnelType: type,
+            publicPort,
+            resumeToken,
+            resumed,
+            domains,
             timestamp: Date.now(),
         },
     };
@@ -83,9 +222,10 @@ function createTunnelRegisteredMessage({ tunnelId, publicUrl, subdomain }) {
  * @param {Object} options.headers - Request headers
  * @param {string|Buffer} options.body - Request body
  * @param {string} options.query - Query string
+ * @param {boolean} options.streamed - Body follows as request chunk messages
  * @returns {Object} Protocol message
  */
-function createHttpRequestMessage({ requestId, method, path, headers, body, query }) {
+function createHttpRequestMessage({ requestId, method, path, headers, body, query, streamed = false }) {
     return {
         type: MessageType.HTTP_REQUEST,
         payload: {
@@ -93,8 +233,42 @@ function createHttpRequestMessage({ requestId, method, path, headers, body, quer
             method,
             path,
             headers,
-            body: body ? (Buffer.isBuffer(body) ? body.toString('base64') : body) : null,
+            body: body || null,
             query,
+            streamed,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a body chunk message for a streamed HTTP request
+ * @param {Object} options - Chunk details
+ * @param {string} options.requestId - Request ID
+ * @param {string|Buffer} options.data - Chunk data
+ * @returns {Object} Protocol message
+ */
+function createHttpRequestChunkMessage({ requestId, data }) {
+    return {
+        type: MessageType.HTTP_REQUEST_CHUNK,
+        payload: {
+            requestId,
+            data,
+        },
+    };
+}
+
+/**
+ * Creates the final message of a streamed HTTP request body
+ * @param {Object} options - End details
+ * @param {string} options.requestId - Request ID
+ * @returns {Object} Protocol message
+ */
+function createHttpRequestEndMessage({ requestId }) {
+    return {
+        type: MessageType.HTTP_REQUEST_END,
+        payload: {
+            requestId,
             timestamp: Date.now(),
         },
     };
@@ -116,12 +290,96 @@ function createHttpResponseMessage({ requestId, statusCode, headers, body }) {
             requestId,
             statusCode,
             headers,
-            body: body ? (Buffer.isBuffer(body) ? body.toString('base64') : body) : null,
+            body: body || null,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates the first message of a streamed HTTP response
+ * @param {Object} options - Response head
+ * @param {string} options.requestId - Original request ID
+ * @param {number} options.statusCode - HTTP status code
+ * @param {Object} options.headers - Response headers
+ * @returns {Object} Protocol message
+ */
+function createHttpResponseStartMessage({ requestId, statusCode, headers }) {
+    return {
+        type: MessageType.HTTP_RESPONSE_START,
+        payload: {
+            requestId,
+            statusCode,
+            headers,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a body chunk message for a streamed HTTP response
+ * @param {Object} options - Chunk details
+ * @param {string} options.requestId - Original request ID
+ * @param {string|Buffer} options.data - Chunk data
+ * @returns {Object} Protocol message
+ */
+function createHttpResponseChunkMessage({ requestId, data }) {
+    return {
+        type: MessageType.HTTP_RESPONSE_CHUNK,
+        payload: {
+            requestId,
+            data,
+        },
+    };
+}
+
+/**
+ * Creates the final message of a streamed HTTP response
+ * @param {Object} options - End details
+ * @param {string} options.requestId - Original request ID
+ * @returns {Object} Protocol message
+ */
+function createHttpResponseEndMessage({ requestId }) {
+    return {
+        type: MessageType.HTTP_RESPONSE_END,
+        payload: {
+            requestId,
             timestamp: Date.now(),
         },
     };
 }
 
+/**
+ * Asks the client to stop sending chunks of a streamed response,
+ * because the public caller is reading them slower than they arrive
+ * @param {Object} options - Pause details
+ * @param {string} options.requestId - Original request ID
+ * @returns {Object} Protocol message
+ */
+function createHttpResponsePauseMessage({ requestId }) {
+    return {
+        type: MessageType.HTTP_RESPONSE_PAUSE,
+        payload: {
+            requestId,
+        },
+    };
+}
+
+/**
+ * Lets the client send chunks of a paused streamed response again
+ * @param {Object} options - Resume details
+ * @param {string} options.requestId - Original request ID
+ * @returns {Object} Protocol message
+ */
+function createHttpResponseResumeMessage({ requestId }) {
+    return {
+        type: MessageType.HTTP_RESPONSE_RESUME,
+        payload: {
+            requestId,
+        },
+    };
+}
+
 /**
  * Creates an HTTP error message
  * @param {Object} options - Error details
@@ -142,6 +400,248 @@ function createHttpErrorMessage({ requestId, error, code }) {
     };
 }
 
+/**
+ * Creates a message telling the client to stop processing a request
+ * @param {Object} options - Abort details
+ * @param {string} options.requestId - Request ID to abort
+ * @param {string} options.reason - Reason for aborting
+ * @returns {Object} Protocol message
+ */
+function createHttpAbortMessage({ requestId, reason }) {
+    return {
+        type: MessageType.HTTP_ABORT,
+        payload: {
+            requestId,
+            reason,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a message asking the client to open a WebSocket to the local server
+ * @param {Object} options - Upgrade details
+ * @param {string} options.streamId - Virtual socket ID
+ * @param {string} options.path - Request path including query string
+ * @param {Object} options.headers - Upgrade request headers
+ * @returns {Object} Protocol message
+ */
+function createWsOpenMessage({ streamId, path, headers }) {
+    return {
+        type: MessageType.WS_OPEN,
+        payload: {
+            streamId,
+            path,
+            headers,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a message confirming the local WebSocket is open
+ * @param {Object} options - Open details
+ * @param {string} options.streamId - Virtual socket ID
+ * @param {string} options.protocol - Subprotocol selected by the local server
+ * @returns {Object} Protocol message
+ */
+function createWsOpenedMessage({ streamId, protocol }) {
+    return {
+        type: MessageType.WS_OPENED,
+        payload: {
+            streamId,
+            protocol: protocol || null,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a WebSocket frame relay message
+ * @param {Object} options - Frame details
+ * @param {string} options.streamId - Virtual socket ID
+ * @param {string|Buffer} options.data - Frame data
+ * @param {boolean} options.binary - Whether the frame is binary
+ * @returns {Object} Protocol message
+ */
+function createWsFrameMessage({ streamId, data, binary = false }) {
+    return {
+        type: MessageType.WS_FRAME,
+        payload: {
+            streamId,
+            data,
+            binary,
+        },
+    };
+}
+
+/**
+ * Creates a message closing a virtual WebSocket
+ * @param {Object} options - Close details
+ * @param {string} options.streamId - Virtual socket ID
+ * @param {number} options.code - WebSocket close code
+ * @param {string} options.reason - Close reason
+ * @param {string} options.error - Error message if the socket failed (optional)
+ * @param {number} options.statusCode - HTTP status if the local server refused the upgrade (optional)
+ * @returns {Object} Protocol message
+ */
+function createWsCloseMessage({ streamId, code, reason, error, statusCode }) {
+    return {
+        type: MessageType.WS_CLOSE,
+        payload: {
+            streamId,
+            code,
+            reason,
+            error,
+            statusCode,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a message announcing a new public TCP connection
+ * @param {Object} options - Connection details
+ * @param {string} options.streamId - Virtual connection ID
+ * @param {string} options.tunnelId - Tunnel the connection arrived on
+ * @param {string} options.remoteAddress - Address of the public peer
+ * @returns {Object} Protocol message
+ */
+function createTcpOpenMessage({ streamId, tunnelId, remoteAddress }) {
+    return {
+        type: MessageType.TCP_OPEN,
+        payload: {
+            streamId,
+            tunnelId,
+            remoteAddress,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a TCP data relay message
+ * @param {Object} options - Data details
+ * @param {string} options.streamId - Virtual connection ID
+ * @param {string|Buffer} options.data - Bytes read from the socket
+ * @returns {Object} Protocol message
+ */
+function createTcpDataMessage({ streamId, data }) {
+    return {
+        type: MessageType.TCP_DATA,
+        payload: {
+            streamId,
+            data,
+        },
+    };
+}
+
+/**
+ * Creates a message closing a virtual TCP connection
+ * @param {Object} options - Close details
+ * @param {string} options.streamId - Virtual connection ID
+ * @param {string} options.error - Error message if the socket failed (optional)
+ * @returns {Object} Protocol message
+ */
+function createTcpCloseMessage({ streamId, error }) {
+    return {
+        type: MessageType.TCP_CLOSE,
+        payload: {
+            streamId,
+            error,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates a message asking the client to replay a captured request locally
+ * @param {Object} options - Replay request
+ * @param {string} options.requestId - ID of the new traffic entry for the replay
+ * @param {string} options.method - HTTP method
+ * @param {string} options.path - Request path with query string
+ * @param {Object} options.headers - Request headers
+ * @param {Buffer|string} options.body - Request body (Buffer or base64)
+ * @returns {Object} Protocol message
+ */
+function createReplayRequestMessage({ requestId, method, path, headers, body }) {
+    return {
+        type: MessageType.REPLAY_REQUEST,
+        payload: {
+            requestId,
+            method,
+            path,
+            headers,
+            body: body || null,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates the client's answer to a replay request, with the full local response
+ * @param {Object} options - Replay response
+ * @param {string} options.requestId - Replay request ID
+ * @param {number} options.statusCode - HTTP status code
+ * @param {Object} options.headers - Response headers
+ * @param {Buffer|string} options.body - Response body (Buffer or base64)
+ * @param {string} options.error - Error message if the local request failed (optional)
+ * @returns {Object} Protocol message
+ */
+function createReplayResponseMessage({ requestId, statusCode, headers, body, error }) {
+    return {
+        type: MessageType.REPLAY_RESPONSE,
+        payload: {
+            requestId,
+            statusCode,
+            headers,
+            body: body || null,
+            error,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates an inspector subscription; filters replace any earlier subscription
+ * @param {Object} filters - Traffic filters (tunnelId, subdomain, method, statusCode, path), empty for all traffic
+ * @returns {Object} Protocol message
+ */
+function createInspectSubscribeMessage(filters = {}) {
+    return {
+        type: MessageType.INSPECT_SUBSCRIBE,
+        payload: { filters },
+    };
+}
+
+/**
+ * Confirms an inspector subscription
+ * @param {Object} filters - Filters now in effect
+ * @returns {Object} Protocol message
+ */
+function createInspectSubscribedMessage(filters) {
+    return {
+        type: MessageType.INSPECT_SUBSCRIBED,
+        payload: {
+            filters,
+            timestamp: Date.now(),
+        },
+    };
+}
+
+/**
+ * Creates an inspector event for captured traffic
+ * @param {string} type - MessageType.INSPECT_REQUEST or MessageType.INSPECT_RESPONSE
+ * @param {Object} traffic - Traffic entry as returned by the inspector API
+ * @returns {Object} Protocol message
+ */
+function createInspectEventMessage(type, traffic) {
+    return {
+        type,
+        payload: { traffic },
+    };
+}
+
 /**
  * Creates a ping message for keepalive
  * @returns {Object} Protocol message
@@ -202,12 +702,91 @@ function createTunnelCloseMessage(tunnelId, reason = 'Client requested close') {
     };
 }
 
+/**
+ * Converts a message body (Buffer or base64 string) to a Buffer
+ * @param {string|Buffer|null} body - Body as received in a payload
+ * @returns {Buffer} Body bytes
+ */
+function toBodyBuffer(body) {
+    if (Buffer.isBuffer(body)) return body;
+    return Buffer.from(body || '', 'base64');
+}
+
+/**
+ * Encodes a body-carrying message as a binary frame
+ *
+ * Layout: magic (1) | type code (1) | flags (1) | id length (1) | id |
+ * meta length (4, big endian) | meta JSON | raw body bytes.
+ * The id is the requestId, or the streamId when BINARY_FLAG_STREAM_ID is set;
+ * meta holds the remaining payload fields.
+ *
+ * @param {Object} message - Protocol message with a binary-capable type
+ * @returns {Buffer} Encoded frame
+ */
+function encodeBinaryMessage(message) {
+    const { code, bodyField } = BINARY_MESSAGE_TYPES[message.type];
+    const { [bodyField]: body, requestId, streamId, ...meta } = message.payload;
+
+    const id = Buffer.from(streamId ?? requestId ?? '', 'utf8');
+    const metaJson = Buffer.from(JSON.stringify(meta), 'utf8');
+    const bodyBuffer = body ? toBodyBuffer(body) : null;
+
+    let flags = 0;
+    if (bodyBuffer) flags |= BINARY_FLAG_HAS_BODY;
+    if (streamId !== undefined) flags |= BINARY_FLAG_STREAM_ID;
+
+    const header = Buffer.alloc(4 + id.length + 4);
+    header[0] = BINARY_MAGIC;
+    header[1] = code;
+    header[2] = flags;
+    header[3] = id.length;
+    id.copy(header, 4);
+    header.writeUInt32BE(metaJson.length, 4 + id.length);
+
+    return Buffer.concat(bodyBuffer ? [header, metaJson, bodyBuffer] : [header, metaJson]);
+}
+
+/**
+ * Decodes a binary frame produced by encodeBinaryMessage
+ * @param {Buffer} data - Encoded frame
+ * @returns {Object|null} Protocol message (body as a Buffer) or null if invalid
+ */
+function decodeBinaryMessage(data) {
+    try {
+        if (data.length < 8 || data[0] !== BINARY_MAGIC) return null;
+
+        const entry = BINARY_TYPES_BY_CODE[data[1]];
+        if (!entry) return null;
+
+        const flags = data[2];
+        const idLength = data[3];
+        const id = data.toString('utf8', 4, 4 + idLength);
+        const metaLength = data.readUInt32BE(4 + idLength);
+        const metaStart = 8 + idLength;
+        const meta = JSON.parse(data.toString('utf8', metaStart, metaStart + metaLength));
+
+        const payload = {
+            [flags & BINARY_FLAG_STREAM_ID ? 'streamId' : 'requestId']: id,
+            ...meta,
+            [entry.bodyField]: flags & BINARY_FLAG_HAS_BODY ? data.subarray(metaStart + metaLength) : null,
+        };
+
+        return { type: entry.type, payload };
+    } catch (error) {
+        return null;
+    }
+}
+
 /**
  * Parses a raw message into a typed protocol message
- * @param {string|Buffer} data - Raw message data
+ * @param {string|Buffer} data - Raw message data (JSON text or binary frame)
  * @returns {Object|null} Parsed message or null if invalid
  */
 function parseMessage(data) {
+    if (Buffer.isBuffer(data) && data[0] === BINARY_MAGIC) {
+        return decodeBinaryMessage(data);
+    }
+
     try {
         const str = Buffer.isBuffer(data) ? data.toString('utf8') : data;
         const parsed = JSON.parse(str);
@@ -225,23 +804,70 @@ function parseMessage(data) {
 /**
  * Serializes a message for transmission
  * @param {Object} message - Protocol message
- * @returns {string} JSON string
+ * @param {Object} options - Serialization options
+ * @param {boolean} options.binary - Use binary frames for body-carrying messages
+ * @returns {string|Buffer} JSON string, or a Buffer for binary frames
  */
-function serializeMessage(message) {
+function serializeMessage(message, { binary = false } = {}) {
+    const binaryType = BINARY_MESSAGE_TYPES[message.type];
+
+    if (binary && binaryType) {
+        return encodeBinaryMessage(message);
+    }
+
+    // Bodies travel base64-encoded inside JSON
+    if (binaryType && Buffer.isBuffer(message.payload?.[binaryType.bodyField])) {
+        return JSON.stringify({
+            ...message,
+            payload: {
+                ...message.payload,
+                [binaryType.bodyField]: message.payload[binaryType.bodyField].toString('base64'),
+            },
+        });
+    }
+
     return JSON.stringify(message);
 }
 
 module.exports = {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    Capability,
     MessageType,
+    createHelloMessage,
+    createWelcomeMessage,
     createTunnelRegisterMessage,
     createTunnelRegisteredMessage,
     createHttpRequestMessage,
+    createHttpRequestChunkMessage,
+    createHttpRequestEndMessage,
     createHttpResponseMessage,
+    createHttpResponseStartMessage,
+    createHttpResponseChunkMessage,
+    createHttpResponseEndMessage,
+    createHttpResponsePauseMessage,
+    createHttpResponseResumeMessage,
     createHttpErrorMessage,
+    createHttpAbortMessage,
+    createWsOpenMessage,
+    createWsOpenedMessage,
+    createWsFrameMessage,
+    createWsCloseMessage,
+    createTcpOpenMessage,
+    createTcpDataMessage,
+    createTcpCloseMessage,
+    createReplayRequestMessage,
+    createReplayResponseMessage,
+    createInspectSubscribeMessage,
+    createInspectSubscribedMessage,
+    createInspectEventMessage,
     createPingMessage,
     createPongMessage,
     createErrorMessage,
     createTunnelCloseMessage,
+    toBodyBuffer,
+    encodeBinaryMessage,
+    decodeBinaryMessage,
     parseMessage,
     serializeMessage,
 };
@@ -4,6 +4,8 @@
  * Common utility functions used across the platform.
  */
 
+const net = require('net');
+const crypto = require('crypto');
 const { customAlphabet } = require('nanoid');
 const { TUNNEL_CONFIG } = require('./constants');
 
@@ -19,6 +21,9 @@ const generateTunnelId = customAlphabet('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklm
 // Generate auth tokens
 const generateAuthToken = customAlphabet('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', 32);
 
+// Generate tunnel resume tokens
+const generateResumeToken = customAlphabet('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', 32);
+
 /**
  * Validates a subdomain string
  * @param {string} subdomain - Subdomain to validate
@@ -44,6 +49,99 @@ function formatBytes(bytes) {
     return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`;
 }
 
+/**
+ * Parses a human-readable size such as "512kb" or "10MB" into bytes
+ * @param {string|number} value - Size string or number of bytes
+ * @returns {number|null} Size in bytes or null if invalid
+ */
+function parseBytes(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+    if (!value || typeof value !== 'string') return null;
+
+    const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/);
+    if (!match) return null;
+
+    const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+    return Math.floor(parseFloat(match[1]) * units[match[2] || 'b']);
+}
+
+/**
+ * Parses "user:pass" basic auth credentials (the password may contain colons)
+ * @param {string|Object} value - Credentials string or { username, password }
+ * @returns {Object|null} { username, password } or null if invalid
+ */
+function parseBasicAuth(value) {
+    if (value && typeof value === 'object') {
+        value = `${value.username ?? ''}:${value.password ?? ''}`;
+    }
+    if (typeof value !== 'string') return null;
+
+    const separator = value.indexOf(':');
+    if (separator <= 0 || separator === value.length - 1) return null;
+
+    return {
+        username: value.slice(0, separator),
+        password: value.slice(separator + 1),
+    };
+}
+
+/**
+ * Compares two secrets in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    // Hashing first gives both sides the same length
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Parses an IPv4 or IPv6 CIDR range; a bare address is a single-host range
+ * @param {string} value - CIDR such as "192.0.2.0/24" or "2001:db8::/32"
+ * @returns {Object|null} { address, prefix, family, cidr } or null if invalid
+ */
+function parseCidr(value) {
+    if (typeof value !== 'string') return null;
+
+    const [address, prefixText, ...rest] = value.trim().split('/');
+    const version = net.isIP(address);
+    if (!version || rest.length > 0) return null;
+
+    const maxPrefix = version === 4 ? 32 : 128;
+    if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) return null;
+
+    const prefix = prefixText === undefined ? maxPrefix : parseInt(prefixText, 10);
+    if (prefix > maxPrefix) return null;
+
+    return {
+        address,
+        prefix,
+        family: version === 4 ? 'ipv4' : 'ipv6',
+        cidr: `${address}/${prefix}`,
+    };
+}
+
+/**
+ * Normalizes a hostname for matching custom domains: lowercase, without
+ * port or trailing dot
+ * @param {string} value - Hostname or Host header, e.g. "API.example.com:3000"
+ * @returns {string|null} Hostname, or null unless it is a DNS name of two or more labels
+ */
+function normalizeHostname(value) {
+    if (typeof value !== 'string') return null;
+
+    const hostname = value.trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+    if (hostname.length > 253) return null;
+
+    const labels = hostname.split('.');
+    if (labels.length < 2 || /^\d+$/.test(labels[labels.length - 1])) return null;
+
+    return labels.every(label => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(label)) ? hostname : null;
+}
+
 /**
  * Formats duration in milliseconds to human-readable string
  * @param {number} ms - Duration in milliseconds
@@ -183,8 +281,14 @@ module.exports = {
     generateRequestId,
     generateTunnelId,
     generateAuthToken,
+    generateResumeToken,
     isValidSubdomain,
     formatBytes,
+    parseBytes,
+    parseBasicAuth,
+    safeEqual,
+    parseCidr,
+    normalizeHostname,
     formatDuration,
     safeJsonParse,
     deepClone,